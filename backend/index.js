@@ -2,31 +2,74 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import { createClient } from '@supabase/supabase-js';
+import crypto from 'crypto';
+import { createRepository, DATA_BACKENDS } from './repository/index.js';
 
 dotenv.config();
 
 // ---- Config & env ----
 const PORT = process.env.PORT || 3000;
+const DATA_BACKEND = process.env.DATA_BACKEND || 'supabase'; // supabase | memory (local runs and tests, nothing persisted)
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
 const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN || '';
 const TELEGRAM_SECRET_PATH = process.env.TELEGRAM_SECRET_PATH || '';
-const ADMIN_ID = process.env.ADMIN_ID || null;
+const TELEGRAM_WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET || ''; // must match X-Telegram-Bot-Api-Secret-Token
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/$/, ''); // this server's public base URL (for setWebhook)
+const WEBHOOK_AUTO_REGISTER = process.env.WEBHOOK_AUTO_REGISTER === 'true'; // call setWebhook on startup
+const ADMIN_ID = process.env.ADMIN_ID || null; // legacy single admin, treated as an owner
+const ADMINS_RAW = process.env.ADMINS || ''; // "id:role,id:role" with roles owner | admin | moderator
 const BROADCAST_DELAY_MS = parseInt(process.env.BROADCAST_DELAY_MS || '200', 10);
 const CHANNEL_USERNAME = process.env.CHANNEL_USERNAME || null;
 const RAW_FRONTEND_ORIGIN = process.env.FRONTEND_ORIGIN || '';
 const FRONTEND_ORIGIN = RAW_FRONTEND_ORIGIN.replace(/\/$/, '');
 const BOT_USERNAME_FALLBACK = process.env.BOT_USERNAME || null; // optional env fallback
+const IDLE_INCOME_CAP_MS = parseFloat(process.env.IDLE_INCOME_CAP_HOURS || '8') * 60 * 60 * 1000; // max offline accrual
+const NETWORK_SNAPSHOT_INTERVAL_MS = parseInt(process.env.NETWORK_SNAPSHOT_INTERVAL_MS || String(60 * 60 * 1000), 10); // 1h
+const REFERRAL_ACTIVATION_MINES = parseInt(process.env.REFERRAL_ACTIVATION_MINES || '5', 10); // invitee mines before bonus release
+const REFERRAL_ACTIVATION_DAYS = parseInt(process.env.REFERRAL_ACTIVATION_DAYS || '2', 10); // ...on at least this many distinct days
+const REFERRAL_RELEASE_INTERVAL_MS = parseInt(process.env.REFERRAL_RELEASE_INTERVAL_MS || String(10 * 60 * 1000), 10);
+const REFERRAL_AUDIT_BURST_10MIN = parseInt(process.env.REFERRAL_AUDIT_BURST_10MIN || '5', 10); // flag threshold
+const INIT_DATA_MAX_AGE_SEC = parseInt(process.env.INIT_DATA_MAX_AGE_SEC || '86400', 10); // reject stale WebApp sessions
+const WEBAPP_URL = process.env.WEBAPP_URL || FRONTEND_ORIGIN || null; // target of "open app" buttons
+const DAILY_REMINDER_HOUR = parseInt(process.env.DAILY_REMINDER_HOUR || '20', 10); // player's local hour
+const DAILY_REMINDER_INTERVAL_MS = parseInt(process.env.DAILY_REMINDER_INTERVAL_MS || String(15 * 60 * 1000), 10);
+const TRANSFER_MIN_AMOUNT = parseInt(process.env.TRANSFER_MIN_AMOUNT || '10', 10);
+const TRANSFER_DAILY_LIMIT = parseInt(process.env.TRANSFER_DAILY_LIMIT || '10000', 10); // coins sent per 24h, 0 = no limit
+const TRANSFER_DAILY_COUNT = parseInt(process.env.TRANSFER_DAILY_COUNT || '10', 10); // transfers per 24h, 0 = no limit
+const TRANSFER_MIN_ACCOUNT_AGE_HOURS = parseFloat(process.env.TRANSFER_MIN_ACCOUNT_AGE_HOURS || '72'); // sender account age
+const TRANSFER_FEE_PCT = parseFloat(process.env.TRANSFER_FEE_PCT || '0'); // charged to the sender on top of the amount
+const API_RATE_LIMIT_IP_PER_MIN = parseInt(process.env.API_RATE_LIMIT_IP_PER_MIN || '300', 10);
+const API_RATE_LIMIT_USER_PER_MIN = parseInt(process.env.API_RATE_LIMIT_USER_PER_MIN || '120', 10);
+const ANTIBOT_SECRET = process.env.ANTIBOT_SECRET || ''; // signs mine challenges and keys IP hashes
+const RISK_FLAG_SCORE = parseInt(process.env.RISK_FLAG_SCORE || '50', 10); // anomaly score (0-100) that flags a player
+const RISK_REFRESH_INTERVAL_MS = parseInt(process.env.RISK_REFRESH_INTERVAL_MS || String(15 * 60 * 1000), 10);
+const FLAGGED_MINE_REWARD_FACTOR = parseFloat(process.env.FLAGGED_MINE_REWARD_FACTOR || '0.25');
+const MINE_CHALLENGE_DIFFICULTY = parseInt(process.env.MINE_CHALLENGE_DIFFICULTY || '4', 10); // leading zero hex digits
+const OFFLINE_MINE_MAX_AGE_MS = parseFloat(process.env.OFFLINE_MINE_MAX_AGE_MIN || '30') * 60 * 1000; // oldest replayed mine accepted
+const ACTION_REQUESTS_KEEP_DAYS = parseInt(process.env.ACTION_REQUESTS_KEEP_DAYS || '7', 10); // stored idempotent responses
+const ACTION_REQUEST_LEASE_SEC = parseInt(process.env.ACTION_REQUEST_LEASE_SEC || '60', 10); // unanswered key can be reclaimed after this
+const BUSINESS_TOTALS_RECONCILE_INTERVAL_MS = parseInt(process.env.BUSINESS_TOTALS_RECONCILE_INTERVAL_MS || String(6 * 60 * 60 * 1000), 10); // 6h
 
 // sanity check env
-if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
-  console.error('Missing Supabase env vars. Fill SUPABASE_URL and SUPABASE_SERVICE_KEY.');
+if (!DATA_BACKENDS.includes(DATA_BACKEND)) {
+  console.error(`Unknown DATA_BACKEND "${DATA_BACKEND}". Use one of: ${DATA_BACKENDS.join(', ')}.`);
+  process.exit(1);
+}
+if (DATA_BACKEND === 'supabase' && (!SUPABASE_URL || !SUPABASE_SERVICE_KEY)) {
+  console.error('Missing Supabase env vars. Fill SUPABASE_URL and SUPABASE_SERVICE_KEY (or set DATA_BACKEND=memory).');
+  process.exit(1);
+}
+if (TELEGRAM_BOT_TOKEN && !TELEGRAM_WEBHOOK_SECRET) {
+  console.error('Missing TELEGRAM_WEBHOOK_SECRET: webhook requests could not be authenticated. Set it (and re-register the webhook) or unset TELEGRAM_BOT_TOKEN.');
   process.exit(1);
 }
 
-// ---- Supabase server client ----
-const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY, { auth: { persistSession: false } });
+// ---- Data access ----
+// All reads and writes go through the repository (see repository/), so every feature
+// works the same with DATA_BACKEND=supabase and DATA_BACKEND=memory.
+const repo = createRepository(DATA_BACKEND, { supabaseUrl: SUPABASE_URL, supabaseServiceKey: SUPABASE_SERVICE_KEY });
+if (DATA_BACKEND === 'memory') console.warn('DATA_BACKEND=memory: data is kept in this process only and lost on restart.');
 
 // ---- App init ----
 const app = express();
@@ -41,24 +84,60 @@ app.use(cors({
 app.use(express.json());
 
 // ---- Game constants ----
-const BUSINESSES = [
-  { id: 'DAPP', name: 'CIFCI Tech & AI', cost: 1000, income: 1 },
-  { id: 'TOTO_VAULT', name: 'CIFCI Crypto & Blockchain', cost: 1000, income: 1 },
-  { id: 'CIFCI_STABLE', name: 'CIFCI Real Estate', cost: 1000, income: 1 },
-  { id: 'TYPOGRAM', name: 'CIFCI Energy', cost: 1000, income: 1 },
-  { id: 'APPLE', name: 'CIFCI Infrastructure', cost: 1000, income: 1 },
-  { id: 'BITCOIN', name: 'CIFCI Space & Exploration', cost: 1000, income: 1 },
-];
-
 const MINE_COOLDOWN_MS = 60_000; // 1 minute
+const BUSINESS_CATALOG_TTL_MS = 60_000; // catalog cache lifetime
+const MAX_BUY_QTY = 100; // per purchase, matches business_max_affordable default limit
+
+// ---- Business catalog (public.businesses is the single source of truth) ----
+function mapRowToBusiness(row) {
+  return {
+    id: row.name,
+    name: row.display_name || row.name,
+    cost: Number(row.cost) || 0,
+    costGrowth: Number(row.cost_growth ?? 1) || 1,
+    income: Number(row.income) || 0,
+    sortOrder: row.sort_order ?? 0,
+    enabled: row.enabled !== false,
+    minLevel: row.min_level ?? 1
+  };
+}
 
-function calculatePassiveIncome(businesses = {}) {
-  let total = 0;
-  for (const [id, qty] of Object.entries(businesses || {})) {
-    const b = BUSINESSES.find(x => x.id === id);
-    if (b) total += (b.income || 0) * (qty || 0);
+let _catalogCache = { at: 0, items: null };
+/**
+ * Load the business catalog (cached for BUSINESS_CATALOG_TTL_MS).
+ * Includes disabled entries: they can't be bought but owned units still pay income.
+ */
+async function getBusinessCatalog({ fresh = false } = {}) {
+  if (!fresh && _catalogCache.items && Date.now() - _catalogCache.at < BUSINESS_CATALOG_TTL_MS) {
+    return _catalogCache.items;
   }
-  return total;
+  const rows = await repo.listBusinesses();
+  _catalogCache = { at: Date.now(), items: rows.map(mapRowToBusiness) };
+  return _catalogCache.items;
+}
+
+// ---- Idle income ----
+/**
+ * Pay out passive income accrued since the user's last claim.
+ * Accrual is computed in SQL (claim_idle_income) from stored timestamps and the
+ * catalog income rates, capped at IDLE_INCOME_CAP_MS of elapsed time.
+ * Returns null if the user doesn't exist.
+ */
+async function claimIdleIncome(userId, now = Date.now()) {
+  const result = await repo.claimIdleIncome({ userId, now, capMs: IDLE_INCOME_CAP_MS });
+  if (!result || result.success !== true) return null;
+
+  return {
+    earned: Number(result.earned) || 0,
+    ratePerMin: Number(result.rate_per_min) || 0,
+    elapsedMs: Number(result.elapsed_ms) || 0,
+    creditedMs: Number(result.credited_ms) || 0,
+    capMs: Number(result.cap_ms) || IDLE_INCOME_CAP_MS,
+    capped: !!result.capped,
+    coins: Number(result.coins) || 0,
+    level: Number(result.level) || 1,
+    xp: Number(result.xp) || 0
+  };
 }
 
 function mapRowToUser(row) {
@@ -69,7 +148,9 @@ function mapRowToUser(row) {
     coins: (row.coins === null || row.coins === undefined) ? 0 : Number(row.coins),
     businesses: row.businesses ?? {},
     level: row.level ?? 1,
+    xp: Number(row.xp) || 0,
     lastMine: row.last_mine ?? 0,
+    lastClaim: row.last_claim ?? null,
     referralsCount: row.referrals_count ?? 0,
     referredBy: row.referred_by ?? null,
     subscribed: row.subscribed === null || row.subscribed === undefined ? true : !!row.subscribed,
@@ -77,6 +158,71 @@ function mapRowToUser(row) {
   };
 }
 
+function mapRowToTransaction(row) {
+  return {
+    id: Number(row.id),
+    delta: Number(row.delta) || 0,
+    balanceAfter: Number(row.balance_after) || 0,
+    reason: row.reason,
+    ref: row.ref ?? null,
+    createdAt: row.created_at
+  };
+}
+
+// ---- Mining ----
+/**
+ * One mine for a user: atomic cooldown check and credit (mine_coins, which applies
+ * active mining/cooldown boosts), then collect pending idle income.
+ * Shared by POST /api/mine and the bot's /mine command.
+ * Players flagged by the anomaly score earn less and must pass a solved `challenge`
+ * (see Anti-bot); without one they get { error: 'challenge_required', challenge }.
+ * Returns { ok: true, earned, passive, coins, level, xp, lastMine, cooldownMs } or
+ * { ok: false, error: 'user_not_found' | 'banned' | 'cooldown' | 'challenge_required' | 'challenge_failed', ... }.
+ */
+async function mineForUser(id, now = Date.now(), { challenge } = {}) {
+  const [user, risk] = await Promise.all([repo.getUser(id), repo.getUserRisk(id)]);
+  if (!user) return { ok: false, error: 'user_not_found' };
+  if (user.banned) return { ok: false, error: 'banned' };
+
+  const flagged = !!risk?.flagged;
+  if (flagged) {
+    if (!challenge) return { ok: false, error: 'challenge_required', challenge: issueMineChallenge(id, now) };
+    if (!verifyMineChallenge(id, challenge, now)) {
+      return { ok: false, error: 'challenge_failed', challenge: issueMineChallenge(id, now) };
+    }
+  }
+
+  const rolled = Math.floor(Math.random() * 3) + 1; // 1-3 coins (adjust)
+  const baseEarned = flagged ? Math.max(1, Math.floor(rolled * FLAGGED_MINE_REWARD_FACTOR)) : rolled;
+
+  // Cooldown is checked in SQL only: boosts can shorten it (guards against concurrent mines/purchases)
+  const result = await repo.mineCoins({ userId: id, amount: baseEarned, now, cooldownMs: MINE_COOLDOWN_MS });
+  if (result?.error === 'user_not_found') return { ok: false, error: 'user_not_found' };
+  if (!result || result.success !== true) {
+    const cooldownMs = Number(result?.cooldown_ms) || MINE_COOLDOWN_MS;
+    const retryAfterMs = Math.max(0, cooldownMs - (now - Number(result?.last_mine || 0)));
+    return { ok: false, error: result?.error || 'cooldown', retryAfterMs };
+  }
+  const earned = Number(result.earned ?? baseEarned); // 0 is possible late in the emission schedule
+
+  // Passive income accrues over time; mining also collects whatever is pending
+  const idle = await claimIdleIncome(id, now);
+
+  // This mine may activate the player's invite bonus for their referrer
+  releaseReferralRewards(id);
+
+  return {
+    ok: true,
+    earned,
+    passive: idle?.earned ?? 0,
+    coins: idle?.coins ?? Number(result.coins),
+    level: idle?.level ?? null,
+    xp: idle?.xp ?? null,
+    lastMine: now,
+    cooldownMs: Number(result.cooldown_ms) || MINE_COOLDOWN_MS
+  };
+}
+
 // ---- Helpers ----
 function escapeHtml(text = '') {
   return String(text)
@@ -84,30 +230,52 @@ function escapeHtml(text = '') {
     .replace(/</g, '&lt;')
     .replace(/>/g, '&gt;');
 }
+function formatCoins(n) {
+  return (Number(n) || 0).toLocaleString('en-US', { maximumFractionDigits: 2 });
+}
+
 function sleep(ms) { return new Promise(resolve => setTimeout(resolve, ms)); }
 
-// Send a message via Bot API (simple, uses fetch)
-async function sendTelegram(chat, textMsg, opts = {}) {
+// Call a Bot API method (simple, uses fetch)
+// Resolves to { ok, status, result } or { ok: false, status, description, retryAfter } (never throws):
+// status is Telegram's error_code (429 = flood limit, 403 = bot blocked) or 0 on network error.
+async function callTelegram(method, payload) {
   if (!TELEGRAM_BOT_TOKEN) {
-    console.warn('TELEGRAM_BOT_TOKEN missing, cannot send message');
-    return;
+    console.warn(`TELEGRAM_BOT_TOKEN missing, cannot call ${method}`);
+    return { ok: false, status: 0, description: 'bot token missing' };
   }
   try {
-    const url = `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendMessage`;
-    const payload = { chat_id: chat, text: textMsg, ...opts };
-    if (payload.reply_markup && typeof payload.reply_markup !== 'string') {
-      payload.reply_markup = JSON.stringify(payload.reply_markup);
+    const url = `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/${method}`;
+    const body = { ...payload };
+    if (body.reply_markup && typeof body.reply_markup !== 'string') {
+      body.reply_markup = JSON.stringify(body.reply_markup);
     }
-    await fetch(url, {
+    const resp = await fetch(url, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
+      body: JSON.stringify(body)
     });
+    const json = await resp.json().catch(() => ({}));
+    if (!json?.ok) {
+      return {
+        ok: false,
+        status: json?.error_code || resp.status,
+        description: json?.description || resp.statusText,
+        retryAfter: json?.parameters?.retry_after ?? null
+      };
+    }
+    return { ok: true, status: resp.status, result: json.result };
   } catch (e) {
-    console.warn('Failed to send telegram message', e?.message || e);
+    console.warn(`Failed to call telegram ${method}`, e?.message || e);
+    return { ok: false, status: 0, description: e?.message || String(e) };
   }
 }
 
+// Send a message via Bot API
+async function sendTelegram(chat, textMsg, opts = {}) {
+  return callTelegram('sendMessage', { chat_id: chat, text: textMsg, ...opts });
+}
+
 // get bot username (cached)
 let _cachedBotUsername = null;
 async function getBotUsername() {
@@ -130,27 +298,21 @@ async function getBotUsername() {
   return null;
 }
 
-// ---- RPC helper: manual_refer_by_id with defensive logging + id normalization ----
+// ---- Referral helper: manual_refer_by_id with defensive logging + id normalization ----
 async function callManualRefer(referrerId, referredId, referredUsername) {
   try {
     const normReferrerId = (typeof referrerId === 'string' && /^\d+$/.test(referrerId)) ? Number(referrerId) : referrerId;
     const normReferredId = (typeof referredId === 'string' && /^\d+$/.test(referredId)) ? Number(referredId) : referredId;
 
-    const { data, error } = await supabase.rpc('manual_refer_by_id', {
-      referrer_id: normReferrerId,
-      referred_id: normReferredId,
-      referred_username: referredUsername
+    const rpcResult = await repo.manualRefer({
+      referrerId: normReferrerId,
+      referredId: normReferredId,
+      referredUsername
     });
 
-    if (error) {
-      console.error('manual_refer_by_id rpc error object:', error);
-      return { ok: false, error };
-    }
-
-    const rpcResult = Array.isArray(data) ? data[0] : data;
     if (!rpcResult || typeof rpcResult.success === 'undefined') {
-      console.error('manual_refer_by_id unexpected rpc result:', { data });
-      return { ok: false, error: new Error('invalid_rpc_result'), data };
+      console.error('manual_refer_by_id unexpected rpc result:', { data: rpcResult });
+      return { ok: false, error: new Error('invalid_rpc_result'), data: rpcResult };
     }
 
     return { ok: true, result: rpcResult };
@@ -160,6 +322,33 @@ async function callManualRefer(referrerId, referredId, referredUsername) {
   }
 }
 
+// ---- Referral rewards: release held bonuses once the invitee is active ----
+function referralActivationText() {
+  return `${REFERRAL_ACTIVATION_MINES} mines on ${REFERRAL_ACTIVATION_DAYS} different days`;
+}
+
+/**
+ * Release pending referral bonuses that meet the activation rule and notify inviters.
+ * referredId limits the check to one invitee (cheap call after each mine).
+ * Never throws.
+ */
+async function releaseReferralRewards(referredId = null) {
+  try {
+    const released = await repo.releaseReferralRewards({
+      minMines: REFERRAL_ACTIVATION_MINES,
+      minDays: REFERRAL_ACTIVATION_DAYS,
+      referredId
+    });
+    for (const r of released) {
+      await sendTelegram(r.referrer_id, `🎉 <b>${escapeHtml(r.referred_username || r.referred_id)}</b> is now an active miner!\nYou received +${Number(r.amount) || 0} 💰 referral bonus.`, { parse_mode: 'HTML' });
+    }
+    return released.length;
+  } catch (e) {
+    console.warn('releaseReferralRewards failed', e?.message || e);
+    return 0;
+  }
+}
+
 // robust finding of a user by username or id (case-insensitive on username)
 async function findUserByUsernameOrId(target) {
   if (!target) return null;
@@ -167,26 +356,16 @@ async function findUserByUsernameOrId(target) {
 
   // 1) exact match
   try {
-    const { data: exactRows, error: exactErr } = await supabase
-      .from('users')
-      .select('id, username')
-      .eq('username', cleaned)
-      .limit(1);
-    if (exactErr) throw exactErr;
-    if (exactRows && exactRows.length > 0) return exactRows[0];
+    const exact = await repo.findUserByUsername(cleaned);
+    if (exact) return exact;
   } catch (e) {
     console.warn('findUser exact match failed', e?.message || e);
   }
 
   // 2) ilike
   try {
-    const { data: ilikeRows, error: ilikeErr } = await supabase
-      .from('users')
-      .select('id, username')
-      .ilike('username', cleaned)
-      .limit(1);
-    if (ilikeErr) throw ilikeErr;
-    if (ilikeRows && ilikeRows.length > 0) return ilikeRows[0];
+    const ilike = await repo.findUserByUsername(cleaned, { ignoreCase: true });
+    if (ilike) return ilike;
   } catch (e) {
     console.warn('findUser ilike match failed', e?.message || e);
   }
@@ -194,13 +373,8 @@ async function findUserByUsernameOrId(target) {
   // 3) id match if numeric
   if (/^\d+$/.test(cleaned)) {
     try {
-      const { data: idRows, error: idErr } = await supabase
-        .from('users')
-        .select('id, username')
-        .eq('id', cleaned)
-        .limit(1);
-      if (idErr) throw idErr;
-      if (idRows && idRows.length > 0) return idRows[0];
+      const byId = await repo.getUser(cleaned);
+      if (byId) return { id: byId.id, username: byId.username };
     } catch (e) {
       console.warn('findUser id match failed', e?.message || e);
     }
@@ -209,610 +383,2763 @@ async function findUserByUsernameOrId(target) {
   return null;
 }
 
-// ---- API routes (user, mine, update, leaderboard, buy) ----
-app.post('/api/user-debug', (req, res) => {
-  console.log('DEBUG /api/user-debug body:', req.body);
-  res.json({ body: req.body });
-});
+// ---- Broadcast worker ----
+// Jobs live in broadcast_jobs / broadcast_recipients (see schema.sql), so a restart
+// resumes where it stopped. One job is worked at a time, one message per BROADCAST_DELAY_MS.
+const BROADCAST_BATCH_SIZE = 25;
+const BROADCAST_MAX_ATTEMPTS = 3;
+const BROADCAST_POLL_MS = 3000;
+
+const BROADCAST_CAPTION_MAX = 1024; // Telegram limit for photo captions
 
 /**
- * POST /api/user
- * Body: { id, username }
+ * Parse an admin broadcast command body into a draft. The first lines are the
+ * message; option lines start with "--":
+ *   --photo <url|file_id>          (or attach a photo with the command as caption)
+ *   --button <label> | <url|app>   repeatable; "app" opens the WebApp
+ *   --at <YYYY-MM-DD HH:MM>        scheduled send time, UTC
+ *   --level <n>                    users at level n or above
+ *   --inactive <days>              users who haven't mined for n days
+ *   --owners [business]            owners of any business (or of one business)
+ * Returns { draft } or { error }.
  */
-app.post('/api/user', async (req, res) => {
-  try {
-    const { id, username } = req.body;
-    if (!id) return res.status(400).json({ error: 'id required' });
+function parseBroadcastDraft(raw, attachedPhoto = null) {
+  const lines = [];
+  const draft = { photo: attachedPhoto, buttons: [], audience: {}, sendAt: null };
+
+  for (const line of String(raw || '').split('\n')) {
+    const m = line.trim().match(/^--(\w+)\s*(.*)$/);
+    if (!m) { lines.push(line); continue; }
+    const [, opt, arg] = m;
+    const value = arg.trim();
+
+    switch (opt.toLowerCase()) {
+      case 'photo':
+        if (!value) return { error: '--photo needs a URL or file_id' };
+        draft.photo = value;
+        break;
+      case 'button': {
+        const [label, target] = value.split('|').map(x => (x || '').trim());
+        if (!label || !target) return { error: 'Use --button <label> | <url or app>' };
+        if (target.toLowerCase() === 'app') {
+          if (!WEBAPP_URL) return { error: 'WEBAPP_URL is not configured, cannot add an app button' };
+          draft.buttons.push({ text: label, webApp: true });
+        } else if (/^https?:\/\//i.test(target) || /^tg:\/\//i.test(target)) {
+          draft.buttons.push({ text: label, url: target });
+        } else {
+          return { error: `Button target must be a URL or "app": ${target}` };
+        }
+        break;
+      }
+      case 'at': {
+        const iso = value.replace(' ', 'T');
+        const when = new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(iso) ? iso : `${iso}Z`);
+        if (!value || isNaN(when.getTime())) return { error: 'Use --at YYYY-MM-DD HH:MM (UTC)' };
+        if (when.getTime() <= Date.now()) return { error: '--at must be in the future' };
+        draft.sendAt = when.toISOString();
+        break;
+      }
+      case 'level': {
+        const n = parseInt(value, 10);
+        if (!Number.isFinite(n) || n < 1) return { error: '--level needs a number ≥ 1' };
+        draft.audience.minLevel = n;
+        break;
+      }
+      case 'inactive': {
+        const n = parseInt(value, 10);
+        if (!Number.isFinite(n) || n < 1) return { error: '--inactive needs a number of days ≥ 1' };
+        draft.audience.inactiveDays = n;
+        break;
+      }
+      case 'owners':
+        if (value) draft.audience.business = value;
+        else draft.audience.owners = true;
+        break;
+      default:
+        return { error: `Unknown option --${opt}` };
+    }
+  }
 
-    const { data: existing, error: selectErr } = await supabase
-      .from('users')
-      .select('*')
-      .eq('id', id)
-      .maybeSingle();
-    if (selectErr) throw selectErr;
+  draft.message = lines.join('\n').trim();
+  if (!draft.message && !draft.photo) return { error: 'Message is empty' };
+  if (draft.photo && draft.message.length > BROADCAST_CAPTION_MAX) {
+    return { error: `Photo captions are limited to ${BROADCAST_CAPTION_MAX} characters` };
+  }
+  return { draft };
+}
 
-    if (existing) return res.json({ user: mapRowToUser(existing) });
+function describeAudience(audience = {}) {
+  const parts = [];
+  if (audience.minLevel) parts.push(`level ≥ ${audience.minLevel}`);
+  if (audience.inactiveDays) parts.push(`inactive ${audience.inactiveDays}+ days`);
+  if (audience.business) parts.push(`owners of ${audience.business}`);
+  else if (audience.owners) parts.push('business owners');
+  return parts.length ? parts.join(', ') : 'all subscribers';
+}
 
-    const newUser = {
-      id,
-      username: username || `user_${id}`,
-      coins: 100,
-      businesses: {},
-      level: 1,
-      last_mine: 0,
-      referrals_count: 0,
-      referred_by: null,
-      subscribed: true, // default to true
-    };
+// Send a broadcast job's content (photo/text + buttons). Channels can't open
+// WebApp buttons, so those become plain links there.
+async function sendBroadcastMessage(chat, job, { channel = false } = {}) {
+  const buttons = (job.buttons || []).map(b => (
+    b.webApp
+      ? (channel ? { text: b.text, url: WEBAPP_URL } : { text: b.text, web_app: { url: WEBAPP_URL } })
+      : { text: b.text, url: b.url }
+  ));
+  const extra = { parse_mode: 'HTML' };
+  if (buttons.length) extra.reply_markup = { inline_keyboard: buttons.map(b => [b]) };
+
+  const body = escapeHtml(job.message || '');
+  if (job.photo) {
+    return callTelegram('sendPhoto', { chat_id: chat, photo: job.photo, caption: body || undefined, ...extra });
+  }
+  return sendTelegram(chat, body, extra);
+}
 
-    const { data: created, error: upsertErr } = await supabase
-      .from('users')
-      .upsert(newUser, { onConflict: 'id' })
-      .select()
-      .single();
+async function createBroadcastDraft(createdBy, draft) {
+  const result = await repo.createBroadcastDraft({
+    createdBy: createdBy ? String(createdBy) : null,
+    message: draft.message,
+    includeChannel: !!CHANNEL_USERNAME,
+    photo: draft.photo || null,
+    buttons: draft.buttons || [],
+    audience: draft.audience || {},
+    sendAt: draft.sendAt || null
+  });
+  return { jobId: Number(result.job_id), total: Number(result.total) || 0 };
+}
 
-    if (upsertErr) throw upsertErr;
-    return res.json({ user: mapRowToUser(created) });
-  } catch (err) {
-    console.error('/api/user error', err);
-    return res.status(500).json({ error: err?.message || 'server error' });
-  }
-});
+// Draft -> queued. Returns { success, error?, job_id, total, send_at }
+async function queueBroadcastJob(jobId) {
+  return repo.queueBroadcastJob(jobId);
+}
 
-/**
- * GET /api/user/:id
- */
-app.get('/api/user/:id', async (req, res) => {
-  try {
-    const id = req.params.id;
-    const { data, error } = await supabase
-      .from('users')
-      .select('*')
-      .eq('id', id)
-      .maybeSingle();
-    if (error) throw error;
-    if (!data) return res.status(404).json({ error: 'not found' });
-    return res.json({ user: mapRowToUser(data) });
-  } catch (err) {
-    console.error('/api/user/:id', err);
-    return res.status(500).json({ error: err?.message || 'server error' });
-  }
-});
+function broadcastQueuedText(jobId, total, sendAt) {
+  const when = sendAt ? `scheduled for ${new Date(sendAt).toISOString().slice(0, 16).replace('T', ' ')} UTC` : 'sending now';
+  return `📢 Broadcast #${jobId} queued (${when}) for ~${total} users.\nUse /broadcast_status ${jobId} to follow progress.`;
+}
 
-/**
- * POST /api/user/update
- */
-app.post('/api/user/update', async (req, res) => {
-  try {
-    const { id, coins, businesses, lastMine, level, subscribed } = req.body;
-    if (!id) return res.status(400).json({ error: 'id required' });
+async function getBroadcastOverview(jobId = null, limit = 5) {
+  return repo.broadcastJobsOverview({ jobId, limit });
+}
 
-    const updatePayload = {};
-    if (coins !== undefined) updatePayload.coins = coins;
-    if (businesses !== undefined) updatePayload.businesses = businesses;
-    if (lastMine !== undefined) updatePayload.last_mine = lastMine;
-    if (level !== undefined) updatePayload.level = level;
-    if (subscribed !== undefined) updatePayload.subscribed = subscribed;
+async function deliverBroadcast(job, recipient) {
+  const result = await sendBroadcastMessage(recipient.user_id, job);
+  const mark = patch => repo.updateBroadcastRecipient(job.id, recipient.user_id, patch);
 
-    if (Object.keys(updatePayload).length === 0) {
-      return res.status(400).json({ error: 'no fields to update' });
-    }
+  if (result.ok) {
+    await mark({ status: 'sent', sent_at: new Date().toISOString(), last_error: null });
+    return;
+  }
 
-    const { error } = await supabase
-      .from('users')
-      .update(updatePayload)
-      .eq('id', id);
+  if (result.status === 429) {
+    // Flood limit: wait as instructed and put the recipient back (doesn't count as an attempt)
+    const waitMs = (Number(result.retryAfter) || 1) * 1000;
+    console.warn(`broadcast #${job.id}: 429, retrying after ${waitMs}ms`);
+    await mark({ status: 'pending', attempts: Math.max(0, recipient.attempts - 1) });
+    await sleep(waitMs);
+    return;
+  }
 
-    if (error) throw error;
-    return res.json({ ok: true });
-  } catch (err) {
-    console.error('/api/user/update', err);
-    return res.status(500).json({ error: err?.message || 'server error' });
+  if (result.status === 403) {
+    // Bot blocked / user deactivated: stop messaging them
+    await mark({ status: 'blocked', last_error: result.description || null });
+    await repo.updateUser(recipient.user_id, { subscribed: false });
+    return;
   }
-});
 
-/**
- * POST /api/mine
- */
-app.post('/api/mine', async (req, res) => {
-  try {
-    const { id } = req.body;
-    if (!id) return res.status(400).json({ error: 'id required' });
+  const exhausted = recipient.attempts >= BROADCAST_MAX_ATTEMPTS;
+  await mark({
+    status: exhausted ? 'failed' : 'pending',
+    last_error: result.description || `error ${result.status}`
+  });
+}
 
-    const { data, error: selErr } = await supabase
-      .from('users')
-      .select('*')
-      .eq('id', id)
-      .maybeSingle();
-    if (selErr) throw selErr;
-    if (!data) return res.status(404).json({ error: 'user not found' });
+async function finishBroadcastJob(job) {
+  // Only one worker gets to flip running -> done
+  if (!(await repo.closeBroadcastJob(job.id, 'done', { from: ['running'] }))) return;
 
-    const now = Date.now();
-    const lastMine = data.last_mine || 0;
-    const diff = now - lastMine;
-    if (diff < MINE_COOLDOWN_MS) {
-      const retryAfterMs = MINE_COOLDOWN_MS - diff;
-      res.setHeader('Retry-After', Math.ceil(retryAfterMs / 1000));
-      return res.status(429).json({ error: 'cooldown', retryAfterMs });
-    }
-
-    const earned = Math.floor(Math.random() * 3) + 1; // 1-3 coins (adjust)
-    const passive = calculatePassiveIncome(data.businesses || {});
-    const newCoins = (Number(data.coins) || 0) + earned + passive;
-
-    const { error: updErr } = await supabase
-      .from('users')
-      .update({
-        coins: newCoins,
-        last_mine: now
-      })
-      .eq('id', id);
-    if (updErr) throw updErr;
+  if (job.include_channel && CHANNEL_USERNAME) {
+    await sendBroadcastMessage(CHANNEL_USERNAME, job, { channel: true });
+  }
 
-    return res.json({
-      earned,
-      passive,
-      coins: newCoins,
-      lastMine: now
-    });
-  } catch (err) {
-    console.error('/api/mine', err);
-    return res.status(500).json({ error: err?.message || 'server error' });
+  const [stats] = await getBroadcastOverview(job.id, 1);
+  if (job.created_by && stats) {
+    await sendTelegram(job.created_by, `✅ Broadcast #${job.id} done. Delivered to ${stats.sent}/${stats.total} users (blocked ${stats.blocked}, failed ${stats.failed}).`);
   }
-});
+}
 
-/**
- * POST /api/buy
- * Body: { id, business, qty, unitCost }
- */
-app.post('/api/buy', async (req, res) => {
-  try {
-    const { id, business, qty, unitCost } = req.body;
-    if (!id || !business || !qty) return res.status(400).json({ error: 'id, business and qty required' });
+async function processBroadcastJob(job) {
+  for (;;) {
+    // Stop promptly if the job was cancelled from /broadcast_cancel
+    const current = await repo.getBroadcastJob(job.id);
+    if (!current || current.status !== 'running') return;
 
-    const qtyInt = parseInt(qty, 10);
-    if (isNaN(qtyInt) || qtyInt <= 0) return res.status(400).json({ error: 'invalid qty' });
+    const batch = await repo.claimBroadcastBatch({ jobId: job.id, limit: BROADCAST_BATCH_SIZE });
 
-    const unitCostNum = unitCost !== undefined ? Number(unitCost) : null;
-    if (unitCostNum === null || isNaN(unitCostNum) || unitCostNum < 0) {
-      return res.status(400).json({ error: 'unitCost required and must be non-negative' });
+    if (batch.length === 0) {
+      // Nothing claimable: done unless another worker still holds rows
+      if (!(await repo.countUnsentBroadcastRecipients(job.id))) await finishBroadcastJob(job);
+      return;
     }
 
-    const { data, error } = await supabase.rpc('purchase_business', {
-      p_business: business,
-      p_user_id: id,
-      p_qty: qtyInt,
-      p_unit_cost: unitCostNum
-    });
-
-    if (error) {
-      console.error('purchase_business rpc error', error);
-      return res.status(500).json({ error: error.message || 'purchase failed' });
+    for (const recipient of batch) {
+      await deliverBroadcast(job, recipient);
+      await sleep(BROADCAST_DELAY_MS);
     }
+  }
+}
 
-    const result = Array.isArray(data) ? data[0] : data;
-    if (!result || result.success !== true) {
-      return res.status(400).json({ ok: false, result });
+let _broadcastWorkerBusy = false;
+async function runBroadcastWorker() {
+  if (_broadcastWorkerBusy) return;
+  _broadcastWorkerBusy = true;
+  try {
+    // Running jobs (resume) or queued jobs whose send time has come
+    const job = await repo.nextBroadcastJob(Date.now());
+    if (!job) return;
+
+    if (job.status === 'queued') {
+      // Resolves the audience into recipients
+      const started = await repo.startBroadcastJob(job.id);
+      if (!started?.success) return;
     }
 
-    return res.json({ ok: true, result });
-  } catch (err) {
-    console.error('/api/buy', err);
-    return res.status(500).json({ error: err?.message || 'server error' });
+    await processBroadcastJob(job);
+  } catch (e) {
+    console.warn('broadcast worker error', e?.message || e);
+  } finally {
+    _broadcastWorkerBusy = false;
   }
-});
+}
 
+// ---- Telegram WebApp auth ----
 /**
- * GET /api/leaderboard
+ * Verify raw Telegram WebApp initData (querystring signed by Telegram).
+ * See https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+ * Returns { ok: true, user } or { ok: false, error }.
  */
-app.get('/api/leaderboard', async (req, res) => {
-  try {
-    const limit = Math.min(100, parseInt(req.query.limit || '20', 10) || 20);
-    const { data, error } = await supabase
-      .from('users')
-      .select('id, username, coins, businesses, level')
-      .order('coins', { ascending: false })
-      .limit(limit);
-    if (error) throw error;
-    return res.json({ users: data || [] });
-  } catch (err) {
-    console.error('/api/leaderboard', err);
-    return res.status(500).json({ error: err?.message || 'server error' });
+function verifyInitData(initData) {
+  if (!TELEGRAM_BOT_TOKEN) return { ok: false, error: 'auth not configured' };
+  if (!initData) return { ok: false, error: 'init data required' };
+
+  const params = new URLSearchParams(initData);
+  const hash = params.get('hash');
+  if (!hash) return { ok: false, error: 'invalid init data' };
+  params.delete('hash');
+
+  // data-check-string: all remaining fields sorted by key, "key=value" joined by \n
+  const dataCheckString = [...params.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([k, v]) => `${k}=${v}`)
+    .join('\n');
+
+  const secret = crypto.createHmac('sha256', 'WebAppData').update(TELEGRAM_BOT_TOKEN).digest();
+  const expected = crypto.createHmac('sha256', secret).update(dataCheckString).digest();
+  const given = Buffer.from(hash, 'hex');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { ok: false, error: 'invalid init data' };
   }
-});
 
-/**
- * GET /api/network-stats
- * Returns total coins, coins 24h ago, active miners
- */
-app.get('/api/network-stats', async (req, res) => {
-  try {
-    const now = new Date();
-    const yesterday = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-
-    // 1. Total coins now
-    const { data: allUsers, error: errNow } = await supabase
-      .from('users')
-      .select('id, coins');
-    if (errNow) throw errNow;
-
-    const totalCoins = allUsers.reduce((sum, u) => sum + (u.coins || 0), 0);
-    const activeMiners = allUsers.length;
+  const authDate = parseInt(params.get('auth_date') || '0', 10);
+  if (!authDate || Math.floor(Date.now() / 1000) - authDate > INIT_DATA_MAX_AGE_SEC) {
+    return { ok: false, error: 'init data expired' };
+  }
 
-    // 2. Coins 24h ago
-    // Supabase doesn't store historical coins, so we calculate using created_at + last_mine
-    // We'll estimate coins 24h ago as sum of users whose createdAt <= yesterday
-    const { data: oldUsers, error: errOld } = await supabase
-      .from('users')
-      .select('id, coins, created_at')
-      .lte('created_at', yesterday.toISOString());
-    if (errOld) throw errOld;
+  let user = null;
+  try { user = JSON.parse(params.get('user') || 'null'); } catch (e) { user = null; }
+  if (!user?.id) return { ok: false, error: 'invalid init data' };
 
-    // naive approximation: subtract coins mined in last 24h (optional: depends on your DB schema)
-    const coins24hAgo = oldUsers.reduce((sum, u) => sum + (u.coins || 0), 0);
+  return { ok: true, user };
+}
 
-    return res.json({
-      totalCoins,
-      coins24hAgo,
-      activeMiners
-    });
-  } catch (err) {
-    console.error('/api/network-stats', err);
-    return res.status(500).json({ error: err?.message || 'server error' });
+/**
+ * Express middleware: requires `Authorization: tma <initData>`.
+ * On success sets req.tgUser = { id, username } from the verified payload.
+ */
+function requireTelegramAuth(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const initData = header.startsWith('tma ') ? header.slice(4).trim() : '';
+
+  const { ok, user, error } = verifyInitData(initData);
+  if (!ok) {
+    if (error === 'auth not configured') {
+      console.error('TELEGRAM_BOT_TOKEN missing, cannot verify WebApp init data');
+      return res.status(500).json({ error });
+    }
+    return res.status(401).json({ error });
   }
-});
 
+  req.tgUser = {
+    id: String(user.id),
+    username: user.username || null
+  };
+  return next();
+}
 
-// Health
-app.get('/health', (req, res) => res.json({ ok: true }));
-
-// ---- Telegram webhook handler ----
-app.post(`/telegram/webhook${TELEGRAM_SECRET_PATH ? `/${TELEGRAM_SECRET_PATH}` : ''}`, async (req, res) => {
-  try {
-    const body = req.body;
-    if (!body) return res.sendStatus(204);
+/**
+ * Express middleware: like requireTelegramAuth, but anonymous requests pass through
+ * (req.tgUser stays undefined). Used by public endpoints that personalise when possible.
+ */
+function optionalTelegramAuth(req, res, next) {
+  const header = req.get('Authorization') || '';
+  if (!header.startsWith('tma ')) return next();
+  const { ok, user } = verifyInitData(header.slice(4).trim());
+  if (ok) req.tgUser = { id: String(user.id), username: user.username || null };
+  return next();
+}
 
-    console.log('telegram webhook body:', JSON.stringify(body));
+// ---- Anti-bot ----
+// Rate limits for /api, IP sightings and the proof-of-work challenge that flagged
+// players (user_risk, scored by refresh_user_risk in schema.sql) solve before mining.
+const RATE_LIMIT_WINDOW_MS = 60_000;
+const RATE_LIMIT_MAX_KEYS = 50_000; // sweep expired counters beyond this
+const MINE_CHALLENGE_TTL_MS = 2 * 60 * 1000;
 
-    const msg = body.message || body.edited_message || body.callback_query?.message;
-    if (!msg) return res.sendStatus(204);
+// Without ANTIBOT_SECRET, derive one from the bot token so IP hashes stay stable across restarts
+const antibotKey = ANTIBOT_SECRET
+  || (TELEGRAM_BOT_TOKEN ? crypto.createHmac('sha256', 'antibot').update(TELEGRAM_BOT_TOKEN).digest('hex') : crypto.randomBytes(32).toString('hex'));
 
-    const callbackQuery = body.callback_query;
-    const callbackData = callbackQuery?.data;
-    const text = (msg.text || '').trim();
-    const from = msg.from || callbackQuery?.from || {};
-    const tgId = from.id?.toString();
-    const username = from.username || `${from.first_name || 'tg'}_${tgId}`;
-    const chatId = msg.chat?.id?.toString() || tgId;
+function antibotHmac(value) {
+  return crypto.createHmac('sha256', antibotKey).update(String(value)).digest('hex');
+}
 
-    // ---------- Broadcast preview & callbacks ----------
-    if (text && text.startsWith('/broadcast_preview ')) {
-      if (!ADMIN_ID || String(chatId) !== String(ADMIN_ID)) {
-        await sendTelegram(chatId, '⛔ Not authorized.');
-        return res.json({ ok: false });
-      }
-      const messageText = text.replace('/broadcast_preview ', '').trim();
-      if (!messageText) {
-        await sendTelegram(chatId, 'Usage: /broadcast_preview <message>');
-        return res.json({ ok: false });
-      }
-      const payload = Buffer.from(messageText, 'utf8').toString('base64');
-      await sendTelegram(chatId, `🔎 Broadcast Preview:\n\n${messageText}`, {
-        parse_mode: 'HTML',
-        reply_markup: {
-          inline_keyboard: [[
-            { text: 'Send ✅', callback_data: `bcast_send:${payload}` },
-            { text: 'Cancel ❌', callback_data: 'bcast_cancel' }
-          ]]
-        }
-      });
-      return res.json({ ok: true });
-    }
-
-    // callback_query processing (Send/Cancel)
-    if (callbackQuery && callbackData) {
-      // Only admin may trigger send
-      if (!ADMIN_ID || String(callbackQuery.from?.id) !== String(ADMIN_ID)) {
-        try {
-          await fetch(`https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/answerCallbackQuery`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ callback_query_id: callbackQuery.id, text: 'Not authorized.' })
-          });
-        } catch (e) {}
-        return res.json({ ok: false });
-      }
+// Fixed-window counters: key -> { count, resetAt }
+const rateCounters = new Map();
 
-      if (callbackData === 'bcast_cancel') {
-        try {
-          await fetch(`https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/answerCallbackQuery`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ callback_query_id: callbackQuery.id, text: 'Broadcast cancelled.' })
-          });
-        } catch (e) {}
-        return res.json({ ok: true });
-      }
+function takeRateLimit(key, max, now = Date.now()) {
+  let entry = rateCounters.get(key);
+  if (!entry || entry.resetAt <= now) {
+    if (rateCounters.size > RATE_LIMIT_MAX_KEYS) {
+      for (const [k, v] of rateCounters) if (v.resetAt <= now) rateCounters.delete(k);
+    }
+    entry = { count: 0, resetAt: now + RATE_LIMIT_WINDOW_MS };
+    rateCounters.set(key, entry);
+  }
+  entry.count += 1;
+  return entry.count <= max ? 0 : entry.resetAt - now;
+}
 
-      if (callbackData.startsWith('bcast_send:')) {
-        const b64 = callbackData.split(':')[1] || '';
-        let messageText = '';
-        try { messageText = Buffer.from(b64, 'base64').toString('utf8'); } catch(e) { messageText = ''; }
-
-        if (!messageText) {
-          try {
-            await fetch(`https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/answerCallbackQuery`, {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({ callback_query_id: callbackQuery.id, text: 'Empty message, cancelled.' })
-            });
-          } catch(e) {}
-          return res.json({ ok: false });
-        }
+/**
+ * Express middleware for /api: per-IP limit, plus a per-player limit when the
+ * request carries valid initData (so one IP can't hide many accounts' traffic
+ * and one account can't spread over many IPs).
+ */
+function apiRateLimit(req, res, next) {
+  const now = Date.now();
+  let retryAfterMs = API_RATE_LIMIT_IP_PER_MIN > 0 ? takeRateLimit(`ip:${req.ip}`, API_RATE_LIMIT_IP_PER_MIN, now) : 0;
+
+  const header = req.get('Authorization') || '';
+  if (!retryAfterMs && API_RATE_LIMIT_USER_PER_MIN > 0 && header.startsWith('tma ')) {
+    const { ok, user } = verifyInitData(header.slice(4).trim());
+    if (ok) retryAfterMs = takeRateLimit(`user:${user.id}`, API_RATE_LIMIT_USER_PER_MIN, now);
+  }
 
-        // ack
-        try {
-          await fetch(`https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/answerCallbackQuery`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ callback_query_id: callbackQuery.id, text: 'Broadcasting to subscribers...' })
-          });
-        } catch (e){}
-
-        // Fetch subscribers and broadcast
-        try {
-          const { data: users, error: usersErr } = await supabase
-            .from('users')
-            .select('id')
-            .eq('subscribed', true);
-
-          if (usersErr) throw usersErr;
-
-          let sent = 0;
-          for (const u of users || []) {
-            try {
-              await sendTelegram(u.id, escapeHtml(messageText), { parse_mode: 'HTML' });
-              sent++;
-            } catch (e) {}
-            await sleep(BROADCAST_DELAY_MS);
-          }
-
-          if (CHANNEL_USERNAME) {
-            try { await sendTelegram(CHANNEL_USERNAME, escapeHtml(messageText), { parse_mode: 'HTML' }); } catch(e){}
-          }
-
-          await sendTelegram(callbackQuery.from.id, `✅ Broadcast done. Sent to ${sent}/${users.length} subscribed users.`);
-          return res.json({ ok: true });
-        } catch (err) {
-          console.error('broadcast (callback) error:', err);
-          try { await sendTelegram(callbackQuery.from.id, '❌ Broadcast failed. Check logs.'); } catch(e){}
-          return res.json({ ok: false, error: err?.message || err });
-        }
-      }
-    }
+  if (retryAfterMs) {
+    res.setHeader('Retry-After', Math.ceil(retryAfterMs / 1000));
+    return res.status(429).json({ error: 'rate_limited', retryAfterMs });
+  }
+  return next();
+}
 
-    // /broadcast direct (no preview)
-    if (text && text.startsWith('/broadcast ')) {
-      if (!ADMIN_ID || String(chatId) !== String(ADMIN_ID)) {
-        await sendTelegram(chatId, '⛔ Not authorized.');
-        return res.json({ ok: false });
-      }
-      const messageText = text.replace('/broadcast ', '').trim();
-      if (!messageText) {
-        await sendTelegram(chatId, 'Usage: /broadcast <message>');
-        return res.json({ ok: false });
-      }
+app.use('/api', apiRateLimit);
 
-      try {
-        const { data: users, error: usersErr } = await supabase
-          .from('users')
-          .select('id')
-          .eq('subscribed', true);
-
-        if (usersErr) throw usersErr;
-
-        await sendTelegram(chatId, `📢 Broadcasting to ${users.length} subscribed users...`);
-
-        let sent = 0;
-        for (const u of users || []) {
-          try {
-            await sendTelegram(u.id, escapeHtml(messageText), { parse_mode: 'HTML' });
-            sent++;
-          } catch (err) {}
-          await sleep(BROADCAST_DELAY_MS);
-        }
+// Remember which (hashed) IP a player mined from; feeds the shared-IP signal. Best effort.
+async function recordUserIp(userId, ip) {
+  if (!ip) return;
+  try {
+    await repo.recordUserIp(userId, antibotHmac(ip));
+  } catch (e) {
+    console.warn('recordUserIp failed', e?.message || e);
+  }
+}
 
-        if (CHANNEL_USERNAME) {
-          try { await sendTelegram(CHANNEL_USERNAME, escapeHtml(messageText), { parse_mode: 'HTML' }); } catch(e) {}
-        }
+/**
+ * A signed, expiring nonce. The client must find `solution` such that
+ * sha256(`${nonce}:${solution}`) starts with `difficulty` zero hex digits.
+ * Stateless: the signature proves we issued it; used nonces are remembered until they expire.
+ */
+function issueMineChallenge(userId, now = Date.now()) {
+  const expiresAt = now + MINE_CHALLENGE_TTL_MS;
+  const nonce = `${userId}.${expiresAt}.${crypto.randomBytes(8).toString('hex')}`;
+  return { nonce, difficulty: MINE_CHALLENGE_DIFFICULTY, expiresAt, sig: antibotHmac(nonce) };
+}
 
-        await sendTelegram(chatId, `✅ Broadcast done. Sent to ${sent}/${users.length} subscribed users.`);
-        return res.json({ ok: true });
-      } catch (err) {
-        console.error('broadcast error:', err);
-        await sendTelegram(chatId, '❌ Broadcast failed. Check logs.');
-        return res.json({ ok: false, error: err?.message || err });
-      }
-    }
+const usedChallengeNonces = new Map(); // nonce -> expiresAt
 
-    // ---------- Refer / start flows ----------
-    // /refer or "Refer 🎁"
-    if (text && (text.startsWith('/refer') || text === 'Refer 🎁')) {
-      // /refer (no args) -> return referral link
-      if (!(text.startsWith('/refer ') || /^\/refer@/i.test(text))) {
-        let botUsername = await getBotUsername();
-        const referralLink = botUsername ? `https://t.me/${botUsername}?start=ref_${chatId}` : `https://t.me/${BOT_USERNAME_FALLBACK || 'your_bot_username'}?start=ref_${chatId}`;
-        await sendTelegram(chatId, `🎁 <b>Your Referral Link</b>\nInvite your friends and earn <b>100 coins</b> per referral!\n\n🔗 ${referralLink}`, { parse_mode: 'HTML' });
-        return res.json({ ok: true });
-      }
+function verifyMineChallenge(userId, challenge, now = Date.now()) {
+  const { nonce, sig, solution } = challenge || {};
+  if (typeof nonce !== 'string' || typeof sig !== 'string' || solution === undefined) return false;
 
-      // /refer <username> -> find inviter by username then call manual_refer_by_id
-      const parts = text.split(/\s+/);
-      const targetUsername = parts[1]?.replace('@', '')?.trim();
-      if (!targetUsername) {
-        await sendTelegram(chatId, '❌ Please provide the inviter username. Example: /refer SomeUser');
-        return res.json({ ok: true });
-      }
+  const [nonceUser, expiresAtRaw] = nonce.split('.');
+  const expiresAt = Number(expiresAtRaw);
+  if (nonceUser !== String(userId) || !(expiresAt > now)) return false;
 
-      try {
-        // If the clicking user already exists -> inform and stop (do NOT call RPC)
-        try {
-          const { data: existingUser, error: existingErr } = await supabase
-            .from('users')
-            .select('id')
-            .eq('id', tgId)
-            .maybeSingle();
-
-          if (existingErr) {
-            console.warn('Error checking existing user before referral:', existingErr);
-          } else if (existingUser) {
-            await sendTelegram(chatId, '👋 You are already registered. Referrals apply only to new users.');
-            return res.json({ ok: true });
-          }
-        } catch (e) {
-          console.warn('Check user existence failed (refer cmd):', e?.message || e);
-        }
+  const expected = Buffer.from(antibotHmac(nonce), 'hex');
+  const given = Buffer.from(sig, 'hex');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return false;
 
-        // find inviter by username or id
-        const inviter = await findUserByUsernameOrId(targetUsername);
+  const digest = crypto.createHash('sha256').update(`${nonce}:${solution}`).digest('hex');
+  if (!digest.startsWith('0'.repeat(MINE_CHALLENGE_DIFFICULTY))) return false;
 
-        if (!inviter) {
-          await sendTelegram(chatId, '❌ Inviter not found in database.');
-          return res.json({ ok: false });
-        }
+  for (const [n, exp] of usedChallengeNonces) if (exp <= now) usedChallengeNonces.delete(n);
+  if (usedChallengeNonces.has(nonce)) return false;
+  usedChallengeNonces.set(nonce, expiresAt);
+  return true;
+}
 
-        // Call RPC (function handles creation and idempotency)
-        const { ok, result, error } = await callManualRefer(inviter.id, tgId, username);
-        if (!ok) {
-          console.error('callManualRefer failed', error);
-          await sendTelegram(chatId, '⚠️ Referral system error. Try again later.');
-          return res.json({ ok: false, error });
-        }
+// Background: re-score recent miners
+async function refreshRiskScores() {
+  try {
+    const data = await repo.refreshUserRisk({ flagScore: RISK_FLAG_SCORE });
+    if (data) console.log(`risk scores refreshed for ${data} players`);
+  } catch (err) {
+    console.error('refreshRiskScores error', err?.message || err);
+  }
+}
 
-        if (result.success === true) {
-          await sendTelegram(chatId, `🎁 You were successfully referred by <b>${result.inviter_username || inviter.username || targetUsername}</b>!`, { parse_mode: 'HTML' });
-          try { if (result.inviter_id && result.awarded) await sendTelegram(result.inviter_id, `🎉 <b>${escapeHtml(username)}</b> joined using your referral!\nYou received +100 💰 coins.`, { parse_mode: 'HTML' }); } catch(e){}
-          return res.json({ ok: true, result });
-        } else {
-          const errCode = result.error || 'unknown';
-          if (errCode === 'inviter_not_found') await sendTelegram(chatId, '❌ Inviter not found in database.');
-          else if (errCode === 'self_referral') await sendTelegram(chatId, '😅 You can’t refer yourself!');
-          else if (errCode === 'already_referred') await sendTelegram(chatId, "⚠️ You have already been referred or referral couldn't be recorded.");
-          else if (errCode === 'already_user') await sendTelegram(chatId, '👋 You already joined earlier.');
-          else await sendTelegram(chatId, '⚠️ Referral system error. Try again later.');
-          return res.json({ ok: false, error: errCode });
-        }
-      } catch (err) {
-        console.error('Referral error (refer command):', err);
-        await sendTelegram(chatId, '⚠️ Referral system error. Try again later.');
-        return res.json({ ok: false, error: err?.message || err });
-      }
+// ---- Admins & audit ----
+// Roles from lowest to highest; each admin command/endpoint names the minimum role.
+const ADMIN_ROLES = ['moderator', 'admin', 'owner'];
+
+const ADMIN_ROLE_BY_ID = (() => {
+  const map = new Map();
+  for (const entry of ADMINS_RAW.split(',').map(x => x.trim()).filter(Boolean)) {
+    const [id, role = 'admin'] = entry.split(':').map(x => x.trim());
+    if (!ADMIN_ROLES.includes(role)) {
+      console.warn(`ADMINS: unknown role "${role}" for ${id}, ignored`);
+      continue;
     }
+    map.set(id, role);
+  }
+  if (ADMIN_ID && !map.has(String(ADMIN_ID))) map.set(String(ADMIN_ID), 'owner');
+  return map;
+})();
 
-    // /start ref_<id> handling - critical path
-    if (text && text.startsWith('/start')) {
-      const parts = text.split(/\s+/);
-      if (parts[1] && parts[1].startsWith('ref_')) {
-        const referrerIdRaw = parts[1].replace('ref_', '').trim();
+function getAdminRole(id) {
+  if (id === null || id === undefined) return null;
+  return ADMIN_ROLE_BY_ID.get(String(id)) || null;
+}
 
-        if (!tgId) {
-          return res.json({ ok: false, error: 'no tg id' });
-        }
+function hasAdminRole(id, minRole = 'admin') {
+  const role = getAdminRole(id);
+  return !!role && ADMIN_ROLES.indexOf(role) >= ADMIN_ROLES.indexOf(minRole);
+}
 
-        // Check if clicking user already exists -> send friendly welcome and stop (do NOT call RPC)
-        try {
-          const { data: existingUser, error: existingErr } = await supabase
-            .from('users')
-            .select('id')
-            .eq('id', tgId)
-            .maybeSingle();
-
-          if (existingErr) {
-            console.warn('Error checking existing user before referral (start):', existingErr);
-          } else if (existingUser) {
-            await sendTelegram(chatId, '👋 Welcome back! You are already registered.');
-            return res.json({ ok: true });
-          }
-        } catch (e) {
-          console.warn('Check user existence failed (start ref):', e?.message || e);
-        }
+/**
+ * Express middleware (after requireTelegramAuth): 403 unless the caller has at
+ * least minRole. Sets req.adminRole.
+ */
+function requireAdmin(minRole = 'admin') {
+  return (req, res, next) => {
+    if (!hasAdminRole(req.tgUser?.id, minRole)) return res.status(403).json({ error: 'forbidden' });
+    req.adminRole = getAdminRole(req.tgUser.id);
+    return next();
+  };
+}
 
-        try {
-          // Call RPC (function handles creation and idempotency)
-          const { ok, result, error } = await callManualRefer(referrerIdRaw, tgId, username);
-          if (!ok) {
-            console.error('callManualRefer failed', error);
-            await sendTelegram(chatId, '⚠️ Referral system error. Try again later.');
-            return res.json({ ok: false, error });
-          }
-
-          if (result.success === true) {
-            await sendTelegram(chatId, `🎁 You were successfully referred by <b>${result.inviter_username || referrerIdRaw}</b>!`, { parse_mode: 'HTML' });
-            try { if (result.inviter_id && result.awarded) await sendTelegram(result.inviter_id, `🎉 <b>${escapeHtml(username)}</b> joined using your referral!\nYou received +100 💰 coins.`, { parse_mode: 'HTML' }); } catch (e) {}
-            return res.json({ ok: true, result });
-          } else {
-            const errCode = result.error || 'unknown';
-            if (errCode === 'inviter_not_found') await sendTelegram(chatId, '❌ Inviter not found in database.');
-            else if (errCode === 'self_referral') await sendTelegram(chatId, '😅 You can’t refer yourself!');
-            else if (errCode === 'already_referred') await sendTelegram(chatId, "⚠️ You have already been referred or referral couldn't be recorded.");
-            else if (errCode === 'already_user') await sendTelegram(chatId, '👋 You already joined earlier.');
-            else await sendTelegram(chatId, '⚠️ Referral system error. Try again later.');
-            return res.json({ ok: false, error: errCode });
-          }
-        } catch (err) {
-          console.error('manual_refer_by_id call failed (start):', err);
-          await sendTelegram(chatId, '⚠️ Referral system error. Try again later.');
-          return res.json({ ok: false, error: err?.message || err });
-        }
+// Record an admin action (never throws: the action itself already happened)
+async function logAdminAction(adminId, action, target = null, details = {}) {
+  try {
+    await repo.logAdminAction({
+      admin_id: String(adminId),
+      action,
+      target: target === null || target === undefined ? null : String(target),
+      details
+    });
+  } catch (e) {
+    console.warn('logAdminAction failed', action, e?.message || e);
+  }
+}
+
+/**
+ * Express middleware (after requireTelegramAuth): 403 for banned players.
+ * Used on economy endpoints; mining checks the ban in mineForUser.
+ */
+async function requireNotBanned(req, res, next) {
+  try {
+    const user = await repo.getUser(req.tgUser.id);
+    if (user?.banned) return res.status(403).json({ error: 'banned' });
+    return next();
+  } catch (err) {
+    console.error('requireNotBanned', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+}
+
+function mapRowToAdminUser(row) {
+  if (!row) return null;
+  return {
+    ...mapRowToUser(row),
+    banned: !!row.banned,
+    bannedAt: row.banned_at ?? null,
+    banReason: row.ban_reason ?? null
+  };
+}
+
+// Look up a player by id or username (full row, admin view)
+async function adminFindUser(query) {
+  const match = await findUserByUsernameOrId(String(query || ''));
+  if (!match) return null;
+  return mapRowToAdminUser(await repo.getUser(match.id));
+}
+
+/**
+ * Grant (delta > 0) or deduct (delta < 0) coins; atomic with the audit row.
+ * Returns the rpc result ({ success, coins } or { success: false, error }).
+ */
+async function adminAdjustCoins(adminId, userId, delta, reason) {
+  return repo.adjustCoins({
+    adminId: String(adminId),
+    userId: String(userId),
+    delta,
+    reason: reason || null
+  });
+}
+
+// Ban or unban a player. Returns the updated user or null if not found.
+async function adminSetBan(adminId, userId, banned, reason = null) {
+  const data = await repo.updateUser(String(userId), {
+    banned: !!banned,
+    banned_at: banned ? new Date().toISOString() : null,
+    ban_reason: banned ? (reason || null) : null
+  });
+  if (!data) return null;
+  await logAdminAction(adminId, banned ? 'user.ban' : 'user.unban', userId, reason ? { reason } : {});
+  return mapRowToAdminUser(data);
+}
+
+// Let a player mine again right away. Returns the updated user or null if not found.
+async function adminResetCooldown(adminId, userId) {
+  const data = await repo.updateUser(String(userId), { last_mine: 0 });
+  if (!data) return null;
+  await logAdminAction(adminId, 'user.reset_cooldown', userId);
+  return mapRowToAdminUser(data);
+}
+
+// Editable catalog fields: API name -> column + validator
+const BUSINESS_EDITABLE_FIELDS = {
+  name: { column: 'display_name', parse: v => (String(v).trim() ? String(v).trim() : undefined) },
+  cost: { column: 'cost', parse: v => (Number.isInteger(Number(v)) && Number(v) > 0 ? Number(v) : undefined) },
+  costGrowth: { column: 'cost_growth', parse: v => (Number(v) >= 1 && Number(v) <= 10 ? Number(v) : undefined) },
+  income: { column: 'income', parse: v => (Number.isInteger(Number(v)) && Number(v) >= 0 ? Number(v) : undefined) },
+  sortOrder: { column: 'sort_order', parse: v => (Number.isInteger(Number(v)) ? Number(v) : undefined) },
+  minLevel: { column: 'min_level', parse: v => (Number.isInteger(Number(v)) && Number(v) >= 1 ? Number(v) : undefined) },
+  enabled: { column: 'enabled', parse: v => (v === true || v === 'true' ? true : v === false || v === 'false' ? false : undefined) }
+};
+
+/**
+ * Update a catalog entry. changes uses API field names (see BUSINESS_EDITABLE_FIELDS).
+ * Returns { ok: true, business } or { ok: false, status, error }.
+ */
+async function adminUpdateBusiness(adminId, businessId, changes = {}) {
+  const patch = {};
+  for (const [field, value] of Object.entries(changes)) {
+    const def = BUSINESS_EDITABLE_FIELDS[field];
+    if (!def) return { ok: false, status: 400, error: `unknown field ${field}; editable: ${Object.keys(BUSINESS_EDITABLE_FIELDS).join(', ')}` };
+    const parsed = def.parse(value);
+    if (parsed === undefined) return { ok: false, status: 400, error: `invalid value for ${field}` };
+    patch[def.column] = parsed;
+  }
+  if (Object.keys(patch).length === 0) return { ok: false, status: 400, error: 'no changes' };
+
+  const data = await repo.updateBusiness(businessId, patch);
+  if (!data) return { ok: false, status: 404, error: 'business not found' };
+
+  _catalogCache = { at: 0, items: null };
+  await logAdminAction(adminId, 'business.update', businessId, changes);
+  return { ok: true, business: mapRowToBusiness(data) };
+}
+
+async function listRecentSignups(limit = 20) {
+  return (await repo.listRecentUsers(limit)).map(mapRowToAdminUser);
+}
+
+// Flagged players (highest anomaly score first) for the admin report
+async function listRiskReport(limit = 20) {
+  const rows = await repo.listFlaggedUsers(limit);
+  return rows.map(r => ({
+    id: r.user_id,
+    username: r.users?.username ?? null,
+    banned: !!r.users?.banned,
+    score: Number(r.score) || 0,
+    mines: Number(r.mines) || 0,
+    intervalCv: r.interval_cv === null ? null : Number(r.interval_cv),
+    maxActiveHours: Number(r.max_active_hours) || 0,
+    sharedIpUsers: Number(r.shared_ip_users) || 0,
+    updatedAt: r.updated_at
+  }));
+}
+
+// Trusted players are never flagged again (false positives); untrusting lets the next refresh decide
+async function adminSetTrusted(adminId, userId, trusted) {
+  const user = await repo.getUser(String(userId));
+  if (!user) return null;
+
+  await repo.setUserTrusted(String(userId), trusted);
+  await logAdminAction(adminId, trusted ? 'user.trust' : 'user.untrust', userId);
+  return { id: String(userId), trusted };
+}
+
+// ---- Idempotent actions ----
+// The mini app queues mines, purchases and claims while offline and replays them with
+// a key it generated per action. The first answer for a (user, key) is kept in
+// action_requests, so a replay after a lost response never mines or buys twice.
+const IDEMPOTENCY_KEY_MAX_LEN = 100;
+
+/**
+ * Express middleware (after requireTelegramAuth) for actions taking an optional
+ * body.idempotencyKey. Without a key the request runs as before. A repeated key gets
+ * the stored status and body back (Idempotent-Replayed: true); 409 while the first
+ * request is still running or when the key was used for another action.
+ * 5xx and 428 (mine challenge) answers and thrown errors are not kept, so the same key
+ * can be retried. A key left 'processing' by a request that never answered (crash,
+ * timeout) can be claimed again after ACTION_REQUEST_LEASE_SEC.
+ */
+function idempotentAction(action) {
+  return async (req, res, next) => {
+    const key = req.body?.idempotencyKey;
+    if (key === undefined || key === null) return next();
+    if (typeof key !== 'string' || !key || key.length > IDEMPOTENCY_KEY_MAX_LEN) {
+      return res.status(400).json({ error: 'invalid idempotencyKey' });
+    }
+
+    const userId = req.tgUser.id;
+    let claim;
+    try {
+      claim = await repo.claimActionRequest({ userId, key, action, leaseSec: ACTION_REQUEST_LEASE_SEC });
+    } catch (err) {
+      console.error('claim_action_request', err);
+      return res.status(500).json({ error: err?.message || 'server error' });
+    }
+
+    if (!claim.claimed) {
+      if (claim.action !== action) return res.status(409).json({ error: 'key_reused' });
+      if (claim.status !== 'done') return res.status(409).json({ error: 'in_progress' });
+      res.setHeader('Idempotent-Replayed', 'true');
+      return res.status(claim.response_status).json(claim.response);
+    }
+
+    let settled = false;
+    const release = () => {
+      settled = true;
+      return repo.releaseActionRequest({ userId, key });
+    };
+
+    const send = res.json.bind(res);
+    res.json = (body) => {
+      const stored = res.statusCode >= 500 || res.statusCode === 428
+        ? release()
+        : repo.finishActionRequest({ userId, key, responseStatus: res.statusCode, response: body });
+      settled = true;
+      stored.catch(err => console.error('store action request', err?.message || err));
+      return send(body);
+    };
+    // Answered without res.json (a thrown error reaching Express' error page): free the key.
+    // A request that never answers (crash, hang) is covered by the lease instead.
+    res.on('finish', () => {
+      if (!settled) release().catch(err => console.error('release action request', err?.message || err));
+    });
+    return next();
+  };
+}
+
+async function pruneActionRequests() {
+  try {
+    await repo.pruneActionRequests(ACTION_REQUESTS_KEEP_DAYS);
+  } catch (e) {
+    console.error('prune_action_requests error', e?.message || e);
+  }
+}
+
+// ---- API routes (user, mine, update, leaderboard, buy) ----
+/**
+ * POST /api/user
+ * Auth: Telegram initData (id/username come from the verified payload)
+ */
+app.post('/api/user', requireTelegramAuth, async (req, res) => {
+  try {
+    const { id, username } = req.tgUser;
+
+    const existing = await repo.getUser(id);
+    if (existing) return res.json({ user: mapRowToUser(existing) });
+
+    const newUser = {
+      id,
+      username: username || `user_${id}`,
+      coins: 100,
+      businesses: {},
+      level: 1,
+      last_mine: 0,
+      referrals_count: 0,
+      referred_by: null,
+      subscribed: true, // default to true
+    };
+
+    const created = await repo.createUser(newUser);
+    return res.json({ user: mapRowToUser(created) });
+  } catch (err) {
+    console.error('/api/user error', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+/**
+ * GET /api/user/:id
+ * Auth: Telegram initData (players can only read their own profile)
+ */
+app.get('/api/user/:id', requireTelegramAuth, async (req, res) => {
+  try {
+    if (String(req.params.id) !== req.tgUser.id) return res.status(403).json({ error: 'forbidden' });
+
+    const data = await repo.getUser(req.params.id);
+    if (!data) return res.status(404).json({ error: 'not found' });
+    return res.json({ user: mapRowToUser(data) });
+  } catch (err) {
+    console.error('/api/user/:id', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+/**
+ * GET /api/user/:id/transactions?limit=&before=
+ * Auth: Telegram initData (players can only read their own ledger)
+ * Newest first; pass `before` = last seen id to page back.
+ */
+app.get('/api/user/:id/transactions', requireTelegramAuth, async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (String(id) !== req.tgUser.id) return res.status(403).json({ error: 'forbidden' });
+
+    const limit = Math.min(100, parseInt(req.query.limit || '20', 10) || 20);
+    const before = req.query.before ? parseInt(req.query.before, 10) : null;
+    if (before !== null && isNaN(before)) return res.status(400).json({ error: 'invalid before' });
+
+    const rows = await repo.listCoinTransactions(id, { limit, before });
+    const transactions = rows.map(mapRowToTransaction);
+    const nextBefore = transactions.length === limit ? transactions[transactions.length - 1].id : null;
+    return res.json({ transactions, nextBefore });
+  } catch (err) {
+    console.error('/api/user/:id/transactions', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+/**
+ * GET /api/user/:id/team
+ * Auth: Telegram initData (own team only)
+ * Level 1 + level 2 referrals with activity and the commission each produced.
+ */
+app.get('/api/user/:id/team', requireTelegramAuth, async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (String(id) !== req.tgUser.id) return res.status(403).json({ error: 'forbidden' });
+
+    const team = await repo.referralTeam(id);
+    const activeSince = Date.now() - 24 * 60 * 60 * 1000;
+    const levels = {};
+    for (const [lvl, pct] of Object.entries(team.levels || {})) levels[lvl] = Number(pct) || 0;
+
+    return res.json({
+      levels,
+      level1Count: Number(team.level1_count) || 0,
+      level2Count: Number(team.level2_count) || 0,
+      commissionTotal: Number(team.commission_total) || 0,
+      bonusTotal: Number(team.bonus_total) || 0,
+      members: (team.members || []).map(m => ({
+        level: Number(m.level),
+        id: m.id,
+        username: m.username,
+        joinedAt: m.joined_at,
+        lastMine: Number(m.last_mine) || 0,
+        active: (Number(m.last_mine) || 0) >= activeSince,
+        viaId: m.via_id ?? null,
+        viaUsername: m.via_username ?? null,
+        bonusStatus: m.bonus_status ?? null,
+        commission: Number(m.commission) || 0
+      }))
+    });
+  } catch (err) {
+    console.error('/api/user/:id/team', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+/**
+ * POST /api/user/update
+ * Auth: Telegram initData
+ * Body: { subscribed }
+ * Game state (coins, businesses, lastMine, level) is server-owned: use /api/mine and /api/buy.
+ */
+const USER_UPDATE_READONLY_FIELDS = ['coins', 'businesses', 'lastMine', 'last_mine', 'level'];
+
+app.post('/api/user/update', requireTelegramAuth, async (req, res) => {
+  try {
+    const { id } = req.tgUser;
+    const { subscribed } = req.body;
+
+    const readonly = USER_UPDATE_READONLY_FIELDS.filter(f => req.body?.[f] !== undefined);
+    if (readonly.length > 0) {
+      return res.status(400).json({ error: `read-only fields: ${readonly.join(', ')}` });
+    }
+
+    const updatePayload = {};
+    if (subscribed !== undefined) updatePayload.subscribed = !!subscribed;
+
+    if (Object.keys(updatePayload).length === 0) {
+      return res.status(400).json({ error: 'no fields to update' });
+    }
+
+    const data = await repo.updateUser(id, updatePayload);
+    if (!data) return res.status(404).json({ error: 'user not found' });
+    return res.json({ ok: true, user: mapRowToUser(data) });
+  } catch (err) {
+    console.error('/api/user/update', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+/**
+ * POST /api/mine
+ * Auth: Telegram initData
+ * Body (all optional): { challenge, idempotencyKey, performedAt }. Every mine happens at
+ * server time: the client clock is never trusted, so an offline-queued mine still waiting
+ * on the cooldown answers 429 like any other. performedAt (ms, when the player tapped) only
+ * lets the server drop queued mines older than OFFLINE_MINE_MAX_AGE_MS (409 stale_action).
+ */
+app.post('/api/mine', requireTelegramAuth, idempotentAction('mine'), async (req, res) => {
+  try {
+    const { id } = req.tgUser;
+    const now = Date.now();
+    if (req.body?.performedAt !== undefined) {
+      const at = Number(req.body.performedAt);
+      if (!Number.isSafeInteger(at)) return res.status(400).json({ error: 'invalid performedAt' });
+      if (at < now - OFFLINE_MINE_MAX_AGE_MS) return res.status(409).json({ error: 'stale_action' });
+    }
+
+    const result = await mineForUser(id, now, { challenge: req.body?.challenge });
+    recordUserIp(id, req.ip).catch(() => {});
+
+    if (result.error === 'user_not_found') return res.status(404).json({ error: 'user not found' });
+    if (result.error === 'banned') return res.status(403).json({ error: 'banned' });
+    if (result.error === 'challenge_required' || result.error === 'challenge_failed') {
+      return res.status(428).json({ error: result.error, challenge: result.challenge });
+    }
+    if (!result.ok) {
+      res.setHeader('Retry-After', Math.ceil(result.retryAfterMs / 1000));
+      return res.status(429).json({ error: result.error, retryAfterMs: result.retryAfterMs });
+    }
+
+    const { earned, passive, coins, level, xp, lastMine, cooldownMs } = result;
+    return res.json({ earned, passive, coins, level, xp, lastMine, cooldownMs });
+  } catch (err) {
+    console.error('/api/mine', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+/**
+ * POST /api/claim
+ * Auth: Telegram initData
+ * Body: { idempotencyKey } (optional)
+ * Collects idle income accrued while away. Response reports the elapsed time and cap applied.
+ */
+app.post('/api/claim', requireTelegramAuth, requireNotBanned, idempotentAction('claim'), async (req, res) => {
+  try {
+    const { id } = req.tgUser;
+    const idle = await claimIdleIncome(id);
+    if (!idle) return res.status(404).json({ error: 'user not found' });
+    return res.json(idle);
+  } catch (err) {
+    console.error('/api/claim', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+/**
+ * GET /api/businesses
+ * Public business catalog (enabled entries, in display order)
+ */
+app.get('/api/businesses', async (req, res) => {
+  try {
+    const catalog = await getBusinessCatalog();
+    const businesses = catalog
+      .filter(b => b.enabled)
+      .map(({ id, name, cost, costGrowth, income, minLevel }) => ({ id, name, cost, costGrowth, income, minLevel }));
+    return res.json({ businesses });
+  } catch (err) {
+    console.error('/api/businesses', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+// qty param: positive int (<= MAX_BUY_QTY) or 'max'. Returns null for max, NaN when invalid.
+function parseBuyQty(qty) {
+  if (qty === 'max') return null;
+  const qtyInt = parseInt(qty, 10);
+  if (isNaN(qtyInt) || qtyInt <= 0 || qtyInt > MAX_BUY_QTY) return NaN;
+  return qtyInt;
+}
+
+/**
+ * GET /api/buy/quote?business=&qty=
+ * Auth: Telegram initData
+ * qty: 1..MAX_BUY_QTY or 'max'. Returns the exact server-side price for buying qty more.
+ */
+app.get('/api/buy/quote', requireTelegramAuth, async (req, res) => {
+  try {
+    const { id } = req.tgUser;
+    const business = req.query.business;
+    if (!business) return res.status(400).json({ error: 'business required' });
+
+    const qtyInt = parseBuyQty(req.query.qty ?? '1');
+    if (Number.isNaN(qtyInt)) return res.status(400).json({ error: 'invalid qty' });
+
+    const result = await repo.quoteBusiness({ userId: id, business: String(business), qty: qtyInt });
+    if (!result || result.success !== true) {
+      return res.status(400).json({ ok: false, result });
+    }
+
+    return res.json({
+      ok: true,
+      quote: {
+        business: result.business,
+        owned: Number(result.owned),
+        qty: Number(result.qty),
+        nextPrice: Number(result.next_price),
+        total: Number(result.total),
+        coins: Number(result.coins),
+        affordable: !!result.affordable
+      }
+    });
+  } catch (err) {
+    console.error('/api/buy/quote', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+/**
+ * POST /api/buy
+ * Auth: Telegram initData
+ * Body: { business, qty, idempotencyKey }   qty: 1..MAX_BUY_QTY or 'max', key optional
+ * Price follows the catalog cost curve and is charged inside purchase_business.
+ */
+app.post('/api/buy', requireTelegramAuth, requireNotBanned, idempotentAction('buy'), async (req, res) => {
+  try {
+    const { id } = req.tgUser;
+    const { business, qty } = req.body;
+    if (!business || !qty) return res.status(400).json({ error: 'business and qty required' });
+
+    const qtyInt = parseBuyQty(qty);
+    if (Number.isNaN(qtyInt)) return res.status(400).json({ error: 'invalid qty' });
+
+    // Settle idle income at the old rate before the purchase changes it
+    await claimIdleIncome(id);
+
+    let result;
+    try {
+      result = await repo.purchaseBusiness({ userId: id, business, qty: qtyInt });
+    } catch (error) {
+      console.error('purchase_business rpc error', error);
+      return res.status(500).json({ error: error.message || 'purchase failed' });
+    }
+
+    if (!result || result.success !== true) {
+      return res.status(400).json({ ok: false, result });
+    }
+
+    return res.json({ ok: true, result });
+  } catch (err) {
+    console.error('/api/buy', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+// ---- Daily check-in ----
+// Streak state lives on users (daily_*); the claim itself runs in claim_daily_reward.
+const MAX_TZ_OFFSET_MIN = 14 * 60;
+
+// Timezone offset in minutes east of UTC (the app sends -getTimezoneOffset()); null if invalid
+function parseTzOffset(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || Math.abs(n) > MAX_TZ_OFFSET_MIN) return null;
+  return n;
+}
+
+// 'YYYY-MM-DD' in a timezone offset, optionally shifted by whole days
+function localDate(offsetMin, shiftDays = 0, now = Date.now()) {
+  return new Date(now + offsetMin * 60_000 + shiftDays * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Offset claim_daily_reward will judge the next claim in: the requested one, unless the
+// last claim is under 24h old, in which case the stored offset wins (no timezone hopping)
+function claimTzOffset(row, requested, now = Date.now()) {
+  const stored = Number(row.daily_tz_offset) || 0;
+  if (requested === null || requested === stored) return stored;
+  const claimedAt = row.daily_claimed_at ? new Date(row.daily_claimed_at).getTime() : null;
+  return claimedAt !== null && claimedAt > now - DAY_MS ? stored : requested;
+}
+
+async function getDailyLadder() {
+  const rows = await repo.listDailyLadder();
+  return rows.map(r => ({ day: Number(r.day), reward: Number(r.reward) || 0 }));
+}
+
+function ladderDay(ladder, streak) {
+  if (ladder.length === 0) return 1;
+  return ((Math.max(streak, 1) - 1) % ladder.length) + 1;
+}
+
+/**
+ * Streak status for a user row as seen from a timezone offset.
+ * streak is the live streak (0 if a day was missed); nextReward is what the next claim pays.
+ */
+function buildDailyStatus(row, ladder, offsetMin, now = Date.now()) {
+  const today = localDate(offsetMin, 0, now);
+  const yesterday = localDate(offsetMin, -1, now);
+  const lastDate = row.daily_last_date || null;
+  const claimedToday = lastDate === today;
+  const alive = claimedToday || lastDate === yesterday;
+  const streak = alive ? Number(row.daily_streak) || 0 : 0;
+  const nextDay = ladderDay(ladder, streak + 1);
+
+  // Next local midnight, as a UTC timestamp
+  const localNow = now + offsetMin * 60_000;
+  const nextResetAt = Math.floor(localNow / DAY_MS) * DAY_MS + DAY_MS - offsetMin * 60_000;
+
+  return {
+    streak,
+    claimedToday,
+    lastDate,
+    today,
+    nextDay,
+    nextReward: ladder.find(l => l.day === nextDay)?.reward ?? 0,
+    nextResetAt,
+    tzOffset: offsetMin,
+    ladder
+  };
+}
+
+/**
+ * GET /api/daily?tz=<minutes east of UTC>
+ * Auth: Telegram initData
+ * Current streak, whether today is claimed and the reward ladder, in the timezone the
+ * next claim will be judged in (tz is ignored within 24h of a claim, like claim_daily_reward).
+ */
+app.get('/api/daily', requireTelegramAuth, async (req, res) => {
+  try {
+    const { id } = req.tgUser;
+    const row = await repo.getUser(id);
+    if (!row) return res.status(404).json({ error: 'user not found' });
+
+    const offset = claimTzOffset(row, parseTzOffset(req.query.tz));
+    const ladder = await getDailyLadder();
+    return res.json(buildDailyStatus(row, ladder, offset));
+  } catch (err) {
+    console.error('/api/daily', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+/**
+ * POST /api/daily-claim
+ * Auth: Telegram initData
+ * Body: { tzOffset }   minutes east of UTC
+ * Once per local day; 409 if already claimed today.
+ */
+app.post('/api/daily-claim', requireTelegramAuth, requireNotBanned, async (req, res) => {
+  try {
+    const { id } = req.tgUser;
+    const tzOffset = parseTzOffset(req.body?.tzOffset);
+    if (req.body?.tzOffset !== undefined && tzOffset === null) {
+      return res.status(400).json({ error: `tzOffset must be an integer between -${MAX_TZ_OFFSET_MIN} and ${MAX_TZ_OFFSET_MIN}` });
+    }
+
+    const result = await repo.claimDailyReward({ userId: id, tzOffset });
+    if (result?.error === 'user_not_found') return res.status(404).json({ error: 'user not found' });
+
+    // Fresh status either way so the client can render the card
+    const [row, ladder] = await Promise.all([repo.getUser(id), getDailyLadder()]);
+    const status = buildDailyStatus(row, ladder, Number(row.daily_tz_offset) || 0);
+
+    if (!result?.success) return res.status(409).json({ error: result?.error || 'already_claimed', status });
+
+    return res.json({
+      ok: true,
+      reward: Number(result.reward) || 0,
+      streak: Number(result.streak) || 0,
+      day: Number(result.day) || 1,
+      coins: Number(result.coins) || 0,
+      level: Number(result.level) || 1,
+      xp: Number(result.xp) || 0,
+      status
+    });
+  } catch (err) {
+    console.error('/api/daily-claim', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+// Remind subscribed players whose streak breaks at their local midnight (see daily_streak_reminders)
+async function sendDailyReminders() {
+  try {
+    const due = await repo.dailyStreakReminders({ localHour: DAILY_REMINDER_HOUR });
+    for (const r of due) {
+      await sendTelegram(r.user_id,
+        `🔥 Your <b>${r.streak}-day</b> check-in streak ends at midnight!\nClaim today's reward of <b>+${formatCoins(r.next_reward)}</b> 💰 to keep it going.`,
+        { parse_mode: 'HTML', reply_markup: appButtonMarkup('private', '🎁 Claim daily reward') });
+      await sleep(BROADCAST_DELAY_MS);
+    }
+    if (due.length) console.log(`daily reminders sent: ${due.length}`);
+  } catch (e) {
+    console.warn('sendDailyReminders failed', e?.message || e);
+  }
+}
+
+// ---- Quests ----
+// Catalog in public.quests, per-player state in quest_progress; rewards are paid by complete_quest.
+const CHAT_MEMBER_STATUSES = ['creator', 'administrator', 'member'];
+
+function questChatId(q) {
+  return q.chat_id || CHANNEL_USERNAME || null;
+}
+
+// Public link for a quest: explicit link, else the channel's t.me link
+function questLink(q) {
+  if (q.link) return q.link;
+  const chat = questChatId(q);
+  if (chat && chat.startsWith('@')) return `https://t.me/${chat.slice(1)}`;
+  return null;
+}
+
+function mapRowToQuest(q, progress) {
+  const startedAt = progress?.started_at ? new Date(progress.started_at).getTime() : null;
+  return {
+    id: q.id,
+    title: q.title,
+    description: q.description ?? null,
+    type: q.type,
+    reward: Number(q.reward) || 0,
+    link: questLink(q),
+    verification: q.verification,
+    minWaitSec: Number(q.min_wait_sec) || 0,
+    status: progress?.status === 'completed' ? 'completed' : progress ? 'started' : 'available',
+    startedAt,
+    claimableAt: q.verification === 'timed' && startedAt ? startedAt + (Number(q.min_wait_sec) || 0) * 1000 : null,
+    completedAt: progress?.completed_at ?? null
+  };
+}
+
+/**
+ * Ask Telegram whether a user is in a chat. The bot must be an admin of the
+ * channel for getChatMember to work there.
+ * Returns { ok: true, member } or { ok: false, description } if the check couldn't run.
+ */
+async function isChatMember(chatId, userId) {
+  const result = await callTelegram('getChatMember', { chat_id: chatId, user_id: Number(userId) });
+  if (!result.ok) {
+    // "user not found" means they were never in the chat
+    if (/user not found|participant_id_invalid/i.test(result.description || '')) return { ok: true, member: false };
+    return { ok: false, description: result.description };
+  }
+  const m = result.result || {};
+  return { ok: true, member: CHAT_MEMBER_STATUSES.includes(m.status) || (m.status === 'restricted' && m.is_member === true) };
+}
+
+/**
+ * GET /api/quests
+ * Auth: Telegram initData
+ * Enabled quests with the player's progress.
+ */
+app.get('/api/quests', requireTelegramAuth, async (req, res) => {
+  try {
+    const { id } = req.tgUser;
+    const [quests, progress] = await Promise.all([repo.listQuests(), repo.listQuestProgress(id)]);
+
+    const byQuest = new Map(progress.map(p => [p.quest_id, p]));
+    return res.json({ quests: quests.map(q => mapRowToQuest(q, byQuest.get(q.id))) });
+  } catch (err) {
+    console.error('/api/quests', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+/**
+ * POST /api/quests/:id/start
+ * Auth: Telegram initData
+ * Called when the player opens the quest link; starts the wait for timed quests.
+ */
+app.post('/api/quests/:id/start', requireTelegramAuth, async (req, res) => {
+  try {
+    const result = await repo.startQuest({ userId: req.tgUser.id, questId: req.params.id });
+    if (!result?.success) return res.status(404).json({ error: result?.error || 'quest_not_found' });
+
+    const quest = await repo.getQuest(req.params.id);
+    return res.json({ ok: true, quest: mapRowToQuest(quest, { status: result.status, started_at: result.started_at }) });
+  } catch (err) {
+    console.error('/api/quests/:id/start', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+/**
+ * POST /api/quests/:id/claim
+ * Auth: Telegram initData
+ * Verifies the quest (getChatMember or elapsed wait) and pays the reward once.
+ */
+app.post('/api/quests/:id/claim', requireTelegramAuth, requireNotBanned, async (req, res) => {
+  try {
+    const { id } = req.tgUser;
+    const quest = await repo.getQuest(req.params.id);
+    if (!quest) return res.status(404).json({ error: 'quest_not_found' });
+
+    if (quest.verification === 'telegram_member') {
+      const chat = questChatId(quest);
+      if (!chat) return res.status(503).json({ error: 'verification_unavailable' });
+
+      const check = await isChatMember(chat, id);
+      if (!check.ok) {
+        console.warn(`quest ${quest.id}: getChatMember failed`, check.description);
+        return res.status(503).json({ error: 'verification_unavailable' });
+      }
+      if (!check.member) return res.status(400).json({ error: 'not_member' });
+    }
+
+    const result = await repo.completeQuest({ userId: id, questId: quest.id });
+    if (!result?.success) {
+      const code = result?.error || 'claim_failed';
+      const status = code === 'quest_not_found' || code === 'user_not_found' ? 404 : code === 'already_completed' ? 409 : 400;
+      return res.status(status).json({ error: code, waitSec: result?.wait_sec ?? undefined });
+    }
+
+    return res.json({
+      ok: true,
+      reward: Number(result.reward) || 0,
+      coins: Number(result.coins) || 0,
+      level: Number(result.level) || 1,
+      xp: Number(result.xp) || 0
+    });
+  } catch (err) {
+    console.error('/api/quests/:id/claim', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+// ---- Levels ----
+// Thresholds/rewards live in public.levels; XP and level are maintained by triggers (schema.sql).
+async function getLevels() {
+  const [levels, catalog] = await Promise.all([repo.listLevels(), getBusinessCatalog()]);
+  return levels.map(l => ({
+    level: Number(l.level),
+    title: l.title,
+    xpRequired: Number(l.xp_required) || 0,
+    reward: Number(l.reward) || 0,
+    passiveBonusPct: Number(l.passive_bonus_pct) || 0,
+    unlocks: catalog.filter(b => b.enabled && b.minLevel === Number(l.level) && b.minLevel > 1).map(b => b.id)
+  }));
+}
+
+/**
+ * GET /api/levels
+ * Level ladder: XP needed, one-time reward, passive bonus and businesses unlocked.
+ */
+app.get('/api/levels', async (req, res) => {
+  try {
+    return res.json({ levels: await getLevels() });
+  } catch (err) {
+    console.error('/api/levels', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+// ---- Boosts ----
+// Catalog in public.boosts, purchases in user_boosts (epoch ms windows). mine_coins and
+// claim_idle_income apply active boosts themselves; this section only lists and sells them.
+const UTC_DAY_MS = 24 * 60 * 60 * 1000;
+
+function mapRowToBoost(b, usedToday = 0) {
+  const dailyLimit = b.daily_limit ?? null;
+  return {
+    id: b.id,
+    title: b.title,
+    description: b.description ?? null,
+    effect: b.effect,
+    value: Number(b.value) || 1,
+    durationSec: b.duration_sec ?? null,
+    cost: Number(b.cost) || 0,
+    dailyLimit,
+    remainingToday: dailyLimit === null ? null : Math.max(0, dailyLimit - usedToday)
+  };
+}
+
+function mapRowToUserBoost(r) {
+  return {
+    id: Number(r.id),
+    boostId: r.boost_id,
+    effect: r.effect,
+    value: Number(r.value) || 1,
+    startsAt: Number(r.starts_at) || 0,
+    expiresAt: Number(r.expires_at) || 0
+  };
+}
+
+/**
+ * Boost catalog plus the player's running/queued boosts and today's purchase counts.
+ * cooldownMs is the mine cooldown right now (base cooldown x active cooldown boost).
+ */
+async function getBoostsForUser(userId, now = Date.now()) {
+  const dayStart = now - (now % UTC_DAY_MS);
+  const [boosts, rows] = await Promise.all([
+    repo.listBoosts(),
+    repo.listUserBoosts({ userId, now, since: dayStart })
+  ]);
+
+  const usedToday = new Map();
+  for (const r of rows) {
+    if (Number(r.starts_at) >= dayStart) usedToday.set(r.boost_id, (usedToday.get(r.boost_id) || 0) + 1);
+  }
+  const active = rows.map(mapRowToUserBoost).filter(b => b.expiresAt > now);
+  const cooldownBoost = active.find(b => b.effect === 'cooldown_multiplier' && b.startsAt <= now);
+
+  return {
+    boosts: boosts.map(b => mapRowToBoost(b, usedToday.get(b.id) || 0)),
+    active,
+    cooldownMs: Math.ceil(MINE_COOLDOWN_MS * (cooldownBoost?.value ?? 1))
+  };
+}
+
+/**
+ * GET /api/boosts
+ * Auth: Telegram initData
+ * Boost shop, the player's active (and queued) boosts and the current mine cooldown.
+ */
+app.get('/api/boosts', requireTelegramAuth, async (req, res) => {
+  try {
+    return res.json(await getBoostsForUser(req.tgUser.id));
+  } catch (err) {
+    console.error('/api/boosts', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+/**
+ * POST /api/boosts/buy
+ * Auth: Telegram initData
+ * Body: { boost }. Charged and recorded atomically by buy_boost; a boost of an
+ * effect that is already running starts when the current one expires.
+ */
+app.post('/api/boosts/buy', requireTelegramAuth, requireNotBanned, async (req, res) => {
+  try {
+    const { id } = req.tgUser;
+    const boostId = String(req.body?.boost || '');
+    if (!boostId) return res.status(400).json({ error: 'boost required' });
+
+    const now = Date.now();
+    const result = await repo.buyBoost({ userId: id, boostId, now, cooldownMs: MINE_COOLDOWN_MS });
+    if (!result?.success) {
+      const code = result?.error || 'buy_failed';
+      const status = code === 'unknown_boost' || code === 'user_not_found' ? 404
+        : code === 'daily_limit' || code === 'not_on_cooldown' ? 409 : 400;
+      return res.status(status).json({ error: code });
+    }
+
+    const state = await getBoostsForUser(id, now);
+    return res.json({
+      ok: true,
+      boost: result.boost,
+      startsAt: Number(result.starts_at) || now,
+      expiresAt: Number(result.expires_at) || now,
+      coins: Number(result.coins) || 0,
+      lastMine: Number(result.last_mine) || 0,
+      ...state
+    });
+  } catch (err) {
+    console.error('/api/boosts/buy', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+// ---- Transfers ----
+// Player-to-player coins. transfer_coins (schema.sql) checks limits and moves the coins
+// atomically; this section resolves the recipient and sends the notifications.
+const TRANSFER_ERROR_STATUS = {
+  invalid_key: 400,
+  invalid_amount: 400,
+  self_transfer: 400,
+  insufficient_funds: 400,
+  user_not_found: 404,
+  recipient_not_found: 404,
+  banned: 403,
+  recipient_banned: 403,
+  account_too_new: 403,
+  daily_limit: 429,
+  daily_count: 429,
+  key_reused: 409
+};
+
+/**
+ * Send `amount` coins from `fromId` to `target` (@username or id).
+ * `key` makes retries safe: the same (sender, key) never pays twice, and never pays a different transfer.
+ * Returns { ok: true, duplicate, id, to, amount, fee, coins } or { ok: false, error, ...details }.
+ */
+async function transferCoins(fromId, target, amount, key) {
+  const qty = Number(amount);
+  if (!Number.isSafeInteger(qty) || qty < TRANSFER_MIN_AMOUNT) {
+    return { ok: false, error: 'invalid_amount', min: TRANSFER_MIN_AMOUNT };
+  }
+
+  const recipient = await findUserByUsernameOrId(String(target || ''));
+  if (!recipient) return { ok: false, error: 'recipient_not_found' };
+
+  const result = await repo.transferCoins({
+    fromId,
+    toId: String(recipient.id),
+    amount: qty,
+    key: String(key || ''),
+    feePct: TRANSFER_FEE_PCT,
+    dailyLimit: TRANSFER_DAILY_LIMIT > 0 ? TRANSFER_DAILY_LIMIT : null,
+    dailyCount: TRANSFER_DAILY_COUNT > 0 ? TRANSFER_DAILY_COUNT : null,
+    minAgeSec: Math.round(TRANSFER_MIN_ACCOUNT_AGE_HOURS * 3600)
+  });
+  if (!result?.success) {
+    return {
+      ok: false,
+      error: result?.error || 'transfer_failed',
+      limit: result?.limit ?? undefined,
+      remaining: result?.remaining ?? undefined,
+      availableAt: result?.available_at ?? undefined
+    };
+  }
+
+  return {
+    ok: true,
+    duplicate: !!result.duplicate,
+    id: Number(result.id),
+    to: { id: String(recipient.id), username: recipient.username ?? null },
+    amount: Number(result.amount) || 0,
+    fee: Number(result.fee) || 0,
+    coins: Number(result.coins) || 0
+  };
+}
+
+function playerHandle(user) {
+  return user.username ? `@${escapeHtml(user.username)}` : `#${escapeHtml(user.id)}`;
+}
+
+function transferSentText(transfer) {
+  return [
+    `✅ Sent <b>${formatCoins(transfer.amount)}</b> coins to ${playerHandle(transfer.to)}.`,
+    transfer.fee > 0 ? `Fee: ${formatCoins(transfer.fee)}` : '',
+    `💰 Balance: ${formatCoins(transfer.coins)}`
+  ].filter(Boolean).join('\n');
+}
+
+// Tell the recipient (and optionally the sender) about a completed transfer. Best effort.
+async function notifyTransfer(transfer, sender, { notifySender = true } = {}) {
+  const senderName = playerHandle(sender);
+  const jobs = [
+    sendTelegram(transfer.to.id, `💸 ${senderName} sent you <b>${formatCoins(transfer.amount)}</b> coins!`, { parse_mode: 'HTML' })
+  ];
+  if (notifySender) jobs.push(sendTelegram(sender.id, transferSentText(transfer), { parse_mode: 'HTML' }));
+  await Promise.allSettled(jobs);
+}
+
+/**
+ * POST /api/transfer
+ * Auth: Telegram initData
+ * Body: { to: "@username" | id, amount, idempotencyKey }. The client generates the key
+ * once per intended transfer and reuses it on retries; reusing it for a different recipient
+ * or amount answers 409 key_reused.
+ */
+app.post('/api/transfer', requireTelegramAuth, requireNotBanned, async (req, res) => {
+  try {
+    const { to, amount, idempotencyKey } = req.body || {};
+    if (!to) return res.status(400).json({ error: 'to required' });
+    if (!idempotencyKey || typeof idempotencyKey !== 'string') return res.status(400).json({ error: 'idempotencyKey required' });
+
+    const result = await transferCoins(req.tgUser.id, to, amount, idempotencyKey);
+    if (!result.ok) {
+      const { ok, error, ...details } = result;
+      return res.status(TRANSFER_ERROR_STATUS[error] || 400).json({ error, ...details });
+    }
+
+    // A replayed key already notified both sides the first time
+    if (!result.duplicate) notifyTransfer(result, req.tgUser).catch(() => {});
+    return res.json(result);
+  } catch (err) {
+    console.error('/api/transfer', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+// ---- Leaderboards ----
+// board -> supported periods (first one is the default)
+const LEADERBOARD_BOARDS = {
+  coins: ['all'],
+  earned: ['week', 'all'],
+  passive: ['all'],
+  referrals: ['all', 'week']
+};
+
+function mapLeaderboardEntry(e) {
+  return { rank: Number(e.rank), id: e.id, username: e.username, score: Number(e.score) || 0 };
+}
+
+/**
+ * GET /api/leaderboard?board=coins|earned|passive|referrals&period=all|week&limit=20
+ * Auth: optional Telegram initData; when present the response includes the
+ * player's own rank and neighbours even outside the top N. Ranking runs in SQL.
+ */
+app.get('/api/leaderboard', optionalTelegramAuth, async (req, res) => {
+  try {
+    const board = String(req.query.board || 'coins');
+    const periods = LEADERBOARD_BOARDS[board];
+    if (!periods) return res.status(400).json({ error: `board must be one of ${Object.keys(LEADERBOARD_BOARDS).join(', ')}` });
+
+    const period = String(req.query.period || periods[0]);
+    if (!periods.includes(period)) return res.status(400).json({ error: `period for ${board} must be one of ${periods.join(', ')}` });
+
+    const limit = Math.min(100, parseInt(req.query.limit || '20', 10) || 20);
+
+    const result = await repo.leaderboard({ board, period, limit, userId: req.tgUser?.id ?? null, around: 2 });
+    return res.json({
+      board,
+      period,
+      total: Number(result.total) || 0,
+      top: (result.top || []).map(mapLeaderboardEntry),
+      me: result.me ? { rank: Number(result.me.rank), score: Number(result.me.score) || 0 } : null,
+      around: (result.around || []).map(mapLeaderboardEntry)
+    });
+  } catch (err) {
+    console.error('/api/leaderboard', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+// ---- Network stats ----
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NETWORK_HISTORY_RANGES = { '24h': DAY_MS, '7d': 7 * DAY_MS, '30d': 30 * DAY_MS };
+
+function mapRowToSnapshot(row) {
+  return {
+    takenAt: row.taken_at,
+    totalSupply: Number(row.total_supply) || 0,
+    totalBusinesses: Number(row.total_businesses) || 0,
+    totalUsers: Number(row.total_users) || 0,
+    dailyActiveMiners: Number(row.daily_active_miners) || 0,
+    newUsers: Number(row.new_users) || 0,
+    minted: Number(row.minted) || 0
+  };
+}
+
+// emission_status row -> API shape
+function mapEmission(row) {
+  const remaining = Number(row.remaining) || 0;
+  const minted = Number(row.minted) || 0;
+  const nextHalvingAt = row.next_halving_at === null || row.next_halving_at === undefined ? null : Number(row.next_halving_at);
+  return {
+    supplyCap: Number(row.supply_cap) || 0,
+    minted,
+    remaining,
+    epoch: Number(row.epoch) || 0,
+    multiplier: Number(row.multiplier ?? 1),
+    nextHalvingAt,                                                      // minted supply of the next halving (null = none left)
+    untilNextHalving: nextHalvingAt === null ? null : Math.max(0, nextHalvingAt - minted),
+    capReached: remaining === 0
+  };
+}
+
+// Periodic snapshot (see take_network_snapshot: skips if another instance just took one)
+async function takeNetworkSnapshot() {
+  try {
+    const minIntervalSec = Math.floor((NETWORK_SNAPSHOT_INTERVAL_MS * 0.9) / 1000);
+    const result = await repo.takeNetworkSnapshot({ minIntervalSec });
+    if (result?.success) console.log('network snapshot taken', result.id);
+  } catch (e) {
+    console.warn('takeNetworkSnapshot failed', e?.message || e);
+  }
+}
+
+/**
+ * GET /api/network-stats
+ * Live aggregates (SQL) + 24h deltas from the snapshot closest to 24h ago (null until
+ * one is 24h old), plus the emission schedule (cap, epoch, multiplier, next halving)
+ */
+app.get('/api/network-stats', async (req, res) => {
+  try {
+    const [aggregates, emission] = await Promise.all([repo.networkAggregates(), repo.emissionStatus()]);
+    const now = mapRowToSnapshot(aggregates);
+
+    // 24h deltas need a snapshot at or before 24h ago. The emission rate is measured over the
+    // real window instead, so while history is shorter it starts from the oldest snapshot.
+    const dayAgo = new Date(Date.now() - DAY_MS).toISOString();
+    const dayRow = await repo.latestSnapshotBefore(dayAgo);
+    const day = dayRow ? mapRowToSnapshot(dayRow) : null;
+    const baseRow = dayRow || (await repo.firstSnapshot());
+    const base = baseRow ? mapRowToSnapshot(baseRow) : null;
+
+    return res.json({
+      totalCoins: now.totalSupply,
+      coins24hAgo: day ? day.totalSupply : null,
+      baselineAt: base?.takenAt ?? null,
+      activeMiners: now.dailyActiveMiners,
+      totalUsers: now.totalUsers,
+      totalBusinesses: now.totalBusinesses,
+      businesses24hAgo: day ? day.totalBusinesses : null,
+      newUsers24h: now.newUsers,
+      minted: now.minted,
+      minted24hAgo: base && base.minted > 0 ? base.minted : null, // snapshots from before the emission schedule have none
+      emission: mapEmission(emission)
+    });
+  } catch (err) {
+    console.error('/api/network-stats', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+/**
+ * GET /api/network-stats/history?range=24h|7d|30d
+ * Snapshot series for the growth chart (oldest first)
+ */
+app.get('/api/network-stats/history', async (req, res) => {
+  try {
+    const range = String(req.query.range || '7d');
+    const rangeMs = NETWORK_HISTORY_RANGES[range];
+    if (!rangeMs) return res.status(400).json({ error: `range must be one of ${Object.keys(NETWORK_HISTORY_RANGES).join(', ')}` });
+
+    const rows = await repo.listSnapshotsSince(new Date(Date.now() - rangeMs).toISOString(), 1000);
+    return res.json({ range, points: rows.map(mapRowToSnapshot) });
+  } catch (err) {
+    console.error('/api/network-stats/history', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+// ---- Market ----
+// business_totals is maintained incrementally by triggers on users.businesses and the
+// purchase log; the reconcile job rebuilds it from scratch and reports whatever had drifted.
+async function reconcileBusinessTotals() {
+  try {
+    const drift = await repo.reconcileBusinessTotals();
+    for (const row of drift) {
+      console.warn(
+        `business_totals drift for ${row.name}: qty ${row.total_qty} -> ${row.actual_qty}, ` +
+        `invested ${row.total_invested} -> ${row.actual_invested}, holders ${row.holders} -> ${row.actual_holders}`
+      );
+    }
+    return drift;
+  } catch (err) {
+    console.error('reconcileBusinessTotals error', err?.message || err);
+    return null;
+  }
+}
+
+/**
+ * GET /api/market
+ * Per-business popularity: units owned, coins spent buying them (as charged),
+ * holders and purchase volume over the last 24h. Enabled businesses, in display order.
+ */
+app.get('/api/market', async (req, res) => {
+  try {
+    const [catalog, rows] = await Promise.all([
+      getBusinessCatalog(),
+      repo.businessMarket({ since: new Date(Date.now() - DAY_MS).toISOString() })
+    ]);
+    const names = new Map(catalog.map(b => [b.id, b.name]));
+    const businesses = rows.map(r => ({
+      id: r.name,
+      name: names.get(r.name) ?? r.name,
+      totalOwned: Number(r.total_qty) || 0,
+      totalInvested: Number(r.total_invested) || 0,
+      holders: Number(r.holders) || 0,
+      volume24h: {
+        qty: Number(r.volume_qty) || 0,
+        coins: Number(r.volume_coins) || 0,
+        purchases: Number(r.volume_purchases) || 0
+      }
+    }));
+    return res.json({ businesses });
+  } catch (err) {
+    console.error('/api/market', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+// ---- Admin API ----
+// All routes: Telegram initData auth + an admin role (see ADMIN_ROLES).
+
+/**
+ * GET /api/admin/users/:query   (moderator)
+ * Look up a player by id or username.
+ */
+app.get('/api/admin/users/:query', requireTelegramAuth, requireAdmin('moderator'), async (req, res) => {
+  try {
+    const user = await adminFindUser(req.params.query);
+    if (!user) return res.status(404).json({ error: 'user not found' });
+    return res.json({ user });
+  } catch (err) {
+    console.error('/api/admin/users/:query', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/coins   (admin)
+ * Body: { delta, reason }   delta > 0 grants, delta < 0 deducts
+ */
+app.post('/api/admin/users/:id/coins', requireTelegramAuth, requireAdmin('admin'), async (req, res) => {
+  try {
+    const delta = Number(req.body?.delta);
+    const reason = String(req.body?.reason || '').trim();
+    if (!Number.isInteger(delta) || delta === 0) return res.status(400).json({ error: 'delta must be a non-zero integer' });
+    if (!reason) return res.status(400).json({ error: 'reason required' });
+
+    const result = await adminAdjustCoins(req.tgUser.id, req.params.id, delta, reason);
+    if (result?.error === 'user_not_found') return res.status(404).json({ error: 'user not found' });
+    if (!result?.success) return res.status(400).json({ error: result?.error || 'adjust failed', coins: result?.coins });
+    return res.json({ ok: true, coins: Number(result.coins), delta });
+  } catch (err) {
+    console.error('/api/admin/users/:id/coins', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/ban   (moderator)
+ * Body: { banned: boolean, reason? }
+ */
+app.post('/api/admin/users/:id/ban', requireTelegramAuth, requireAdmin('moderator'), async (req, res) => {
+  try {
+    if (typeof req.body?.banned !== 'boolean') return res.status(400).json({ error: 'banned must be a boolean' });
+    const reason = req.body?.reason ? String(req.body.reason).trim() : null;
+
+    const user = await adminSetBan(req.tgUser.id, req.params.id, req.body.banned, reason);
+    if (!user) return res.status(404).json({ error: 'user not found' });
+    return res.json({ ok: true, user });
+  } catch (err) {
+    console.error('/api/admin/users/:id/ban', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+/**
+ * GET /api/admin/risk?limit=20   (moderator)
+ * Players flagged by the anomaly score, with the signals behind it.
+ */
+app.get('/api/admin/risk', requireTelegramAuth, requireAdmin('moderator'), async (req, res) => {
+  try {
+    const limit = Math.min(100, parseInt(req.query.limit || '20', 10) || 20);
+    return res.json({ flagScore: RISK_FLAG_SCORE, users: await listRiskReport(limit) });
+  } catch (err) {
+    console.error('/api/admin/risk', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/trust   (moderator)
+ * Body: { trusted }   trusted players skip the anti-bot flag
+ */
+app.post('/api/admin/users/:id/trust', requireTelegramAuth, requireAdmin('moderator'), async (req, res) => {
+  try {
+    const result = await adminSetTrusted(req.tgUser.id, req.params.id, req.body?.trusted !== false);
+    if (!result) return res.status(404).json({ error: 'user not found' });
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error('/api/admin/users/:id/trust', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/reset-cooldown   (moderator)
+ */
+app.post('/api/admin/users/:id/reset-cooldown', requireTelegramAuth, requireAdmin('moderator'), async (req, res) => {
+  try {
+    const user = await adminResetCooldown(req.tgUser.id, req.params.id);
+    if (!user) return res.status(404).json({ error: 'user not found' });
+    return res.json({ ok: true, user });
+  } catch (err) {
+    console.error('/api/admin/users/:id/reset-cooldown', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+/**
+ * PATCH /api/admin/businesses/:id   (admin)
+ * Body: any of { name, cost, costGrowth, income, sortOrder, enabled }
+ */
+app.patch('/api/admin/businesses/:id', requireTelegramAuth, requireAdmin('admin'), async (req, res) => {
+  try {
+    const result = await adminUpdateBusiness(req.tgUser.id, req.params.id, req.body || {});
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    return res.json({ ok: true, business: result.business });
+  } catch (err) {
+    console.error('/api/admin/businesses/:id', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+/**
+ * POST /api/admin/market/reconcile   (admin)
+ * Rebuild business_totals now; returns the rows that had drifted
+ */
+app.post('/api/admin/market/reconcile', requireTelegramAuth, requireAdmin('admin'), async (req, res) => {
+  try {
+    const drift = await repo.reconcileBusinessTotals();
+    await logAdminAction(req.tgUser.id, 'market.reconcile', null, { drifted: drift.map(r => r.name) });
+    return res.json({ ok: true, drift });
+  } catch (err) {
+    console.error('/api/admin/market/reconcile', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+/**
+ * GET /api/admin/signups?limit=20   (moderator)
+ */
+app.get('/api/admin/signups', requireTelegramAuth, requireAdmin('moderator'), async (req, res) => {
+  try {
+    const limit = Math.min(100, parseInt(req.query.limit || '20', 10) || 20);
+    return res.json({ users: await listRecentSignups(limit) });
+  } catch (err) {
+    console.error('/api/admin/signups', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+/**
+ * GET /api/admin/audit?limit=50&target=<id>   (admin)
+ */
+app.get('/api/admin/audit', requireTelegramAuth, requireAdmin('admin'), async (req, res) => {
+  try {
+    const limit = Math.min(200, parseInt(req.query.limit || '50', 10) || 50);
+    const rows = await repo.listAdminAudit({ limit, target: req.query.target ? String(req.query.target) : null });
+    return res.json({
+      entries: rows.map(r => ({
+        id: Number(r.id),
+        adminId: r.admin_id,
+        action: r.action,
+        target: r.target,
+        details: r.details || {},
+        createdAt: r.created_at
+      }))
+    });
+  } catch (err) {
+    console.error('/api/admin/audit', err);
+    return res.status(500).json({ error: err?.message || 'server error' });
+  }
+});
+
+// Health
+app.get('/health', (req, res) => res.json({ ok: true }));
+
+// ---- Telegram bot commands ----
+// Each command is a handler registered by name; the webhook parses "/name@bot args"
+// and dispatches. Handlers get a context object and return the webhook's JSON reply.
+const botCommands = new Map();
+
+/**
+ * Register a bot command.
+ * opts.role: minimum admin role required (see ADMIN_ROLES). opts.description: shown in /help (omit to hide).
+ */
+function registerCommand(name, handler, { role = null, description = null } = {}) {
+  botCommands.set(name.toLowerCase(), { name, handler, role, description });
+}
+
+// Reply-keyboard buttons that act like commands
+const BOT_TEXT_ALIASES = { 'Refer 🎁': 'refer' };
+
+/**
+ * Parse "/cmd@BotName arg1 arg2". Returns null for non-commands and for commands
+ * addressed to another bot (in groups every bot sees "/cmd@OtherBot").
+ */
+async function parseCommand(text) {
+  if (BOT_TEXT_ALIASES[text]) return { name: BOT_TEXT_ALIASES[text], argText: '', args: [] };
+
+  const m = text.match(/^\/([a-z0-9_]+)(?:@(\w+))?(?:\s+([\s\S]*))?$/i);
+  if (!m) return null;
+  const [, name, botName, rest] = m;
+
+  if (botName) {
+    const me = await getBotUsername();
+    if (me && botName.toLowerCase() !== me.toLowerCase()) return null;
+  }
+
+  const argText = (rest || '').trim();
+  return { name: name.toLowerCase(), argText, args: argText ? argText.split(/\s+/) : [] };
+}
+
+async function dispatchCommand(ctx) {
+  const cmd = botCommands.get(ctx.command);
+  if (!cmd) {
+    // Only answer in private chats so the bot stays quiet in groups
+    if (ctx.msg.chat?.type === 'private') {
+      await sendTelegram(ctx.chatId, '🤔 Unknown command. Send /help to see what I can do.');
+    }
+    return { ok: true, ignored: true };
+  }
+  if (cmd.role && !hasAdminRole(ctx.tgId, cmd.role)) {
+    await sendTelegram(ctx.chatId, '⛔ Not authorized.');
+    return { ok: false };
+  }
+  return (await cmd.handler(ctx)) || { ok: true };
+}
+
+// Inline keyboard that opens the mini app. WebApp buttons only work in private
+// chats; elsewhere fall back to a plain link.
+function appButtonMarkup(chatType, label = '🚀 Open CEO Toto Tycoon') {
+  if (!WEBAPP_URL) return undefined;
+  const button = chatType === 'private'
+    ? { text: label, web_app: { url: WEBAPP_URL } }
+    : { text: label, url: WEBAPP_URL };
+  return { inline_keyboard: [[button]] };
+}
+
+// Safe insert-if-not-exists for users reaching the bot before the app
+async function ensureBotUser(tgId, username) {
+  if (!tgId) return;
+  try {
+    const existingUser = await repo.getUser(tgId);
+
+    if (!existingUser) {
+      try {
+        await repo.createUser({
+          id: tgId,
+          username,
+          coins: 100,
+          businesses: {},
+          level: 1,
+          last_mine: 0,
+          referrals_count: 0,
+          referred_by: null,
+          subscribed: true
+        });
+      } catch (e) {
+        // Insert might fail if another process created the user concurrently — that's okay
+        console.warn('create user from bot failed (insert)', e?.message || e);
+      }
+    }
+  } catch (e) {
+    console.warn('create user from bot failed (check/insert)', e?.message || e);
+  }
+}
+
+// ---------- Player commands ----------
+registerCommand('start', async ({ chatId, tgId, username, args, msg }) => {
+  // /start ref_<id> handling - critical path
+  if (args[0] && args[0].startsWith('ref_')) {
+    const referrerIdRaw = args[0].replace('ref_', '').trim();
+
+    if (!tgId) {
+      return { ok: false, error: 'no tg id' };
+    }
+
+    // Check if clicking user already exists -> send friendly welcome and stop (do NOT call RPC)
+    try {
+      const existingUser = await repo.getUser(tgId);
+      if (existingUser) {
+        await sendTelegram(chatId, '👋 Welcome back! You are already registered.', { reply_markup: appButtonMarkup(msg.chat?.type) });
+        return { ok: true };
+      }
+    } catch (e) {
+      console.warn('Check user existence failed (start ref):', e?.message || e);
+    }
+
+    try {
+      // Call RPC (function handles creation and idempotency)
+      const { ok, result, error } = await callManualRefer(referrerIdRaw, tgId, username);
+      if (!ok) {
+        console.error('callManualRefer failed', error);
+        await sendTelegram(chatId, '⚠️ Referral system error. Try again later.');
+        return { ok: false, error };
+      }
+
+      if (result.success === true) {
+        await sendTelegram(chatId, `🎁 You were successfully referred by <b>${result.inviter_username || referrerIdRaw}</b>!`, { parse_mode: 'HTML', reply_markup: appButtonMarkup(msg.chat?.type) });
+        try { if (result.inviter_id) await sendTelegram(result.inviter_id, `🎉 <b>${escapeHtml(username)}</b> joined using your referral!\nYou'll receive +${result.amount ?? 100} 💰 once they're active (${referralActivationText()}).`, { parse_mode: 'HTML' }); } catch (e) {}
+        return { ok: true, result };
       } else {
-        // plain /start -> ensure user exists (safe insert-if-not-exists)
-        if (tgId) {
-          try {
-            // check first
-            const { data: existingUser } = await supabase
-              .from('users')
-              .select('id')
-              .eq('id', tgId)
-              .maybeSingle();
-
-            if (!existingUser) {
-              try {
-                await supabase.from('users').insert([{
-                  id: tgId,
-                  username,
-                  coins: 100,
-                  businesses: {},
-                  level: 1,
-                  last_mine: 0,
-                  referrals_count: 0,
-                  referred_by: null,
-                  subscribed: true
-                }]);
-              } catch (e) {
-                // Insert might fail if another process created the user concurrently — that's okay
-                console.warn('create user on plain /start failed (insert)', e?.message || e);
-              }
-            } else {
-              // existing user — do nothing
-            }
-          } catch (e) {
-            console.warn('create user on plain /start failed (check/insert)', e?.message || e);
-          }
+        const errCode = result.error || 'unknown';
+        if (errCode === 'inviter_not_found') await sendTelegram(chatId, '❌ Inviter not found in database.');
+        else if (errCode === 'self_referral') await sendTelegram(chatId, '😅 You can’t refer yourself!');
+        else if (errCode === 'already_referred') await sendTelegram(chatId, "⚠️ You have already been referred or referral couldn't be recorded.");
+        else if (errCode === 'already_user') await sendTelegram(chatId, '👋 You already joined earlier.');
+        else await sendTelegram(chatId, '⚠️ Referral system error. Try again later.');
+        return { ok: false, error: errCode };
+      }
+    } catch (err) {
+      console.error('manual_refer_by_id call failed (start):', err);
+      await sendTelegram(chatId, '⚠️ Referral system error. Try again later.');
+      return { ok: false, error: err?.message || err };
+    }
+  }
+
+  // plain /start -> ensure user exists, then welcome
+  await ensureBotUser(tgId, username);
+  await sendTelegram(chatId, [
+    `👋 Welcome to <b>CEO Toto Tycoon</b>, ${escapeHtml(username)}!`,
+    '',
+    '⛏ Mine coins every minute, buy businesses for passive income and invite friends to grow your empire.',
+    '',
+    'Tap the button below to open the game, or send /help for bot commands.'
+  ].join('\n'), { parse_mode: 'HTML', reply_markup: appButtonMarkup(msg.chat?.type) });
+  return { ok: true };
+});
+
+registerCommand('help', async ({ chatId, tgId }) => {
+  const lines = [...botCommands.values()]
+    .filter(c => c.description && (!c.role || hasAdminRole(tgId, c.role)))
+    .map(c => `/${c.name} — ${c.description}${c.role ? ` (${c.role})` : ''}`);
+  await sendTelegram(chatId, `📖 <b>Commands</b>\n\n${lines.join('\n')}`, { parse_mode: 'HTML' });
+  return { ok: true };
+}, { description: 'list commands' });
+
+registerCommand('app', async ({ chatId, msg }) => {
+  const markup = appButtonMarkup(msg.chat?.type);
+  if (!markup) {
+    await sendTelegram(chatId, '⚠️ The app link is not configured yet.');
+    return { ok: false };
+  }
+  await sendTelegram(chatId, '🚀 Tap below to open the game.', { reply_markup: markup });
+  return { ok: true };
+}, { description: 'open the game' });
+
+registerCommand('balance', async ({ chatId, tgId, username }) => {
+  await ensureBotUser(tgId, username);
+  // Collect idle income first so the balance is current
+  const idle = await claimIdleIncome(tgId);
+  if (!idle) {
+    await sendTelegram(chatId, '❌ Player not found. Send /start first.');
+    return { ok: false };
+  }
+  await sendTelegram(chatId, [
+    `💰 <b>${formatCoins(idle.coins)}</b> coins`,
+    `⭐ Level ${idle.level} • ${formatCoins(idle.xp)} XP`,
+    `🏭 Passive income: ${formatCoins(idle.ratePerMin)}/min`,
+    idle.earned > 0 ? `➕ ${formatCoins(idle.earned)} collected while you were away` : ''
+  ].filter(Boolean).join('\n'), { parse_mode: 'HTML' });
+  return { ok: true };
+}, { description: 'show your coins' });
+
+registerCommand('mine', async ({ msg, chatId, tgId, username }) => {
+  await ensureBotUser(tgId, username);
+  const result = await mineForUser(tgId);
+  if (!result.ok && result.error === 'user_not_found') {
+    await sendTelegram(chatId, '❌ Player not found. Send /start first.');
+    return { ok: false };
+  }
+  if (!result.ok && result.error === 'banned') {
+    await sendTelegram(chatId, '🚫 Your account is suspended.');
+    return { ok: false, error: 'banned' };
+  }
+  if (!result.ok && result.challenge) {
+    // The proof-of-work challenge can only be solved in the app
+    await sendTelegram(chatId, '🧩 Please mine from the app for now.', { reply_markup: appButtonMarkup(msg.chat?.type) });
+    return { ok: false, error: result.error };
+  }
+  if (!result.ok) {
+    await sendTelegram(chatId, `⏳ Still cooling down. Mine again in ${Math.ceil(result.retryAfterMs / 1000)}s.`);
+    return { ok: false, error: result.error };
+  }
+  const passive = result.passive > 0 ? ` (+${formatCoins(result.passive)} passive)` : '';
+  await sendTelegram(chatId, `⛏ You mined <b>+${result.earned}</b> coins${passive}.\n💰 Balance: ${formatCoins(result.coins)}`, { parse_mode: 'HTML' });
+  return { ok: true };
+}, { description: 'mine coins (once a minute)' });
+
+registerCommand('top', async ({ chatId, tgId }) => {
+  const result = await repo.leaderboard({ board: 'coins', period: 'all', limit: 10, userId: tgId ?? null, around: 0 });
+  const top = (result.top || []).map(mapLeaderboardEntry);
+  if (top.length === 0) {
+    await sendTelegram(chatId, 'No players yet.');
+    return { ok: true };
+  }
+  const medals = ['🥇', '🥈', '🥉'];
+  const lines = top.map(e => `${medals[e.rank - 1] || `${e.rank}.`} ${escapeHtml(e.username || e.id)} — ${formatCoins(e.score)}`);
+  const me = result.me && !top.some(e => String(e.id) === String(tgId))
+    ? `\n\nYou: #${result.me.rank} — ${formatCoins(Number(result.me.score) || 0)}`
+    : '';
+  await sendTelegram(chatId, `🏆 <b>Top players</b>\n\n${lines.join('\n')}${me}`, { parse_mode: 'HTML' });
+  return { ok: true };
+}, { description: 'richest players' });
+
+// /send @user <amount>
+const SEND_ERRORS = {
+  invalid_amount: `❌ Amount must be a whole number of at least ${TRANSFER_MIN_AMOUNT}.`,
+  recipient_not_found: '❌ Player not found.',
+  self_transfer: "❌ You can't send coins to yourself.",
+  insufficient_funds: '❌ Not enough coins.',
+  banned: '🚫 Your account is suspended.',
+  recipient_banned: '❌ That player can\'t receive coins.',
+  daily_limit: '⏳ Daily transfer limit reached.',
+  daily_count: '⏳ Too many transfers today.',
+  key_reused: '⚠️ This message already sent a different transfer. Send a new /send message.',
+  user_not_found: '❌ Player not found. Send /start first.'
+};
+
+registerCommand('send', async ({ msg, chatId, tgId, username, args }) => {
+  if (args.length < 2) {
+    await sendTelegram(chatId, 'Usage: /send @username <amount>');
+    return { ok: false };
+  }
+  await ensureBotUser(tgId, username);
+
+  // Webhook retries carry the same message, so the message id is a natural key
+  const key = `tg:${msg.chat?.id}:${msg.message_id}`;
+  const result = await transferCoins(tgId, args[0], args[1].replace(/[,_]/g, ''), key);
+  if (!result.ok) {
+    let text = SEND_ERRORS[result.error] || '❌ Transfer failed.';
+    if (result.error === 'account_too_new' && result.availableAt) {
+      text = `⏳ New accounts can send coins from ${new Date(result.availableAt).toUTCString()}.`;
+    } else if (result.error === 'daily_limit' && result.remaining !== undefined) {
+      text += ` You can still send ${formatCoins(result.remaining)} today.`;
+    }
+    await sendTelegram(chatId, text);
+    return { ok: false, error: result.error };
+  }
+
+  if (!result.duplicate) {
+    await sendTelegram(chatId, transferSentText(result), { parse_mode: 'HTML' });
+    await notifyTransfer(result, { id: tgId, username: msg.from?.username }, { notifySender: false });
+  }
+  return { ok: true };
+}, { description: 'send coins to a player' });
+
+// /refer or "Refer 🎁"
+registerCommand('refer', async ({ chatId, tgId, username, args }) => {
+  // /refer (no args) -> return referral link
+  if (args.length === 0) {
+    let botUsername = await getBotUsername();
+    const referralLink = botUsername ? `https://t.me/${botUsername}?start=ref_${chatId}` : `https://t.me/${BOT_USERNAME_FALLBACK || 'your_bot_username'}?start=ref_${chatId}`;
+    await sendTelegram(chatId, `🎁 <b>Your Referral Link</b>\nInvite your friends and earn <b>100 coins</b> per referral once they become active (${referralActivationText()})!\n\n🔗 ${referralLink}`, { parse_mode: 'HTML' });
+    return { ok: true };
+  }
+
+  // /refer <username> -> find inviter by username then call manual_refer_by_id
+  const targetUsername = args[0]?.replace('@', '')?.trim();
+  if (!targetUsername) {
+    await sendTelegram(chatId, '❌ Please provide the inviter username. Example: /refer SomeUser');
+    return { ok: true };
+  }
+
+  try {
+    // If the clicking user already exists -> inform and stop (do NOT call RPC)
+    try {
+      const existingUser = await repo.getUser(tgId);
+      if (existingUser) {
+        await sendTelegram(chatId, '👋 You are already registered. Referrals apply only to new users.');
+        return { ok: true };
+      }
+    } catch (e) {
+      console.warn('Check user existence failed (refer cmd):', e?.message || e);
+    }
+
+    // find inviter by username or id
+    const inviter = await findUserByUsernameOrId(targetUsername);
+
+    if (!inviter) {
+      await sendTelegram(chatId, '❌ Inviter not found in database.');
+      return { ok: false };
+    }
+
+    // Call RPC (function handles creation and idempotency)
+    const { ok, result, error } = await callManualRefer(inviter.id, tgId, username);
+    if (!ok) {
+      console.error('callManualRefer failed', error);
+      await sendTelegram(chatId, '⚠️ Referral system error. Try again later.');
+      return { ok: false, error };
+    }
+
+    if (result.success === true) {
+      await sendTelegram(chatId, `🎁 You were successfully referred by <b>${result.inviter_username || inviter.username || targetUsername}</b>!`, { parse_mode: 'HTML' });
+      try { if (result.inviter_id) await sendTelegram(result.inviter_id, `🎉 <b>${escapeHtml(username)}</b> joined using your referral!\nYou'll receive +${result.amount ?? 100} 💰 once they're active (${referralActivationText()}).`, { parse_mode: 'HTML' }); } catch(e){}
+      return { ok: true, result };
+    } else {
+      const errCode = result.error || 'unknown';
+      if (errCode === 'inviter_not_found') await sendTelegram(chatId, '❌ Inviter not found in database.');
+      else if (errCode === 'self_referral') await sendTelegram(chatId, '😅 You can’t refer yourself!');
+      else if (errCode === 'already_referred') await sendTelegram(chatId, "⚠️ You have already been referred or referral couldn't be recorded.");
+      else if (errCode === 'already_user') await sendTelegram(chatId, '👋 You already joined earlier.');
+      else await sendTelegram(chatId, '⚠️ Referral system error. Try again later.');
+      return { ok: false, error: errCode };
+    }
+  } catch (err) {
+    console.error('Referral error (refer command):', err);
+    await sendTelegram(chatId, '⚠️ Referral system error. Try again later.');
+    return { ok: false, error: err?.message || err };
+  }
+}, { description: 'get your invite link' });
+
+// ---------- Admin commands ----------
+// /broadcast_preview and /broadcast: drafts are stored in broadcast_jobs;
+// preview buttons carry only the draft id.
+async function handleBroadcastCommand({ chatId, tgId, command, argText, msg }) {
+  const isPreview = command === 'broadcast_preview';
+  const attachedPhoto = Array.isArray(msg.photo) && msg.photo.length ? msg.photo[msg.photo.length - 1].file_id : null;
+  const { draft, error: parseError } = parseBroadcastDraft(argText, attachedPhoto);
+  if (parseError) {
+    await sendTelegram(chatId, `Usage: /${command} <message>\n` +
+      'Options (one per line): --photo <url>, --button <label> | <url|app>, --at YYYY-MM-DD HH:MM, ' +
+      `--level <n>, --inactive <days>, --owners [business]\n\n⚠️ ${parseError}`);
+    return { ok: false };
+  }
+
+  try {
+    const { jobId, total } = await createBroadcastDraft(tgId, draft);
+    await logAdminAction(tgId, isPreview ? 'broadcast.draft' : 'broadcast.queue', jobId, {
+      audience: draft.audience,
+      sendAt: draft.sendAt,
+      total
+    });
+
+    if (!isPreview) {
+      // /broadcast: no preview, queue right away
+      const queued = await queueBroadcastJob(jobId);
+      await sendTelegram(chatId, broadcastQueuedText(jobId, queued?.total ?? total, draft.sendAt));
+      return { ok: true, jobId };
+    }
+
+    const shown = await sendBroadcastMessage(chatId, { message: draft.message, photo: draft.photo, buttons: draft.buttons });
+    if (!shown.ok) {
+      await sendTelegram(chatId, `⚠️ Telegram rejected the preview: ${shown.description || shown.status}`);
+    }
+    const when = draft.sendAt ? `${draft.sendAt.slice(0, 16).replace('T', ' ')} UTC` : 'immediately';
+    await sendTelegram(chatId,
+      `🔎 Broadcast draft #${jobId}\nAudience: ${describeAudience(draft.audience)} (~${total} users)\nSend: ${when}`,
+      {
+        reply_markup: {
+          inline_keyboard: [[
+            { text: 'Send ✅', callback_data: `bcast_send:${jobId}` },
+            { text: 'Cancel ❌', callback_data: `bcast_cancel:${jobId}` }
+          ]]
         }
-        // Always respond OK for /start plain
-        return res.json({ ok: true });
+      });
+    return { ok: true, jobId };
+  } catch (err) {
+    console.error('broadcast draft error:', err);
+    await sendTelegram(chatId, '❌ Broadcast failed. Check logs.');
+    return { ok: false, error: err?.message || err };
+  }
+}
+
+registerCommand('broadcast_preview', handleBroadcastCommand, { role: 'admin', description: 'preview a broadcast (send it empty to see the options)' });
+registerCommand('broadcast', handleBroadcastCommand, { role: 'admin', description: 'send a broadcast without preview' });
+
+// /broadcast_status [job]
+registerCommand('broadcast_status', async ({ chatId, args }) => {
+  const jobArg = args[0];
+  const jobId = jobArg ? parseInt(jobArg.replace(/^#/, ''), 10) : null;
+  if (jobArg && isNaN(jobId)) {
+    await sendTelegram(chatId, 'Usage: /broadcast_status [job id]');
+    return { ok: false };
+  }
+
+  try {
+    const jobs = await getBroadcastOverview(jobId, 5);
+    if (jobs.length === 0) {
+      await sendTelegram(chatId, jobId ? `❌ Broadcast #${jobId} not found.` : 'No broadcasts yet.');
+      return { ok: true };
+    }
+    const lines = jobs.map(j => {
+      const when = j.send_at && j.status === 'queued' ? ` (at ${String(j.send_at).slice(0, 16).replace('T', ' ')} UTC)` : '';
+      return `#${j.id} <b>${j.status}</b>${when} — sent ${j.sent}/${j.total}, pending ${j.pending}, blocked ${j.blocked}, failed ${j.failed}\n` +
+        `${escapeHtml(describeAudience(j.audience || {}))}${j.has_photo ? ' · 🖼' : ''}\n<i>${escapeHtml(j.preview || '')}</i>`;
+    });
+    await sendTelegram(chatId, `📊 <b>Broadcasts</b>\n\n${lines.join('\n\n')}`, { parse_mode: 'HTML' });
+    return { ok: true };
+  } catch (err) {
+    console.error('broadcast_status error:', err);
+    await sendTelegram(chatId, '❌ Could not load broadcast status. Check logs.');
+    return { ok: false, error: err?.message || err };
+  }
+}, { role: 'admin', description: 'progress of recent broadcasts' });
+
+// /broadcast_cancel <job>
+registerCommand('broadcast_cancel', async ({ chatId, tgId, args }) => {
+  const jobId = parseInt((args[0] || '').replace(/^#/, ''), 10);
+  if (isNaN(jobId)) {
+    await sendTelegram(chatId, 'Usage: /broadcast_cancel <job id>');
+    return { ok: false };
+  }
+
+  try {
+    const cancelled = await repo.closeBroadcastJob(jobId, 'cancelled', { from: ['draft', 'queued', 'running'] });
+    if (!cancelled) {
+      await sendTelegram(chatId, `⚠️ Broadcast #${jobId} not found or already finished.`);
+      return { ok: false };
+    }
+    await logAdminAction(tgId, 'broadcast.cancel', jobId);
+    await sendTelegram(chatId, `🛑 Broadcast #${jobId} cancelled.`);
+    return { ok: true };
+  } catch (err) {
+    console.error('broadcast_cancel error:', err);
+    await sendTelegram(chatId, '❌ Cancel failed. Check logs.');
+    return { ok: false, error: err?.message || err };
+  }
+}, { role: 'admin', description: 'stop a broadcast' });
+
+// /referral_audit <username|id>
+registerCommand('referral_audit', async ({ chatId, args }) => {
+  const target = args[0];
+  if (!target) {
+    await sendTelegram(chatId, 'Usage: /referral_audit <username|id>');
+    return { ok: false };
+  }
+
+  try {
+    const inviter = await findUserByUsernameOrId(target);
+    if (!inviter) {
+      await sendTelegram(chatId, '❌ User not found.');
+      return { ok: false };
+    }
+
+    const a = await repo.referralAudit(inviter.id);
+
+    const total = Number(a.total) || 0;
+    const neverMined = Number(a.never_mined) || 0;
+    const flags = [];
+    if ((Number(a.max_signups_10min) || 0) >= REFERRAL_AUDIT_BURST_10MIN) flags.push(`⚠️ Burst: ${a.max_signups_10min} sign-ups within 10 minutes`);
+    if (total >= 5 && neverMined / total >= 0.5) flags.push(`⚠️ ${neverMined}/${total} invitees never mined`);
+    if (total >= 10 && (Number(a.released) || 0) === 0) flags.push('⚠️ No invitee has activated yet');
+
+    const recent = (a.recent || []).map(r =>
+      `• ${escapeHtml(r.username || r.id)} — ${r.mines} mines, ${r.reward_status}`
+    ).join('\n');
+
+    await sendTelegram(chatId, [
+      `🔍 <b>Referral audit: ${escapeHtml(inviter.username || inviter.id)}</b> (${inviter.id})`,
+      '',
+      `Invites: ${total} (pending ${a.pending || 0}, released ${a.released || 0}, rejected ${a.rejected || 0})`,
+      `Sign-ups: ${a.signups_1h || 0} last hour, ${a.signups_24h || 0} last 24h`,
+      `Max sign-ups in 10 min: ${a.max_signups_10min || 0}`,
+      `Never mined: ${neverMined}`,
+      '',
+      flags.length ? flags.join('\n') : '✅ No suspicious patterns',
+      recent ? `\n<b>Recent invitees</b>\n${recent}` : ''
+    ].join('\n'), { parse_mode: 'HTML' });
+    return { ok: true };
+  } catch (err) {
+    console.error('referral_audit error:', err);
+    await sendTelegram(chatId, '❌ Audit failed. Check logs.');
+    return { ok: false, error: err?.message || err };
+  }
+}, { role: 'moderator', description: 'check an inviter for referral abuse' });
+
+
+// ---------- Admin: user management & economy ----------
+function formatAdminUser(u) {
+  return [
+    `👤 <b>${escapeHtml(u.username || u.id)}</b> (${u.id})`,
+    `💰 ${formatCoins(u.coins)} coins · level ${u.level}`,
+    `⛏ Last mine: ${u.lastMine ? new Date(Number(u.lastMine)).toISOString().slice(0, 16).replace('T', ' ') + ' UTC' : 'never'}`,
+    `👥 Referrals: ${u.referralsCount}${u.referredBy ? ` · invited by ${u.referredBy}` : ''}`,
+    `📅 Joined: ${u.createdAt ? String(u.createdAt).slice(0, 10) : '?'}`,
+    u.banned ? `🚫 Banned${u.banReason ? `: ${escapeHtml(u.banReason)}` : ''}` : ''
+  ].filter(Boolean).join('\n');
+}
+
+// /user <username|id>
+registerCommand('user', async ({ chatId, args }) => {
+  if (!args[0]) {
+    await sendTelegram(chatId, 'Usage: /user <username|id>');
+    return { ok: false };
+  }
+  const user = await adminFindUser(args[0]);
+  if (!user) {
+    await sendTelegram(chatId, '❌ User not found.');
+    return { ok: false };
+  }
+  await sendTelegram(chatId, formatAdminUser(user), { parse_mode: 'HTML' });
+  return { ok: true };
+}, { role: 'moderator', description: 'look up a player' });
+
+// /grant and /deduct <username|id> <amount> <reason...>
+async function handleCoinAdjustCommand({ chatId, tgId, command, args }) {
+  const [target, amountRaw, ...reasonParts] = args;
+  const amount = parseInt(amountRaw, 10);
+  const reason = reasonParts.join(' ').trim();
+  if (!target || !Number.isInteger(amount) || amount <= 0 || !reason) {
+    await sendTelegram(chatId, `Usage: /${command} <username|id> <amount> <reason>`);
+    return { ok: false };
+  }
+
+  const user = await adminFindUser(target);
+  if (!user) {
+    await sendTelegram(chatId, '❌ User not found.');
+    return { ok: false };
+  }
+
+  const delta = command === 'deduct' ? -amount : amount;
+  const result = await adminAdjustCoins(tgId, user.id, delta, reason);
+  if (!result?.success) {
+    const msg = result?.error === 'insufficient_balance'
+      ? `❌ ${escapeHtml(user.username || user.id)} only has ${formatCoins(result.coins)} coins.`
+      : `❌ Adjustment failed (${result?.error || 'unknown'}).`;
+    await sendTelegram(chatId, msg, { parse_mode: 'HTML' });
+    return { ok: false, error: result?.error };
+  }
+  await sendTelegram(chatId, `✅ ${delta > 0 ? '+' : ''}${formatCoins(delta)} coins for <b>${escapeHtml(user.username || user.id)}</b>. New balance: ${formatCoins(result.coins)}`, { parse_mode: 'HTML' });
+  return { ok: true };
+}
+
+registerCommand('grant', handleCoinAdjustCommand, { role: 'admin', description: 'give coins to a player' });
+registerCommand('deduct', handleCoinAdjustCommand, { role: 'admin', description: 'take coins from a player' });
+
+// /ban <username|id> [reason...] and /unban <username|id>
+async function handleBanCommand({ chatId, tgId, command, args }) {
+  const [target, ...reasonParts] = args;
+  if (!target) {
+    await sendTelegram(chatId, `Usage: /${command} <username|id>${command === 'ban' ? ' [reason]' : ''}`);
+    return { ok: false };
+  }
+  const found = await adminFindUser(target);
+  if (!found) {
+    await sendTelegram(chatId, '❌ User not found.');
+    return { ok: false };
+  }
+  const banned = command === 'ban';
+  const user = await adminSetBan(tgId, found.id, banned, reasonParts.join(' ').trim() || null);
+  await sendTelegram(chatId, `${banned ? '🚫 Banned' : '✅ Unbanned'} <b>${escapeHtml(user.username || user.id)}</b>.`, { parse_mode: 'HTML' });
+  return { ok: true };
+}
+
+registerCommand('ban', handleBanCommand, { role: 'moderator', description: 'suspend a player' });
+registerCommand('unban', handleBanCommand, { role: 'moderator', description: 'lift a suspension' });
+
+// /reset_cooldown <username|id>
+registerCommand('reset_cooldown', async ({ chatId, tgId, args }) => {
+  const found = args[0] ? await adminFindUser(args[0]) : null;
+  if (!found) {
+    await sendTelegram(chatId, args[0] ? '❌ User not found.' : 'Usage: /reset_cooldown <username|id>');
+    return { ok: false };
+  }
+  await adminResetCooldown(tgId, found.id);
+  await sendTelegram(chatId, `⏱ Mine cooldown reset for <b>${escapeHtml(found.username || found.id)}</b>.`, { parse_mode: 'HTML' });
+  return { ok: true };
+}, { role: 'moderator', description: 'let a player mine again now' });
+
+// /business <id> field=value ...   (no fields: show the entry)
+registerCommand('business', async ({ chatId, tgId, args }) => {
+  const [businessId, ...assignments] = args;
+  const catalog = await getBusinessCatalog({ fresh: true });
+  if (!businessId) {
+    const lines = catalog.map(b => `${b.enabled ? '•' : '◦'} <code>${escapeHtml(b.id)}</code> ${escapeHtml(b.name)} — cost ${b.cost} ×${b.costGrowth}, income ${b.income}/min`);
+    await sendTelegram(chatId, `🏭 <b>Catalog</b>\n\n${lines.join('\n')}\n\nEdit: /business &lt;id&gt; cost=1500 income=2 enabled=false name=New_Name`, { parse_mode: 'HTML' });
+    return { ok: true };
+  }
+
+  const changes = {};
+  for (const a of assignments) {
+    const eq = a.indexOf('=');
+    if (eq <= 0) {
+      await sendTelegram(chatId, `❌ Expected field=value, got "${a}". Fields: ${Object.keys(BUSINESS_EDITABLE_FIELDS).join(', ')}`);
+      return { ok: false };
+    }
+    const field = a.slice(0, eq);
+    const value = a.slice(eq + 1);
+    changes[field] = field === 'name' ? value.replace(/_/g, ' ') : value; // name=Big_Corp -> "Big Corp"
+  }
+
+  if (Object.keys(changes).length === 0) {
+    const b = catalog.find(x => x.id === businessId);
+    await sendTelegram(chatId, b ? `<code>${escapeHtml(b.id)}</code>: ${JSON.stringify(b)}` : '❌ Business not found.', { parse_mode: 'HTML' });
+    return { ok: !!b };
+  }
+
+  const result = await adminUpdateBusiness(tgId, businessId, changes);
+  if (!result.ok) {
+    await sendTelegram(chatId, `❌ ${result.error}`);
+    return { ok: false };
+  }
+  const b = result.business;
+  await sendTelegram(chatId, `✅ Updated <code>${escapeHtml(b.id)}</code>: ${escapeHtml(b.name)} — cost ${b.cost} ×${b.costGrowth}, income ${b.income}/min${b.enabled ? '' : ' (disabled)'}`, { parse_mode: 'HTML' });
+  return { ok: true };
+}, { role: 'admin', description: 'view or edit the business catalog' });
+
+// /signups [n]
+registerCommand('signups', async ({ chatId, args }) => {
+  const limit = Math.min(50, parseInt(args[0] || '10', 10) || 10);
+  const users = await listRecentSignups(limit);
+  if (users.length === 0) {
+    await sendTelegram(chatId, 'No players yet.');
+    return { ok: true };
+  }
+  const lines = users.map(u =>
+    `${String(u.createdAt || '').slice(0, 16).replace('T', ' ')} — ${escapeHtml(u.username || u.id)} (${u.id})${u.referredBy ? ` ← ${u.referredBy}` : ''}${u.banned ? ' 🚫' : ''}`
+  );
+  await sendTelegram(chatId, `🆕 <b>Recent sign-ups</b>\n\n${lines.join('\n')}`, { parse_mode: 'HTML' });
+  return { ok: true };
+}, { role: 'moderator', description: 'latest players to join' });
+
+// /risk [n]
+registerCommand('risk', async ({ chatId, args }) => {
+  const limit = Math.min(50, parseInt(args[0] || '10', 10) || 10);
+  const users = await listRiskReport(limit);
+  if (users.length === 0) {
+    await sendTelegram(chatId, '✅ No flagged players.');
+    return { ok: true };
+  }
+  const lines = users.map(u =>
+    `<b>${u.score}</b> — ${escapeHtml(u.username || u.id)} (${u.id})${u.banned ? ' 🚫' : ''}\n` +
+    `   cv ${u.intervalCv ?? '–'} • ${u.maxActiveHours}h/day • ${u.sharedIpUsers} shared-IP • ${u.mines} mines`
+  );
+  await sendTelegram(chatId, `🤖 <b>Flagged players</b> (score ≥ ${RISK_FLAG_SCORE})\n\n${lines.join('\n')}`, { parse_mode: 'HTML' });
+  return { ok: true };
+}, { role: 'moderator', description: 'anti-bot report' });
+
+// /trust and /untrust <username|id>
+async function handleTrustCommand({ chatId, tgId, command, args }) {
+  if (!args[0]) {
+    await sendTelegram(chatId, `Usage: /${command} <username|id>`);
+    return { ok: false };
+  }
+  const found = await adminFindUser(args[0]);
+  if (!found) {
+    await sendTelegram(chatId, '❌ User not found.');
+    return { ok: false };
+  }
+  const trusted = command === 'trust';
+  await adminSetTrusted(tgId, found.id, trusted);
+  await sendTelegram(chatId, trusted
+    ? `✅ <b>${escapeHtml(found.username || found.id)}</b> is trusted and won't be flagged.`
+    : `↩️ <b>${escapeHtml(found.username || found.id)}</b> is scored normally again.`, { parse_mode: 'HTML' });
+  return { ok: true };
+}
+
+registerCommand('trust', handleTrustCommand, { role: 'moderator', description: 'exempt a player from anti-bot flags' });
+registerCommand('untrust', handleTrustCommand, { role: 'moderator', description: 'score a player normally again' });
+
+// /webhook [set]: show Telegram's view of the webhook, or (re)register it
+registerCommand('webhook', async ({ chatId, args }) => {
+  if (args[0] === 'set') {
+    const result = await registerTelegramWebhook();
+    // Don't echo the secret path segment into the chat
+    const shownUrl = result.url && TELEGRAM_SECRET_PATH ? result.url.replace(`/${TELEGRAM_SECRET_PATH}`, '/…') : result.url;
+    await sendTelegram(chatId, result.ok
+      ? `✅ Webhook set to ${escapeHtml(shownUrl)}`
+      : `❌ setWebhook failed: ${escapeHtml(result.description || 'unknown error')}`, { parse_mode: 'HTML' });
+    return { ok: result.ok };
+  }
+
+  const info = await callTelegram('getWebhookInfo', {});
+  if (!info.ok) {
+    await sendTelegram(chatId, `❌ getWebhookInfo failed: ${escapeHtml(info.description || 'unknown error')}`, { parse_mode: 'HTML' });
+    return { ok: false };
+  }
+  const w = info.result || {};
+  await sendTelegram(chatId, [
+    '🔗 <b>Webhook</b>',
+    `URL: ${w.url ? 'set' : 'not set'}${w.url && PUBLIC_URL && w.url.startsWith(PUBLIC_URL) ? ' (this server)' : ''}`,
+    `Pending updates: ${w.pending_update_count ?? 0}`,
+    w.last_error_message ? `Last error: ${escapeHtml(w.last_error_message)} (${new Date((w.last_error_date || 0) * 1000).toISOString()})` : 'Last error: none',
+    'Secret token: configured',
+    '',
+    'Send /webhook set to register this server.'
+  ].join('\n'), { parse_mode: 'HTML' });
+  return { ok: true };
+}, { role: 'owner', description: 'show or register the bot webhook' });
+
+// Broadcast preview buttons (Send/Cancel on a draft id)
+async function handleBroadcastCallback(callbackQuery) {
+  const answer = async (answerText) => {
+    try {
+      await callTelegram('answerCallbackQuery', { callback_query_id: callbackQuery.id, text: answerText });
+    } catch (e) {}
+  };
+
+  // Only admin may trigger send
+  if (!hasAdminRole(callbackQuery.from?.id, 'admin')) {
+    await answer('Not authorized.');
+    return { ok: false };
+  }
+
+  const [action, idPart] = callbackQuery.data.split(':');
+  const jobId = parseInt(idPart, 10);
+  if (isNaN(jobId)) {
+    await answer('This preview has expired, create a new one.');
+    return { ok: false };
+  }
+
+  try {
+    if (action === 'bcast_cancel') {
+      await repo.closeBroadcastJob(jobId, 'cancelled', { from: ['draft'] });
+      await logAdminAction(callbackQuery.from.id, 'broadcast.discard', jobId);
+      await answer('Broadcast cancelled.');
+      return { ok: true };
+    }
+
+    if (action === 'bcast_send') {
+      const queued = await queueBroadcastJob(jobId);
+      if (!queued?.success) {
+        await answer(queued?.error === 'not_draft' ? 'Already sent or cancelled.' : 'Draft not found.');
+        return { ok: false };
       }
+      await logAdminAction(callbackQuery.from.id, 'broadcast.queue', jobId, { total: queued.total });
+      await answer('Broadcast queued.');
+      await sendTelegram(callbackQuery.from.id, broadcastQueuedText(jobId, queued.total, queued.send_at));
+      return { ok: true, jobId };
     }
+  } catch (err) {
+    console.error('broadcast (callback) error:', err);
+    try { await sendTelegram(callbackQuery.from.id, '❌ Broadcast failed. Check logs.'); } catch(e){}
+    return { ok: false, error: err?.message || err };
+  }
+  return { ok: true };
+}
+
+// ---- Telegram webhook handler ----
+// Answers 200 at once and processes in the background: a slow answer makes Telegram
+// redeliver, so every update_id is claimed in telegram_updates first and repeats are skipped.
+const TELEGRAM_WEBHOOK_PATH = `/telegram/webhook${TELEGRAM_SECRET_PATH ? `/${TELEGRAM_SECRET_PATH}` : ''}`;
+const TELEGRAM_UPDATE_TYPES = ['message', 'callback_query'];
+const TELEGRAM_UPDATES_KEEP_DAYS = 7;
+
+// Fails closed: without a configured secret no update is accepted
+function isValidWebhookSecret(header) {
+  if (!TELEGRAM_WEBHOOK_SECRET) return false;
+  const given = Buffer.from(String(header || ''));
+  const expected = Buffer.from(TELEGRAM_WEBHOOK_SECRET);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// One JSON line per update. No message text, names or raw ids: users are pseudonymised.
+function logTelegramUpdate(fields) {
+  console.log(JSON.stringify({ at: new Date().toISOString(), event: 'telegram_update', ...fields }));
+}
+
+function pseudonymizeId(id) {
+  return id === undefined || id === null ? null : antibotHmac(`tg:${id}`).slice(0, 12);
+}
+
+// true if this update_id hasn't been seen. If the store is down we process anyway
+// (a rare duplicate beats dropping updates).
+async function claimTelegramUpdate(updateId, kind) {
+  try {
+    return await repo.claimTelegramUpdate(updateId, kind);
+  } catch (e) {
+    console.warn('claim_telegram_update failed, processing without dedupe', e?.message || e);
+    return true;
+  }
+}
+
+async function finishTelegramUpdate(updateId, error) {
+  try {
+    await repo.finishTelegramUpdate(updateId, error ? String(error).slice(0, 500) : null);
+  } catch (e) {
+    console.warn('finishTelegramUpdate failed', e?.message || e);
+  }
+}
+
+// The work that used to happen inside the request
+async function handleTelegramUpdate(body) {
+  const callbackQuery = body.callback_query;
+  if (callbackQuery?.data?.startsWith('bcast_')) return handleBroadcastCallback(callbackQuery);
+  if (callbackQuery) return { ok: true, ignored: true };
+
+  // Edits are ignored so an edited command doesn't run twice
+  const msg = body.message;
+  if (!msg) return { ok: true, ignored: true };
+
+  const text = (msg.text || msg.caption || '').trim(); // caption: commands sent with a photo
+  const parsed = text ? await parseCommand(text) : null;
+  if (!parsed) return { ok: true, ignored: true }; // not a command for us
+
+  const from = msg.from || {};
+  const tgId = from.id?.toString();
+  const username = from.username || `${from.first_name || 'tg'}_${tgId}`;
+  const chatId = msg.chat?.id?.toString() || tgId;
+
+  return dispatchCommand({
+    msg,
+    from,
+    tgId,
+    username,
+    chatId,
+    command: parsed.name,
+    args: parsed.args,
+    argText: parsed.argText
+  });
+}
+
+async function processTelegramUpdate(body) {
+  const updateId = Number(body.update_id);
+  const kind = Object.keys(body).find(k => k !== 'update_id') || null;
+  const msg = body.message || body.callback_query?.message;
+  const base = {
+    update_id: updateId,
+    kind,
+    user: pseudonymizeId((body.message || body.callback_query)?.from?.id),
+    chat_type: msg?.chat?.type ?? null,
+    command: body.message ? (String(body.message.text || body.message.caption || '').match(/^\/([A-Za-z0-9_]+)/)?.[1] ?? null) : null
+  };
+
+  if (!(await claimTelegramUpdate(updateId, kind))) {
+    logTelegramUpdate({ ...base, status: 'duplicate' });
+    return;
+  }
 
-    // nothing else handled
-    return res.json({ ok: true });
+  const started = Date.now();
+  try {
+    const result = await handleTelegramUpdate(body);
+    logTelegramUpdate({ ...base, status: result?.ignored ? 'ignored' : 'done', ok: result?.ok !== false, ms: Date.now() - started });
+    await finishTelegramUpdate(updateId, null);
   } catch (err) {
-    console.error('telegram webhook error', err);
-    return res.status(500).json({ error: err?.message || 'server error' });
+    logTelegramUpdate({ ...base, status: 'failed', error: err?.message || String(err), ms: Date.now() - started });
+    await finishTelegramUpdate(updateId, err?.message || String(err));
   }
+}
+
+app.post(TELEGRAM_WEBHOOK_PATH, (req, res) => {
+  if (!isValidWebhookSecret(req.get('X-Telegram-Bot-Api-Secret-Token'))) {
+    console.warn('telegram webhook: bad secret token from', req.ip);
+    return res.sendStatus(401);
+  }
+
+  const body = req.body;
+  if (!body || !Number.isSafeInteger(Number(body.update_id))) return res.sendStatus(200);
+
+  res.sendStatus(200);
+  processTelegramUpdate(body).catch(err => console.error('telegram update processing error', err?.message || err));
 });
 
+/**
+ * Point Telegram at this server: PUBLIC_URL + webhook path, with the secret token
+ * Telegram will echo in X-Telegram-Bot-Api-Secret-Token.
+ */
+async function registerTelegramWebhook() {
+  if (!PUBLIC_URL) return { ok: false, description: 'PUBLIC_URL not set' };
+  const url = `${PUBLIC_URL}${TELEGRAM_WEBHOOK_PATH}`;
+  const result = await callTelegram('setWebhook', {
+    url,
+    allowed_updates: TELEGRAM_UPDATE_TYPES,
+    secret_token: TELEGRAM_WEBHOOK_SECRET
+  });
+  return result.ok ? { ok: true, url } : { ok: false, description: result.description };
+}
+
+async function pruneTelegramUpdates() {
+  try {
+    await repo.pruneTelegramUpdates(TELEGRAM_UPDATES_KEEP_DAYS);
+  } catch (e) {
+    console.error('prune_telegram_updates error', e?.message || e);
+  }
+}
+
 // ---- Start server ----
 app.listen(PORT, () => {
   console.log(`Server listening on port ${PORT}`);
 });
+
+// ---- Background jobs ----
+takeNetworkSnapshot();
+setInterval(takeNetworkSnapshot, NETWORK_SNAPSHOT_INTERVAL_MS);
+setInterval(() => releaseReferralRewards(), REFERRAL_RELEASE_INTERVAL_MS);
+setInterval(runBroadcastWorker, BROADCAST_POLL_MS);
+setInterval(sendDailyReminders, DAILY_REMINDER_INTERVAL_MS);
+setInterval(refreshRiskScores, RISK_REFRESH_INTERVAL_MS);
+setInterval(pruneTelegramUpdates, 24 * 60 * 60 * 1000);
+setInterval(pruneActionRequests, 24 * 60 * 60 * 1000);
+setInterval(reconcileBusinessTotals, BUSINESS_TOTALS_RECONCILE_INTERVAL_MS);
+if (WEBHOOK_AUTO_REGISTER) {
+  registerTelegramWebhook().then(r => console.log(r.ok ? 'webhook registered' : `webhook registration failed: ${r.description}`));
+}
@@ -0,0 +1,21 @@
+// repository/index.js - picks the data backend (DATA_BACKEND env var)
+//
+// Both backends expose the same async methods (users, businesses & income,
+// daily check-ins, quests, boosts, transfers, referrals, stats, broadcasts,
+// admin audit, anti-bot, telegram updates, idempotent actions). Rows use the column names from sql/schema.sql and function results
+// the json the SQL functions return, so callers don't care which backend they
+// talk to.
+import { createSupabaseRepository } from './supabase.js';
+import { createMemoryRepository } from './memory.js';
+
+export const DATA_BACKENDS = ['supabase', 'memory'];
+
+/**
+ * kind: 'supabase' (needs SUPABASE_URL and SUPABASE_SERVICE_KEY) or 'memory'
+ * (no external services, state is lost on restart).
+ */
+export function createRepository(kind, { supabaseUrl, supabaseServiceKey } = {}) {
+  if (kind === 'memory') return createMemoryRepository();
+  if (kind === 'supabase') return createSupabaseRepository({ url: supabaseUrl, serviceKey: supabaseServiceKey });
+  throw new Error(`unknown data backend "${kind}", expected one of ${DATA_BACKENDS.join(', ')}`);
+}
@@ -0,0 +1,1350 @@
+// repository/memory.js - in-process data store for local runs and integration tests
+//
+// Mirrors the SQL in sql/schema.sql (purchase_business, manual_refer_by_id, mine_coins,
+// claim_idle_income, the coin ledger and XP/level triggers, ...) closely enough that the
+// API behaves the same. Each method runs synchronously to completion, which gives the
+// same atomicity the SQL functions get from row locks. Nothing is persisted.
+
+// Seeds from schema.sql
+const SEED_BUSINESSES = [
+  ['DAPP', 'CIFCI Tech & AI', 1],
+  ['TOTO_VAULT', 'CIFCI Crypto & Blockchain', 2],
+  ['CIFCI_STABLE', 'CIFCI Real Estate', 3],
+  ['TYPOGRAM', 'CIFCI Energy', 4],
+  ['APPLE', 'CIFCI Infrastructure', 5],
+  ['BITCOIN', 'CIFCI Space & Exploration', 6]
+].map(([name, displayName, sortOrder]) => ({
+  name,
+  display_name: displayName,
+  cost: 1000,
+  cost_growth: 1.15,
+  income: 1,
+  sort_order: sortOrder,
+  enabled: true,
+  min_level: 1
+}));
+
+const SEED_LEVELS = [
+  { level: 1, title: 'Intern', xp_required: 0, reward: 0, passive_bonus_pct: 0 },
+  { level: 2, title: 'Manager', xp_required: 1000, reward: 100, passive_bonus_pct: 5 },
+  { level: 3, title: 'CEO', xp_required: 10000, reward: 1000, passive_bonus_pct: 10 },
+  { level: 4, title: 'Tycoon', xp_required: 100000, reward: 10000, passive_bonus_pct: 20 },
+  { level: 5, title: 'CEO TOTO 💎', xp_required: 700000, reward: 50000, passive_bonus_pct: 35 }
+];
+
+const SEED_DAILY_LADDER = [[1, 50], [2, 75], [3, 100], [4, 150], [5, 200], [6, 300], [7, 500]]
+  .map(([day, reward]) => ({ day, reward }));
+
+const SEED_QUESTS = [
+  {
+    id: 'join_channel',
+    title: 'Join our Telegram channel',
+    description: 'Stay up to date with CIFCI news.',
+    type: 'channel_join',
+    reward: 500,
+    link: null,
+    chat_id: null,
+    verification: 'telegram_member',
+    min_wait_sec: 0,
+    sort_order: 1,
+    enabled: true
+  },
+  {
+    id: 'follow_x',
+    title: 'Follow us on X',
+    description: 'Follow CIFCI on X.',
+    type: 'link_visit',
+    reward: 300,
+    link: null,
+    chat_id: null,
+    verification: 'timed',
+    min_wait_sec: 30,
+    sort_order: 2,
+    enabled: false
+  }
+];
+
+const SEED_BOOSTS = [
+  ['mine_x2', '2× Mining', 'Double coins from every mine for 1 hour.', 'mine_multiplier', 2, 3600, 150, null, 1],
+  ['cooldown_half', 'Fast Hands', 'Halve the mining cooldown for 30 minutes.', 'cooldown_multiplier', 0.5, 1800, 100, null, 2],
+  ['passive_x2', '2× Business Income', 'Double passive income for 1 hour.', 'passive_multiplier', 2, 3600, 300, null, 3],
+  ['cooldown_refill', 'Energy Refill', 'Skip the current mining cooldown.', 'cooldown_refill', 1, null, 20, 3, 4]
+].map(([id, title, description, effect, value, durationSec, cost, dailyLimit, sortOrder]) => ({
+  id,
+  title,
+  description,
+  effect,
+  value,
+  duration_sec: durationSec,
+  cost,
+  daily_limit: dailyLimit,
+  sort_order: sortOrder,
+  enabled: true
+}));
+
+const REFERRAL_LEVELS = [{ level: 1, percent: 10 }, { level: 2, percent: 5 }];
+const REFERRAL_BONUS = 100;
+const SIGNUP_COINS = 100;
+const MAX_AFFORDABLE_LIMIT = 100;
+const SUPPLY_CAP = 70000000000;
+const SEED_HALVINGS = [35000000000, 52500000000, 61250000000, 65625000000];
+
+// Ledger reasons that count as earnings (trg_track_xp)
+const XP_REASONS = ['mine', 'passive', 'referral_bonus', 'referral_commission', 'daily', 'quest'];
+// Not "earned" on the leaderboard (leaderboard_scores)
+const UNEARNED_REASONS = ['admin', 'signup', 'transfer_in'];
+
+const USER_DEFAULTS = {
+  username: null,
+  coins: 0,
+  businesses: {},
+  level: 1,
+  xp: 0,
+  last_mine: 0,
+  last_claim: null,
+  referrals_count: 0,
+  referred_by: null,
+  subscribed: true,
+  banned: false,
+  banned_at: null,
+  ban_reason: null,
+  daily_streak: 0,
+  daily_last_date: null,
+  daily_claimed_at: null,
+  daily_tz_offset: 0,
+  daily_reminded_on: null
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const clone = (value) => (value === null || value === undefined ? value : structuredClone(value));
+const isoNow = () => new Date().toISOString();
+const ms = (iso) => new Date(iso).getTime();
+
+/**
+ * Repository with all state in memory. Same interface as createSupabaseRepository.
+ */
+export function createMemoryRepository() {
+  const users = new Map();
+  const transactions = [];
+  const businesses = new Map(SEED_BUSINESSES.map(b => [b.name, { ...b }]));
+  const levels = SEED_LEVELS.map(l => ({ ...l }));
+  const dailyLadder = SEED_DAILY_LADDER.map(d => ({ ...d }));
+  const quests = new Map(SEED_QUESTS.map(q => [q.id, { ...q, created_at: isoNow() }]));
+  const questProgress = new Map(); // `${user_id}|${quest_id}` -> row
+  const boosts = new Map(SEED_BOOSTS.map(b => [b.id, { ...b }]));
+  const userBoosts = [];
+  const transfers = [];
+  const broadcastJobs = new Map(); // id -> row
+  const broadcastRecipients = new Map(); // `${job_id}|${user_id}` -> row
+  const levelUps = new Set(); // `${user_id}:${level}`
+  const referralRewards = new Map(); // referred_id -> row
+  const referralCommissions = [];
+  const snapshots = [];
+  const adminAudit = [];
+  const userIps = new Map(); // `${user_id}|${ip_hash}` -> row
+  const userRisk = new Map();
+  const telegramUpdates = new Map();
+  const actionRequests = new Map(); // `${user_id}|${idempotency_key}` -> row
+  const businessPurchases = [];
+  const businessTotals = new Map(); // name -> { total_qty, total_invested, holders }
+  const ids = { transaction: 0, commission: 0, snapshot: 0, audit: 0, purchase: 0, boost: 0, transfer: 0, broadcast: 0 };
+  const emission = { supply_cap: SUPPLY_CAP, minted: 0, halvings: [...SEED_HALVINGS] };
+
+  // ---- Ledger, XP and levels (log_coin_change, track_xp, reward_level_up) ----
+  function logCoinChange(user, delta, reason, ref = null) {
+    if (delta === 0) return;
+    transactions.push({
+      id: ++ids.transaction,
+      user_id: user.id,
+      delta,
+      balance_after: user.coins,
+      reason,
+      ref,
+      created_at: isoNow()
+    });
+  }
+
+  function levelForXp(xp) {
+    return levels.reduce((best, l) => (l.xp_required <= xp && l.level > best ? l.level : best), 1);
+  }
+
+  function levelPassiveBonus(level) {
+    return levels.find(l => l.level === level)?.passive_bonus_pct ?? 0;
+  }
+
+  // ---- Emission (emission_epoch, emission_multiplier, trg_cap_emission) ----
+  function emissionRemaining() {
+    return Math.max(emission.supply_cap - emission.minted, 0);
+  }
+
+  function emissionEpoch() {
+    return emission.halvings.filter(at => at <= emission.minted).length;
+  }
+
+  function emissionMultiplier() {
+    return emissionRemaining() === 0 ? 0 : Math.pow(0.5, emissionEpoch());
+  }
+
+  // New coins count as minted; whatever would pass the cap is not credited
+  function mint(amount, reason) {
+    if (amount <= 0 || reason === 'transfer_in') return amount;
+    const granted = Math.min(amount, emissionRemaining());
+    emission.minted += granted;
+    return granted;
+  }
+
+  // The one way coins change: ledger row, XP for earnings, then rewards for levels reached
+  function changeCoins(user, amount, reason, ref = null) {
+    const prevLevel = user.level;
+    const delta = mint(amount, reason);
+    user.coins += delta;
+    if (delta > 0 && XP_REASONS.includes(reason)) {
+      user.xp += delta;
+      user.level = Math.max(user.level, levelForXp(user.xp));
+    }
+    logCoinChange(user, delta, reason, ref);
+
+    if (user.level > prevLevel) {
+      let bonus = 0;
+      for (const l of levels) {
+        const key = `${user.id}:${l.level}`;
+        if (l.level > prevLevel && l.level <= user.level && !levelUps.has(key)) {
+          levelUps.add(key);
+          bonus += l.reward;
+        }
+      }
+      if (bonus > 0) changeCoins(user, bonus, 'level_up', String(user.level));
+    }
+  }
+
+  // ---- Business totals (trg_update_business_totals, trg_business_purchase_totals) ----
+  function totalsRow(name) {
+    let row = businessTotals.get(name);
+    if (!row) {
+      row = { total_qty: 0, total_invested: 0, holders: 0 };
+      businessTotals.set(name, row);
+    }
+    return row;
+  }
+
+  const ownedQty = (value) => Math.max(Number(value) || 0, 0);
+
+  // Units and holders from the change to one user's businesses JSON
+  function applyBusinessesChange(before = {}, after = {}) {
+    for (const name of new Set([...Object.keys(before || {}), ...Object.keys(after || {})])) {
+      const oldQty = ownedQty(before?.[name]);
+      const newQty = ownedQty(after?.[name]);
+      if (oldQty === newQty) continue;
+      const row = totalsRow(name);
+      row.total_qty += newQty - oldQty;
+      row.holders += oldQty === 0 ? 1 : newQty === 0 ? -1 : 0;
+    }
+  }
+
+  // Log a purchase with the coins charged; invested grows by exactly that
+  function logPurchase(name, userId, qty, cost) {
+    businessPurchases.push({ id: ++ids.purchase, business: name, user_id: userId, qty, cost, created_at: isoNow() });
+    totalsRow(name).total_invested += cost;
+  }
+
+  function insertUser(row) {
+    if (row.referred_by !== null && row.referred_by !== undefined && row.referred_by === row.id) {
+      throw new Error('violates check constraint "no_self_referral"');
+    }
+    const user = { ...USER_DEFAULTS, ...clone(row), id: String(row.id), created_at: isoNow() };
+    user.coins = mint(Number(user.coins) || 0, 'signup');
+    users.set(user.id, user);
+    logCoinChange(user, user.coins, 'signup');
+    applyBusinessesChange({}, user.businesses);
+    return user;
+  }
+
+  // ---- Pricing (business_price, business_max_affordable, passive_income_rate) ----
+  // Postgres computes this in exact numeric; toPrecision drops float noise (1322.4999... -> 1322.5) before rounding
+  function businessPrice(business, owned, qty) {
+    let total = 0;
+    for (let k = 0; k < qty; k++) {
+      total += Math.round(Number((business.cost * Math.pow(business.cost_growth, owned + k)).toPrecision(12)));
+    }
+    return total;
+  }
+
+  function maxAffordable(business, owned, coins, limit = MAX_AFFORDABLE_LIMIT) {
+    let n = 0;
+    let spent = 0;
+    while (n < limit) {
+      const unit = businessPrice(business, owned + n, 1);
+      if (spent + unit > coins) break;
+      spent += unit;
+      n++;
+    }
+    return n;
+  }
+
+  function passiveIncomeRate(owned = {}) {
+    let rate = 0;
+    for (const [name, qty] of Object.entries(owned)) {
+      const business = businesses.get(name);
+      if (business) rate += business.income * (Number(qty) || 0);
+    }
+    return rate;
+  }
+
+  // What claim_idle_income pays per minute: catalog income, level bonus, emission epoch
+  function paidPassiveRate(user) {
+    return Math.floor(Math.floor((passiveIncomeRate(user.businesses) * (100 + levelPassiveBonus(user.level))) / 100) * emissionMultiplier());
+  }
+
+  // pay_referral_commissions: uplines get their share, minted on top
+  function payReferralCommissions(userId, amount) {
+    if (amount <= 0) return 0;
+    let total = 0;
+    let cur = userId;
+    for (const lvl of REFERRAL_LEVELS) {
+      const upline = users.get(cur)?.referred_by ?? null;
+      if (upline === null) break;
+
+      const share = Math.min(Math.floor((amount * lvl.percent) / 100), emissionRemaining());
+      const earner = users.get(upline);
+      if (share > 0 && earner) {
+        changeCoins(earner, share, 'referral_commission', userId);
+        referralCommissions.push({
+          id: ++ids.commission,
+          earner_id: upline,
+          source_id: userId,
+          level: lvl.level,
+          source_amount: amount,
+          amount: share,
+          created_at: isoNow()
+        });
+        total += share;
+      }
+      cur = upline;
+    }
+    return total;
+  }
+
+  function mineCount(userId) {
+    return transactions.filter(t => t.user_id === userId && t.reason === 'mine').length;
+  }
+
+  // ---- Daily check-in (daily_ladder_day, local dates) ----
+  function dailyLadderDay(streak) {
+    return ((Math.max(streak, 1) - 1) % Math.max(dailyLadder.length, 1)) + 1;
+  }
+
+  // 'YYYY-MM-DD' at an offset in minutes east of UTC, optionally shifted by whole days
+  function localDate(offsetMin, now = Date.now(), shiftDays = 0) {
+    return new Date(now + offsetMin * 60_000 + shiftDays * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  // ---- Boosts (boost_multiplier, boost_bonus_ms) ----
+  function boostMultiplier(userId, effect, now) {
+    let value = null;
+    for (const b of userBoosts) {
+      if (b.user_id === userId && b.effect === effect && b.starts_at <= now && b.expires_at > now) {
+        value = Math.max(value ?? b.value, b.value);
+      }
+    }
+    return value ?? 1;
+  }
+
+  // Extra boosted time inside [from, to): sum of overlap_ms * (value - 1)
+  function boostBonusMs(userId, effect, from, to) {
+    let bonus = 0;
+    for (const b of userBoosts) {
+      if (b.user_id === userId && b.effect === effect && b.starts_at < to && b.expires_at > from) {
+        bonus += Math.max(Math.min(b.expires_at, to) - Math.max(b.starts_at, from), 0) * (b.value - 1);
+      }
+    }
+    return bonus;
+  }
+
+  // ---- Broadcasts (broadcast_audience) ----
+  const BROADCAST_CLAIM_STALE_MS = 5 * 60 * 1000;
+
+  function broadcastAudience(audience = {}) {
+    const now = Date.now();
+    return [...users.values()].filter(u => {
+      if (!u.subscribed) return false;
+      if (audience.minLevel != null && u.level < Number(audience.minLevel)) return false;
+      if (audience.inactiveDays != null && (u.last_mine || 0) >= now - Number(audience.inactiveDays) * DAY_MS) return false;
+      const owned = Object.entries(u.businesses || {}).filter(([, qty]) => Number(qty) > 0).map(([name]) => name);
+      if (audience.owners && owned.length === 0) return false;
+      if (audience.business != null && !owned.includes(audience.business)) return false;
+      return true;
+    }).map(u => u.id);
+  }
+
+  function jobRecipients(jobId) {
+    return [...broadcastRecipients.values()].filter(r => r.job_id === jobId);
+  }
+
+  // ---- Stats helpers (network_aggregates, leaderboard_scores) ----
+  function aggregates() {
+    const dayAgo = Date.now() - DAY_MS;
+    let totalSupply = 0;
+    let totalBusinesses = 0;
+    let activeMiners = 0;
+    let newUsers = 0;
+    for (const u of users.values()) {
+      totalSupply += u.coins;
+      for (const qty of Object.values(u.businesses || {})) totalBusinesses += Number(qty) || 0;
+      if ((u.last_mine || 0) >= dayAgo) activeMiners++;
+      if (ms(u.created_at) >= dayAgo) newUsers++;
+    }
+    return {
+      total_supply: totalSupply,
+      minted: emission.minted,
+      total_users: users.size,
+      total_businesses: totalBusinesses,
+      daily_active_miners: activeMiners,
+      new_users: newUsers
+    };
+  }
+
+  // Monday 00:00 UTC (date_trunc('week', now()))
+  function startOfWeek() {
+    const d = new Date();
+    d.setUTCHours(0, 0, 0, 0);
+    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+    return d.getTime();
+  }
+
+  function leaderboardScores(board, period) {
+    const since = period === 'week' ? startOfWeek() : null;
+    const all = [...users.values()];
+
+    if (board === 'coins') return all.map(u => ({ user_id: u.id, username: u.username, score: u.coins }));
+
+    if (board === 'earned') {
+      const sums = new Map();
+      for (const t of transactions) {
+        if (t.delta <= 0 || UNEARNED_REASONS.includes(t.reason)) continue;
+        if (since !== null && ms(t.created_at) < since) continue;
+        sums.set(t.user_id, (sums.get(t.user_id) || 0) + t.delta);
+      }
+      return [...sums].filter(([id]) => users.has(id))
+        .map(([id, score]) => ({ user_id: id, username: users.get(id).username, score }));
+    }
+
+    if (board === 'passive') return all.map(u => ({ user_id: u.id, username: u.username, score: paidPassiveRate(u) }));
+
+    if (board === 'referrals' && since === null) {
+      return all.map(u => ({ user_id: u.id, username: u.username, score: u.referrals_count || 0 }));
+    }
+
+    if (board === 'referrals') {
+      const counts = new Map();
+      for (const rr of referralRewards.values()) {
+        if (rr.status === 'released' && users.has(rr.referrer_id) && ms(rr.released_at) >= since) {
+          counts.set(rr.referrer_id, (counts.get(rr.referrer_id) || 0) + 1);
+        }
+      }
+      return [...counts].map(([id, score]) => ({ user_id: id, username: users.get(id).username, score }));
+    }
+
+    throw new Error(`unknown leaderboard ${board}`);
+  }
+
+  return {
+    kind: 'memory',
+
+    // ---- Users ----
+    async getUser(id) {
+      return clone(users.get(String(id)) ?? null);
+    },
+
+    async createUser(row) {
+      const existing = users.get(String(row.id));
+      return clone(existing ?? insertUser(row));
+    },
+
+    async updateUser(id, patch) {
+      const user = users.get(String(id));
+      if (!user) return null;
+      const { coins, ...rest } = clone(patch);
+      const before = user.businesses;
+      Object.assign(user, rest);
+      if (rest.businesses !== undefined) applyBusinessesChange(before, user.businesses);
+      if (coins !== undefined) changeCoins(user, Number(coins) - user.coins, 'admin');
+      return clone(user);
+    },
+
+    async findUserByUsername(username, { ignoreCase = false } = {}) {
+      const wanted = ignoreCase ? String(username).toLowerCase() : String(username);
+      for (const u of users.values()) {
+        const name = u.username === null ? null : ignoreCase ? u.username.toLowerCase() : u.username;
+        if (name === wanted) return { id: u.id, username: u.username };
+      }
+      return null;
+    },
+
+    async listRecentUsers(limit) {
+      return [...users.values()].sort((a, b) => ms(b.created_at) - ms(a.created_at)).slice(0, limit).map(clone);
+    },
+
+    async listCoinTransactions(userId, { limit, before = null }) {
+      const rows = [];
+      for (let i = transactions.length - 1; i >= 0 && rows.length < limit; i--) {
+        const t = transactions[i];
+        if (t.user_id === String(userId) && (before === null || t.id < before)) {
+          rows.push({ id: t.id, delta: t.delta, balance_after: t.balance_after, reason: t.reason, ref: t.ref, created_at: t.created_at });
+        }
+      }
+      return rows;
+    },
+
+    // admin_adjust_coins
+    async adjustCoins({ adminId, userId, delta, reason }) {
+      if (delta === 0) return { success: false, error: 'zero_amount' };
+      const user = users.get(String(userId));
+      if (!user) return { success: false, error: 'user_not_found' };
+      if (user.coins + delta < 0) return { success: false, error: 'insufficient_balance', coins: user.coins };
+
+      const before = user.coins;
+      changeCoins(user, delta, 'admin', reason === null ? null : String(reason).slice(0, 200));
+      adminAudit.push({
+        id: ++ids.audit,
+        admin_id: String(adminId),
+        action: 'coins.adjust',
+        target: user.id,
+        details: { delta, reason, coins_before: before, coins_after: user.coins },
+        created_at: isoNow()
+      });
+      return { success: true, coins: user.coins, delta };
+    },
+
+    // ---- Businesses, mining & idle income ----
+    async listBusinesses() {
+      return [...businesses.values()]
+        .sort((a, b) => a.sort_order - b.sort_order || (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+        .map(clone);
+    },
+
+    async updateBusiness(name, patch) {
+      const business = businesses.get(name);
+      if (!business) return null;
+      Object.assign(business, clone(patch));
+      return clone(business);
+    },
+
+    async listLevels() {
+      return [...levels].sort((a, b) => a.level - b.level).map(clone);
+    },
+
+    // quote_business (qty null = max affordable)
+    async quoteBusiness({ userId, business: name, qty }) {
+      const business = businesses.get(name);
+      if (!business || !business.enabled) return { success: false, error: 'unknown_business' };
+      const user = users.get(String(userId));
+      if (!user) return { success: false, error: 'user_not_found' };
+
+      const owned = Number(user.businesses?.[name]) || 0;
+      let n = qty;
+      if (n === null || n === undefined) n = maxAffordable(business, owned, user.coins);
+      else if (n <= 0) return { success: false, error: 'invalid_qty' };
+
+      const total = businessPrice(business, owned, n);
+      return {
+        success: true,
+        business: name,
+        owned,
+        qty: n,
+        next_price: businessPrice(business, owned, 1),
+        total,
+        coins: user.coins,
+        affordable: n > 0 && user.coins >= total
+      };
+    },
+
+    // purchase_business (qty null = as many as the balance allows)
+    async purchaseBusiness({ userId, business: name, qty }) {
+      if (qty !== null && qty !== undefined && qty <= 0) return { success: false, error: 'invalid_qty' };
+
+      const business = businesses.get(name);
+      if (!business || !business.enabled) return { success: false, error: 'unknown_business' };
+      const user = users.get(String(userId));
+      if (!user) return { success: false, error: 'user_not_found' };
+
+      if (user.level < business.min_level) return { success: false, error: 'level_locked', min_level: business.min_level };
+
+      const owned = Number(user.businesses?.[name]) || 0;
+      let n = qty;
+      if (n === null || n === undefined) {
+        n = maxAffordable(business, owned, user.coins);
+        if (n === 0) return { success: false, error: 'insufficient_funds' };
+      }
+
+      const cost = businessPrice(business, owned, n);
+      if (user.coins < cost) return { success: false, error: 'insufficient_funds' };
+
+      const before = user.businesses;
+      user.businesses = { ...user.businesses, [name]: owned + n };
+      applyBusinessesChange(before, user.businesses);
+      changeCoins(user, -cost, 'purchase', `${name} x${n}`);
+      logPurchase(name, user.id, n, cost);
+
+      return { success: true, business: name, owned: owned + n, qty: n, cost, coins: user.coins };
+    },
+
+    // mine_coins: active boosts scale the reward and the cooldown, then the emission epoch applies
+    async mineCoins({ userId, amount, now, cooldownMs }) {
+      const user = users.get(String(userId));
+      if (!user) return { success: false, error: 'user_not_found' };
+      const cooldown = Math.ceil(cooldownMs * boostMultiplier(user.id, 'cooldown_multiplier', now));
+      if ((user.last_mine || 0) > now - cooldown) {
+        return { success: false, error: 'cooldown', last_mine: user.last_mine, cooldown_ms: cooldown };
+      }
+
+      const boosted = Math.floor(amount * boostMultiplier(user.id, 'mine_multiplier', now));
+      const earned = Math.min(Math.floor(boosted * emissionMultiplier() + Math.random()), emissionRemaining());
+      user.last_mine = now;
+      changeCoins(user, earned, 'mine');
+      payReferralCommissions(user.id, earned);
+
+      return { success: true, earned, coins: user.coins, last_mine: now, cooldown_ms: cooldown };
+    },
+
+    // claim_idle_income: fractions of a coin carry over via last_claim
+    async claimIdleIncome({ userId, now, capMs }) {
+      const user = users.get(String(userId));
+      if (!user) return { success: false, error: 'user_not_found' };
+
+      const since = user.last_claim ?? (user.last_mine || null) ?? now;
+      const elapsed = Math.max(now - since, 0);
+      const credited = Math.min(elapsed, capMs);
+      const rate = paidPassiveRate(user);
+      const accrued = Math.floor((rate * credited) / 60000);
+      // Passive boosts pay extra only for the credited time they were running (the latest capMs when capped)
+      const boosted = Math.floor((rate * boostBonusMs(user.id, 'passive_multiplier', now - credited, now)) / 60000);
+      const earned = Math.min(accrued + boosted, emissionRemaining());
+
+      user.last_claim = rate > 0 && elapsed <= capMs ? since + Math.floor((accrued * 60000) / rate) : now;
+      changeCoins(user, earned, 'passive');
+      payReferralCommissions(user.id, earned);
+
+      return {
+        success: true,
+        earned,
+        boosted,
+        rate_per_min: rate,
+        elapsed_ms: elapsed,
+        credited_ms: credited,
+        cap_ms: capMs,
+        capped: elapsed > capMs,
+        coins: user.coins,
+        level: user.level,
+        xp: user.xp
+      };
+    },
+
+    // ---- Daily check-in ----
+    async listDailyLadder() {
+      return [...dailyLadder].sort((a, b) => a.day - b.day).map(clone);
+    },
+
+    // claim_daily_reward
+    async claimDailyReward({ userId, tzOffset }) {
+      const user = users.get(String(userId));
+      if (!user) return { success: false, error: 'user_not_found' };
+
+      const now = Date.now();
+      // Timezone can only move once a full day has passed since the last claim
+      let offset = tzOffset ?? user.daily_tz_offset;
+      if (offset !== user.daily_tz_offset && user.daily_claimed_at && ms(user.daily_claimed_at) > now - DAY_MS) {
+        offset = user.daily_tz_offset;
+      }
+
+      const today = localDate(offset, now);
+      if (user.daily_last_date === today) {
+        return { success: false, error: 'already_claimed', streak: user.daily_streak, today };
+      }
+
+      const streak = user.daily_last_date === localDate(offset, now, -1) ? user.daily_streak + 1 : 1;
+      const day = dailyLadderDay(streak);
+      const reward = dailyLadder.find(d => d.day === day)?.reward ?? 0;
+
+      Object.assign(user, { daily_streak: streak, daily_last_date: today, daily_claimed_at: isoNow(), daily_tz_offset: offset });
+      changeCoins(user, reward, 'daily', `day ${day}`);
+
+      return { success: true, reward, streak, day, today, coins: user.coins, level: user.level, xp: user.xp };
+    },
+
+    // daily_streak_reminders: marks the players returned as reminded for their local today
+    async dailyStreakReminders({ localHour, limit = 500 }) {
+      const now = Date.now();
+      const due = [];
+      for (const u of users.values()) {
+        if (due.length >= limit) break;
+        if (!u.subscribed || u.banned || !(u.daily_streak > 0)) continue;
+
+        const today = localDate(u.daily_tz_offset, now);
+        const localHourNow = new Date(now + u.daily_tz_offset * 60_000).getUTCHours();
+        if (u.daily_last_date !== localDate(u.daily_tz_offset, now, -1) || localHourNow < localHour) continue;
+        if (u.daily_reminded_on !== null && u.daily_reminded_on >= today) continue;
+
+        u.daily_reminded_on = today;
+        due.push({
+          user_id: u.id,
+          streak: u.daily_streak,
+          next_reward: dailyLadder.find(d => d.day === dailyLadderDay(u.daily_streak + 1))?.reward ?? null
+        });
+      }
+      return due;
+    },
+
+    // ---- Quests ----
+    async listQuests() {
+      return [...quests.values()].filter(q => q.enabled).sort((a, b) => a.sort_order - b.sort_order).map(clone);
+    },
+
+    async getQuest(questId) {
+      const quest = quests.get(questId);
+      return quest?.enabled ? clone(quest) : null;
+    },
+
+    async listQuestProgress(userId) {
+      return [...questProgress.values()].filter(p => p.user_id === String(userId)).map(clone);
+    },
+
+    // start_quest
+    async startQuest({ userId, questId }) {
+      if (!quests.get(questId)?.enabled) return { success: false, error: 'quest_not_found' };
+      const key = `${userId}|${questId}`;
+      if (!questProgress.has(key)) {
+        questProgress.set(key, { user_id: String(userId), quest_id: questId, status: 'started', started_at: isoNow(), completed_at: null, reward: null });
+      }
+      const p = questProgress.get(key);
+      return { success: true, status: p.status, started_at: p.started_at };
+    },
+
+    // complete_quest (telegram_member quests are verified by the caller)
+    async completeQuest({ userId, questId }) {
+      const quest = quests.get(questId);
+      if (!quest?.enabled) return { success: false, error: 'quest_not_found' };
+      const user = users.get(String(userId));
+      if (!user) return { success: false, error: 'user_not_found' };
+
+      const key = `${user.id}|${questId}`;
+      const p = questProgress.get(key);
+      if (p?.status === 'completed') return { success: false, error: 'already_completed' };
+
+      if (quest.verification === 'timed') {
+        if (!p) return { success: false, error: 'not_started' };
+        const waitSec = Math.ceil((ms(p.started_at) + quest.min_wait_sec * 1000 - Date.now()) / 1000);
+        if (waitSec > 0) return { success: false, error: 'too_soon', wait_sec: waitSec };
+      }
+
+      questProgress.set(key, {
+        user_id: user.id,
+        quest_id: questId,
+        status: 'completed',
+        started_at: p?.started_at ?? isoNow(),
+        completed_at: isoNow(),
+        reward: quest.reward
+      });
+      changeCoins(user, quest.reward, 'quest', questId);
+
+      return { success: true, reward: quest.reward, coins: user.coins, level: user.level, xp: user.xp };
+    },
+
+    // ---- Boosts ----
+    async listBoosts() {
+      return [...boosts.values()].filter(b => b.enabled).sort((a, b) => a.sort_order - b.sort_order).map(clone);
+    },
+
+    async listUserBoosts({ userId, now, since }) {
+      return userBoosts
+        .filter(b => b.user_id === String(userId) && (b.expires_at > now || b.starts_at >= since))
+        .sort((a, b) => a.starts_at - b.starts_at)
+        .map(({ id, boost_id, effect, value, starts_at, expires_at }) => ({ id, boost_id, effect, value, starts_at, expires_at }));
+    },
+
+    // buy_boost: a boost of an effect that is already running is queued after it
+    async buyBoost({ userId, boostId, now, cooldownMs }) {
+      const boost = boosts.get(boostId);
+      if (!boost?.enabled) return { success: false, error: 'unknown_boost' };
+      const user = users.get(String(userId));
+      if (!user) return { success: false, error: 'user_not_found' };
+
+      if (boost.daily_limit !== null) {
+        const dayStart = now - (now % DAY_MS);
+        const usedToday = userBoosts.filter(b => b.user_id === user.id && b.boost_id === boost.id && b.starts_at >= dayStart).length;
+        if (usedToday >= boost.daily_limit) return { success: false, error: 'daily_limit', limit: boost.daily_limit };
+      }
+
+      if (boost.effect === 'cooldown_refill'
+        && (user.last_mine || 0) <= now - Math.round(cooldownMs * boostMultiplier(user.id, 'cooldown_multiplier', now))) {
+        return { success: false, error: 'not_on_cooldown' };
+      }
+
+      if (user.coins < boost.cost) return { success: false, error: 'insufficient_funds' };
+
+      let startsAt = now;
+      let expiresAt = now;
+      if (boost.duration_sec !== null) {
+        for (const b of userBoosts) {
+          if (b.user_id === user.id && b.effect === boost.effect && b.expires_at > startsAt) startsAt = b.expires_at;
+        }
+        expiresAt = startsAt + boost.duration_sec * 1000;
+      }
+
+      changeCoins(user, -boost.cost, 'boost', boost.id);
+      if (boost.effect === 'cooldown_refill') user.last_mine = Math.min(user.last_mine || 0, now - cooldownMs);
+      userBoosts.push({
+        id: ++ids.boost,
+        user_id: user.id,
+        boost_id: boost.id,
+        effect: boost.effect,
+        value: boost.value,
+        cost: boost.cost,
+        starts_at: startsAt,
+        expires_at: expiresAt,
+        created_at: isoNow()
+      });
+
+      return { success: true, boost: boost.id, starts_at: startsAt, expires_at: expiresAt, coins: user.coins, last_mine: user.last_mine };
+    },
+
+    // ---- Transfers ----
+    // transfer_coins: limits are rolling 24h; (from, key) never pays twice
+    async transferCoins({ fromId, toId, amount, key, feePct = 0, dailyLimit = null, dailyCount = null, minAgeSec = 0 }) {
+      if (!key || key.length > 100) return { success: false, error: 'invalid_key' };
+      if (!(amount > 0)) return { success: false, error: 'invalid_amount' };
+      if (fromId === toId) return { success: false, error: 'self_transfer' };
+
+      const sender = users.get(String(fromId));
+      if (!sender) return { success: false, error: 'user_not_found' };
+
+      // Same key again: report the original transfer, if it is the same transfer
+      const original = transfers.find(t => t.from_user_id === sender.id && t.idempotency_key === key);
+      if (original) {
+        if (original.to_user_id !== String(toId) || original.amount !== amount) return { success: false, error: 'key_reused' };
+        const { id, to_user_id: to, amount: sent, fee } = original;
+        return { success: true, duplicate: true, id, to, amount: sent, fee, coins: sender.coins };
+      }
+
+      const recipient = users.get(String(toId));
+      if (!recipient) return { success: false, error: 'recipient_not_found' };
+      if (sender.banned) return { success: false, error: 'banned' };
+      if (recipient.banned) return { success: false, error: 'recipient_banned' };
+      const availableAt = ms(sender.created_at) + minAgeSec * 1000;
+      if (availableAt > Date.now()) {
+        return { success: false, error: 'account_too_new', available_at: new Date(availableAt).toISOString() };
+      }
+
+      const dayAgo = Date.now() - DAY_MS;
+      const today = transfers.filter(t => t.from_user_id === sender.id && ms(t.created_at) > dayAgo);
+      const sentToday = today.reduce((sum, t) => sum + t.amount, 0);
+      if (dailyCount !== null && today.length >= dailyCount) {
+        return { success: false, error: 'daily_count', limit: dailyCount };
+      }
+      if (dailyLimit !== null && sentToday + amount > dailyLimit) {
+        return { success: false, error: 'daily_limit', limit: dailyLimit, remaining: Math.max(dailyLimit - sentToday, 0) };
+      }
+
+      const fee = Math.ceil((amount * (feePct || 0)) / 100);
+      if (sender.coins < amount + fee) return { success: false, error: 'insufficient_funds', fee };
+
+      const transfer = {
+        id: ++ids.transfer,
+        from_user_id: sender.id,
+        to_user_id: recipient.id,
+        amount,
+        fee,
+        idempotency_key: key,
+        created_at: isoNow()
+      };
+      transfers.push(transfer);
+      changeCoins(sender, -(amount + fee), 'transfer_out', recipient.id);
+      changeCoins(recipient, amount, 'transfer_in', sender.id);
+
+      return { success: true, duplicate: false, id: transfer.id, to: recipient.id, amount, fee, coins: sender.coins };
+    },
+
+    // ---- Referrals ----
+    // manual_refer_by_id: creates the invitee and holds the inviter's bonus
+    async manualRefer({ referrerId, referredId, referredUsername }) {
+      const referrer = String(referrerId);
+      const referred = String(referredId);
+      if (referrer === referred) return { success: false, error: 'self_referral' };
+      if (users.has(referred)) return { success: false, error: 'already_user' };
+
+      const inviter = users.get(referrer);
+      if (!inviter) return { success: false, error: 'inviter_not_found' };
+
+      insertUser({ id: referred, username: referredUsername, coins: SIGNUP_COINS, businesses: {}, level: 1, last_mine: 0, referrals_count: 0, referred_by: referrer, subscribed: true });
+      referralRewards.set(referred, {
+        referred_id: referred,
+        referrer_id: referrer,
+        amount: REFERRAL_BONUS,
+        status: 'pending',
+        created_at: isoNow(),
+        released_at: null
+      });
+
+      return {
+        success: true,
+        inviter_id: inviter.id,
+        inviter_username: inviter.username,
+        awarded: false,
+        pending: true,
+        amount: REFERRAL_BONUS
+      };
+    },
+
+    // release_referral_rewards: invitee has >= minMines mines on >= minDays UTC days
+    async releaseReferralRewards({ minMines, minDays, referredId = null }) {
+      const released = [];
+      for (const rr of referralRewards.values()) {
+        if (rr.status !== 'pending' || (referredId !== null && rr.referred_id !== String(referredId))) continue;
+        const invitee = users.get(rr.referred_id);
+        if (!invitee) continue;
+
+        const mines = transactions.filter(t => t.user_id === rr.referred_id && t.reason === 'mine');
+        const days = new Set(mines.map(t => t.created_at.slice(0, 10)));
+        if (mines.length < minMines || days.size < minDays) continue;
+
+        rr.status = 'released';
+        rr.released_at = isoNow();
+        const referrer = users.get(rr.referrer_id);
+        if (referrer) {
+          referrer.referrals_count += 1;
+          changeCoins(referrer, rr.amount, 'referral_bonus', rr.referred_id);
+        }
+        released.push({
+          referrer_id: rr.referrer_id,
+          referred_id: rr.referred_id,
+          referred_username: invitee.username,
+          amount: rr.amount
+        });
+      }
+      return released;
+    },
+
+    // referral_team: level 1 and level 2 referrals with commission per member
+    async referralTeam(userId, limit = 200) {
+      const id = String(userId);
+      const byNewest = (a, b) => ms(b.created_at) - ms(a.created_at);
+      const l1 = [...users.values()].filter(u => u.referred_by === id).sort(byNewest);
+      const l1Ids = new Map(l1.map(u => [u.id, u]));
+      const l2 = [...users.values()].filter(u => l1Ids.has(u.referred_by)).sort(byNewest);
+
+      const earned = new Map();
+      for (const c of referralCommissions) {
+        if (c.earner_id === id) earned.set(c.source_id, (earned.get(c.source_id) || 0) + c.amount);
+      }
+      const commission = (m) => earned.get(m.id) || 0;
+
+      const members = [
+        ...l1.map(u => ({ level: 1, u, via: null, bonus: referralRewards.get(u.id)?.status ?? null })),
+        ...l2.map(u => ({ level: 2, u, via: l1Ids.get(u.referred_by), bonus: null }))
+      ]
+        .slice(0, limit)
+        .sort((a, b) => a.level - b.level || commission(b.u) - commission(a.u) || byNewest(a.u, b.u))
+        .map(({ level, u, via, bonus }) => ({
+          level,
+          id: u.id,
+          username: u.username,
+          joined_at: u.created_at,
+          last_mine: u.last_mine,
+          via_id: via?.id ?? null,
+          via_username: via?.username ?? null,
+          bonus_status: bonus,
+          commission: commission(u)
+        }));
+
+      return {
+        levels: Object.fromEntries(REFERRAL_LEVELS.map(l => [l.level, l.percent])),
+        level1_count: l1.length,
+        level2_count: l2.length,
+        commission_total: [...earned.values()].reduce((sum, a) => sum + a, 0),
+        bonus_total: transactions
+          .filter(t => t.user_id === id && t.reason === 'referral_bonus')
+          .reduce((sum, t) => sum + t.delta, 0),
+        members
+      };
+    },
+
+    // referral_audit: fraud signals for one inviter
+    async referralAudit(userId) {
+      const now = Date.now();
+      const inv = [...users.values()]
+        .filter(u => u.referred_by === String(userId))
+        .map(u => ({
+          id: u.id,
+          username: u.username,
+          created_at: u.created_at,
+          reward_status: referralRewards.get(u.id)?.status ?? 'none',
+          mines: mineCount(u.id)
+        }))
+        .sort((a, b) => ms(b.created_at) - ms(a.created_at));
+
+      const count = (pred) => inv.filter(pred).length;
+      const maxBurst = inv.reduce((max, x) => {
+        const end = ms(x.created_at);
+        return Math.max(max, count(y => ms(y.created_at) <= end && ms(y.created_at) >= end - 10 * 60 * 1000));
+      }, 0);
+
+      return {
+        total: inv.length,
+        pending: count(x => x.reward_status === 'pending'),
+        released: count(x => x.reward_status === 'released'),
+        rejected: count(x => x.reward_status === 'rejected'),
+        signups_1h: count(x => ms(x.created_at) >= now - 60 * 60 * 1000),
+        signups_24h: count(x => ms(x.created_at) >= now - DAY_MS),
+        max_signups_10min: maxBurst,
+        never_mined: count(x => x.mines === 0),
+        recent: inv.slice(0, 10)
+      };
+    },
+
+    // ---- Stats ----
+    async networkAggregates() {
+      return aggregates();
+    },
+
+    // emission_status
+    async emissionStatus() {
+      return {
+        supply_cap: emission.supply_cap,
+        minted: emission.minted,
+        remaining: emissionRemaining(),
+        epoch: emissionEpoch(),
+        multiplier: emissionMultiplier(),
+        next_halving_at: emission.halvings.filter(at => at > emission.minted && at < emission.supply_cap).sort((a, b) => a - b)[0] ?? null
+      };
+    },
+
+    // business_market
+    async businessMarket({ since }) {
+      const cutoff = ms(since);
+      const volume = new Map();
+      for (const p of businessPurchases) {
+        if (ms(p.created_at) < cutoff) continue;
+        const v = volume.get(p.business) ?? { qty: 0, coins: 0, purchases: 0 };
+        v.qty += p.qty;
+        v.coins += p.cost;
+        v.purchases++;
+        volume.set(p.business, v);
+      }
+
+      return [...businesses.values()]
+        .filter(b => b.enabled)
+        .sort((a, b) => a.sort_order - b.sort_order || (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+        .map(b => {
+          const t = businessTotals.get(b.name);
+          const v = volume.get(b.name);
+          return {
+            name: b.name,
+            total_qty: t?.total_qty ?? 0,
+            total_invested: t?.total_invested ?? 0,
+            holders: t?.holders ?? 0,
+            volume_qty: v?.qty ?? 0,
+            volume_coins: v?.coins ?? 0,
+            volume_purchases: v?.purchases ?? 0
+          };
+        });
+    },
+
+    // reconcile_business_totals: rebuild from users and the purchase log, return what drifted
+    async reconcileBusinessTotals() {
+      const actual = new Map();
+      const actualRow = (name) => {
+        if (!actual.has(name)) actual.set(name, { total_qty: 0, total_invested: 0, holders: 0 });
+        return actual.get(name);
+      };
+      for (const u of users.values()) {
+        for (const [name, value] of Object.entries(u.businesses || {})) {
+          const qty = Number(value) || 0;
+          if (qty <= 0) continue;
+          const row = actualRow(name);
+          row.total_qty += qty;
+          row.holders++;
+        }
+      }
+      for (const p of businessPurchases) actualRow(p.business).total_invested += p.cost;
+
+      const drift = [];
+      for (const name of [...new Set([...actual.keys(), ...businessTotals.keys()])].sort()) {
+        const t = businessTotals.get(name) ?? { total_qty: 0, total_invested: 0, holders: 0 };
+        const a = actual.get(name) ?? { total_qty: 0, total_invested: 0, holders: 0 };
+        if (t.total_qty !== a.total_qty || t.total_invested !== a.total_invested || t.holders !== a.holders) {
+          drift.push({
+            name,
+            total_qty: t.total_qty,
+            actual_qty: a.total_qty,
+            total_invested: t.total_invested,
+            actual_invested: a.total_invested,
+            holders: t.holders,
+            actual_holders: a.holders
+          });
+        }
+        businessTotals.set(name, { ...a });
+      }
+      return drift;
+    },
+
+    async takeNetworkSnapshot({ minIntervalSec }) {
+      const cutoff = Date.now() - minIntervalSec * 1000;
+      if (snapshots.some(s => ms(s.taken_at) > cutoff)) return { success: false, error: 'too_soon' };
+
+      const snap = { id: ++ids.snapshot, taken_at: isoNow(), ...aggregates() };
+      snapshots.push(snap);
+      return { success: true, id: snap.id, taken_at: snap.taken_at };
+    },
+
+    async latestSnapshotBefore(at) {
+      const found = snapshots.filter(s => ms(s.taken_at) <= ms(at)).at(-1);
+      return clone(found ?? null);
+    },
+
+    async firstSnapshot() {
+      return clone(snapshots[0] ?? null);
+    },
+
+    async listSnapshotsSince(since, limit) {
+      return snapshots.filter(s => ms(s.taken_at) >= ms(since)).slice(0, limit).map(clone);
+    },
+
+    // leaderboard: top limit plus the player's rank and `around` neighbours
+    async leaderboard({ board, period, limit, userId = null, around = 0 }) {
+      const ranked = leaderboardScores(board, period)
+        .sort((a, b) => b.score - a.score || (a.user_id < b.user_id ? -1 : a.user_id > b.user_id ? 1 : 0))
+        .map((s, i) => ({ rank: i + 1, id: s.user_id, username: s.username, score: s.score }));
+
+      const mine = userId === null ? undefined : ranked.find(r => r.id === String(userId));
+      return {
+        total: ranked.length,
+        top: ranked.filter(r => r.rank <= limit),
+        me: mine ? { rank: mine.rank, score: mine.score } : null,
+        around: mine ? ranked.filter(r => r.rank >= mine.rank - around && r.rank <= mine.rank + around) : []
+      };
+    },
+
+    // ---- Broadcasts ----
+    // create_broadcast_draft
+    async createBroadcastDraft({ createdBy, message, includeChannel = false, photo = null, buttons = [], audience = {}, sendAt = null }) {
+      const job = {
+        id: ++ids.broadcast,
+        created_by: createdBy,
+        message,
+        include_channel: includeChannel,
+        status: 'draft',
+        total: broadcastAudience(audience || {}).length,
+        created_at: isoNow(),
+        started_at: null,
+        finished_at: null,
+        photo,
+        buttons: clone(buttons || []),
+        audience: clone(audience || {}),
+        send_at: sendAt
+      };
+      broadcastJobs.set(job.id, job);
+      return { success: true, job_id: job.id, total: job.total };
+    },
+
+    // queue_broadcast_job: draft -> queued
+    async queueBroadcastJob(jobId) {
+      const job = broadcastJobs.get(jobId);
+      if (!job) return { success: false, error: 'not_found' };
+      if (job.status !== 'draft') return { success: false, error: 'not_draft' };
+      job.status = 'queued';
+      return { success: true, job_id: job.id, total: job.total, send_at: job.send_at };
+    },
+
+    // start_broadcast_job: queued -> running, resolving the audience into recipients
+    async startBroadcastJob(jobId) {
+      const job = broadcastJobs.get(jobId);
+      if (job?.status !== 'queued') return { success: false, error: 'not_queued' };
+      Object.assign(job, { status: 'running', started_at: isoNow() });
+
+      let n = 0;
+      for (const userId of broadcastAudience(job.audience)) {
+        const key = `${job.id}|${userId}`;
+        if (broadcastRecipients.has(key)) continue;
+        broadcastRecipients.set(key, {
+          job_id: job.id,
+          user_id: userId,
+          status: 'pending',
+          attempts: 0,
+          last_error: null,
+          claimed_at: null,
+          sent_at: null
+        });
+        n++;
+      }
+      job.total = n;
+      return { success: true, job_id: job.id, total: n };
+    },
+
+    // broadcast_jobs_overview
+    async broadcastJobsOverview({ jobId = null, limit }) {
+      return [...broadcastJobs.values()]
+        .filter(j => jobId === null || j.id === jobId)
+        .sort((a, b) => b.id - a.id)
+        .slice(0, limit)
+        .map(j => {
+          const recipients = jobRecipients(j.id);
+          const count = (...statuses) => recipients.filter(r => statuses.includes(r.status)).length;
+          return {
+            id: j.id,
+            status: j.status,
+            total: j.total,
+            created_at: j.created_at,
+            started_at: j.started_at,
+            finished_at: j.finished_at,
+            send_at: j.send_at,
+            audience: clone(j.audience),
+            has_photo: j.photo !== null,
+            preview: j.message.slice(0, 60),
+            sent: count('sent'),
+            blocked: count('blocked'),
+            failed: count('failed'),
+            pending: count('pending', 'sending')
+          };
+        });
+    },
+
+    async getBroadcastJob(jobId) {
+      return clone(broadcastJobs.get(jobId)) ?? null;
+    },
+
+    async nextBroadcastJob(now) {
+      const job = [...broadcastJobs.values()]
+        .sort((a, b) => a.id - b.id)
+        .find(j => j.status === 'running' || (j.status === 'queued' && (j.send_at === null || ms(j.send_at) <= now)));
+      return clone(job) ?? null;
+    },
+
+    async closeBroadcastJob(jobId, status, { from }) {
+      const job = broadcastJobs.get(jobId);
+      if (!job || !from.includes(job.status)) return false;
+      Object.assign(job, { status, finished_at: isoNow() });
+      return true;
+    },
+
+    // claim_broadcast_batch: rows stuck in 'sending' for 5 minutes are claimed again
+    async claimBroadcastBatch({ jobId, limit }) {
+      const staleBefore = Date.now() - BROADCAST_CLAIM_STALE_MS;
+      return jobRecipients(jobId)
+        .filter(r => r.status === 'pending' || (r.status === 'sending' && ms(r.claimed_at) < staleBefore))
+        .sort((a, b) => (a.user_id < b.user_id ? -1 : a.user_id > b.user_id ? 1 : 0))
+        .slice(0, limit)
+        .map(r => {
+          Object.assign(r, { status: 'sending', claimed_at: isoNow(), attempts: r.attempts + 1 });
+          return { user_id: r.user_id, attempts: r.attempts };
+        });
+    },
+
+    async updateBroadcastRecipient(jobId, userId, patch) {
+      const row = broadcastRecipients.get(`${jobId}|${userId}`);
+      if (row) Object.assign(row, clone(patch));
+    },
+
+    async countUnsentBroadcastRecipients(jobId) {
+      return jobRecipients(jobId).filter(r => r.status === 'pending' || r.status === 'sending').length;
+    },
+
+    // ---- Admin audit ----
+    async logAdminAction(entry) {
+      adminAudit.push({ id: ++ids.audit, ...clone(entry), details: clone(entry.details) ?? {}, created_at: isoNow() });
+    },
+
+    async listAdminAudit({ limit, target = null }) {
+      return adminAudit
+        .filter(r => target === null || r.target === target)
+        .reverse()
+        .slice(0, limit)
+        .map(clone);
+    },
+
+    // ---- Anti-bot ----
+    // Scores come from refresh_user_risk in SQL; here only admins' trust flags are kept
+    async getUserRisk(userId) {
+      const risk = userRisk.get(String(userId));
+      return risk ? { score: risk.score, flagged: risk.flagged, trusted: risk.trusted } : null;
+    },
+
+    async recordUserIp(userId, ipHash) {
+      const key = `${userId}|${ipHash}`;
+      const seen = isoNow();
+      userIps.set(key, { user_id: String(userId), ip_hash: ipHash, first_seen: userIps.get(key)?.first_seen ?? seen, last_seen: seen });
+    },
+
+    async setUserTrusted(userId, trusted) {
+      const id = String(userId);
+      const risk = userRisk.get(id) ?? { user_id: id, score: 0, mines: 0, interval_cv: null, max_active_hours: 0, shared_ip_users: 0, flagged: false, trusted: false };
+      risk.trusted = trusted;
+      if (trusted) risk.flagged = false;
+      risk.updated_at = isoNow();
+      userRisk.set(id, risk);
+    },
+
+    async listFlaggedUsers(limit) {
+      return [...userRisk.values()]
+        .filter(r => r.flagged)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(r => ({ ...clone(r), users: users.has(r.user_id) ? { username: users.get(r.user_id).username, banned: users.get(r.user_id).banned } : null }));
+    },
+
+    async refreshUserRisk() {
+      return 0;
+    },
+
+    // ---- Telegram updates ----
+    async claimTelegramUpdate(updateId, kind) {
+      if (telegramUpdates.has(updateId)) return false;
+      telegramUpdates.set(updateId, { update_id: updateId, kind, status: 'processing', error: null, received_at: isoNow(), finished_at: null });
+      return true;
+    },
+
+    async finishTelegramUpdate(updateId, error) {
+      const row = telegramUpdates.get(updateId);
+      if (row) Object.assign(row, { status: error ? 'failed' : 'done', error, finished_at: isoNow() });
+    },
+
+    async pruneTelegramUpdates(keepDays) {
+      const cutoff = Date.now() - keepDays * DAY_MS;
+      for (const [id, row] of telegramUpdates) if (ms(row.received_at) < cutoff) telegramUpdates.delete(id);
+    },
+
+    // ---- Idempotent actions ----
+    // claim_action_request: a 'processing' row past its lease can be claimed again
+    async claimActionRequest({ userId, key, action, leaseSec }) {
+      const row = actionRequests.get(`${userId}|${key}`);
+      const expired = row?.status === 'processing' && row.action === action && ms(row.created_at) < Date.now() - leaseSec * 1000;
+      if (!row || expired) {
+        actionRequests.set(`${userId}|${key}`, {
+          user_id: userId,
+          idempotency_key: key,
+          action,
+          status: 'processing',
+          response_status: null,
+          response: null,
+          created_at: isoNow(),
+          finished_at: null
+        });
+        return { claimed: true };
+      }
+      return { claimed: false, action: row.action, status: row.status, response_status: row.response_status, response: clone(row.response) };
+    },
+
+    async finishActionRequest({ userId, key, responseStatus, response }) {
+      const row = actionRequests.get(`${userId}|${key}`);
+      if (row) Object.assign(row, { status: 'done', response_status: responseStatus, response: clone(response), finished_at: isoNow() });
+    },
+
+    async releaseActionRequest({ userId, key }) {
+      if (actionRequests.get(`${userId}|${key}`)?.status === 'processing') actionRequests.delete(`${userId}|${key}`);
+    },
+
+    async pruneActionRequests(keepDays) {
+      const cutoff = Date.now() - keepDays * DAY_MS;
+      for (const [id, row] of actionRequests) if (ms(row.created_at) < cutoff) actionRequests.delete(id);
+    }
+  };
+}
@@ -0,0 +1,454 @@
+// repository/supabase.js - data access backed by Supabase (Postgres + the functions in sql/schema.sql)
+import { createClient } from '@supabase/supabase-js';
+
+// plpgsql functions returning json come back as an object or a one-element array
+function rpcRow(data) {
+  return Array.isArray(data) ? data[0] : data;
+}
+
+/**
+ * Repository over a Supabase project. Game rules live in SQL; this adapter only
+ * maps calls to tables and rpc()s and throws on Supabase errors.
+ */
+export function createSupabaseRepository({ url, serviceKey }) {
+  const supabase = createClient(url, serviceKey, { auth: { persistSession: false } });
+
+  async function rpc(name, params) {
+    const { data, error } = await supabase.rpc(name, params);
+    if (error) throw error;
+    return data;
+  }
+
+  async function maybeOne(query) {
+    const { data, error } = await query.maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async function many(query) {
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  return {
+    kind: 'supabase',
+
+    // ---- Users ----
+    getUser(id) {
+      return maybeOne(supabase.from('users').select('*').eq('id', id));
+    },
+
+    // Insert unless the id exists (concurrent sign-ups are fine); returns the stored row
+    async createUser(row) {
+      const { error } = await supabase.from('users').upsert(row, { onConflict: 'id', ignoreDuplicates: true });
+      if (error) throw error;
+      return maybeOne(supabase.from('users').select('*').eq('id', row.id));
+    },
+
+    updateUser(id, patch) {
+      return maybeOne(supabase.from('users').update(patch).eq('id', id).select('*'));
+    },
+
+    async findUserByUsername(username, { ignoreCase = false } = {}) {
+      const base = supabase.from('users').select('id, username');
+      const rows = await many((ignoreCase ? base.ilike('username', username) : base.eq('username', username)).limit(1));
+      return rows[0] || null;
+    },
+
+    listRecentUsers(limit) {
+      return many(supabase.from('users').select('*').order('created_at', { ascending: false }).limit(limit));
+    },
+
+    listCoinTransactions(userId, { limit, before = null }) {
+      let query = supabase
+        .from('coin_transactions')
+        .select('id, delta, balance_after, reason, ref, created_at')
+        .eq('user_id', userId)
+        .order('id', { ascending: false })
+        .limit(limit);
+      if (before !== null) query = query.lt('id', before);
+      return many(query);
+    },
+
+    async adjustCoins({ adminId, userId, delta, reason }) {
+      return rpcRow(await rpc('admin_adjust_coins', {
+        p_admin_id: adminId,
+        p_user_id: userId,
+        p_delta: delta,
+        p_reason: reason
+      }));
+    },
+
+    // ---- Businesses, mining & idle income ----
+    listBusinesses() {
+      return many(supabase
+        .from('businesses')
+        .select('name, display_name, cost, cost_growth, income, sort_order, enabled, min_level')
+        .order('sort_order', { ascending: true })
+        .order('name', { ascending: true }));
+    },
+
+    updateBusiness(name, patch) {
+      return maybeOne(supabase
+        .from('businesses')
+        .update(patch)
+        .eq('name', name)
+        .select('name, display_name, cost, cost_growth, income, sort_order, enabled, min_level'));
+    },
+
+    listLevels() {
+      return many(supabase.from('levels').select('*').order('level', { ascending: true }));
+    },
+
+    async quoteBusiness({ userId, business, qty }) {
+      return rpcRow(await rpc('quote_business', { p_user_id: userId, p_business: business, p_qty: qty }));
+    },
+
+    async purchaseBusiness({ userId, business, qty }) {
+      return rpcRow(await rpc('purchase_business', { p_business: business, p_user_id: userId, p_qty: qty }));
+    },
+
+    async mineCoins({ userId, amount, now, cooldownMs }) {
+      return rpcRow(await rpc('mine_coins', {
+        p_user_id: userId,
+        p_amount: amount,
+        p_now: now,
+        p_cooldown_ms: cooldownMs
+      }));
+    },
+
+    async claimIdleIncome({ userId, now, capMs }) {
+      return rpcRow(await rpc('claim_idle_income', { p_user_id: userId, p_now: now, p_cap_ms: capMs }));
+    },
+
+    // ---- Daily check-in ----
+    listDailyLadder() {
+      return many(supabase.from('daily_reward_ladder').select('day, reward').order('day', { ascending: true }));
+    },
+
+    async claimDailyReward({ userId, tzOffset }) {
+      return rpcRow(await rpc('claim_daily_reward', { p_user_id: userId, p_tz_offset: tzOffset }));
+    },
+
+    // Players to remind (already marked reminded for today): [{ user_id, streak, next_reward }]
+    async dailyStreakReminders({ localHour }) {
+      const data = await rpc('daily_streak_reminders', { p_local_hour: localHour });
+      return Array.isArray(data) ? data : [];
+    },
+
+    // ---- Quests ----
+    listQuests() {
+      return many(supabase.from('quests').select('*').eq('enabled', true).order('sort_order', { ascending: true }));
+    },
+
+    getQuest(questId) {
+      return maybeOne(supabase.from('quests').select('*').eq('id', questId).eq('enabled', true));
+    },
+
+    listQuestProgress(userId) {
+      return many(supabase.from('quest_progress').select('*').eq('user_id', userId));
+    },
+
+    async startQuest({ userId, questId }) {
+      return rpcRow(await rpc('start_quest', { p_user_id: userId, p_quest_id: questId }));
+    },
+
+    async completeQuest({ userId, questId }) {
+      return rpcRow(await rpc('complete_quest', { p_user_id: userId, p_quest_id: questId }));
+    },
+
+    // ---- Boosts ----
+    listBoosts() {
+      return many(supabase.from('boosts').select('*').eq('enabled', true).order('sort_order', { ascending: true }));
+    },
+
+    // A player's boosts still running at `now` or bought since `since` (epoch ms)
+    listUserBoosts({ userId, now, since }) {
+      return many(
+        supabase
+          .from('user_boosts')
+          .select('id, boost_id, effect, value, starts_at, expires_at')
+          .eq('user_id', userId)
+          .or(`expires_at.gt.${now},starts_at.gte.${since}`)
+          .order('starts_at', { ascending: true })
+      );
+    },
+
+    async buyBoost({ userId, boostId, now, cooldownMs }) {
+      return rpcRow(await rpc('buy_boost', {
+        p_user_id: userId,
+        p_boost_id: boostId,
+        p_now: now,
+        p_cooldown_ms: cooldownMs
+      }));
+    },
+
+    // ---- Transfers ----
+    async transferCoins({ fromId, toId, amount, key, feePct, dailyLimit, dailyCount, minAgeSec }) {
+      return rpcRow(await rpc('transfer_coins', {
+        p_from: fromId,
+        p_to: toId,
+        p_amount: amount,
+        p_key: key,
+        p_fee_pct: feePct,
+        p_daily_limit: dailyLimit,
+        p_daily_count: dailyCount,
+        p_min_age_sec: minAgeSec
+      }));
+    },
+
+    // ---- Referrals ----
+    async manualRefer({ referrerId, referredId, referredUsername }) {
+      return rpcRow(await rpc('manual_refer_by_id', {
+        referrer_id: referrerId,
+        referred_id: referredId,
+        referred_username: referredUsername
+      }));
+    },
+
+    async releaseReferralRewards({ minMines, minDays, referredId = null }) {
+      const data = await rpc('release_referral_rewards', {
+        p_min_mines: minMines,
+        p_min_days: minDays,
+        p_referred_id: referredId
+      });
+      return Array.isArray(data) ? data : [];
+    },
+
+    async referralTeam(userId) {
+      return rpcRow(await rpc('referral_team', { p_user_id: userId })) || {};
+    },
+
+    async referralAudit(userId) {
+      return rpcRow(await rpc('referral_audit', { p_user_id: userId })) || {};
+    },
+
+    // ---- Stats ----
+    async networkAggregates() {
+      return rpcRow(await rpc('network_aggregates')) || {};
+    },
+
+    async emissionStatus() {
+      return rpcRow(await rpc('emission_status')) || {};
+    },
+
+    async businessMarket({ since }) {
+      return (await rpc('business_market', { p_since: new Date(since).toISOString() })) || [];
+    },
+
+    // Rows whose totals had drifted, already corrected
+    async reconcileBusinessTotals() {
+      return (await rpc('reconcile_business_totals')) || [];
+    },
+
+    async takeNetworkSnapshot({ minIntervalSec }) {
+      return rpcRow(await rpc('take_network_snapshot', { p_min_interval: `${minIntervalSec} seconds` }));
+    },
+
+    // Latest snapshot taken at or before `at` (ISO string)
+    async latestSnapshotBefore(at) {
+      const rows = await many(supabase
+        .from('network_snapshots')
+        .select('*')
+        .lte('taken_at', at)
+        .order('taken_at', { ascending: false })
+        .limit(1));
+      return rows[0] || null;
+    },
+
+    async firstSnapshot() {
+      const rows = await many(supabase.from('network_snapshots').select('*').order('taken_at', { ascending: true }).limit(1));
+      return rows[0] || null;
+    },
+
+    listSnapshotsSince(since, limit) {
+      return many(supabase
+        .from('network_snapshots')
+        .select('*')
+        .gte('taken_at', since)
+        .order('taken_at', { ascending: true })
+        .limit(limit));
+    },
+
+    async leaderboard({ board, period, limit, userId = null, around = 0 }) {
+      return rpcRow(await rpc('leaderboard', {
+        p_board: board,
+        p_period: period,
+        p_limit: limit,
+        p_user_id: userId,
+        p_around: around
+      })) || {};
+    },
+
+    // ---- Broadcasts ----
+    async createBroadcastDraft({ createdBy, message, includeChannel, photo, buttons, audience, sendAt }) {
+      return rpcRow(await rpc('create_broadcast_draft', {
+        p_created_by: createdBy,
+        p_message: message,
+        p_include_channel: includeChannel,
+        p_photo: photo,
+        p_buttons: buttons,
+        p_audience: audience,
+        p_send_at: sendAt
+      }));
+    },
+
+    async queueBroadcastJob(jobId) {
+      return rpcRow(await rpc('queue_broadcast_job', { p_job_id: jobId }));
+    },
+
+    async startBroadcastJob(jobId) {
+      return rpcRow(await rpc('start_broadcast_job', { p_job_id: jobId }));
+    },
+
+    async broadcastJobsOverview({ jobId = null, limit }) {
+      const data = await rpc('broadcast_jobs_overview', { p_job_id: jobId, p_limit: limit });
+      return Array.isArray(data) ? data : [];
+    },
+
+    getBroadcastJob(jobId) {
+      return maybeOne(supabase.from('broadcast_jobs').select('*').eq('id', jobId));
+    },
+
+    // Oldest job to work on: a running one (resume) or a queued one whose send time has come
+    async nextBroadcastJob(now) {
+      const nowIso = new Date(now).toISOString();
+      const rows = await many(supabase
+        .from('broadcast_jobs')
+        .select('*')
+        .or(`status.eq.running,and(status.eq.queued,or(send_at.is.null,send_at.lte.${nowIso}))`)
+        .order('id', { ascending: true })
+        .limit(1));
+      return rows[0] || null;
+    },
+
+    // Ends the job ('done' or 'cancelled') if its status is one of `from`; false when nothing changed
+    async closeBroadcastJob(jobId, status, { from }) {
+      const rows = await many(supabase
+        .from('broadcast_jobs')
+        .update({ status, finished_at: new Date().toISOString() })
+        .eq('id', jobId)
+        .in('status', from)
+        .select('id'));
+      return rows.length > 0;
+    },
+
+    async claimBroadcastBatch({ jobId, limit }) {
+      const data = await rpc('claim_broadcast_batch', { p_job_id: jobId, p_limit: limit });
+      return Array.isArray(data) ? data : [];
+    },
+
+    async updateBroadcastRecipient(jobId, userId, patch) {
+      const { error } = await supabase.from('broadcast_recipients').update(patch).eq('job_id', jobId).eq('user_id', userId);
+      if (error) throw error;
+    },
+
+    // Recipients still pending or being sent by some worker
+    async countUnsentBroadcastRecipients(jobId) {
+      const { count, error } = await supabase
+        .from('broadcast_recipients')
+        .select('user_id', { count: 'exact', head: true })
+        .eq('job_id', jobId)
+        .in('status', ['pending', 'sending']);
+      if (error) throw error;
+      return count || 0;
+    },
+
+    // ---- Admin audit ----
+    async logAdminAction(entry) {
+      const { error } = await supabase.from('admin_audit').insert([entry]);
+      if (error) throw error;
+    },
+
+    listAdminAudit({ limit, target = null }) {
+      let query = supabase.from('admin_audit').select('*').order('created_at', { ascending: false }).limit(limit);
+      if (target !== null) query = query.eq('target', target);
+      return many(query);
+    },
+
+    // ---- Anti-bot ----
+    getUserRisk(userId) {
+      return maybeOne(supabase.from('user_risk').select('score, flagged, trusted').eq('user_id', userId));
+    },
+
+    async recordUserIp(userId, ipHash) {
+      const { error } = await supabase
+        .from('user_ips')
+        .upsert({ user_id: userId, ip_hash: ipHash, last_seen: new Date().toISOString() }, { onConflict: 'user_id,ip_hash' });
+      if (error) throw error;
+    },
+
+    async setUserTrusted(userId, trusted) {
+      const row = { user_id: userId, trusted, updated_at: new Date().toISOString() };
+      if (trusted) row.flagged = false;
+      const { error } = await supabase.from('user_risk').upsert(row, { onConflict: 'user_id' });
+      if (error) throw error;
+    },
+
+    // Flagged players, highest score first, with users(username, banned) joined
+    listFlaggedUsers(limit) {
+      return many(supabase
+        .from('user_risk')
+        .select('*, users(username, banned)')
+        .eq('flagged', true)
+        .order('score', { ascending: false })
+        .limit(limit));
+    },
+
+    refreshUserRisk({ flagScore }) {
+      return rpc('refresh_user_risk', { p_flag_score: flagScore });
+    },
+
+    // ---- Telegram updates ----
+    async claimTelegramUpdate(updateId, kind) {
+      return (await rpc('claim_telegram_update', { p_update_id: updateId, p_kind: kind })) === true;
+    },
+
+    async finishTelegramUpdate(updateId, error) {
+      const { error: dbErr } = await supabase
+        .from('telegram_updates')
+        .update({ status: error ? 'failed' : 'done', error, finished_at: new Date().toISOString() })
+        .eq('update_id', updateId);
+      if (dbErr) throw dbErr;
+    },
+
+    async pruneTelegramUpdates(keepDays) {
+      await rpc('prune_telegram_updates', { p_keep_days: keepDays });
+    },
+
+    // ---- Idempotent actions ----
+    async claimActionRequest({ userId, key, action, leaseSec }) {
+      return rpcRow(await rpc('claim_action_request', {
+        p_user_id: userId,
+        p_key: key,
+        p_action: action,
+        p_lease_sec: leaseSec
+      }));
+    },
+
+    async finishActionRequest({ userId, key, responseStatus, response }) {
+      const { error } = await supabase
+        .from('action_requests')
+        .update({ status: 'done', response_status: responseStatus, response, finished_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .eq('idempotency_key', key);
+      if (error) throw error;
+    },
+
+    // Forget a key whose request failed so the client can retry it
+    async releaseActionRequest({ userId, key }) {
+      const { error } = await supabase
+        .from('action_requests')
+        .delete()
+        .eq('user_id', userId)
+        .eq('idempotency_key', key)
+        .eq('status', 'processing');
+      if (error) throw error;
+    },
+
+    async pruneActionRequests(keepDays) {
+      await rpc('prune_action_requests', { p_keep_days: keepDays });
+    }
+  };
+}
@@ -14,6 +14,9 @@ create table if not exists public.users (
   created_at timestamptz default now()
 );
 
+-- Idle income: timestamp (ms) up to which passive income has been paid out
+alter table public.users add column if not exists last_claim bigint;
+
 -- Prevent self-referral
 alter table public.users
   drop constraint if exists no_self_referral;
@@ -23,25 +26,110 @@ alter table public.users
   check (referred_by is null or referred_by <> id);
 
 -- ===============================
--- BUSINESSES MASTER
+-- COIN LEDGER (APPEND-ONLY)
+-- Every change to users.coins is recorded by trg_log_coin_change in the
+-- same transaction. Functions label their changes with set_coin_reason()
+-- (mine, passive, purchase, referral_bonus, admin, ...); unlabelled
+-- changes (e.g. edits from the SQL console) are recorded as 'admin'.
+-- ===============================
+create table if not exists public.coin_transactions (
+  id bigserial primary key,
+  user_id text not null references public.users(id) on delete cascade,
+  delta bigint not null,
+  balance_after bigint not null,
+  reason text not null,
+  ref text null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists coin_transactions_user_idx
+  on public.coin_transactions (user_id, id desc);
+
+create or replace function public.set_coin_reason(p_reason text, p_ref text default null)
+returns void
+language plpgsql
+as $$
+begin
+  perform set_config('app.coin_reason', p_reason, true);
+  perform set_config('app.coin_ref', coalesce(p_ref, ''), true);
+end;
+$$;
+
+create or replace function public.log_coin_change()
+returns trigger
+language plpgsql
+security definer
+as $$
+declare
+  d bigint;
+  r text;
+begin
+  if tg_op = 'INSERT' then
+    d := coalesce(new.coins, 0);
+    r := 'signup';
+  else
+    d := coalesce(new.coins, 0) - coalesce(old.coins, 0);
+    r := coalesce(nullif(current_setting('app.coin_reason', true), ''), 'admin');
+  end if;
+
+  if d = 0 then
+    return new;
+  end if;
+
+  insert into public.coin_transactions (user_id, delta, balance_after, reason, ref)
+  values (new.id, d, coalesce(new.coins, 0), r, nullif(current_setting('app.coin_ref', true), ''));
+
+  return new;
+end;
+$$;
+
+drop trigger if exists trg_log_coin_change on public.users;
+
+create trigger trg_log_coin_change
+after insert or update of coins
+on public.users
+for each row
+execute function public.log_coin_change();
+
+-- ===============================
+-- BUSINESSES MASTER (CATALOG)
+-- Single source of truth for business pricing/income.
+-- Served by GET /api/businesses and used by purchase_business.
 -- ===============================
 create table if not exists public.businesses (
   name text primary key,
   cost bigint not null default 1000
 );
 
-insert into public.businesses (name, cost)
+alter table public.businesses add column if not exists display_name text;
+alter table public.businesses add column if not exists income bigint not null default 1;
+alter table public.businesses add column if not exists sort_order int not null default 0;
+alter table public.businesses add column if not exists enabled boolean not null default true;
+-- Unit price = round(cost * cost_growth ^ owned); 1.0 = flat price
+alter table public.businesses add column if not exists cost_growth numeric(8,4) not null default 1.15;
+-- Player level required to buy (see LEVELS)
+alter table public.businesses add column if not exists min_level int not null default 1;
+
+insert into public.businesses (name, display_name, cost, income, sort_order)
 values
-  ('DAPP', 1000),
-  ('TOTO_VAULT', 1000),
-  ('CIFCI_STABLE', 1000),
-  ('TYPOGRAM', 1000),
-  ('APPLE', 1000),
-  ('BITCOIN', 1000)
-on conflict do nothing;
+  ('DAPP', 'CIFCI Tech & AI', 1000, 1, 1),
+  ('TOTO_VAULT', 'CIFCI Crypto & Blockchain', 1000, 1, 2),
+  ('CIFCI_STABLE', 'CIFCI Real Estate', 1000, 1, 3),
+  ('TYPOGRAM', 'CIFCI Energy', 1000, 1, 4),
+  ('APPLE', 'CIFCI Infrastructure', 1000, 1, 5),
+  ('BITCOIN', 'CIFCI Space & Exploration', 1000, 1, 6)
+on conflict (name) do update
+  set display_name = coalesce(public.businesses.display_name, excluded.display_name),
+      sort_order = case when public.businesses.sort_order = 0 then excluded.sort_order else public.businesses.sort_order end;
 
 -- ===============================
 -- BUSINESS TOTALS (REAL TABLE)
+-- Units owned, holders and coins invested per business across all players.
+-- Units and holders follow the change to one user's businesses JSON
+-- (trg_update_business_totals); invested adds what each purchase was
+-- actually charged (trg_business_purchase_totals), so catalog reprices never
+-- rewrite it. reconcile_business_totals() rebuilds all three from users and
+-- the purchase log and reports drift.
 -- ===============================
 create table if not exists public.business_totals (
   name text primary key,
@@ -50,45 +138,79 @@ create table if not exists public.business_totals (
   updated_at timestamptz default now()
 );
 
+alter table public.business_totals add column if not exists holders bigint not null default 0;
+
 -- Seed totals table
 insert into public.business_totals (name)
 select name from public.businesses
 on conflict do nothing;
 
+-- ===============================
+-- PURCHASE LOG
+-- One row per successful purchase_business call with the coins it charged.
+-- Source of total_invested and of the 24h volume in GET /api/market.
+-- ===============================
+create table if not exists public.business_purchases (
+  id bigserial primary key,
+  business text not null,
+  user_id text not null references public.users(id) on delete cascade,
+  qty int not null check (qty > 0),
+  cost bigint not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists business_purchases_created_idx on public.business_purchases (created_at);
+
+-- First run: recover earlier purchases from the coin ledger (ref is '<business> x<qty>').
+-- Purchases from before the ledger existed are not recoverable and count as 0 invested.
+insert into public.business_purchases (business, user_id, qty, cost, created_at)
+select m[1], t.user_id, m[2]::int, -t.delta, t.created_at
+from public.coin_transactions t
+cross join lateral regexp_match(t.ref, '^(.*) x([0-9]+)$') m
+where t.reason = 'purchase'
+  and t.delta < 0
+  and m[2]::int > 0
+  and not exists (select 1 from public.business_purchases)
+order by t.id;
+
 -- ===============================
 -- SAFE UPDATE FUNCTION (ROW-LEVEL)
+-- Applies only the difference between old and new businesses JSON, in the
+-- same transaction as the purchase (no scan of the users table).
 -- ===============================
 create or replace function public.update_business_totals_row()
 returns trigger
 language plpgsql
 as $$
 declare
+  new_b jsonb := coalesce(new.businesses, '{}'::jsonb);
+  old_b jsonb := '{}'::jsonb;
   k text;
-  v bigint;
+  old_qty bigint;
+  new_qty bigint;
 begin
-  -- Only process if businesses exists
-  if new.businesses is null then
-    return new;
+  if tg_op = 'UPDATE' then
+    old_b := coalesce(old.businesses, '{}'::jsonb);
   end if;
 
-  -- Loop over user's businesses JSON
-  for k, v in
-    select key, value::bigint
-    from jsonb_each_text(new.businesses)
+  for k in
+    select jsonb_object_keys(new_b)
+    union
+    select jsonb_object_keys(old_b)
   loop
-    insert into public.business_totals (name, total_qty, total_invested)
-    values (k, v, v * 1000)
+    old_qty := greatest(coalesce((old_b ->> k)::bigint, 0), 0);
+    new_qty := greatest(coalesce((new_b ->> k)::bigint, 0), 0);
+    continue when old_qty = new_qty;
+
+    insert into public.business_totals (name, total_qty, holders)
+    values (
+      k,
+      new_qty - old_qty,
+      case when old_qty = 0 then 1 when new_qty = 0 then -1 else 0 end
+    )
     on conflict (name) do update
-      set total_qty = (
-            select coalesce(sum((u.businesses ->> k)::bigint), 0)
-            from public.users u
-            where u.businesses ? k
-          ),
-          total_invested = (
-            select coalesce(sum((u.businesses ->> k)::bigint), 0) * 1000
-            from public.users u
-            where u.businesses ? k
-          ),
+      set total_qty = public.business_totals.total_qty + excluded.total_qty,
+          holders = public.business_totals.holders + excluded.holders,
           updated_at = now();
   end loop;
 
@@ -96,6 +218,21 @@ begin
 end;
 $$;
 
+-- Coins charged by a purchase, added when purchase_business logs it
+create or replace function public.add_business_purchase_to_totals()
+returns trigger
+language plpgsql
+as $$
+begin
+  insert into public.business_totals (name, total_invested)
+  values (new.business, new.cost)
+  on conflict (name) do update
+    set total_invested = public.business_totals.total_invested + excluded.total_invested,
+        updated_at = now();
+  return new;
+end;
+$$;
+
 -- ===============================
 -- TRIGGER (ROW LEVEL, SAFE)
 -- ===============================
@@ -107,6 +244,108 @@ on public.users
 for each row
 execute function public.update_business_totals_row();
 
+drop trigger if exists trg_business_purchase_totals on public.business_purchases;
+
+create trigger trg_business_purchase_totals
+after insert
+on public.business_purchases
+for each row
+execute function public.add_business_purchase_to_totals();
+
+-- Rebuild business_totals (units and holders from users.businesses, invested from
+-- business_purchases) and return the rows that had drifted ([{ name, total_qty,
+-- actual_qty, total_invested, actual_invested, holders, actual_holders }]).
+-- Purchases wait on the table lock meanwhile.
+create or replace function public.reconcile_business_totals()
+returns json
+language plpgsql
+security definer
+as $$
+declare
+  drift json;
+begin
+  lock table public.business_totals in exclusive mode;
+
+  with owned as (
+    select e.key as name,
+           sum(e.value::bigint) as total_qty,
+           count(*) as holders
+    from public.users u, jsonb_each_text(coalesce(u.businesses, '{}'::jsonb)) e
+    where e.value::bigint > 0
+    group by e.key
+  ),
+  invested as (
+    select business as name, sum(cost) as total_invested
+    from public.business_purchases
+    group by business
+  ),
+  actual as (
+    select coalesce(o.name, i.name) as name,
+           coalesce(o.total_qty, 0) as total_qty,
+           coalesce(i.total_invested, 0) as total_invested,
+           coalesce(o.holders, 0) as holders
+    from owned o
+    full join invested i on i.name = o.name
+  ),
+  merged as (
+    select coalesce(a.name, t.name) as name,
+           coalesce(t.total_qty, 0) as total_qty,
+           coalesce(a.total_qty, 0) as actual_qty,
+           coalesce(t.total_invested, 0) as total_invested,
+           coalesce(a.total_invested, 0) as actual_invested,
+           coalesce(t.holders, 0) as holders,
+           coalesce(a.holders, 0) as actual_holders
+    from actual a
+    full join public.business_totals t on t.name = a.name
+  ),
+  fixed as (
+    insert into public.business_totals (name, total_qty, total_invested, holders, updated_at)
+    select name, actual_qty, actual_invested, actual_holders, now()
+    from merged
+    on conflict (name) do update
+      set total_qty = excluded.total_qty,
+          total_invested = excluded.total_invested,
+          holders = excluded.holders,
+          updated_at = now()
+    returning name
+  )
+  select coalesce(json_agg(m order by m.name), '[]'::json)
+  into drift
+  from merged m
+  where m.total_qty <> m.actual_qty
+     or m.total_invested <> m.actual_invested
+     or m.holders <> m.actual_holders;
+
+  return drift;
+end;
+$$;
+
+-- Totals written by the old re-summing trigger valued units at qty * cost;
+-- rebuild them from users and the purchase log
+select public.reconcile_business_totals();
+
+-- ===============================
+-- REFERRAL REWARDS (HELD UNTIL ACTIVATION)
+-- The invite bonus is created as 'pending' and released by
+-- release_referral_rewards() once the invitee has mined enough, so
+-- bot sign-ups that never play don't mint coins.
+-- ===============================
+create table if not exists public.referral_rewards (
+  referred_id text primary key references public.users(id) on delete cascade,
+  referrer_id text not null references public.users(id) on delete cascade,
+  amount bigint not null,
+  status text not null default 'pending' check (status in ('pending', 'released', 'rejected')),
+  created_at timestamptz not null default now(),
+  released_at timestamptz null
+);
+
+create index if not exists referral_rewards_referrer_idx
+  on public.referral_rewards (referrer_id, created_at);
+
+create index if not exists referral_rewards_pending_idx
+  on public.referral_rewards (status)
+  where status = 'pending';
+
 -- ===============================
 -- REFERRAL FUNCTION (SAFE INSERT)
 -- ===============================
@@ -119,12 +358,23 @@ returns json
 language plpgsql
 security definer
 as $$
+declare
+  inviter record;
 begin
+  if referrer_id = referred_id then
+    return json_build_object('success', false, 'error', 'self_referral');
+  end if;
+
   -- Already exists → cannot be referred again
   if exists (select 1 from public.users where id = referred_id) then
     return json_build_object('success', false, 'error', 'already_user');
   end if;
 
+  select u.id, u.username into inviter from public.users u where u.id = referrer_id;
+  if not found then
+    return json_build_object('success', false, 'error', 'inviter_not_found');
+  end if;
+
   -- Create referred user
   insert into public.users (
     id, username, coins, businesses,
@@ -142,215 +392,212 @@ begin
     true
   );
 
-  -- Reward referrer
-  update public.users
-  set coins = coins + 100,
-      referrals_count = referrals_count + 1
-  where id = referrer_id;
+  -- Hold the referrer's bonus until the invitee is active
+  insert into public.referral_rewards (referred_id, referrer_id, amount)
+  values (referred_id, referrer_id, 100);
 
-  return json_build_object('success', true);
+  return json_build_object(
+    'success', true,
+    'inviter_id', inviter.id,
+    'inviter_username', inviter.username,
+    'awarded', false,
+    'pending', true,
+    'amount', 100
+  );
 end;
 $$;
 
--- ===============================
--- PURCHASE FUNCTION
--- ===============================
-create or replace function public.purchase_business(
-  p_user_id text,
-  p_business text,
-  p_qty int
+-- Release pending bonuses whose invitee has >= p_min_mines mines on >= p_min_days
+-- distinct days. p_referred_id limits the check to one invitee (called after a mine).
+-- Returns the released rows so the server can notify inviters.
+create or replace function public.release_referral_rewards(
+  p_min_mines int,
+  p_min_days int,
+  p_referred_id text default null
 )
 returns json
 language plpgsql
 security definer
 as $$
 declare
-  cur_qty bigint;
-  cost bigint := p_qty * 1000;
+  r record;
+  released jsonb := '[]'::jsonb;
 begin
-  if p_qty <= 0 then
-    return json_build_object('success', false, 'error', 'invalid_qty');
-  end if;
-
-  select coalesce((businesses ->> p_business)::bigint, 0)
-  into cur_qty
-  from public.users
-  where id = p_user_id
-  for update;
-
-  update public.users
-  set coins = coins - cost,
-      businesses = jsonb_set(
-        businesses,
-        array[p_business],
-        to_jsonb(cur_qty + p_qty),
-        true
+  for r in
+    select rr.referred_id, rr.referrer_id, rr.amount, u.username as referred_username
+    from public.referral_rewards rr
+    join public.users u on u.id = rr.referred_id
+    where rr.status = 'pending'
+      and (p_referred_id is null or rr.referred_id = p_referred_id)
+      and (
+        select count(*) >= p_min_mines
+           and count(distinct (t.created_at at time zone 'utc')::date) >= p_min_days
+        from public.coin_transactions t
+        where t.user_id = rr.referred_id
+          and t.reason = 'mine'
       )
-  where id = p_user_id
-    and coins >= cost;
+    for update of rr skip locked
+  loop
+    update public.referral_rewards
+    set status = 'released',
+        released_at = now()
+    where referred_id = r.referred_id;
 
-  if not found then
-    return json_build_object('success', false, 'error', 'insufficient_funds');
-  end if;
+    perform public.set_coin_reason('referral_bonus', r.referred_id);
+    update public.users
+    set coins = coins + r.amount,
+        referrals_count = referrals_count + 1
+    where id = r.referrer_id;
 
-  return json_build_object(
-    'success', true,
-    'business', p_business,
-    'owned', cur_qty + p_qty
-  );
+    released := released || jsonb_build_object(
+      'referrer_id', r.referrer_id,
+      'referred_id', r.referred_id,
+      'referred_username', r.referred_username,
+      'amount', r.amount
+    );
+  end loop;
+
+  return released::json;
 end;
 $$;
--- ===============================
--- USERS TABLE
--- ===============================
-create table if not exists public.users (
-  id text primary key,
-  username text,
-  coins bigint default 0,
-  businesses jsonb default '{}'::jsonb,
-  level int default 1,
-  last_mine bigint default 0,
-  referrals_count int default 0,
-  referred_by text null,
-  subscribed boolean default true,
-  created_at timestamptz default now()
-);
-
--- Prevent self-referral
-alter table public.users
-  drop constraint if exists no_self_referral;
-
-alter table public.users
-  add constraint no_self_referral
-  check (referred_by is null or referred_by <> id);
-
--- ===============================
--- BUSINESSES MASTER
--- ===============================
-create table if not exists public.businesses (
-  name text primary key,
-  cost bigint not null default 1000
-);
 
-insert into public.businesses (name, cost)
-values
-  ('DAPP', 1000),
-  ('TOTO_VAULT', 1000),
-  ('CIFCI_STABLE', 1000),
-  ('TYPOGRAM', 1000),
-  ('APPLE', 1000),
-  ('BITCOIN', 1000)
-on conflict do nothing;
+-- Fraud signals for one inviter (admin /referral_audit)
+create or replace function public.referral_audit(p_user_id text)
+returns json
+language sql
+stable
+security definer
+as $$
+  with inv as (
+    select u.id, u.username, u.created_at, u.last_mine,
+           coalesce(rr.status, 'none') as reward_status,
+           (select count(*) from public.coin_transactions t
+            where t.user_id = u.id and t.reason = 'mine') as mines
+    from public.users u
+    left join public.referral_rewards rr on rr.referred_id = u.id
+    where u.referred_by = p_user_id
+  ),
+  windows as (
+    select count(*) over (
+      order by created_at
+      range between interval '10 minutes' preceding and current row
+    ) as c
+    from inv
+  )
+  select json_build_object(
+    'total', (select count(*) from inv),
+    'pending', (select count(*) from inv where reward_status = 'pending'),
+    'released', (select count(*) from inv where reward_status = 'released'),
+    'rejected', (select count(*) from inv where reward_status = 'rejected'),
+    'signups_1h', (select count(*) from inv where created_at >= now() - interval '1 hour'),
+    'signups_24h', (select count(*) from inv where created_at >= now() - interval '24 hours'),
+    'max_signups_10min', (select coalesce(max(c), 0) from windows),
+    'never_mined', (select count(*) from inv where mines = 0),
+    'recent', coalesce((
+      select json_agg(json_build_object(
+        'id', x.id, 'username', x.username, 'created_at', x.created_at,
+        'mines', x.mines, 'reward_status', x.reward_status
+      ) order by x.created_at desc)
+      from (select * from inv order by created_at desc limit 10) x
+    ), '[]'::json)
+  );
+$$;
 
 -- ===============================
--- BUSINESS TOTALS (REAL TABLE)
+-- PRICING (ESCALATING COST CURVE)
 -- ===============================
-create table if not exists public.business_totals (
-  name text primary key,
-  total_qty bigint not null default 0,
-  total_invested bigint not null default 0,
-  updated_at timestamptz default now()
-);
-
--- Seed totals table
-insert into public.business_totals (name)
-select name from public.businesses
-on conflict do nothing;
+-- Total price of buying p_qty more units when p_owned are already owned:
+--   sum over k in [0, p_qty) of round(cost * cost_growth ^ (p_owned + k))
+create or replace function public.business_price(
+  p_business text,
+  p_owned bigint,
+  p_qty int
+)
+returns bigint
+language sql
+stable
+as $$
+  select coalesce(sum(round(b.cost * power(b.cost_growth, (p_owned + g)::numeric))), 0)::bigint
+  from public.businesses b
+  cross join generate_series(0, greatest(p_qty, 0) - 1) g
+  where b.name = p_business;
+$$;
 
--- ===============================
--- SAFE UPDATE FUNCTION (ROW-LEVEL)
--- ===============================
-create or replace function public.update_business_totals_row()
-returns trigger
+-- Largest qty (<= p_limit) whose total price fits in p_coins
+create or replace function public.business_max_affordable(
+  p_business text,
+  p_owned bigint,
+  p_coins bigint,
+  p_limit int default 100
+)
+returns int
 language plpgsql
+stable
 as $$
 declare
-  k text;
-  v bigint;
+  n int := 0;
+  spent bigint := 0;
+  unit bigint;
 begin
-  -- Only process if businesses exists
-  if new.businesses is null then
-    return new;
-  end if;
-
-  -- Loop over user's businesses JSON
-  for k, v in
-    select key, value::bigint
-    from jsonb_each_text(new.businesses)
   loop
-    insert into public.business_totals (name, total_qty, total_invested)
-    values (k, v, v * 1000)
-    on conflict (name) do update
-      set total_qty = (
-            select coalesce(sum((u.businesses ->> k)::bigint), 0)
-            from public.users u
-            where u.businesses ? k
-          ),
-          total_invested = (
-            select coalesce(sum((u.businesses ->> k)::bigint), 0) * 1000
-            from public.users u
-            where u.businesses ? k
-          ),
-          updated_at = now();
+    exit when n >= p_limit;
+    unit := public.business_price(p_business, p_owned + n, 1);
+    exit when spent + unit > p_coins;
+    spent := spent + unit;
+    n := n + 1;
   end loop;
-
-  return new;
+  return n;
 end;
 $$;
 
--- ===============================
--- TRIGGER (ROW LEVEL, SAFE)
--- ===============================
-drop trigger if exists trg_update_business_totals on public.users;
-
-create trigger trg_update_business_totals
-after insert or update of businesses
-on public.users
-for each row
-execute function public.update_business_totals_row();
-
--- ===============================
--- REFERRAL FUNCTION (SAFE INSERT)
--- ===============================
-create or replace function public.manual_refer_by_id(
-  referrer_id text,
-  referred_id text,
-  referred_username text
+-- Read-only quote for GET /api/buy/quote (p_qty null = max affordable)
+create or replace function public.quote_business(
+  p_user_id text,
+  p_business text,
+  p_qty int
 )
 returns json
 language plpgsql
+stable
 security definer
 as $$
+declare
+  cur_qty bigint;
+  cur_coins bigint;
+  qty int := p_qty;
+  total bigint;
 begin
-  -- Already exists → cannot be referred again
-  if exists (select 1 from public.users where id = referred_id) then
-    return json_build_object('success', false, 'error', 'already_user');
+  if not exists (select 1 from public.businesses where name = p_business and enabled) then
+    return json_build_object('success', false, 'error', 'unknown_business');
   end if;
 
-  -- Create referred user
-  insert into public.users (
-    id, username, coins, businesses,
-    level, last_mine, referrals_count,
-    referred_by, subscribed
-  ) values (
-    referred_id,
-    referred_username,
-    100,
-    '{}'::jsonb,
-    1,
-    0,
-    0,
-    referrer_id,
-    true
-  );
+  select coalesce((businesses ->> p_business)::bigint, 0), coalesce(coins, 0)
+  into cur_qty, cur_coins
+  from public.users
+  where id = p_user_id;
 
-  -- Reward referrer
-  update public.users
-  set coins = coins + 100,
-      referrals_count = referrals_count + 1
-  where id = referrer_id;
+  if not found then
+    return json_build_object('success', false, 'error', 'user_not_found');
+  end if;
+
+  if qty is null then
+    qty := public.business_max_affordable(p_business, cur_qty, cur_coins);
+  elsif qty <= 0 then
+    return json_build_object('success', false, 'error', 'invalid_qty');
+  end if;
+
+  total := public.business_price(p_business, cur_qty, qty);
 
-  return json_build_object('success', true);
+  return json_build_object(
+    'success', true,
+    'business', p_business,
+    'owned', cur_qty,
+    'qty', qty,
+    'next_price', public.business_price(p_business, cur_qty, 1),
+    'total', total,
+    'coins', cur_coins,
+    'affordable', qty > 0 and cur_coins >= total
+  );
 end;
 $$;
 
@@ -368,37 +615,1949 @@ security definer
 as $$
 declare
   cur_qty bigint;
-  cost bigint := p_qty * 1000;
+  cur_coins bigint;
+  cur_level int;
+  qty int := p_qty;
+  cost bigint;
+  new_coins bigint;
+  v_min_level int;
 begin
-  if p_qty <= 0 then
+  if qty is not null and qty <= 0 then
     return json_build_object('success', false, 'error', 'invalid_qty');
   end if;
 
-  select coalesce((businesses ->> p_business)::bigint, 0)
-  into cur_qty
+  -- Price comes from the catalog row (same row GET /api/businesses serves)
+  select min_level into v_min_level from public.businesses where name = p_business and enabled;
+  if not found then
+    return json_build_object('success', false, 'error', 'unknown_business');
+  end if;
+
+  select coalesce((businesses ->> p_business)::bigint, 0), coalesce(coins, 0), coalesce(level, 1)
+  into cur_qty, cur_coins, cur_level
   from public.users
   where id = p_user_id
   for update;
 
+  if not found then
+    return json_build_object('success', false, 'error', 'user_not_found');
+  end if;
+
+  if cur_level < v_min_level then
+    return json_build_object('success', false, 'error', 'level_locked', 'min_level', v_min_level);
+  end if;
+
+  -- p_qty null = buy as many as the balance allows
+  if qty is null then
+    qty := public.business_max_affordable(p_business, cur_qty, cur_coins);
+    if qty = 0 then
+      return json_build_object('success', false, 'error', 'insufficient_funds');
+    end if;
+  end if;
+
+  -- Escalating price computed server-side while the user row is locked
+  cost := public.business_price(p_business, cur_qty, qty);
+
+  perform public.set_coin_reason('purchase', p_business || ' x' || qty);
+
   update public.users
   set coins = coins - cost,
       businesses = jsonb_set(
         businesses,
         array[p_business],
-        to_jsonb(cur_qty + p_qty),
+        to_jsonb(cur_qty + qty),
         true
       )
   where id = p_user_id
-    and coins >= cost;
+    and coins >= cost
+  returning coins into new_coins;
 
   if not found then
     return json_build_object('success', false, 'error', 'insufficient_funds');
   end if;
 
+  insert into public.business_purchases (business, user_id, qty, cost)
+  values (p_business, p_user_id, qty, cost);
+
   return json_build_object(
     'success', true,
     'business', p_business,
-    'owned', cur_qty + p_qty
+    'owned', cur_qty + qty,
+    'qty', qty,
+    'cost', cost,
+    'coins', new_coins
   );
 end;
 $$;
+
+-- Per-business popularity for GET /api/market: totals from business_totals
+-- plus purchase volume since p_since (enabled catalog entries only)
+create or replace function public.business_market(p_since timestamptz)
+returns json
+language sql
+stable
+security definer
+as $$
+  select coalesce(json_agg(json_build_object(
+    'name', b.name,
+    'total_qty', coalesce(t.total_qty, 0),
+    'total_invested', coalesce(t.total_invested, 0),
+    'holders', coalesce(t.holders, 0),
+    'volume_qty', coalesce(v.qty, 0),
+    'volume_coins', coalesce(v.coins, 0),
+    'volume_purchases', coalesce(v.purchases, 0)
+  ) order by b.sort_order, b.name), '[]'::json)
+  from public.businesses b
+  left join public.business_totals t on t.name = b.name
+  left join (
+    select business, sum(qty) as qty, sum(cost) as coins, count(*) as purchases
+    from public.business_purchases
+    where created_at >= p_since
+    group by business
+  ) v on v.business = b.name
+  where b.enabled;
+$$;
+
+-- ===============================
+-- REFERRAL TREE (DOWNLINE INCOME SHARE)
+-- ===============================
+-- Percentage of a player's mining income paid to each upline level
+-- (level 1 = direct referrer, level 2 = referrer's referrer, ...).
+create table if not exists public.referral_levels (
+  level int primary key check (level >= 1),
+  percent numeric(5,2) not null check (percent >= 0)
+);
+
+insert into public.referral_levels (level, percent)
+values (1, 10), (2, 5)
+on conflict do nothing;
+
+create table if not exists public.referral_commissions (
+  id bigserial primary key,
+  earner_id text not null references public.users(id) on delete cascade,
+  source_id text not null references public.users(id) on delete cascade,
+  level int not null,
+  source_amount bigint not null,
+  amount bigint not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists referral_commissions_earner_idx
+  on public.referral_commissions (earner_id, source_id);
+
+-- Pay uplines their share of p_amount mined by p_user_id.
+-- Called from mine_coins / claim_idle_income inside the same transaction.
+-- Commissions are minted (not taken from the miner).
+create or replace function public.pay_referral_commissions(p_user_id text, p_amount bigint)
+returns bigint
+language plpgsql
+security definer
+as $$
+declare
+  lvl record;
+  upline text;
+  cur text := p_user_id;
+  share bigint;
+  total bigint := 0;
+begin
+  if p_amount <= 0 then
+    return 0;
+  end if;
+
+  for lvl in select level, percent from public.referral_levels order by level loop
+    select referred_by into upline from public.users where id = cur;
+    exit when upline is null;
+
+    share := least(floor(p_amount * lvl.percent / 100)::bigint, public.emission_remaining());
+    if share > 0 then
+      perform public.set_coin_reason('referral_commission', p_user_id);
+      update public.users set coins = coins + share where id = upline;
+
+      if found then
+        insert into public.referral_commissions (earner_id, source_id, level, source_amount, amount)
+        values (upline, p_user_id, lvl.level, p_amount, share);
+        total := total + share;
+      end if;
+    end if;
+
+    cur := upline;
+  end loop;
+
+  return total;
+end;
+$$;
+
+-- Direct (level 1) and second-level referrals of p_user_id with activity and
+-- the commission each one produced for p_user_id.
+create or replace function public.referral_team(p_user_id text, p_limit int default 200)
+returns json
+language sql
+stable
+security definer
+as $$
+  with l1 as (
+    select u.id, u.username, u.created_at, u.last_mine, null::text as via_id, null::text as via_username,
+           rr.status as bonus_status
+    from public.users u
+    left join public.referral_rewards rr on rr.referred_id = u.id
+    where u.referred_by = p_user_id
+  ),
+  l2 as (
+    select u.id, u.username, u.created_at, u.last_mine, p.id as via_id, p.username as via_username,
+           null::text as bonus_status
+    from public.users u
+    join l1 p on u.referred_by = p.id
+  ),
+  earned as (
+    select source_id, sum(amount) as amount
+    from public.referral_commissions
+    where earner_id = p_user_id
+    group by source_id
+  ),
+  members as (
+    select 1 as level, * from l1
+    union all
+    select 2 as level, * from l2
+  )
+  select json_build_object(
+    'levels', coalesce((select json_object_agg(level, percent) from public.referral_levels), '{}'::json),
+    'level1_count', (select count(*) from l1),
+    'level2_count', (select count(*) from l2),
+    'commission_total', (select coalesce(sum(amount), 0) from earned),
+    'bonus_total', (
+      select coalesce(sum(delta), 0) from public.coin_transactions
+      where user_id = p_user_id and reason = 'referral_bonus'
+    ),
+    'members', coalesce((
+      select json_agg(json_build_object(
+        'level', m.level,
+        'id', m.id,
+        'username', m.username,
+        'joined_at', m.created_at,
+        'last_mine', m.last_mine,
+        'via_id', m.via_id,
+        'via_username', m.via_username,
+        'bonus_status', m.bonus_status,
+        'commission', coalesce(e.amount, 0)
+      ) order by m.level, coalesce(e.amount, 0) desc, m.created_at desc)
+      from (select * from members order by level, created_at desc limit p_limit) m
+      left join earned e on e.source_id = m.id
+    ), '[]'::json)
+  );
+$$;
+
+-- ===============================
+-- MINE FUNCTION (ATOMIC REWARD + COOLDOWN)
+-- ===============================
+create or replace function public.mine_coins(
+  p_user_id text,
+  p_amount bigint,
+  p_now bigint,
+  p_cooldown_ms bigint
+)
+returns json
+language plpgsql
+security definer
+as $$
+declare
+  new_coins bigint;
+  cur_last_mine bigint;
+  -- Active boosts (see BOOSTS below) scale the reward and the cooldown
+  v_amount bigint := floor(p_amount * public.boost_multiplier(p_user_id, 'mine_multiplier', p_now))::bigint;
+  v_cooldown bigint := ceil(p_cooldown_ms * public.boost_multiplier(p_user_id, 'cooldown_multiplier', p_now))::bigint;
+begin
+  -- Emission epoch: halved rewards pay a fraction of a coin with matching probability;
+  -- nothing past the supply cap (trg_cap_emission enforces it, this keeps 'earned' honest)
+  v_amount := least(floor(v_amount * public.emission_multiplier() + random())::bigint, public.emission_remaining());
+
+  perform public.set_coin_reason('mine');
+
+  update public.users
+  set coins = coins + v_amount,
+      last_mine = p_now
+  where id = p_user_id
+    and coalesce(last_mine, 0) <= p_now - v_cooldown
+  returning coins into new_coins;
+
+  if not found then
+    select last_mine into cur_last_mine from public.users where id = p_user_id;
+    if not found then
+      return json_build_object('success', false, 'error', 'user_not_found');
+    end if;
+    return json_build_object('success', false, 'error', 'cooldown', 'last_mine', cur_last_mine, 'cooldown_ms', v_cooldown);
+  end if;
+
+  perform public.pay_referral_commissions(p_user_id, v_amount);
+
+  return json_build_object(
+    'success', true,
+    'earned', v_amount,
+    'coins', new_coins,
+    'last_mine', p_now,
+    'cooldown_ms', v_cooldown
+  );
+end;
+$$;
+
+-- ===============================
+-- IDLE (OFFLINE) INCOME
+-- ===============================
+-- Passive income per minute for a businesses JSON ({ "DAPP": 3, ... })
+create or replace function public.passive_income_rate(p_businesses jsonb)
+returns bigint
+language sql
+stable
+as $$
+  select coalesce(sum(b.income * (p_businesses ->> b.name)::bigint), 0)::bigint
+  from public.businesses b
+  where p_businesses ? b.name;
+$$;
+
+-- Pay out passive income accrued since last_claim, capped at p_cap_ms of elapsed time.
+-- Fractions of a coin carry over to the next claim (last_claim only advances by paid time).
+create or replace function public.claim_idle_income(
+  p_user_id text,
+  p_now bigint,
+  p_cap_ms bigint
+)
+returns json
+language plpgsql
+security definer
+as $$
+declare
+  u record;
+  since bigint;
+  elapsed bigint;
+  credited bigint;
+  rate bigint;
+  earned bigint;
+  boosted bigint;
+  new_last bigint;
+  new_coins bigint;
+begin
+  select coins, businesses, last_claim, last_mine, level
+  into u
+  from public.users
+  where id = p_user_id
+  for update;
+
+  if not found then
+    return json_build_object('success', false, 'error', 'user_not_found');
+  end if;
+
+  since := coalesce(u.last_claim, nullif(u.last_mine, 0), p_now);
+  elapsed := greatest(p_now - since, 0);
+  credited := least(elapsed, p_cap_ms);
+  -- Catalog income plus the player's level bonus, scaled by the emission epoch
+  rate := floor((public.passive_income_rate(coalesce(u.businesses, '{}'::jsonb))
+                 * (100 + public.level_passive_bonus(coalesce(u.level, 1))) / 100)
+                * public.emission_multiplier())::bigint;
+  earned := (rate * credited) / 60000;
+
+  if rate > 0 and elapsed <= p_cap_ms then
+    new_last := since + (earned * 60000) / rate;
+  else
+    new_last := p_now;
+  end if;
+
+  -- Passive boosts pay extra only for the credited time they were running: the
+  -- whole idle period, or its most recent p_cap_ms when capped (fractions of the
+  -- bonus do not carry over)
+  boosted := floor(rate * public.boost_bonus_ms(p_user_id, 'passive_multiplier', p_now - credited, p_now) / 60000)::bigint;
+  earned := least(earned + boosted, public.emission_remaining());
+
+  perform public.set_coin_reason('passive');
+
+  update public.users
+  set coins = coins + earned,
+      last_claim = new_last
+  where id = p_user_id
+  returning coins into new_coins;
+
+  perform public.pay_referral_commissions(p_user_id, earned);
+
+  -- Re-read: a level-up triggered by this payout adds its reward after the update
+  select coins, level, xp into u from public.users where id = p_user_id;
+
+  return json_build_object(
+    'success', true,
+    'earned', earned,
+    'boosted', boosted,
+    'rate_per_min', rate,
+    'elapsed_ms', elapsed,
+    'credited_ms', credited,
+    'cap_ms', p_cap_ms,
+    'capped', elapsed > p_cap_ms,
+    'coins', u.coins,
+    'level', u.level,
+    'xp', u.xp
+  );
+end;
+$$;
+
+-- ===============================
+-- EMISSION SCHEDULE & SUPPLY CAP
+-- Every coin created (mining, passive income, referral rewards, check-ins,
+-- quests, level rewards, signup coins, admin grants) is added to
+-- emission_state.minted, which never passes supply_cap: trg_cap_emission
+-- trims any credit beyond it, so issuance stops at the cap. Transfers only
+-- move coins and spending burns them; neither changes minted.
+-- Mining and passive income are scaled by the epoch multiplier, which halves
+-- each time minted reaches an emission_halvings milestone (epoch n pays 1/2^n).
+-- ===============================
+create table if not exists public.emission_state (
+  id boolean primary key default true check (id),  -- single row
+  supply_cap bigint not null default 70000000000 check (supply_cap > 0),
+  minted bigint not null default 0 check (minted >= 0),
+  updated_at timestamptz not null default now()
+);
+
+-- Start from what was issued before the cap existed (ledger credits, or balances if larger)
+insert into public.emission_state (id, minted)
+select true, greatest(
+  (select coalesce(sum(delta), 0) from public.coin_transactions where delta > 0 and reason <> 'transfer_in'),
+  (select coalesce(sum(coins), 0) from public.users)
+)
+on conflict (id) do nothing;
+
+create table if not exists public.emission_halvings (
+  at_minted bigint primary key check (at_minted > 0)
+);
+
+-- Each halving when half of the remaining supply is out: 35B, 52.5B, 61.25B, 65.625B
+insert into public.emission_halvings (at_minted)
+values (35000000000), (52500000000), (61250000000), (65625000000)
+on conflict do nothing;
+
+-- Epoch = halving milestones already reached
+create or replace function public.emission_epoch(p_minted bigint)
+returns int
+language sql
+stable
+as $$
+  select count(*)::int from public.emission_halvings where at_minted <= p_minted;
+$$;
+
+-- Multiplier for mining and passive rewards right now (0 once the cap is reached)
+create or replace function public.emission_multiplier()
+returns numeric
+language sql
+stable
+as $$
+  select coalesce((
+    select case when minted >= supply_cap then 0 else power(0.5::numeric, public.emission_epoch(minted)) end
+    from public.emission_state
+  ), 1);
+$$;
+
+create or replace function public.emission_remaining()
+returns bigint
+language sql
+stable
+as $$
+  select coalesce((select greatest(supply_cap - minted, 0) from public.emission_state), 9223372036854775807);
+$$;
+
+-- For GET /api/network-stats
+create or replace function public.emission_status()
+returns json
+language sql
+stable
+security definer
+as $$
+  select json_build_object(
+    'supply_cap', s.supply_cap,
+    'minted', s.minted,
+    'remaining', greatest(s.supply_cap - s.minted, 0),
+    'epoch', public.emission_epoch(s.minted),
+    'multiplier', public.emission_multiplier(),
+    'next_halving_at', (
+      select min(h.at_minted) from public.emission_halvings h
+      where h.at_minted > s.minted and h.at_minted < s.supply_cap
+    )
+  )
+  from public.emission_state s;
+$$;
+
+-- BEFORE: count new coins as minted and trim whatever would pass the cap.
+-- Named to run before trg_track_xp, so XP follows the trimmed amount.
+create or replace function public.cap_emission()
+returns trigger
+language plpgsql
+security definer
+as $$
+declare
+  d bigint;
+  r text;
+  left_to_mint bigint;
+  granted bigint;
+begin
+  if tg_op = 'INSERT' then
+    d := coalesce(new.coins, 0);
+    r := 'signup';
+  else
+    d := coalesce(new.coins, 0) - coalesce(old.coins, 0);
+    r := coalesce(nullif(current_setting('app.coin_reason', true), ''), 'admin');
+  end if;
+
+  if d <= 0 or r = 'transfer_in' then
+    return new;
+  end if;
+
+  -- The row lock makes concurrent credits near the cap add up exactly
+  select greatest(supply_cap - minted, 0) into left_to_mint
+  from public.emission_state
+  where id
+  for update;
+
+  if not found then
+    return new;
+  end if;
+
+  granted := least(d, left_to_mint);
+  if granted > 0 then
+    update public.emission_state set minted = minted + granted, updated_at = now() where id;
+  end if;
+
+  new.coins := new.coins - (d - granted);
+  return new;
+end;
+$$;
+
+drop trigger if exists trg_cap_emission on public.users;
+
+create trigger trg_cap_emission
+before insert or update of coins
+on public.users
+for each row
+execute function public.cap_emission();
+
+-- ===============================
+-- NETWORK STATS & SNAPSHOTS
+-- ===============================
+create table if not exists public.network_snapshots (
+  id bigserial primary key,
+  taken_at timestamptz not null default now(),
+  total_supply bigint not null default 0,
+  total_businesses bigint not null default 0,
+  total_users bigint not null default 0,
+  daily_active_miners bigint not null default 0,
+  new_users bigint not null default 0,
+  minted bigint not null default 0
+);
+
+alter table public.network_snapshots add column if not exists minted bigint not null default 0;
+
+create index if not exists network_snapshots_taken_at_idx
+  on public.network_snapshots (taken_at desc);
+
+-- Live aggregates (computed in SQL, not in Node).
+-- daily_active_miners: mined in the last 24h (last_mine is epoch ms)
+-- new_users: created in the last 24h
+create or replace function public.network_aggregates()
+returns json
+language sql
+stable
+security definer
+as $$
+  select json_build_object(
+    'total_supply', (select coalesce(sum(coins), 0) from public.users),
+    'minted', coalesce((select minted from public.emission_state), 0),
+    'total_users', (select count(*) from public.users),
+    'total_businesses', (
+      select coalesce(sum(e.value::bigint), 0)
+      from public.users u, jsonb_each_text(coalesce(u.businesses, '{}'::jsonb)) e
+    ),
+    'daily_active_miners', (
+      select count(*) from public.users
+      where last_mine >= (extract(epoch from now()) * 1000)::bigint - 86400000
+    ),
+    'new_users', (
+      select count(*) from public.users
+      where created_at >= now() - interval '24 hours'
+    )
+  );
+$$;
+
+-- Store a snapshot unless one was taken less than p_min_interval ago
+-- (safe to call from several server instances / pg_cron).
+create or replace function public.take_network_snapshot(p_min_interval interval default interval '55 minutes')
+returns json
+language plpgsql
+security definer
+as $$
+declare
+  agg json;
+  snap public.network_snapshots;
+begin
+  if exists (
+    select 1 from public.network_snapshots
+    where taken_at > now() - p_min_interval
+  ) then
+    return json_build_object('success', false, 'error', 'too_soon');
+  end if;
+
+  agg := public.network_aggregates();
+
+  insert into public.network_snapshots (
+    total_supply, total_businesses, total_users, daily_active_miners, new_users, minted
+  ) values (
+    (agg ->> 'total_supply')::bigint,
+    (agg ->> 'total_businesses')::bigint,
+    (agg ->> 'total_users')::bigint,
+    (agg ->> 'daily_active_miners')::bigint,
+    (agg ->> 'new_users')::bigint,
+    (agg ->> 'minted')::bigint
+  )
+  returning * into snap;
+
+  return json_build_object('success', true, 'id', snap.id, 'taken_at', snap.taken_at);
+end;
+$$;
+
+-- Optional: schedule in the database instead of (or in addition to) the server timer
+-- select cron.schedule('network-snapshot', '0 * * * *', $$select public.take_network_snapshot()$$);
+
+-- ===============================
+-- LEADERBOARDS
+-- ===============================
+-- Boards: coins (balance), earned (coins earned from play, ledger-based;
+--         admin grants, signup bonuses and received transfers don't count),
+--         passive (income per minute as claim_idle_income pays it: level
+--         bonus and emission epoch included), referrals (activated invites,
+--         i.e. released referral_rewards).
+-- Periods: 'all' or 'week' (since Monday 00:00 UTC) for earned/referrals.
+create or replace function public.leaderboard_scores(p_board text, p_period text)
+returns table (user_id text, username text, score bigint)
+language plpgsql
+stable
+security definer
+as $$
+declare
+  since timestamptz := case when p_period = 'week' then date_trunc('week', now()) else null end;
+begin
+  if p_board = 'coins' then
+    return query
+      select u.id, u.username, coalesce(u.coins, 0)::bigint
+      from public.users u;
+
+  elsif p_board = 'earned' then
+    return query
+      select u.id, u.username, sum(t.delta)::bigint
+      from public.coin_transactions t
+      join public.users u on u.id = t.user_id
+      where t.delta > 0
+        and t.reason not in ('admin', 'signup', 'transfer_in')
+        and (since is null or t.created_at >= since)
+      group by u.id, u.username;
+
+  elsif p_board = 'passive' then
+    return query
+      select u.id, u.username,
+             floor((public.passive_income_rate(coalesce(u.businesses, '{}'::jsonb))
+                    * (100 + public.level_passive_bonus(coalesce(u.level, 1))) / 100)
+                   * public.emission_multiplier())::bigint
+      from public.users u;
+
+  elsif p_board = 'referrals' and since is null then
+    return query
+      select u.id, u.username, coalesce(u.referrals_count, 0)::bigint
+      from public.users u;
+
+  elsif p_board = 'referrals' then
+    return query
+      select r.id, r.username, count(*)::bigint
+      from public.referral_rewards rr
+      join public.users r on r.id = rr.referrer_id
+      where rr.status = 'released'
+        and rr.released_at >= since
+      group by r.id, r.username;
+
+  else
+    raise exception 'unknown leaderboard %', p_board;
+  end if;
+end;
+$$;
+
+-- Top p_limit plus the requesting player's rank and p_around neighbours on each side
+create or replace function public.leaderboard(
+  p_board text,
+  p_period text,
+  p_limit int,
+  p_user_id text default null,
+  p_around int default 2
+)
+returns json
+language sql
+stable
+security definer
+as $$
+  with ranked as (
+    select s.user_id, s.username, s.score,
+           row_number() over (order by s.score desc, s.user_id) as rank
+    from public.leaderboard_scores(p_board, p_period) s
+  ),
+  me as (
+    select rank, score from ranked where user_id = p_user_id
+  )
+  select json_build_object(
+    'total', (select count(*) from ranked),
+    'top', coalesce((
+      select json_agg(json_build_object('rank', r.rank, 'id', r.user_id, 'username', r.username, 'score', r.score) order by r.rank)
+      from ranked r
+      where r.rank <= p_limit
+    ), '[]'::json),
+    'me', (select json_build_object('rank', m.rank, 'score', m.score) from me m),
+    'around', coalesce((
+      select json_agg(json_build_object('rank', r.rank, 'id', r.user_id, 'username', r.username, 'score', r.score) order by r.rank)
+      from ranked r, me m
+      where r.rank between m.rank - p_around and m.rank + p_around
+    ), '[]'::json)
+  );
+$$;
+
+-- ===============================
+-- BROADCAST JOBS (DURABLE QUEUE)
+-- Worked by the server's background broadcast worker; progress survives
+-- restarts because every recipient has its own status row.
+-- A job starts as a 'draft' (previewed by the admin), is 'queued' on Send
+-- and picked up once send_at has passed. Recipients are resolved from the
+-- audience filter when the worker starts the job.
+-- ===============================
+create table if not exists public.broadcast_jobs (
+  id bigserial primary key,
+  created_by text null,
+  message text not null,
+  include_channel boolean not null default false,
+  status text not null default 'queued'
+    check (status in ('draft', 'queued', 'running', 'done', 'cancelled')),
+  total int not null default 0,
+  created_at timestamptz not null default now(),
+  started_at timestamptz null,
+  finished_at timestamptz null
+);
+
+-- Rich content and targeting
+alter table public.broadcast_jobs add column if not exists photo text;                     -- URL or Telegram file_id
+alter table public.broadcast_jobs add column if not exists buttons jsonb not null default '[]'::jsonb; -- [{text, url} | {text, webApp: true}]
+alter table public.broadcast_jobs add column if not exists audience jsonb not null default '{}'::jsonb; -- {minLevel, inactiveDays, owners, business}
+alter table public.broadcast_jobs add column if not exists send_at timestamptz null;       -- null = as soon as possible
+
+alter table public.broadcast_jobs
+  drop constraint if exists broadcast_jobs_status_check;
+
+alter table public.broadcast_jobs
+  add constraint broadcast_jobs_status_check
+  check (status in ('draft', 'queued', 'running', 'done', 'cancelled'));
+
+create table if not exists public.broadcast_recipients (
+  job_id bigint not null references public.broadcast_jobs(id) on delete cascade,
+  user_id text not null,
+  status text not null default 'pending'
+    check (status in ('pending', 'sending', 'sent', 'failed', 'blocked')),
+  attempts int not null default 0,
+  last_error text null,
+  claimed_at timestamptz null,
+  sent_at timestamptz null,
+  primary key (job_id, user_id)
+);
+
+create index if not exists broadcast_recipients_status_idx
+  on public.broadcast_recipients (job_id, status);
+
+-- Subscribed users matching an audience filter. Supported keys (all optional, combined with AND):
+--   minLevel     users.level >= n
+--   inactiveDays no mine for at least n days
+--   owners       true = owns at least one business
+--   business     owns at least one of this business id
+create or replace function public.broadcast_audience(p_audience jsonb default '{}'::jsonb)
+returns table (user_id text)
+language sql
+stable
+security definer
+as $$
+  select u.id
+  from public.users u
+  where u.subscribed = true
+    and (p_audience->>'minLevel' is null
+         or coalesce(u.level, 1) >= (p_audience->>'minLevel')::int)
+    and (p_audience->>'inactiveDays' is null
+         or coalesce(u.last_mine, 0) < (extract(epoch from now()) * 1000)::bigint
+                                        - (p_audience->>'inactiveDays')::bigint * 86400000)
+    and (coalesce((p_audience->>'owners')::boolean, false) = false
+         or exists (select 1 from jsonb_each_text(coalesce(u.businesses, '{}'::jsonb)) b
+                    where b.value::bigint > 0))
+    and (p_audience->>'business' is null
+         or coalesce((u.businesses->>(p_audience->>'business'))::bigint, 0) > 0);
+$$;
+
+-- Store a broadcast draft; returns its id and how many users it would reach right now
+create or replace function public.create_broadcast_draft(
+  p_created_by text,
+  p_message text,
+  p_include_channel boolean default false,
+  p_photo text default null,
+  p_buttons jsonb default '[]'::jsonb,
+  p_audience jsonb default '{}'::jsonb,
+  p_send_at timestamptz default null
+)
+returns json
+language plpgsql
+security definer
+as $$
+declare
+  v_job_id bigint;
+  n int;
+begin
+  select count(*) into n from public.broadcast_audience(coalesce(p_audience, '{}'::jsonb));
+
+  insert into public.broadcast_jobs (created_by, message, include_channel, status, photo, buttons, audience, send_at, total)
+  values (p_created_by, p_message, p_include_channel, 'draft', p_photo,
+          coalesce(p_buttons, '[]'::jsonb), coalesce(p_audience, '{}'::jsonb), p_send_at, n)
+  returning id into v_job_id;
+
+  return json_build_object('success', true, 'job_id', v_job_id, 'total', n);
+end;
+$$;
+
+-- Draft -> queued (the Send button)
+create or replace function public.queue_broadcast_job(p_job_id bigint)
+returns json
+language plpgsql
+security definer
+as $$
+declare
+  j public.broadcast_jobs%rowtype;
+begin
+  update public.broadcast_jobs
+  set status = 'queued'
+  where id = p_job_id and status = 'draft'
+  returning * into j;
+
+  if not found then
+    if exists (select 1 from public.broadcast_jobs where id = p_job_id) then
+      return json_build_object('success', false, 'error', 'not_draft');
+    end if;
+    return json_build_object('success', false, 'error', 'not_found');
+  end if;
+
+  return json_build_object('success', true, 'job_id', j.id, 'total', j.total, 'send_at', j.send_at);
+end;
+$$;
+
+-- Queued -> running: resolve the audience into recipient rows. Returns success=false
+-- if another worker already started the job.
+create or replace function public.start_broadcast_job(p_job_id bigint)
+returns json
+language plpgsql
+security definer
+as $$
+declare
+  j public.broadcast_jobs%rowtype;
+  n int;
+begin
+  update public.broadcast_jobs
+  set status = 'running', started_at = now()
+  where id = p_job_id and status = 'queued'
+  returning * into j;
+
+  if not found then
+    return json_build_object('success', false, 'error', 'not_queued');
+  end if;
+
+  insert into public.broadcast_recipients (job_id, user_id)
+  select j.id, a.user_id
+  from public.broadcast_audience(j.audience) a
+  on conflict do nothing;
+
+  get diagnostics n = row_count;
+
+  update public.broadcast_jobs set total = n where id = j.id;
+
+  return json_build_object('success', true, 'job_id', j.id, 'total', n);
+end;
+$$;
+
+-- Claim up to p_limit recipients to send to. Rows stuck in 'sending' longer than
+-- p_stale (worker crashed mid-batch) are claimed again.
+create or replace function public.claim_broadcast_batch(
+  p_job_id bigint,
+  p_limit int,
+  p_stale interval default interval '5 minutes'
+)
+returns json
+language sql
+security definer
+as $$
+  with picked as (
+    select r.job_id, r.user_id
+    from public.broadcast_recipients r
+    where r.job_id = p_job_id
+      and (r.status = 'pending' or (r.status = 'sending' and r.claimed_at < now() - p_stale))
+    order by r.user_id
+    limit p_limit
+    for update skip locked
+  ),
+  claimed as (
+    update public.broadcast_recipients r
+    set status = 'sending',
+        claimed_at = now(),
+        attempts = r.attempts + 1
+    from picked p
+    where r.job_id = p.job_id and r.user_id = p.user_id
+    returning r.user_id, r.attempts
+  )
+  select coalesce(json_agg(json_build_object('user_id', user_id, 'attempts', attempts)), '[]'::json)
+  from claimed;
+$$;
+
+-- Recent jobs (or one job) with per-status recipient counts
+create or replace function public.broadcast_jobs_overview(
+  p_job_id bigint default null,
+  p_limit int default 5
+)
+returns json
+language sql
+stable
+security definer
+as $$
+  select coalesce(json_agg(row_to_json(x) order by x.id desc), '[]'::json)
+  from (
+    select j.id, j.status, j.total, j.created_at, j.started_at, j.finished_at,
+           j.send_at, j.audience, j.photo is not null as has_photo,
+           left(j.message, 60) as preview,
+           count(r.user_id) filter (where r.status = 'sent') as sent,
+           count(r.user_id) filter (where r.status = 'blocked') as blocked,
+           count(r.user_id) filter (where r.status = 'failed') as failed,
+           count(r.user_id) filter (where r.status in ('pending', 'sending')) as pending
+    from public.broadcast_jobs j
+    left join public.broadcast_recipients r on r.job_id = j.id
+    where p_job_id is null or j.id = p_job_id
+    group by j.id
+    order by j.id desc
+    limit p_limit
+  ) x;
+$$;
+
+-- ===============================
+-- ADMIN TOOLS & AUDIT
+-- Admin ids and roles are configured on the server (ADMINS env var);
+-- every admin action is recorded in admin_audit.
+-- ===============================
+alter table public.users add column if not exists banned boolean not null default false;
+alter table public.users add column if not exists banned_at timestamptz null;
+alter table public.users add column if not exists ban_reason text null;
+
+create table if not exists public.admin_audit (
+  id bigserial primary key,
+  admin_id text not null,
+  action text not null,          -- coins.adjust, user.ban, user.unban, user.reset_cooldown, business.update, broadcast.*
+  target text null,              -- user id, business id, broadcast job id
+  details jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists admin_audit_created_idx
+  on public.admin_audit (created_at desc);
+
+create index if not exists admin_audit_target_idx
+  on public.admin_audit (target, created_at desc);
+
+-- Grant (positive p_delta) or deduct coins. Deductions can't take the balance
+-- below zero. Ledger reason is 'admin' with the admin's note as ref.
+create or replace function public.admin_adjust_coins(
+  p_admin_id text,
+  p_user_id text,
+  p_delta bigint,
+  p_reason text
+)
+returns json
+language plpgsql
+security definer
+as $$
+declare
+  cur_coins bigint;
+  new_coins bigint;
+begin
+  if p_delta = 0 then
+    return json_build_object('success', false, 'error', 'zero_amount');
+  end if;
+
+  select coins into cur_coins from public.users where id = p_user_id for update;
+  if not found then
+    return json_build_object('success', false, 'error', 'user_not_found');
+  end if;
+
+  if coalesce(cur_coins, 0) + p_delta < 0 then
+    return json_build_object('success', false, 'error', 'insufficient_balance', 'coins', coalesce(cur_coins, 0));
+  end if;
+
+  perform public.set_coin_reason('admin', left(p_reason, 200));
+
+  update public.users
+  set coins = coalesce(coins, 0) + p_delta
+  where id = p_user_id
+  returning coins into new_coins;
+
+  insert into public.admin_audit (admin_id, action, target, details)
+  values (p_admin_id, 'coins.adjust', p_user_id,
+          json_build_object('delta', p_delta, 'reason', p_reason, 'coins_before', coalesce(cur_coins, 0), 'coins_after', new_coins)::jsonb);
+
+  return json_build_object('success', true, 'coins', new_coins, 'delta', p_delta);
+end;
+$$;
+
+-- ===============================
+-- DAILY CHECK-IN STREAKS
+-- One claim per calendar day in the player's own timezone (offset in minutes
+-- east of UTC, sent by the app). Claiming on consecutive days grows the
+-- streak; missing a day resets it to 1. Rewards follow daily_reward_ladder
+-- and start over at day 1 after the last configured day.
+-- ===============================
+alter table public.users add column if not exists daily_streak int not null default 0;
+alter table public.users add column if not exists daily_last_date date null;          -- local date of last claim
+alter table public.users add column if not exists daily_claimed_at timestamptz null;  -- exact time of last claim
+alter table public.users add column if not exists daily_tz_offset int not null default 0;
+alter table public.users add column if not exists daily_reminded_on date null;        -- local date of last streak reminder
+
+create table if not exists public.daily_reward_ladder (
+  day int primary key check (day >= 1),
+  reward bigint not null check (reward >= 0)
+);
+
+insert into public.daily_reward_ladder (day, reward)
+values (1, 50), (2, 75), (3, 100), (4, 150), (5, 200), (6, 300), (7, 500)
+on conflict do nothing;
+
+-- Ladder day for a streak: cycles back to day 1 after the last configured day
+create or replace function public.daily_ladder_day(p_streak int)
+returns int
+language sql
+stable
+as $$
+  select ((greatest(p_streak, 1) - 1) % greatest((select count(*) from public.daily_reward_ladder), 1))::int + 1;
+$$;
+
+create or replace function public.claim_daily_reward(
+  p_user_id text,
+  p_tz_offset int
+)
+returns json
+language plpgsql
+security definer
+as $$
+declare
+  u public.users%rowtype;
+  v_offset int;
+  v_today date;
+  v_streak int;
+  v_day int;
+  v_reward bigint;
+begin
+  select * into u from public.users where id = p_user_id for update;
+  if not found then
+    return json_build_object('success', false, 'error', 'user_not_found');
+  end if;
+
+  -- Timezone can only move once a full day has passed since the last claim,
+  -- otherwise hopping offsets would allow two claims in one day
+  v_offset := coalesce(p_tz_offset, u.daily_tz_offset);
+  if v_offset <> u.daily_tz_offset and u.daily_claimed_at is not null
+     and u.daily_claimed_at > now() - interval '24 hours' then
+    v_offset := u.daily_tz_offset;
+  end if;
+
+  v_today := (now() at time zone 'utc' + make_interval(mins => v_offset))::date;
+
+  if u.daily_last_date = v_today then
+    return json_build_object(
+      'success', false,
+      'error', 'already_claimed',
+      'streak', u.daily_streak,
+      'today', v_today
+    );
+  end if;
+
+  if u.daily_last_date = v_today - 1 then
+    v_streak := u.daily_streak + 1;
+  else
+    v_streak := 1;
+  end if;
+
+  v_day := public.daily_ladder_day(v_streak);
+  select reward into v_reward from public.daily_reward_ladder where day = v_day;
+  v_reward := coalesce(v_reward, 0);
+
+  perform public.set_coin_reason('daily', 'day ' || v_day);
+
+  update public.users
+  set coins = coalesce(coins, 0) + v_reward,
+      daily_streak = v_streak,
+      daily_last_date = v_today,
+      daily_claimed_at = now(),
+      daily_tz_offset = v_offset
+  where id = p_user_id;
+
+  -- Re-read: includes any level-up reward paid by the update
+  select * into u from public.users where id = p_user_id;
+
+  return json_build_object(
+    'success', true,
+    'reward', v_reward,
+    'streak', v_streak,
+    'day', v_day,
+    'today', v_today,
+    'coins', u.coins,
+    'level', u.level,
+    'xp', u.xp
+  );
+end;
+$$;
+
+-- Subscribed players with a live streak who haven't claimed today and whose
+-- local time is past p_local_hour. Marks them reminded for today.
+create or replace function public.daily_streak_reminders(
+  p_local_hour int default 20,
+  p_limit int default 500
+)
+returns json
+language sql
+security definer
+as $$
+  with due as (
+    select u.id, u.daily_streak,
+           (now() at time zone 'utc' + make_interval(mins => u.daily_tz_offset)) as local_now
+    from public.users u
+    where u.subscribed = true
+      and coalesce(u.banned, false) = false
+      and u.daily_streak > 0
+  ),
+  picked as (
+    select d.id, d.daily_streak
+    from due d
+    join public.users u on u.id = d.id
+    where u.daily_last_date = d.local_now::date - 1
+      and extract(hour from d.local_now) >= p_local_hour
+      and (u.daily_reminded_on is null or u.daily_reminded_on < d.local_now::date)
+    limit p_limit
+  ),
+  marked as (
+    update public.users u
+    set daily_reminded_on = (now() at time zone 'utc' + make_interval(mins => u.daily_tz_offset))::date
+    from picked p
+    where u.id = p.id
+    returning u.id, p.daily_streak
+  )
+  select coalesce(json_agg(json_build_object(
+    'user_id', m.id,
+    'streak', m.daily_streak,
+    'next_reward', (select reward from public.daily_reward_ladder
+                    where day = public.daily_ladder_day(m.daily_streak + 1))
+  )), '[]'::json)
+  from marked m;
+$$;
+
+-- ===============================
+-- QUESTS (SOCIAL TASKS)
+-- verification:
+--   telegram_member  server checks membership of chat_id with the Bot API getChatMember
+--                    (chat_id null = the server's CHANNEL_USERNAME)
+--   timed            self-attest: claimable min_wait_sec after the player opened the link
+-- ===============================
+create table if not exists public.quests (
+  id text primary key,
+  title text not null,
+  description text null,
+  type text not null check (type in ('channel_join', 'link_visit')),
+  reward bigint not null check (reward >= 0),
+  link text null,
+  chat_id text null,
+  verification text not null check (verification in ('telegram_member', 'timed')),
+  min_wait_sec int not null default 30,
+  sort_order int not null default 0,
+  enabled boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+insert into public.quests (id, title, description, type, reward, link, chat_id, verification, min_wait_sec, sort_order, enabled)
+values
+  ('join_channel', 'Join our Telegram channel', 'Stay up to date with CIFCI news.', 'channel_join', 500, null, null, 'telegram_member', 0, 1, true),
+  -- set the profile link, then enable
+  ('follow_x', 'Follow us on X', 'Follow CIFCI on X.', 'link_visit', 300, null, null, 'timed', 30, 2, false)
+on conflict (id) do nothing;
+
+create table if not exists public.quest_progress (
+  user_id text not null references public.users(id) on delete cascade,
+  quest_id text not null references public.quests(id) on delete cascade,
+  status text not null default 'started' check (status in ('started', 'completed')),
+  started_at timestamptz not null default now(),
+  completed_at timestamptz null,
+  reward bigint null,
+  primary key (user_id, quest_id)
+);
+
+-- Player opened the quest link (starts the timer for timed quests)
+create or replace function public.start_quest(p_user_id text, p_quest_id text)
+returns json
+language plpgsql
+security definer
+as $$
+declare
+  p public.quest_progress%rowtype;
+begin
+  if not exists (select 1 from public.quests where id = p_quest_id and enabled) then
+    return json_build_object('success', false, 'error', 'quest_not_found');
+  end if;
+
+  insert into public.quest_progress (user_id, quest_id)
+  values (p_user_id, p_quest_id)
+  on conflict (user_id, quest_id) do nothing;
+
+  select * into p from public.quest_progress where user_id = p_user_id and quest_id = p_quest_id;
+
+  return json_build_object('success', true, 'status', p.status, 'started_at', p.started_at);
+end;
+$$;
+
+-- Pay a quest reward once. Verification of telegram_member quests happens on
+-- the server before calling this; timed quests are checked here.
+create or replace function public.complete_quest(p_user_id text, p_quest_id text)
+returns json
+language plpgsql
+security definer
+as $$
+declare
+  q public.quests%rowtype;
+  p public.quest_progress%rowtype;
+  new_coins bigint;
+  v_level int;
+  v_xp bigint;
+  v_wait int;
+begin
+  select * into q from public.quests where id = p_quest_id and enabled;
+  if not found then
+    return json_build_object('success', false, 'error', 'quest_not_found');
+  end if;
+
+  perform 1 from public.users where id = p_user_id for update;
+  if not found then
+    return json_build_object('success', false, 'error', 'user_not_found');
+  end if;
+
+  select * into p from public.quest_progress
+  where user_id = p_user_id and quest_id = p_quest_id
+  for update;
+
+  if found and p.status = 'completed' then
+    return json_build_object('success', false, 'error', 'already_completed');
+  end if;
+
+  if q.verification = 'timed' then
+    if not found then
+      return json_build_object('success', false, 'error', 'not_started');
+    end if;
+    v_wait := ceil(extract(epoch from (p.started_at + make_interval(secs => q.min_wait_sec) - now())))::int;
+    if v_wait > 0 then
+      return json_build_object('success', false, 'error', 'too_soon', 'wait_sec', v_wait);
+    end if;
+  end if;
+
+  insert into public.quest_progress (user_id, quest_id, status, completed_at, reward)
+  values (p_user_id, p_quest_id, 'completed', now(), q.reward)
+  on conflict (user_id, quest_id) do update
+    set status = 'completed', completed_at = now(), reward = q.reward;
+
+  perform public.set_coin_reason('quest', p_quest_id);
+
+  update public.users
+  set coins = coalesce(coins, 0) + q.reward
+  where id = p_user_id;
+
+  -- Re-read: includes any level-up reward paid by the update
+  select coins, level, xp into new_coins, v_level, v_xp from public.users where id = p_user_id;
+
+  return json_build_object('success', true, 'reward', q.reward, 'coins', new_coins, 'level', v_level, 'xp', v_xp);
+end;
+$$;
+
+-- ===============================
+-- LEVELS (XP = LIFETIME EARNINGS)
+-- Every coin earned (mining, passive income, referrals, daily check-ins,
+-- quests) adds the same amount of XP; spending never lowers it. users.level
+-- follows the thresholds in public.levels and each level reached pays its
+-- reward once (ledger reason 'level_up'). Levels can also raise passive
+-- income (passive_bonus_pct) and unlock businesses (businesses.min_level).
+-- ===============================
+alter table public.users add column if not exists xp bigint not null default 0;
+
+create table if not exists public.levels (
+  level int primary key check (level >= 1),
+  title text not null,
+  xp_required bigint not null check (xp_required >= 0),
+  reward bigint not null default 0 check (reward >= 0),
+  passive_bonus_pct int not null default 0 check (passive_bonus_pct >= 0)
+);
+
+insert into public.levels (level, title, xp_required, reward, passive_bonus_pct)
+values
+  (1, 'Intern', 0, 0, 0),
+  (2, 'Manager', 1000, 100, 5),
+  (3, 'CEO', 10000, 1000, 10),
+  (4, 'Tycoon', 100000, 10000, 20),
+  (5, 'CEO TOTO 💎', 700000, 50000, 35)
+on conflict do nothing;
+
+create table if not exists public.level_ups (
+  user_id text not null references public.users(id) on delete cascade,
+  level int not null,
+  reward bigint not null default 0,
+  created_at timestamptz not null default now(),
+  primary key (user_id, level)
+);
+
+create or replace function public.level_passive_bonus(p_level int)
+returns int
+language sql
+stable
+as $$
+  select coalesce((select passive_bonus_pct from public.levels where level = p_level), 0);
+$$;
+
+create or replace function public.level_for_xp(p_xp bigint)
+returns int
+language sql
+stable
+as $$
+  select coalesce((select max(level) from public.levels where xp_required <= p_xp), 1);
+$$;
+
+-- BEFORE: earning reasons add XP and move the level up (never down)
+create or replace function public.track_xp()
+returns trigger
+language plpgsql
+as $$
+declare
+  d bigint := coalesce(new.coins, 0) - coalesce(old.coins, 0);
+  r text := coalesce(nullif(current_setting('app.coin_reason', true), ''), 'admin');
+begin
+  if d > 0 and r in ('mine', 'passive', 'referral_bonus', 'referral_commission', 'daily', 'quest') then
+    new.xp := coalesce(old.xp, 0) + d;
+    new.level := greatest(coalesce(old.level, 1), public.level_for_xp(new.xp));
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists trg_track_xp on public.users;
+
+create trigger trg_track_xp
+before update of coins
+on public.users
+for each row
+execute function public.track_xp();
+
+-- AFTER (named to run after trg_log_coin_change): pay rewards for levels
+-- reached, as their own ledger entry, then restore the caller's reason
+create or replace function public.reward_level_up()
+returns trigger
+language plpgsql
+security definer
+as $$
+declare
+  prev_reason text := current_setting('app.coin_reason', true);
+  prev_ref text := current_setting('app.coin_ref', true);
+  bonus bigint;
+begin
+  if coalesce(new.level, 1) <= coalesce(old.level, 1) then
+    return new;
+  end if;
+
+  with reached as (
+    insert into public.level_ups (user_id, level, reward)
+    select new.id, l.level, l.reward
+    from public.levels l
+    where l.level > coalesce(old.level, 1) and l.level <= new.level
+    on conflict do nothing
+    returning reward
+  )
+  select coalesce(sum(reward), 0) into bonus from reached;
+
+  if bonus > 0 then
+    perform public.set_coin_reason('level_up', new.level::text);
+    update public.users set coins = coins + bonus where id = new.id;
+    perform public.set_coin_reason(coalesce(prev_reason, ''), nullif(prev_ref, ''));
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists trg_reward_level_up on public.users;
+
+-- "update of coins", not "of level": the level is changed by trg_track_xp,
+-- and column lists only see columns named in the UPDATE statement itself
+create trigger trg_reward_level_up
+after update of coins
+on public.users
+for each row
+when (coalesce(new.level, 1) > coalesce(old.level, 1))
+execute function public.reward_level_up();
+
+-- Backfill XP from the ledger for players who earned before levels existed
+-- (levels are set directly, without retroactive rewards)
+update public.users u
+set xp = t.earned,
+    level = greatest(coalesce(u.level, 1), public.level_for_xp(t.earned))
+from (
+  select user_id, sum(delta) as earned
+  from public.coin_transactions
+  where delta > 0
+    and reason in ('mine', 'passive', 'referral_bonus', 'referral_commission', 'daily', 'quest')
+  group by user_id
+) t
+where t.user_id = u.id
+  and u.xp = 0;
+
+-- ===============================
+-- BOOSTS (TEMPORARY MULTIPLIERS)
+-- Coin sink: players buy boosts from public.boosts. Timed boosts are stored
+-- in public.user_boosts with an expiry (epoch ms, like users.last_mine);
+-- buying the same effect again queues it after the current one, so boosts
+-- never stack multiplicatively. Effects:
+--   mine_multiplier     coins per mine x value
+--   cooldown_multiplier mine cooldown x value
+--   passive_multiplier  passive income x value (only for time inside the window)
+--   cooldown_refill     instant: the next mine is available right away
+-- ===============================
+create table if not exists public.boosts (
+  id text primary key,
+  title text not null,
+  description text null,
+  effect text not null check (effect in ('mine_multiplier', 'cooldown_multiplier', 'passive_multiplier', 'cooldown_refill')),
+  value numeric not null default 1 check (value > 0),
+  duration_sec int null check (duration_sec is null or duration_sec > 0), -- null = instant
+  cost bigint not null check (cost >= 0),
+  daily_limit int null check (daily_limit is null or daily_limit > 0),     -- purchases per UTC day
+  sort_order int not null default 0,
+  enabled boolean not null default true
+);
+
+insert into public.boosts (id, title, description, effect, value, duration_sec, cost, daily_limit, sort_order)
+values
+  ('mine_x2', '2× Mining', 'Double coins from every mine for 1 hour.', 'mine_multiplier', 2, 3600, 150, null, 1),
+  ('cooldown_half', 'Fast Hands', 'Halve the mining cooldown for 30 minutes.', 'cooldown_multiplier', 0.5, 1800, 100, null, 2),
+  ('passive_x2', '2× Business Income', 'Double passive income for 1 hour.', 'passive_multiplier', 2, 3600, 300, null, 3),
+  ('cooldown_refill', 'Energy Refill', 'Skip the current mining cooldown.', 'cooldown_refill', 1, null, 20, 3, 4)
+on conflict (id) do nothing;
+
+create table if not exists public.user_boosts (
+  id bigserial primary key,
+  user_id text not null references public.users(id) on delete cascade,
+  boost_id text not null references public.boosts(id),
+  effect text not null,
+  value numeric not null,
+  cost bigint not null,
+  starts_at bigint not null,  -- epoch ms
+  expires_at bigint not null, -- = starts_at for instant boosts
+  created_at timestamptz not null default now()
+);
+
+create index if not exists user_boosts_user_expires_idx
+  on public.user_boosts (user_id, effect, expires_at desc);
+
+-- Multiplier of the boost active at p_now (1 when none)
+create or replace function public.boost_multiplier(p_user_id text, p_effect text, p_now bigint)
+returns numeric
+language sql
+stable
+as $$
+  select coalesce(max(value), 1)
+  from public.user_boosts
+  where user_id = p_user_id
+    and effect = p_effect
+    and starts_at <= p_now
+    and expires_at > p_now;
+$$;
+
+-- Extra boosted time inside [p_from, p_to): sum of overlap_ms * (value - 1)
+create or replace function public.boost_bonus_ms(p_user_id text, p_effect text, p_from bigint, p_to bigint)
+returns numeric
+language sql
+stable
+as $$
+  select coalesce(sum(greatest(least(expires_at, p_to) - greatest(starts_at, p_from), 0) * (value - 1)), 0)
+  from public.user_boosts
+  where user_id = p_user_id
+    and effect = p_effect
+    and starts_at < p_to
+    and expires_at > p_from;
+$$;
+
+-- Buy a boost. p_cooldown_ms is the base mine cooldown (used by refills).
+create or replace function public.buy_boost(
+  p_user_id text,
+  p_boost_id text,
+  p_now bigint,
+  p_cooldown_ms bigint
+)
+returns json
+language plpgsql
+security definer
+as $$
+declare
+  b public.boosts%rowtype;
+  cur_coins bigint;
+  cur_last_mine bigint;
+  used_today int;
+  v_start bigint;
+  v_expires bigint;
+  new_coins bigint;
+  new_last_mine bigint;
+begin
+  select * into b from public.boosts where id = p_boost_id and enabled;
+  if not found then
+    return json_build_object('success', false, 'error', 'unknown_boost');
+  end if;
+
+  select coalesce(coins, 0), coalesce(last_mine, 0) into cur_coins, cur_last_mine
+  from public.users
+  where id = p_user_id
+  for update;
+
+  if not found then
+    return json_build_object('success', false, 'error', 'user_not_found');
+  end if;
+
+  if b.daily_limit is not null then
+    select count(*) into used_today
+    from public.user_boosts
+    where user_id = p_user_id
+      and boost_id = b.id
+      and starts_at >= p_now - (p_now % 86400000);
+    if used_today >= b.daily_limit then
+      return json_build_object('success', false, 'error', 'daily_limit', 'limit', b.daily_limit);
+    end if;
+  end if;
+
+  if b.effect = 'cooldown_refill'
+     and cur_last_mine <= p_now - (p_cooldown_ms * public.boost_multiplier(p_user_id, 'cooldown_multiplier', p_now))::bigint then
+    return json_build_object('success', false, 'error', 'not_on_cooldown');
+  end if;
+
+  if cur_coins < b.cost then
+    return json_build_object('success', false, 'error', 'insufficient_funds');
+  end if;
+
+  if b.duration_sec is null then
+    v_start := p_now;
+    v_expires := p_now;
+  else
+    -- Queue behind a running boost with the same effect
+    select greatest(coalesce(max(expires_at), p_now), p_now) into v_start
+    from public.user_boosts
+    where user_id = p_user_id and effect = b.effect and expires_at > p_now;
+    v_expires := v_start + b.duration_sec::bigint * 1000;
+  end if;
+
+  perform public.set_coin_reason('boost', b.id);
+
+  update public.users
+  set coins = coins - b.cost,
+      last_mine = case when b.effect = 'cooldown_refill'
+                       then least(coalesce(last_mine, 0), p_now - p_cooldown_ms)
+                       else last_mine end
+  where id = p_user_id
+  returning coins, last_mine into new_coins, new_last_mine;
+
+  insert into public.user_boosts (user_id, boost_id, effect, value, cost, starts_at, expires_at)
+  values (p_user_id, b.id, b.effect, b.value, b.cost, v_start, v_expires);
+
+  return json_build_object(
+    'success', true,
+    'boost', b.id,
+    'starts_at', v_start,
+    'expires_at', v_expires,
+    'coins', new_coins,
+    'last_mine', new_last_mine
+  );
+end;
+$$;
+
+-- ===============================
+-- TRANSFERS (PLAYER TO PLAYER)
+-- Sender pays amount + fee, recipient receives amount (ledger reasons
+-- transfer_out / transfer_in; neither adds XP). Limits are passed in by the
+-- server (env-driven) and checked under the sender's row lock, so concurrent
+-- transfers can't exceed them. (from_user_id, idempotency_key) is unique: a
+-- retried request returns the original transfer instead of paying twice, and
+-- the same key with a different recipient or amount is refused (key_reused).
+-- ===============================
+create table if not exists public.transfers (
+  id bigserial primary key,
+  from_user_id text not null references public.users(id) on delete cascade,
+  to_user_id text not null references public.users(id) on delete cascade,
+  amount bigint not null check (amount > 0),
+  fee bigint not null default 0 check (fee >= 0),
+  idempotency_key text not null,
+  created_at timestamptz not null default now(),
+  unique (from_user_id, idempotency_key)
+);
+
+create index if not exists transfers_from_created_idx
+  on public.transfers (from_user_id, created_at desc);
+
+create or replace function public.transfer_coins(
+  p_from text,
+  p_to text,
+  p_amount bigint,
+  p_key text,
+  p_fee_pct numeric default 0,
+  p_daily_limit bigint default null,   -- coins sent per rolling 24h (null = no limit)
+  p_daily_count int default null,      -- transfers per rolling 24h (null = no limit)
+  p_min_age_sec bigint default 0       -- sender account age
+)
+returns json
+language plpgsql
+security definer
+as $$
+declare
+  sender record;
+  recipient record;
+  t public.transfers%rowtype;
+  v_fee bigint;
+  sent_today bigint;
+  count_today int;
+  new_coins bigint;
+begin
+  if p_key is null or length(p_key) = 0 or length(p_key) > 100 then
+    return json_build_object('success', false, 'error', 'invalid_key');
+  end if;
+  if p_amount is null or p_amount <= 0 then
+    return json_build_object('success', false, 'error', 'invalid_amount');
+  end if;
+  if p_from = p_to then
+    return json_build_object('success', false, 'error', 'self_transfer');
+  end if;
+
+  -- Lock both rows in id order so opposite transfers can't deadlock
+  perform 1 from public.users where id in (p_from, p_to) order by id for update;
+
+  select id, coins, banned, created_at into sender from public.users where id = p_from;
+  if not found then
+    return json_build_object('success', false, 'error', 'user_not_found');
+  end if;
+
+  -- Same key again: report the original transfer, if it is the same transfer
+  select * into t from public.transfers where from_user_id = p_from and idempotency_key = p_key;
+  if found then
+    if t.to_user_id <> p_to or t.amount <> p_amount then
+      return json_build_object('success', false, 'error', 'key_reused');
+    end if;
+    return json_build_object(
+      'success', true, 'duplicate', true, 'id', t.id, 'to', t.to_user_id,
+      'amount', t.amount, 'fee', t.fee, 'coins', sender.coins
+    );
+  end if;
+
+  select id, username, banned into recipient from public.users where id = p_to;
+  if not found then
+    return json_build_object('success', false, 'error', 'recipient_not_found');
+  end if;
+  if coalesce(sender.banned, false) then
+    return json_build_object('success', false, 'error', 'banned');
+  end if;
+  if coalesce(recipient.banned, false) then
+    return json_build_object('success', false, 'error', 'recipient_banned');
+  end if;
+  if sender.created_at is not null and sender.created_at > now() - make_interval(secs => p_min_age_sec) then
+    return json_build_object('success', false, 'error', 'account_too_new',
+      'available_at', sender.created_at + make_interval(secs => p_min_age_sec));
+  end if;
+
+  select coalesce(sum(amount), 0), count(*) into sent_today, count_today
+  from public.transfers
+  where from_user_id = p_from and created_at > now() - interval '24 hours';
+
+  if p_daily_count is not null and count_today >= p_daily_count then
+    return json_build_object('success', false, 'error', 'daily_count', 'limit', p_daily_count);
+  end if;
+  if p_daily_limit is not null and sent_today + p_amount > p_daily_limit then
+    return json_build_object('success', false, 'error', 'daily_limit',
+      'limit', p_daily_limit, 'remaining', greatest(p_daily_limit - sent_today, 0));
+  end if;
+
+  v_fee := ceil(p_amount * coalesce(p_fee_pct, 0) / 100)::bigint;
+  if coalesce(sender.coins, 0) < p_amount + v_fee then
+    return json_build_object('success', false, 'error', 'insufficient_funds', 'fee', v_fee);
+  end if;
+
+  insert into public.transfers (from_user_id, to_user_id, amount, fee, idempotency_key)
+  values (p_from, p_to, p_amount, v_fee, p_key)
+  returning * into t;
+
+  perform public.set_coin_reason('transfer_out', p_to);
+  update public.users set coins = coins - (p_amount + v_fee) where id = p_from
+  returning coins into new_coins;
+
+  perform public.set_coin_reason('transfer_in', p_from);
+  update public.users set coins = coalesce(coins, 0) + p_amount where id = p_to;
+
+  return json_build_object(
+    'success', true, 'duplicate', false, 'id', t.id, 'to', p_to,
+    'amount', p_amount, 'fee', v_fee, 'coins', new_coins
+  );
+end;
+$$;
+
+-- ===============================
+-- ANTI-BOT: IP SIGHTINGS & ANOMALY SCORES
+-- user_ips keeps keyed hashes of client IPs (never raw addresses) seen on
+-- /api/mine. refresh_user_risk() scores recent miners 0-100 from three
+-- signals and flags those at or above p_flag_score; the server throttles
+-- flagged players' mining and makes them solve a challenge. Admins can
+-- mark a player as trusted to clear a false positive for good.
+--   regularity (0-40): coefficient of variation of mine intervals < 1h
+--   24/7 activity (0-30): most distinct UTC hours with mines in one day
+--   shared IPs (0-30): other players seen on the same IP hashes
+-- ===============================
+create table if not exists public.user_ips (
+  user_id text not null references public.users(id) on delete cascade,
+  ip_hash text not null,
+  first_seen timestamptz not null default now(),
+  last_seen timestamptz not null default now(),
+  primary key (user_id, ip_hash)
+);
+
+create index if not exists user_ips_hash_seen_idx
+  on public.user_ips (ip_hash, last_seen desc);
+
+create table if not exists public.user_risk (
+  user_id text primary key references public.users(id) on delete cascade,
+  score int not null default 0,
+  mines int not null default 0,
+  interval_cv numeric null,        -- stddev / mean of mine intervals
+  max_active_hours int not null default 0,
+  shared_ip_users int not null default 0,
+  flagged boolean not null default false,
+  trusted boolean not null default false,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists user_risk_flagged_idx
+  on public.user_risk (score desc) where flagged;
+
+create or replace function public.refresh_user_risk(
+  p_window_days int default 7,
+  p_flag_score int default 50
+)
+returns int
+language plpgsql
+security definer
+as $$
+declare
+  since timestamptz := now() - make_interval(days => p_window_days);
+  n int;
+begin
+  with mines as (
+    select t.user_id, t.created_at,
+           extract(epoch from t.created_at - lag(t.created_at) over (partition by t.user_id order by t.id)) as gap
+    from public.coin_transactions t
+    where t.reason = 'mine'
+      and t.created_at >= since
+      and t.user_id in (
+        select user_id from public.coin_transactions
+        where reason = 'mine' and created_at >= now() - interval '1 day'
+      )
+  ),
+  regularity as (
+    select user_id,
+           count(*)::int as mines,
+           case when count(gap) filter (where gap < 3600) >= 20
+                then stddev_samp(gap) filter (where gap < 3600) / nullif(avg(gap) filter (where gap < 3600), 0)
+           end as cv
+    from mines
+    group by user_id
+  ),
+  hours as (
+    select user_id, max(h)::int as max_hours
+    from (
+      select user_id, (created_at at time zone 'utc')::date as d,
+             count(distinct extract(hour from created_at at time zone 'utc')) as h
+      from mines
+      group by user_id, d
+    ) per_day
+    group by user_id
+  ),
+  shared as (
+    select r.user_id, count(distinct o.user_id)::int as others
+    from regularity r
+    join public.user_ips mine_ip on mine_ip.user_id = r.user_id and mine_ip.last_seen >= since
+    join public.user_ips o on o.ip_hash = mine_ip.ip_hash and o.user_id <> r.user_id and o.last_seen >= since
+    group by r.user_id
+  ),
+  scored as (
+    select r.user_id, r.mines, r.cv,
+           coalesce(h.max_hours, 0) as max_hours,
+           coalesce(s.others, 0) as others,
+           (case when r.cv is null then 0
+                 when r.cv < 0.05 then 40
+                 when r.cv < 0.15 then 25
+                 when r.cv < 0.30 then 10
+                 else 0 end)
+         + (case when coalesce(h.max_hours, 0) >= 22 then 30
+                 when coalesce(h.max_hours, 0) >= 18 then 15
+                 else 0 end)
+         + (case when coalesce(s.others, 0) >= 10 then 30
+                 when coalesce(s.others, 0) >= 5 then 20
+                 when coalesce(s.others, 0) >= 3 then 10
+                 else 0 end) as score
+    from regularity r
+    left join hours h on h.user_id = r.user_id
+    left join shared s on s.user_id = r.user_id
+  )
+  insert into public.user_risk (user_id, score, mines, interval_cv, max_active_hours, shared_ip_users, flagged, updated_at)
+  select user_id, score, mines, round(cv, 4), max_hours, others, score >= p_flag_score, now()
+  from scored
+  on conflict (user_id) do update
+    set score = excluded.score,
+        mines = excluded.mines,
+        interval_cv = excluded.interval_cv,
+        max_active_hours = excluded.max_active_hours,
+        shared_ip_users = excluded.shared_ip_users,
+        flagged = excluded.flagged and not public.user_risk.trusted,
+        updated_at = excluded.updated_at;
+
+  get diagnostics n = row_count;
+
+  -- Players who stopped mining drop out of the flag list
+  update public.user_risk
+  set flagged = false, updated_at = now()
+  where flagged and updated_at < now() - make_interval(days => p_window_days);
+
+  return n;
+end;
+$$;
+
+-- ===============================
+-- TELEGRAM UPDATES (WEBHOOK DEDUPE)
+-- Telegram redelivers an update until the webhook answers; the server
+-- claims each update_id here before processing and skips ones it has seen.
+-- ===============================
+create table if not exists public.telegram_updates (
+  update_id bigint primary key,
+  kind text null,                 -- message | callback_query | ...
+  status text not null default 'processing' check (status in ('processing', 'done', 'failed')),
+  error text null,
+  received_at timestamptz not null default now(),
+  finished_at timestamptz null
+);
+
+create index if not exists telegram_updates_received_idx
+  on public.telegram_updates (received_at);
+
+-- true = first delivery (process it), false = already claimed
+create or replace function public.claim_telegram_update(p_update_id bigint, p_kind text)
+returns boolean
+language plpgsql
+security definer
+as $$
+begin
+  insert into public.telegram_updates (update_id, kind)
+  values (p_update_id, p_kind)
+  on conflict (update_id) do nothing;
+  return found;
+end;
+$$;
+
+create or replace function public.prune_telegram_updates(p_keep_days int default 7)
+returns int
+language plpgsql
+security definer
+as $$
+declare
+  n int;
+begin
+  delete from public.telegram_updates
+  where received_at < now() - make_interval(days => p_keep_days);
+  get diagnostics n = row_count;
+  return n;
+end;
+$$;
+
+-- ===============================
+-- ACTION REQUESTS (IDEMPOTENT MINI APP ACTIONS)
+-- The mini app replays mines, purchases and claims it queued while offline,
+-- each with a client-generated key. The first response per (user, key) is
+-- stored here and returned again for repeats of that key.
+-- ===============================
+create table if not exists public.action_requests (
+  user_id text not null,
+  idempotency_key text not null,
+  action text not null,           -- mine | buy | claim
+  status text not null default 'processing' check (status in ('processing', 'done')),
+  response_status int null,
+  response jsonb null,
+  created_at timestamptz not null default now(),
+  finished_at timestamptz null,
+  primary key (user_id, idempotency_key)
+);
+
+create index if not exists action_requests_created_idx
+  on public.action_requests (created_at);
+
+-- { claimed: true } for a new key, otherwise the stored row (still 'processing' or 'done').
+-- A 'processing' row older than p_lease_sec belongs to a request that died before
+-- answering (crash, timeout): the same action may claim it again.
+drop function if exists public.claim_action_request(text, text, text);
+
+create or replace function public.claim_action_request(
+  p_user_id text,
+  p_key text,
+  p_action text,
+  p_lease_sec int default 60
+)
+returns json
+language plpgsql
+security definer
+as $$
+declare
+  r record;
+begin
+  insert into public.action_requests (user_id, idempotency_key, action)
+  values (p_user_id, p_key, p_action)
+  on conflict (user_id, idempotency_key) do update
+    set created_at = now()
+    where public.action_requests.status = 'processing'
+      and public.action_requests.action = excluded.action
+      and public.action_requests.created_at < now() - make_interval(secs => p_lease_sec);
+  if found then
+    return json_build_object('claimed', true);
+  end if;
+
+  select action, status, response_status, response into r
+  from public.action_requests
+  where user_id = p_user_id and idempotency_key = p_key;
+
+  return json_build_object(
+    'claimed', false,
+    'action', r.action,
+    'status', r.status,
+    'response_status', r.response_status,
+    'response', r.response
+  );
+end;
+$$;
+
+create or replace function public.prune_action_requests(p_keep_days int default 7)
+returns int
+language plpgsql
+security definer
+as $$
+declare
+  n int;
+begin
+  delete from public.action_requests
+  where created_at < now() - make_interval(days => p_keep_days);
+  get diagnostics n = row_count;
+  return n;
+end;
+$$;
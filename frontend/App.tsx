@@ -1,34 +1,95 @@
 
-import React, { useState, useEffect } from 'react';
-import { UserState, Tab } from './types';
-import { BUSINESSES, MINE_COOLDOWN_MS } from './constants';
+import React, { useState, useEffect, useRef } from 'react';
+import { UserState, Tab, BusinessDef, IdleIncomeSummary, DailyStatus, LevelDef, BoostState, MineChallenge, MineChallengeSolution, ActionConflict } from './types';
+import { getMineCooldownMs, getLevelProgress, calculatePassiveIncome, estimateMineReward, estimateIdleIncome, getMaxAffordable, getPurchaseTotal } from './services/gameLogic';
+import { OFFLINE_SYNC_RETRY_MS } from './constants';
 import BottomNav from './components/BottomNav';
+import OfflineBanner from './components/OfflineBanner';
 import MineView from './views/MineView';
 import NetworkView from './views/NetworkView';
 import UpgradeView from './views/UpgradeView';
 import TeamView from './views/TeamView';
+import TasksView from './views/TasksView';
 import MeView from './views/MeView';
-import { calculatePassiveIncome } from './services/gameLogic';
-import { fetchUserProfile, updateUserProfile } from './services/api';
+import { fetchUserProfile, fetchBusinesses, fetchLevels, mineCoins, buyBusiness, claimIdleIncome, updateSubscription, fetchDailyStatus, claimDailyReward, fetchBoosts, buyBoost, getTelegramUser, newIdempotencyKey, LevelProgress } from './services/api';
+import {
+  loadCachedUser, cacheUser, loadCachedCatalog, cacheCatalog, loadCachedLevels, cacheLevels,
+  loadQueue, enqueueAction, flushActionQueue, describeConflict
+} from './services/offline';
 
 const App: React.FC = () => {
   const [activeTab, setActiveTab] = useState<Tab>(Tab.MINE);
   
   // State for data fetching
   const [user, setUser] = useState<UserState | null>(null);
+  const [catalog, setCatalog] = useState<BusinessDef[]>([]);
+  const [awaySummary, setAwaySummary] = useState<IdleIncomeSummary | null>(null);
+  const [daily, setDaily] = useState<DailyStatus | null>(null);
+  const [levels, setLevels] = useState<LevelDef[]>([]);
+  const [levelUp, setLevelUp] = useState<LevelDef | null>(null);
+  const [boosts, setBoosts] = useState<BoostState | null>(null);
   const [isLoading, setIsLoading] = useState<boolean>(true);
   const [error, setError] = useState<string | null>(null);
 
+  // Offline play: actions are queued (services/offline.ts) and replayed on reconnect
+  const [offline, setOffline] = useState<boolean>(!navigator.onLine);
+  const [pending, setPending] = useState<number>(() => loadQueue().length);
+  const [syncing, setSyncing] = useState<boolean>(false);
+  const [conflicts, setConflicts] = useState<string[]>([]);
+  const syncInFlight = useRef(false);
+
+  const reportConflicts = (rejected: ActionConflict[]) => {
+    if (rejected.length === 0) return;
+    const catalogNow = loadCachedCatalog();
+    setConflicts(prev => [...prev, ...rejected.map(c => describeConflict(c, catalogNow))]);
+  };
+
   // Initial Data Fetch
   useEffect(() => {
     const initUser = async () => {
       try {
         setIsLoading(true);
         setError(null);
-        // REMOVED: const data = await fetchUserProfile('12345'); 
-        // ADDED: No arguments needed, it grabs from Telegram now
-        const data = await fetchUserProfile();
-        setUser(data);
+
+        // Actions queued in an earlier offline session go first, so the profile below includes them
+        syncInFlight.current = true;
+        try {
+          const replay = await flushActionQueue();
+          setPending(replay.remaining);
+          reportConflicts(replay.conflicts);
+        } finally {
+          syncInFlight.current = false;
+        }
+
+        const [data, businesses, levelDefs] = await Promise.all([fetchUserProfile(), fetchBusinesses(), fetchLevels()]);
+        const catalogNow = businesses.length > 0 ? businesses : loadCachedCatalog();
+        const levelsNow = levelDefs.length > 0 ? levelDefs : loadCachedLevels();
+        if (businesses.length > 0) cacheCatalog(businesses);
+        if (levelDefs.length > 0) cacheLevels(levelDefs);
+        setCatalog(catalogNow);
+        setLevels(levelsNow);
+
+        if (!data) {
+          // Server unreachable: continue from the last profile saved on this device
+          const cached = loadCachedUser(getTelegramUser()?.id?.toString());
+          if (!cached) throw new Error('Could not reach the server. Check your connection and try again.');
+          setOffline(true);
+          setUser(claimIdleOffline(cached, catalogNow, levelsNow));
+          return;
+        }
+
+        // Collect idle income earned while the app was closed
+        const [idle, dailyStatus, boostState] = await Promise.all([claimIdleIncome(), fetchDailyStatus(), fetchBoosts()]);
+        setDaily(dailyStatus);
+        setBoosts(boostState);
+        setOffline(false);
+        if (idle && !('error' in idle)) {
+          const { coins, level, xp, ...summary } = idle;
+          setUser({ ...data, coins, level, xp, lastClaim: Date.now() });
+          if (summary.earned > 0) setAwaySummary(summary);
+        } else {
+          setUser(data);
+        }
       } catch (err: any) {
         console.error("Error fetching user:", err);
         setError(err.message || "Failed to load profile");
@@ -40,61 +101,238 @@ const App: React.FC = () => {
     initUser();
   }, []);
 
-  // Save to Database whenever user state changes
+  // Replay queued actions, then adopt the server's state (it may differ from our estimates)
+  const syncQueue = async () => {
+    if (syncInFlight.current || !navigator.onLine) return;
+    syncInFlight.current = true;
+    setSyncing(true);
+    try {
+      const replay = await flushActionQueue();
+      setPending(replay.remaining);
+      reportConflicts(replay.conflicts);
+      if (replay.remaining > 0) {
+        setOffline(true);
+        return;
+      }
+
+      const fresh = await fetchUserProfile();
+      if (!fresh) {
+        setOffline(true);
+        return;
+      }
+      setOffline(false);
+      setUser(fresh);
+
+      const [dailyStatus, boostState, businesses, levelDefs] = await Promise.all([
+        fetchDailyStatus(), fetchBoosts(), fetchBusinesses(), fetchLevels()
+      ]);
+      if (dailyStatus) setDaily(dailyStatus);
+      if (boostState) setBoosts(boostState);
+      if (businesses.length > 0) {
+        cacheCatalog(businesses);
+        setCatalog(businesses);
+      }
+      if (levelDefs.length > 0) {
+        cacheLevels(levelDefs);
+        setLevels(levelDefs);
+      }
+    } finally {
+      syncInFlight.current = false;
+      setSyncing(false);
+    }
+  };
+
+  useEffect(() => {
+    const onOnline = () => { syncQueue(); };
+    const onOffline = () => setOffline(true);
+    window.addEventListener('online', onOnline);
+    window.addEventListener('offline', onOffline);
+    return () => {
+      window.removeEventListener('online', onOnline);
+      window.removeEventListener('offline', onOffline);
+    };
+  }, []);
+
+  // Online with actions waiting (e.g. queued during a sync): send them right away
+  useEffect(() => {
+    if (!offline && !syncing && pending > 0) syncQueue();
+  }, [offline, syncing, pending]);
+
+  // Keep retrying while offline or while actions are waiting
+  useEffect(() => {
+    if (!offline && pending === 0) return;
+    const timer = setInterval(syncQueue, OFFLINE_SYNC_RETRY_MS);
+    return () => clearInterval(timer);
+  }, [offline, pending]);
+
+  // New actions queue up behind unsent ones so the server sees them in order
+  const queueing = offline || syncing || pending > 0;
+
+  // Celebrate level-ups, including ones reached while the app was closed.
+  // Runs before the cache sync below so the first pass still sees the last cached level.
+  const seenLevel = useRef<number | null>(null);
+  useEffect(() => {
+    if (!user) return;
+    if (seenLevel.current === null) {
+      try {
+        seenLevel.current = loadCachedUser(user.id)?.level || user.level;
+      } catch {
+        seenLevel.current = user.level;
+      }
+    }
+    if (user.level > seenLevel.current) {
+      setLevelUp(levels.find(l => l.level === user.level) ?? null);
+    }
+    seenLevel.current = user.level;
+  }, [user?.level]);
+
+  // Keep local storage in sync: it is what the app shows when it starts offline
+  // (server is the source of truth for game state)
   useEffect(() => {
     if (user) {
-      // 1. Keep local storage for speed
-      localStorage.setItem('toto_user', JSON.stringify(user));
-      
-      // 2. Save to Supabase (Debounce this in real production, but okay for now)
-      updateUserProfile(user);
+      cacheUser(user);
     }
   }, [user]);
 
-  // Handle Mining Action
-  const handleMine = (): { earned: number; passive: number } | null => {
+  // Offline: collect idle income locally (estimate) and queue the real claim
+  const claimIdleOffline = (base: UserState, catalogNow: BusinessDef[], levelsNow: LevelDef[]): UserState => {
+    const now = Date.now();
+    const bonusPct = getLevelProgress(base.level, base.xp, levelsNow).passiveBonusPct;
+    const rate = calculatePassiveIncome(base.businesses, catalogNow, bonusPct);
+    const summary = estimateIdleIncome(rate, base.lastClaim ?? base.lastMine ?? now, now);
+    if (summary.earned <= 0) return base;
+
+    setPending(enqueueAction({ key: newIdempotencyKey(), type: 'claim', createdAt: now }));
+    setAwaySummary(summary);
+    return { ...base, coins: base.coins + summary.earned, xp: base.xp + summary.earned, lastClaim: now };
+  };
+
+  // Offline mine: show the expected reward now, the server rolls the real one on replay
+  const mineOffline = (now: number, key = newIdempotencyKey()) => {
+    const earned = estimateMineReward(boosts?.active ?? [], now);
+    setPending(enqueueAction({ key, type: 'mine', createdAt: now }));
+    setUser(prev => prev ? ({ ...prev, coins: prev.coins + earned, xp: prev.xp + earned, lastMine: now }) : null);
+    return { earned, passive: 0 };
+  };
+
+  // Offline purchase at the local price; 'max' is resolved now so the replay buys the same amount
+  const buyOffline = (business: BusinessDef, qty: number | 'max', key = newIdempotencyKey()) => {
+    if (!user || user.level < business.minLevel) return;
+    const owned = user.businesses[business.id] ?? 0;
+    const count = qty === 'max' ? getMaxAffordable(business, owned, user.coins) : qty;
+    const cost = getPurchaseTotal(business, owned, count);
+    if (count <= 0 || cost > user.coins) return;
+
+    setPending(enqueueAction({ key, type: 'buy', createdAt: Date.now(), business: business.id, qty: count }));
+    setUser(prev => prev ? ({
+      ...prev,
+      coins: prev.coins - cost,
+      businesses: { ...prev.businesses, [business.id]: owned + count }
+    }) : null);
+  };
+
+  // Earning actions report level/xp (and any level-up bonus is already in their coins)
+  const applyProgress = (coins: number, progress: LevelProgress) => {
+    setUser(prev => prev ? ({ ...prev, coins, level: progress.level, xp: progress.xp }) : null);
+  };
+
+  // Handle Mining Action (reward + cooldown are decided by the backend)
+  // Flagged accounts get a challenge back instead; MineView solves it and calls again
+  const handleMine = async (
+    solution?: MineChallengeSolution
+  ): Promise<{ earned: number; passive: number } | { challenge: MineChallenge } | null> => {
     if (!user) return null;
-    
+    const activeBoosts = boosts?.active ?? [];
     const now = Date.now();
-    if (now - user.lastMine < MINE_COOLDOWN_MS) return null;
+    if (now - user.lastMine < getMineCooldownMs(activeBoosts, now)) return null;
+    if (queueing) return mineOffline(now);
+
+    // No answer: the mine may or may not have landed, the replay with this key settles it
+    const key = newIdempotencyKey();
+    const result = await mineCoins(solution, { idempotencyKey: key });
+    if (!result) {
+      setOffline(true);
+      return mineOffline(now, key);
+    }
+    if ('challenge' in result) return result;
+    if ('error' in result) return null;
 
-    // Logic from backend: earn random 2-3 coins + passive
-    const earned = Math.floor(Math.random() * 0) + 1;
-    const passive = calculatePassiveIncome(user.businesses);
-    const newCoins = user.coins + earned + passive;
+    if ('retryAfterMs' in result) {
+      // Server says we're still cooling down: resync the timer
+      setUser(prev => prev ? ({
+        ...prev,
+        lastMine: Date.now() - (getMineCooldownMs(activeBoosts, Date.now()) - result.retryAfterMs)
+      }) : null);
+      return null;
+    }
 
     setUser(prev => prev ? ({
       ...prev,
-      coins: newCoins,
-      lastMine: now
+      coins: result.coins,
+      level: result.level,
+      xp: result.xp,
+      lastMine: result.lastMine
     }) : null);
 
-    return { earned, passive };
+    return { earned: result.earned, passive: result.passive };
+  };
+
+  // Daily check-in (streak + reward decided by the backend)
+  const handleDailyClaim = async (): Promise<number | null> => {
+    const result = await claimDailyReward();
+    if (!result) return null;
+
+    if (result.status) setDaily(result.status);
+    if (result.coins !== null && result.progress) {
+      applyProgress(result.coins, result.progress);
+      return result.reward;
+    }
+    return null;
+  };
+
+  // Buy a boost; returns the backend error code on failure
+  const handleBuyBoost = async (boostId: string): Promise<string | null> => {
+    const result = await buyBoost(boostId);
+    if (!result) return 'network';
+    if ('error' in result) return result.error;
+
+    const { coins, lastMine, ...state } = result;
+    setBoosts(state);
+    setUser(prev => prev ? ({ ...prev, coins, lastMine }) : null);
+    return null;
   };
 
   // Handle Buying Businesses
-  const handleBuyBusiness = (businessId: string) => {
+  const handleBuyBusiness = async (businessId: string, qty: number | 'max') => {
     if (!user) return;
 
-    const business = BUSINESSES.find(b => b.id === businessId);
+    const business = catalog.find(b => b.id === businessId);
     if (!business) return;
+    if (queueing) return buyOffline(business, qty);
 
-    if (user.coins >= business.cost) {
-      const currentQty = user.businesses[businessId] || 0;
-      setUser(prev => prev ? ({
-        ...prev,
-        coins: prev.coins - business.cost,
-        businesses: {
-          ...prev.businesses,
-          [businessId]: currentQty + 1
-        }
-      }) : null);
+    const key = newIdempotencyKey();
+    const result = await buyBusiness(businessId, qty, { idempotencyKey: key });
+    if (!result) {
+      setOffline(true);
+      return buyOffline(business, qty, key);
     }
+    if ('error' in result) return;
+
+    setUser(prev => prev ? ({
+      ...prev,
+      coins: result.coins,
+      businesses: {
+        ...prev.businesses,
+        [result.business]: result.owned
+      }
+    }) : null);
   };
 
-  const handleSubscribeToggle = () => {
+  const handleSubscribeToggle = async () => {
     if (!user) return;
-    setUser(prev => prev ? ({ ...prev, subscribed: !prev.subscribed }) : null);
+    const updated = await updateSubscription(!user.subscribed);
+    if (!updated) return;
+    setUser(prev => prev ? ({ ...prev, subscribed: updated.subscribed }) : null);
   };
 
   const renderContent = () => {
@@ -102,17 +340,32 @@ const App: React.FC = () => {
 
     switch (activeTab) {
       case Tab.MINE:
-        return <MineView user={user} onMine={handleMine} />;
+        return (
+          <MineView
+            user={user}
+            catalog={catalog}
+            levels={levels}
+            boosts={boosts}
+            onBuyBoost={handleBuyBoost}
+            onMine={handleMine}
+            awaySummary={awaySummary}
+            onDismissAway={() => setAwaySummary(null)}
+            daily={daily}
+            onDailyClaim={handleDailyClaim}
+          />
+        );
       case Tab.NETWORK:
         return <NetworkView user={user} />;
       case Tab.UPGRADE:
-        return <UpgradeView user={user} onBuy={handleBuyBusiness} />;
+        return <UpgradeView user={user} catalog={catalog} levels={levels} onBuy={handleBuyBusiness} />;
       case Tab.TEAM:
-        return <TeamView user={user} />;
+        return <TeamView user={user} onCoinsChange={(coins) => setUser(prev => prev ? ({ ...prev, coins }) : null)} />;
+      case Tab.TASKS:
+        return <TasksView onReward={applyProgress} />;
       case Tab.ME:
-        return <MeView user={user} onSubscribeToggle={handleSubscribeToggle} />;
+        return <MeView user={user} catalog={catalog} levels={levels} onSubscribeToggle={handleSubscribeToggle} />;
       default:
-        return <MineView user={user} onMine={handleMine} />;
+        return <MineView user={user} catalog={catalog} levels={levels} boosts={boosts} onBuyBoost={handleBuyBoost} onMine={handleMine} />;
     }
   };
 
@@ -154,8 +407,38 @@ const App: React.FC = () => {
             {renderContent()}
         </div>
 
+        <OfflineBanner
+          offline={offline}
+          syncing={syncing}
+          pending={pending}
+          conflicts={conflicts}
+          onRetry={syncQueue}
+          onDismissConflicts={() => setConflicts([])}
+        />
+
         {/* Bottom Navigation */}
         <BottomNav currentTab={activeTab} onTabChange={setActiveTab} />
+
+        {/* Level-up celebration */}
+        {levelUp && (
+          <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm">
+            <div className="bg-slate-800 rounded-2xl border border-lime-500/40 p-6 w-full max-w-xs shadow-2xl text-center">
+              <div className="text-5xl mb-3">⭐</div>
+              <h3 className="text-xl font-bold text-white mb-1">Level {levelUp.level}: {levelUp.title}</h3>
+              <div className="text-slate-300 text-sm space-y-1 mb-6">
+                {levelUp.reward > 0 && <div>Bonus: <span className="text-lime-400 font-bold">+{levelUp.reward} 💰</span></div>}
+                {levelUp.passiveBonusPct > 0 && <div>Passive income +{levelUp.passiveBonusPct}%</div>}
+                {levelUp.unlocks.length > 0 && <div>New businesses unlocked!</div>}
+              </div>
+              <button
+                onClick={() => setLevelUp(null)}
+                className="w-full px-4 py-3 rounded-xl bg-lime-500 text-slate-900 font-bold hover:bg-lime-400 transition-colors"
+              >
+                Awesome!
+              </button>
+            </div>
+          </div>
+        )}
     </div>
   );
 };
@@ -1,6 +1,6 @@
 import React from 'react';
 import { Tab } from '../types';
-import { IconPickaxe, IconGlobe, IconBuilding, IconBox, IconUsers } from './Icons';
+import { IconPickaxe, IconGlobe, IconBuilding, IconBox, IconUsers, IconChecklist } from './Icons';
 
 interface BottomNavProps {
   currentTab: Tab;
@@ -13,6 +13,7 @@ const BottomNav: React.FC<BottomNavProps> = ({ currentTab, onTabChange }) => {
     { id: Tab.NETWORK, label: 'Network', icon: IconGlobe },
     { id: Tab.UPGRADE, label: 'Asset', icon: IconBuilding },
     { id: Tab.TEAM, label: 'Team', icon: IconUsers },
+    { id: Tab.TASKS, label: 'Tasks', icon: IconChecklist },
     { id: Tab.ME, label: 'Me', icon: IconBox },
   ];
 
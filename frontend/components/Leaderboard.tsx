@@ -0,0 +1,139 @@
+import React, { useEffect, useState } from 'react';
+import { LeaderboardBoard, LeaderboardEntry, LeaderboardPeriod, LeaderboardResult } from '../types';
+import { formatNumber } from '../constants';
+import { fetchLeaderboard } from '../services/api';
+
+interface LeaderboardProps {
+  userId: string;
+}
+
+const BOARDS: { id: LeaderboardBoard; label: string; periods: LeaderboardPeriod[]; unit: string }[] = [
+  { id: 'coins', label: 'Balance', periods: ['all'], unit: '💰' },
+  { id: 'earned', label: 'Earned', periods: ['week', 'all'], unit: '💰' },
+  { id: 'passive', label: 'Passive', periods: ['all'], unit: '/min' },
+  { id: 'referrals', label: 'Referrals', periods: ['all', 'week'], unit: '🤝' },
+];
+
+const PERIOD_LABELS: Record<LeaderboardPeriod, string> = { week: 'This week', all: 'All time' };
+
+const Leaderboard: React.FC<LeaderboardProps> = ({ userId }) => {
+  const [board, setBoard] = useState<LeaderboardBoard>('coins');
+  const [period, setPeriod] = useState<LeaderboardPeriod>('all');
+  const [result, setResult] = useState<LeaderboardResult | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  const boardDef = BOARDS.find((b) => b.id === board) ?? BOARDS[0];
+
+  useEffect(() => {
+    let aborted = false;
+    setLoading(true);
+    fetchLeaderboard(board, period).then((data) => {
+      if (aborted) return;
+      setResult(data);
+      setLoading(false);
+    });
+    return () => {
+      aborted = true;
+    };
+  }, [board, period]);
+
+  const selectBoard = (id: LeaderboardBoard) => {
+    const def = BOARDS.find((b) => b.id === id) ?? BOARDS[0];
+    setBoard(id);
+    if (!def.periods.includes(period)) setPeriod(def.periods[0]);
+  };
+
+  // Show our neighbourhood below the top list when we're outside it
+  const topIds = new Set((result?.top ?? []).map((e) => e.id));
+  const showAround = !!result?.me && !topIds.has(userId) && result.around.length > 0;
+
+  const renderRow = (entry: LeaderboardEntry) => {
+    const isMe = entry.id === userId;
+    return (
+      <div
+        key={`${entry.rank}-${entry.id}`}
+        className={`flex items-center justify-between py-2 px-2 rounded-lg ${isMe ? 'bg-lime-500/10 border border-lime-500/30' : ''}`}
+      >
+        <div className="flex items-center gap-3 min-w-0">
+          <span className={`w-8 text-right font-mono text-sm ${entry.rank <= 3 ? 'text-lime-400 font-bold' : 'text-slate-400'}`}>
+            #{entry.rank}
+          </span>
+          <span className={`truncate ${isMe ? 'text-lime-300 font-bold' : 'text-slate-200'}`}>
+            {entry.username || `user_${entry.id}`}
+            {isMe && ' (you)'}
+          </span>
+        </div>
+        <span className="font-mono font-semibold text-white text-sm">
+          {formatNumber(entry.score)} <span className="text-slate-400 text-xs">{boardDef.unit}</span>
+        </span>
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-slate-900 border border-slate-700 rounded-xl px-4 py-3">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-white">Leaderboard 🏆</h3>
+        {result?.me && (
+          <span className="text-xs text-slate-400">
+            Your rank: <span className="text-lime-400 font-bold">#{result.me.rank}</span> / {formatNumber(result.total)}
+          </span>
+        )}
+      </div>
+
+      {/* Board tabs */}
+      <div className="grid grid-cols-4 gap-1 mb-2">
+        {BOARDS.map((b) => (
+          <button
+            key={b.id}
+            onClick={() => selectBoard(b.id)}
+            className={`py-1 rounded text-xs font-semibold transition-colors ${
+              board === b.id ? 'bg-lime-500 text-slate-900' : 'bg-slate-800 text-slate-400 hover:text-white'
+            }`}
+          >
+            {b.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Period toggle */}
+      {boardDef.periods.length > 1 && (
+        <div className="flex gap-1 mb-3">
+          {boardDef.periods.map((p) => (
+            <button
+              key={p}
+              onClick={() => setPeriod(p)}
+              className={`px-2 py-1 rounded text-[10px] font-semibold uppercase tracking-wide transition-colors ${
+                period === p ? 'bg-slate-700 text-white' : 'text-slate-500 hover:text-slate-300'
+              }`}
+            >
+              {PERIOD_LABELS[p]}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {loading && !result && <div className="py-6 text-center text-xs text-slate-500">Loading…</div>}
+
+      {result && result.top.length === 0 && (
+        <div className="py-6 text-center text-xs text-slate-500">No entries yet</div>
+      )}
+
+      <div className="flex flex-col">
+        {result?.top.map(renderRow)}
+        {showAround && (
+          <>
+            <div className="text-center text-slate-600 text-xs py-1">• • •</div>
+            {result!.around.map(renderRow)}
+          </>
+        )}
+      </div>
+
+      {result && !result.me && (
+        <div className="mt-2 text-xs text-slate-500 text-center">You're not ranked on this board yet</div>
+      )}
+    </div>
+  );
+};
+
+export default Leaderboard;
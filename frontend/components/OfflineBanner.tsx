@@ -0,0 +1,63 @@
+import React from 'react';
+
+interface OfflineBannerProps {
+  offline: boolean;
+  syncing: boolean;
+  pending: number;       // queued actions not yet accepted by the server
+  conflicts: string[];   // actions the server rejected on replay
+  onRetry: () => void;
+  onDismissConflicts: () => void;
+}
+
+/** Connection status on top of every view: offline / syncing queued actions / sync conflicts */
+const OfflineBanner: React.FC<OfflineBannerProps> = ({ offline, syncing, pending, conflicts, onRetry, onDismissConflicts }) => {
+  if (!offline && !syncing && pending === 0 && conflicts.length === 0) return null;
+
+  const queued = `${pending} action${pending === 1 ? '' : 's'}`;
+
+  return (
+    <div className="fixed top-0 inset-x-0 z-40 px-3 pt-2 space-y-2 pointer-events-none">
+      {(offline || syncing || pending > 0) && (
+        <div className={`pointer-events-auto flex items-center gap-3 rounded-xl px-4 py-2 text-sm shadow-lg border ${
+          offline ? 'bg-orange-500/15 border-orange-500/40 text-orange-200' : 'bg-slate-800/95 border-slate-700 text-slate-200'
+        }`}>
+          <span className="text-lg">{offline ? '📡' : '🔄'}</span>
+          <div className="flex-1">
+            <div className="font-bold">
+              {offline ? 'You are offline' : syncing ? `Syncing ${queued}...` : `${queued} waiting to sync`}
+            </div>
+            {offline && (
+              <div className="text-xs opacity-80">
+                {pending > 0
+                  ? `${queued} will sync when you reconnect. Balances shown are estimates.`
+                  : 'Showing your last saved progress. Actions will sync when you reconnect.'}
+              </div>
+            )}
+          </div>
+          {!syncing && (
+            <button onClick={onRetry} className="text-xs font-bold px-2 py-1 rounded-lg bg-slate-700 hover:bg-slate-600 text-white">
+              Retry
+            </button>
+          )}
+        </div>
+      )}
+
+      {conflicts.length > 0 && (
+        <div className="pointer-events-auto rounded-xl px-4 py-2 text-sm shadow-lg border bg-red-500/15 border-red-500/40 text-red-200">
+          <div className="flex items-start gap-3">
+            <span className="text-lg">⚠️</span>
+            <div className="flex-1">
+              <div className="font-bold mb-1">Some offline actions did not go through</div>
+              <ul className="text-xs space-y-1">
+                {conflicts.map((text, i) => <li key={i}>{text}</li>)}
+              </ul>
+            </div>
+            <button onClick={onDismissConflicts} className="text-red-200 hover:text-white text-lg px-1">✕</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OfflineBanner;
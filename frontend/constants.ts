@@ -1,25 +1,20 @@
-import { BusinessDef } from './types';
-
-
-export const BUSINESSES: BusinessDef[] = [
-  { id: 'DAPP', name: 'CIFCI Tech & AI', cost: 1000, income: 1 },
-  { id: 'TOTO_VAULT', name: 'CIFCI Crypto & Blockchain', cost: 1000, income: 1 },
-  { id: 'CIFCI_STABLE', name: 'CIFCI Real Estate', cost: 1000, income: 1 },
-  { id: 'TYPOGRAM', name: 'CIFCI Energy', cost: 1000, income: 1 },
-  { id: 'APPLE', name: 'CIFCI Infrastructure', cost: 1000, income: 1 },
-  { id: 'BITCOIN', name: 'CIFCI Space & Exploration', cost: 1000, income: 1 },
-];
+// Business catalog is served by the backend (GET /api/businesses), see services/api.ts
 
 export const MINE_COOLDOWN_MS = 60000; // 1 minute
-
-export const getLevelLabel = (coins: number): string => {
-  if (coins < 1000) return "Intern";
-  if (coins < 10000) return "Manager";
-  if (coins < 100000) return "CEO";
-  if (coins < 700000) return "Tycoon";
-  return "CEO TOTO 💎";
-};
+export const MINE_REWARD_ESTIMATE = 2; // server rolls 1-3 per mine; shown for mines made offline
+export const IDLE_INCOME_CAP_MS = 8 * 60 * 60 * 1000; // backend IDLE_INCOME_CAP_HOURS default
+export const OFFLINE_SYNC_RETRY_MS = 15000; // how often queued offline actions are retried
+export const OFFLINE_IN_PROGRESS_MAX_TRIES = 8; // replays answered in_progress before the action is dropped (~2 min, past the server lease)
 
 export const formatNumber = (n: number): string => {
   return n.toString();
+};
+
+/** 8100000 -> "2h 15m", 90000 -> "1m" */
+export const formatDuration = (ms: number): string => {
+  const totalMin = Math.floor(ms / 60000);
+  const h = Math.floor(totalMin / 60);
+  const m = totalMin % 60;
+  if (h > 0) return m > 0 ? `${h}h ${m}m` : `${h}h`;
+  return `${m}m`;
 };
\ No newline at end of file
@@ -2,7 +2,23 @@
 // Frontend now uses the backend for both fetch/create and updates.
 // Ensure VITE_API_URL is set in frontend/.env.local 
 
-import { UserState } from '../types';
+import {
+  UserState,
+  BusinessDef,
+  MarketStat,
+  IdleIncomeSummary,
+  CoinTransaction,
+  LeaderboardBoard,
+  LeaderboardPeriod,
+  LeaderboardResult,
+  TeamSummary,
+  DailyStatus,
+  Quest,
+  LevelDef,
+  BoostState,
+  MineChallenge,
+  MineChallengeSolution,
+} from '../types';
 
 /** Read Telegram WebApp user if available */
 export const getTelegramUser = () => {
@@ -18,6 +34,21 @@ export const getTelegramUser = () => {
   return tg.initDataUnsafe?.user || null;
 };
 
+/** Raw signed initData string; the backend verifies it and derives the user id from it */
+export const getTelegramInitData = (): string => {
+  // @ts-ignore
+  return window.Telegram?.WebApp?.initData || '';
+};
+
+/** Headers for authenticated backend calls (Authorization: tma <initData>) */
+const authHeaders = (): Record<string, string> => {
+  const initData = getTelegramInitData();
+  return {
+    'Content-Type': 'application/json',
+    ...(initData ? { Authorization: `tma ${initData}` } : {})
+  };
+};
+
 /** Normalize backend/db row to frontend UserState */
 const mapToState = (data: any): UserState => ({
   id: String(data.id),
@@ -25,7 +56,9 @@ const mapToState = (data: any): UserState => ({
   coins: Number(data.coins ?? 0),
   businesses: data.businesses ?? {},
   level: Number(data.level ?? 1),
+  xp: Number(data.xp ?? 0),
   lastMine: Number(data.last_mine ?? data.lastMine ?? 0),
+  lastClaim: (data.last_claim ?? data.lastClaim) == null ? null : Number(data.last_claim ?? data.lastClaim),
   referralsCount: Number(data.referrals_count ?? data.referralsCount ?? 0),
   referredBy: data.referred_by ?? data.referredBy ?? null,
   subscribed: Boolean(data.subscribed ?? false),
@@ -58,84 +91,609 @@ const buildUrl = (path: string) => (API_BASE ? `${API_BASE}${path}` : path);
 /**
  * fetchUserProfile
  * - Calls backend POST /api/user which fetches-or-creates a user in DB.
- * - Returns UserState or fallback offline user.
+ * - The user is identified by the signed Telegram initData, not by a body id.
+ * - Returns null when the backend can't be reached or rejects the request
+ *   (the app then falls back to the cached profile, see services/offline.ts).
  */
 export const fetchUserProfile = async (): Promise<UserState | null> => {
-  const tgUser = getTelegramUser();
-  const userId = tgUser?.id?.toString() || '12345_TEST_USER';
-  const username = tgUser?.username || 'Guest_CEO';
-
-  const fallbackUser: UserState = {
-    id: userId,
-    username,
-    coins: 100,
-    businesses: {},
-    level: 1,
-    lastMine: 0,
-    referralsCount: 0,
-    referredBy: null,
-    subscribed: false,
-  };
-
   try {
     const resp = await fetch(buildUrl('/api/user'), {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ id: userId, username })
+      headers: authHeaders(),
+      body: JSON.stringify({})
     });
 
     if (!resp.ok) {
       const txt = await resp.text().catch(() => '');
       console.warn('Backend /api/user returned non-ok', resp.status, txt);
-      return fallbackUser;
+      return null;
     }
 
     const json = await resp.json().catch(() => ({}));
     const userData = json?.user ?? json;
 
     if (!userData || !userData.id) {
-      console.warn('Invalid user data from backend. Falling back.', userData);
-      return fallbackUser;
+      console.warn('Invalid user data from backend', userData);
+      return null;
     }
 
     return mapToState(userData);
   } catch (err) {
-    console.warn('fetchUserProfile: backend unreachable — switching to fallback user', err);
-    return fallbackUser;
+    console.warn('fetchUserProfile: backend unreachable', err);
+    return null;
+  }
+};
+
+/**
+ * fetchBusinesses
+ * - Business catalog from backend GET /api/businesses (backed by public.businesses).
+ */
+export const fetchBusinesses = async (): Promise<BusinessDef[]> => {
+  try {
+    const resp = await fetch(buildUrl('/api/businesses'));
+    if (!resp.ok) {
+      console.warn('/api/businesses failed', resp.status);
+      return [];
+    }
+    const json = await resp.json().catch(() => ({}));
+    return (json?.businesses ?? []).map((b: any) => ({
+      id: String(b.id),
+      name: String(b.name ?? b.id),
+      cost: Number(b.cost ?? 0),
+      costGrowth: Number(b.costGrowth ?? 1),
+      income: Number(b.income ?? 0),
+      minLevel: Number(b.minLevel ?? 1),
+    }));
+  } catch (err) {
+    console.warn('fetchBusinesses: network error', err);
+    return [];
+  }
+};
+
+/**
+ * fetchMarket
+ * - Per-business popularity from backend GET /api/market (public, no auth).
+ */
+export const fetchMarket = async (): Promise<MarketStat[]> => {
+  try {
+    const resp = await fetch(buildUrl('/api/market'));
+    if (!resp.ok) {
+      console.warn('/api/market failed', resp.status);
+      return [];
+    }
+    const json = await resp.json().catch(() => ({}));
+    return (json?.businesses ?? []) as MarketStat[];
+  } catch (err) {
+    console.warn('fetchMarket: network error', err);
+    return [];
+  }
+};
+
+/**
+ * fetchLevels
+ * - Level ladder from backend GET /api/levels (backed by public.levels).
+ */
+export const fetchLevels = async (): Promise<LevelDef[]> => {
+  try {
+    const resp = await fetch(buildUrl('/api/levels'));
+    if (!resp.ok) {
+      console.warn('/api/levels failed', resp.status);
+      return [];
+    }
+    const json = await resp.json().catch(() => ({}));
+    return (json?.levels ?? []) as LevelDef[];
+  } catch (err) {
+    console.warn('fetchLevels: network error', err);
+    return [];
+  }
+};
+
+/** Level and XP after an earning action (may include a level-up bonus) */
+export interface LevelProgress {
+  level: number;
+  xp: number;
+}
+
+const mapLevelProgress = (json: any): LevelProgress => ({
+  level: Number(json?.level ?? 1),
+  xp: Number(json?.xp ?? 0),
+});
+
+/** Result of a server-side mine (POST /api/mine) */
+export interface MineResult extends LevelProgress {
+  earned: number;
+  passive: number;
+  coins: number;
+  lastMine: number;
+  cooldownMs: number; // cooldown after this mine (boosts can shorten it)
+}
+
+/**
+ * Options for actions that may be replayed from the offline queue.
+ * The same idempotencyKey always gets the server's first answer back.
+ */
+export interface ActionOptions {
+  idempotencyKey?: string;
+  performedAt?: number; // mines only: when the player tapped (lets the server drop stale replays)
+}
+
+/**
+ * Worth sending again later: no answer or a server error. 4xx are rejections, including
+ * in_progress (the first request with this idempotency key is still running), which the
+ * offline queue retries a limited number of times.
+ */
+const isRetryable = (status: number) => status >= 500;
+
+/** Result of a server-side purchase (POST /api/buy) */
+export interface BuyResult {
+  business: string;
+  owned: number;
+  qty: number;
+  cost: number;
+  coins: number;
+}
+
+/**
+ * mineCoins
+ * - Asks the backend to mine; reward and cooldown are decided server-side.
+ * - Returns the authoritative balance, or { retryAfterMs } while cooling down.
+ * - Flagged accounts get { challenge } first: solve it and call again with the solution.
+ * - Other rejections return { error } (stale_action, banned, ...); null = try again later.
+ */
+export const mineCoins = async (
+  challenge?: MineChallengeSolution,
+  options: ActionOptions = {}
+): Promise<MineResult | { retryAfterMs: number } | { challenge: MineChallenge } | { error: string } | null> => {
+  try {
+    const resp = await fetch(buildUrl('/api/mine'), {
+      method: 'POST',
+      headers: authHeaders(),
+      body: JSON.stringify({ ...(challenge ? { challenge } : {}), ...options })
+    });
+
+    const json = await resp.json().catch(() => ({}));
+    if (resp.status === 429) return { retryAfterMs: Number(json?.retryAfterMs ?? 0) };
+    if (resp.status === 428 && json?.challenge) return { challenge: json.challenge as MineChallenge };
+    if (!resp.ok) {
+      console.warn('/api/mine failed', resp.status, json);
+      return isRetryable(resp.status) ? null : { error: String(json?.error ?? 'mine_failed') };
+    }
+
+    return {
+      earned: Number(json.earned ?? 0),
+      passive: Number(json.passive ?? 0),
+      coins: Number(json.coins ?? 0),
+      lastMine: Number(json.lastMine ?? Date.now()),
+      cooldownMs: Number(json.cooldownMs ?? 0),
+      ...mapLevelProgress(json),
+    };
+  } catch (err) {
+    console.warn('mineCoins: network error', err);
+    return null;
+  }
+};
+
+/**
+ * buyBusiness
+ * - Purchases `qty` units ('max' = as many as the balance allows).
+ * - The backend prices them from the catalog cost curve and returns the new balance.
+ * - On rejection returns { error } (insufficient_funds, level_locked, ...); null = try again later.
+ */
+export const buyBusiness = async (
+  businessId: string,
+  qty: number | 'max',
+  options: ActionOptions = {}
+): Promise<BuyResult | { error: string } | null> => {
+  try {
+    const resp = await fetch(buildUrl('/api/buy'), {
+      method: 'POST',
+      headers: authHeaders(),
+      body: JSON.stringify({ business: businessId, qty, idempotencyKey: options.idempotencyKey })
+    });
+
+    const json = await resp.json().catch(() => ({}));
+    if (!resp.ok || json?.ok !== true) {
+      console.warn('/api/buy failed', resp.status, json);
+      return isRetryable(resp.status) ? null : { error: String(json?.result?.error ?? json?.error ?? 'buy_failed') };
+    }
+
+    return {
+      business: String(json.result.business),
+      owned: Number(json.result.owned ?? 0),
+      qty: Number(json.result.qty ?? 0),
+      cost: Number(json.result.cost ?? 0),
+      coins: Number(json.result.coins ?? 0),
+    };
+  } catch (err) {
+    console.warn('buyBusiness: network error', err);
+    return null;
+  }
+};
+
+/**
+ * claimIdleIncome
+ * - Collects passive income accrued since the last visit (computed server-side, capped).
+ * - Returns the summary plus the new authoritative balance.
+ * - On rejection returns { error }; null = try again later.
+ */
+export const claimIdleIncome = async (
+  options: ActionOptions = {}
+): Promise<(IdleIncomeSummary & LevelProgress & { coins: number }) | { error: string } | null> => {
+  try {
+    const resp = await fetch(buildUrl('/api/claim'), {
+      method: 'POST',
+      headers: authHeaders(),
+      body: JSON.stringify({ idempotencyKey: options.idempotencyKey })
+    });
+
+    const json = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      console.warn('/api/claim failed', resp.status, json);
+      return isRetryable(resp.status) ? null : { error: String(json?.error ?? 'claim_failed') };
+    }
+
+    return {
+      earned: Number(json.earned ?? 0),
+      ratePerMin: Number(json.ratePerMin ?? 0),
+      elapsedMs: Number(json.elapsedMs ?? 0),
+      creditedMs: Number(json.creditedMs ?? 0),
+      capMs: Number(json.capMs ?? 0),
+      capped: Boolean(json.capped),
+      coins: Number(json.coins ?? 0),
+      ...mapLevelProgress(json),
+    };
+  } catch (err) {
+    console.warn('claimIdleIncome: network error', err);
+    return null;
+  }
+};
+
+/**
+ * fetchBoosts
+ * - Boost shop, this player's running/queued boosts and the current mine cooldown.
+ */
+export const fetchBoosts = async (): Promise<BoostState | null> => {
+  try {
+    const resp = await fetch(buildUrl('/api/boosts'), { headers: authHeaders() });
+
+    const json = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      console.warn('/api/boosts failed', resp.status, json);
+      return null;
+    }
+
+    return json as BoostState;
+  } catch (err) {
+    console.warn('fetchBoosts: network error', err);
+    return null;
+  }
+};
+
+/**
+ * buyBoost
+ * - Charged server-side; returns the new balance and the refreshed boost state.
+ * - On failure returns { error } with the backend code (insufficient_funds, daily_limit, ...).
+ */
+export const buyBoost = async (
+  boostId: string
+): Promise<({ coins: number; lastMine: number } & BoostState) | { error: string } | null> => {
+  try {
+    const resp = await fetch(buildUrl('/api/boosts/buy'), {
+      method: 'POST',
+      headers: authHeaders(),
+      body: JSON.stringify({ boost: boostId })
+    });
+
+    const json = await resp.json().catch(() => ({}));
+    if (!resp.ok || json?.ok !== true) {
+      return { error: String(json?.error ?? 'buy_failed') };
+    }
+
+    return {
+      coins: Number(json.coins ?? 0),
+      lastMine: Number(json.lastMine ?? 0),
+      boosts: json.boosts ?? [],
+      active: json.active ?? [],
+      cooldownMs: Number(json.cooldownMs ?? 0),
+    };
+  } catch (err) {
+    console.warn('buyBoost: network error', err);
+    return null;
+  }
+};
+
+/** Minutes east of UTC, as the backend expects for daily check-ins */
+const tzOffsetMinutes = () => -new Date().getTimezoneOffset();
+
+/**
+ * fetchDailyStatus
+ * - Check-in streak and reward ladder, evaluated in the device's timezone.
+ */
+export const fetchDailyStatus = async (): Promise<DailyStatus | null> => {
+  try {
+    const resp = await fetch(buildUrl(`/api/daily?tz=${tzOffsetMinutes()}`), { headers: authHeaders() });
+
+    const json = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      console.warn('/api/daily failed', resp.status, json);
+      return null;
+    }
+
+    return json as DailyStatus;
+  } catch (err) {
+    console.warn('fetchDailyStatus: network error', err);
+    return null;
+  }
+};
+
+/**
+ * claimDailyReward
+ * - Once per local day; the streak and reward are decided server-side.
+ * - Also returns the refreshed status (including when today was already claimed).
+ */
+export const claimDailyReward = async (): Promise<
+  { reward: number; streak: number; coins: number | null; progress: LevelProgress | null; status: DailyStatus | null } | null
+> => {
+  try {
+    const resp = await fetch(buildUrl('/api/daily-claim'), {
+      method: 'POST',
+      headers: authHeaders(),
+      body: JSON.stringify({ tzOffset: tzOffsetMinutes() })
+    });
+
+    const json = await resp.json().catch(() => ({}));
+    if (resp.status === 409) return { reward: 0, streak: 0, coins: null, progress: null, status: json?.status ?? null };
+    if (!resp.ok || json?.ok !== true) {
+      console.warn('/api/daily-claim failed', resp.status, json);
+      return null;
+    }
+
+    return {
+      reward: Number(json.reward ?? 0),
+      streak: Number(json.streak ?? 0),
+      coins: Number(json.coins ?? 0),
+      progress: mapLevelProgress(json),
+      status: json.status ?? null,
+    };
+  } catch (err) {
+    console.warn('claimDailyReward: network error', err);
+    return null;
   }
 };
 
 /**
- * updateUserProfile
- * - Sends partial user update to backend POST /api/user/update
- * - Backend holds the Service Role key and performs DB writes.
+ * fetchQuests
+ * - Social tasks with this player's progress.
  */
-export const updateUserProfile = async (user: UserState): Promise<boolean> => {
+export const fetchQuests = async (): Promise<Quest[] | null> => {
+  try {
+    const resp = await fetch(buildUrl('/api/quests'), { headers: authHeaders() });
+
+    const json = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      console.warn('/api/quests failed', resp.status, json);
+      return null;
+    }
+
+    return (json.quests ?? []) as Quest[];
+  } catch (err) {
+    console.warn('fetchQuests: network error', err);
+    return null;
+  }
+};
+
+/**
+ * startQuest
+ * - Marks the quest link as opened (starts the wait on timed quests).
+ */
+export const startQuest = async (questId: string): Promise<Quest | null> => {
+  try {
+    const resp = await fetch(buildUrl(`/api/quests/${encodeURIComponent(questId)}/start`), {
+      method: 'POST',
+      headers: authHeaders(),
+      body: JSON.stringify({})
+    });
+
+    const json = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      console.warn('/api/quests/:id/start failed', resp.status, json);
+      return null;
+    }
+
+    return (json.quest ?? null) as Quest | null;
+  } catch (err) {
+    console.warn('startQuest: network error', err);
+    return null;
+  }
+};
+
+/**
+ * claimQuest
+ * - Server verifies the task (channel membership or elapsed wait) and pays once.
+ * - On failure returns { error } with the backend code (not_member, too_soon, ...).
+ */
+export const claimQuest = async (
+  questId: string
+): Promise<({ reward: number; coins: number } & LevelProgress) | { error: string; waitSec?: number } | null> => {
+  try {
+    const resp = await fetch(buildUrl(`/api/quests/${encodeURIComponent(questId)}/claim`), {
+      method: 'POST',
+      headers: authHeaders(),
+      body: JSON.stringify({})
+    });
+
+    const json = await resp.json().catch(() => ({}));
+    if (!resp.ok || json?.ok !== true) {
+      return { error: String(json?.error ?? 'claim_failed'), waitSec: json?.waitSec };
+    }
+
+    return { reward: Number(json.reward ?? 0), coins: Number(json.coins ?? 0), ...mapLevelProgress(json) };
+  } catch (err) {
+    console.warn('claimQuest: network error', err);
+    return null;
+  }
+};
+
+/** Result of POST /api/transfer */
+export interface TransferResult {
+  duplicate: boolean; // same idempotency key was already processed
+  amount: number;
+  fee: number;
+  coins: number;
+  to: { id: string; username: string | null };
+}
+
+/** Random key identifying one intended transfer or queued action (reused on retries) */
+export const newIdempotencyKey = (): string =>
+  typeof crypto !== 'undefined' && 'randomUUID' in crypto
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+/**
+ * sendCoins
+ * - Transfers coins to another player (@username or id); limits and fee are enforced server-side.
+ * - On failure returns { error } with the backend code (insufficient_funds, daily_limit, ...).
+ */
+export const sendCoins = async (
+  to: string,
+  amount: number,
+  idempotencyKey: string
+): Promise<TransferResult | { error: string; min?: number; remaining?: number; availableAt?: string } | null> => {
+  try {
+    const resp = await fetch(buildUrl('/api/transfer'), {
+      method: 'POST',
+      headers: authHeaders(),
+      body: JSON.stringify({ to, amount, idempotencyKey })
+    });
+
+    const json = await resp.json().catch(() => ({}));
+    if (!resp.ok || json?.ok !== true) {
+      return { error: String(json?.error ?? 'transfer_failed'), min: json?.min, remaining: json?.remaining, availableAt: json?.availableAt };
+    }
+
+    return {
+      duplicate: Boolean(json.duplicate),
+      amount: Number(json.amount ?? 0),
+      fee: Number(json.fee ?? 0),
+      coins: Number(json.coins ?? 0),
+      to: { id: String(json.to?.id ?? ''), username: json.to?.username ?? null },
+    };
+  } catch (err) {
+    console.warn('sendCoins: network error', err);
+    return null;
+  }
+};
+
+/**
+ * fetchTransactions
+ * - Coin ledger page for the current user, newest first.
+ * - Pass `before` (last seen id) to load older entries; nextBefore is null at the end.
+ */
+export const fetchTransactions = async (
+  userId: string,
+  before?: number | null
+): Promise<{ transactions: CoinTransaction[]; nextBefore: number | null } | null> => {
+  try {
+    const qs = before ? `?before=${before}` : '';
+    const resp = await fetch(buildUrl(`/api/user/${encodeURIComponent(userId)}/transactions${qs}`), {
+      headers: authHeaders()
+    });
+
+    const json = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      console.warn('/api/user/:id/transactions failed', resp.status, json);
+      return null;
+    }
+
+    return {
+      transactions: (json.transactions ?? []).map((t: any) => ({
+        id: Number(t.id),
+        delta: Number(t.delta ?? 0),
+        balanceAfter: Number(t.balanceAfter ?? 0),
+        reason: String(t.reason ?? ''),
+        ref: t.ref ?? null,
+        createdAt: String(t.createdAt ?? ''),
+      })),
+      nextBefore: json.nextBefore ?? null,
+    };
+  } catch (err) {
+    console.warn('fetchTransactions: network error', err);
+    return null;
+  }
+};
+
+/**
+ * fetchLeaderboard
+ * - Ranked in the database; sends initData so the response includes our own rank.
+ */
+export const fetchLeaderboard = async (
+  board: LeaderboardBoard,
+  period: LeaderboardPeriod,
+  limit = 20
+): Promise<LeaderboardResult | null> => {
+  try {
+    const qs = `?board=${board}&period=${period}&limit=${limit}`;
+    const resp = await fetch(buildUrl(`/api/leaderboard${qs}`), { headers: authHeaders() });
+
+    const json = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      console.warn('/api/leaderboard failed', resp.status, json);
+      return null;
+    }
+
+    return json as LeaderboardResult;
+  } catch (err) {
+    console.warn('fetchLeaderboard: network error', err);
+    return null;
+  }
+};
+
+/**
+ * fetchTeam
+ * - Level 1/2 referrals with activity and the commission each one produced.
+ */
+export const fetchTeam = async (userId: string): Promise<TeamSummary | null> => {
+  try {
+    const resp = await fetch(buildUrl(`/api/user/${encodeURIComponent(userId)}/team`), {
+      headers: authHeaders()
+    });
+
+    const json = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      console.warn('/api/user/:id/team failed', resp.status, json);
+      return null;
+    }
+
+    return json as TeamSummary;
+  } catch (err) {
+    console.warn('fetchTeam: network error', err);
+    return null;
+  }
+};
+
+/**
+ * updateSubscription
+ * - Only user preferences are writable via POST /api/user/update;
+ *   coins, businesses, lastMine and level are owned by the server.
+ */
+export const updateSubscription = async (subscribed: boolean): Promise<UserState | null> => {
   try {
     const resp = await fetch(buildUrl('/api/user/update'), {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        id: user.id,
-        coins: user.coins,
-        businesses: user.businesses,
-        lastMine: user.lastMine,
-        level: user.level,
-        subscribed: user.subscribed
-      })
+      headers: authHeaders(),
+      body: JSON.stringify({ subscribed })
     });
 
     if (!resp.ok) {
       const txt = await resp.text().catch(() => '');
       console.warn('/api/user/update failed', resp.status, txt);
-      return false;
+      return null;
     }
 
-    // Optionally read response
-    // const data = await resp.json().catch(()=>null);
-    return true;
+    const json = await resp.json().catch(() => ({}));
+    return json?.user ? mapToState(json.user) : null;
   } catch (err) {
-    console.warn('updateUserProfile: network error', err);
-    return false;
+    console.warn('updateSubscription: network error', err);
+    return null;
   }
 };
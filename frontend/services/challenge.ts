@@ -0,0 +1,25 @@
+import { MineChallenge, MineChallengeSolution } from '../types';
+
+const toHex = (buf: ArrayBuffer): string =>
+  Array.from(new Uint8Array(buf), b => b.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Find a solution for a mine challenge: sha256(`${nonce}:${solution}`) must start
+ * with `difficulty` zero hex digits (the backend checks the same). Yields to the
+ * UI every few hundred attempts; returns null if the challenge expires first.
+ */
+export const solveMineChallenge = async (challenge: MineChallenge): Promise<MineChallengeSolution | null> => {
+  const prefix = '0'.repeat(challenge.difficulty);
+  const encoder = new TextEncoder();
+
+  for (let i = 0; ; i++) {
+    const solution = i.toString(36);
+    const digest = toHex(await crypto.subtle.digest('SHA-256', encoder.encode(`${challenge.nonce}:${solution}`)));
+    if (digest.startsWith(prefix)) return { nonce: challenge.nonce, sig: challenge.sig, solution };
+
+    if (i % 500 === 499) {
+      if (Date.now() > challenge.expiresAt) return null;
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+};
@@ -1,13 +1,93 @@
-import { UserState, BusinessDef } from '../types';
-import { BUSINESSES } from '../constants';
+import { BusinessDef, LevelDef, ActiveBoost, BoostEffect } from '../types';
+import { MINE_COOLDOWN_MS, MINE_REWARD_ESTIMATE, IDLE_INCOME_CAP_MS } from '../constants';
 
-export const calculatePassiveIncome = (businesses: Record<string, number>): number => {
+/** Income per minute; `bonusPct` is the level passive bonus (mirrors SQL claim_idle_income) */
+export const calculatePassiveIncome = (
+  businesses: Record<string, number>,
+  catalog: BusinessDef[],
+  bonusPct = 0
+): number => {
   let total = 0;
   for (const [id, qty] of Object.entries(businesses)) {
-    const business = BUSINESSES.find(b => b.id === id);
+    const business = catalog.find(b => b.id === id);
     if (business) {
       total += business.income * qty;
     }
   }
+  return Math.round((total * (100 + bonusPct)) / 100);
+};
+
+/**
+ * Where the player stands on the level ladder.
+ * The level itself comes from the server; xp only drives the progress bar.
+ */
+export const getLevelProgress = (level: number, xp: number, levels: LevelDef[]) => {
+  const current = levels.find(l => l.level === level) ?? null;
+  const next = levels.find(l => l.level === level + 1) ?? null;
+  const floor = current?.xpRequired ?? 0;
+  const percent = next
+    ? Math.min(100, Math.max(0, ((xp - floor) / Math.max(1, next.xpRequired - floor)) * 100))
+    : 100;
+  return {
+    title: current?.title ?? `Level ${level}`,
+    passiveBonusPct: current?.passiveBonusPct ?? 0,
+    next,
+    percent,
+  };
+};
+
+/**
+ * Price of the next unit: round(cost * costGrowth ^ owned).
+ * Mirrors SQL business_price(); the server always charges its own figure.
+ */
+export const getUnitPrice = (business: BusinessDef, owned: number): number =>
+  Math.round(business.cost * Math.pow(business.costGrowth || 1, owned));
+
+/** Total price of buying `qty` more units with `owned` already owned */
+export const getPurchaseTotal = (business: BusinessDef, owned: number, qty: number): number => {
+  let total = 0;
+  for (let k = 0; k < qty; k++) total += getUnitPrice(business, owned + k);
   return total;
 };
+
+/** Largest qty (<= limit) affordable with `coins`, mirrors SQL business_max_affordable() */
+export const getMaxAffordable = (business: BusinessDef, owned: number, coins: number, limit = 100): number => {
+  let n = 0;
+  let spent = 0;
+  while (n < limit) {
+    const unit = getUnitPrice(business, owned + n);
+    if (spent + unit > coins) break;
+    spent += unit;
+    n++;
+  }
+  return n;
+};
+
+/** Boost of `effect` running at `now`, if any (mirrors SQL boost_multiplier) */
+export const getRunningBoost = (active: ActiveBoost[], effect: BoostEffect, now: number): ActiveBoost | null =>
+  active.find(b => b.effect === effect && b.startsAt <= now && b.expiresAt > now) ?? null;
+
+/** Mine cooldown at `now`, shortened by a running cooldown boost */
+export const getMineCooldownMs = (active: ActiveBoost[], now: number): number =>
+  Math.ceil(MINE_COOLDOWN_MS * (getRunningBoost(active, 'cooldown_multiplier', now)?.value ?? 1));
+
+/** Expected reward of one mine at `now` (offline guess; the server rolls the real one) */
+export const estimateMineReward = (active: ActiveBoost[], now: number): number =>
+  Math.floor(MINE_REWARD_ESTIMATE * (getRunningBoost(active, 'mine_multiplier', now)?.value ?? 1));
+
+/**
+ * Idle income accrued between `since` and `now` at `ratePerMin`, capped like
+ * SQL claim_idle_income (passive boosts are left to the server).
+ */
+export const estimateIdleIncome = (ratePerMin: number, since: number, now: number) => {
+  const elapsedMs = Math.max(0, now - since);
+  const creditedMs = Math.min(elapsedMs, IDLE_INCOME_CAP_MS);
+  return {
+    earned: Math.floor((ratePerMin * creditedMs) / 60000),
+    ratePerMin,
+    elapsedMs,
+    creditedMs,
+    capMs: IDLE_INCOME_CAP_MS,
+    capped: elapsedMs > IDLE_INCOME_CAP_MS,
+  };
+};
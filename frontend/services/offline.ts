@@ -0,0 +1,181 @@
+// frontend/services/offline.ts
+// Offline play: the last profile, catalog and level ladder are cached in localStorage,
+// and mines, purchases and idle claims made without a connection wait in a queue.
+// Each queued action keeps the idempotency key it is replayed with, so an action
+// whose response got lost is answered from the server's record instead of running twice.
+// The queue is stored per Telegram user: it is replayed with the initData of whoever
+// has the app open, so another account on the same device must never see it.
+
+import { UserState, BusinessDef, LevelDef, QueuedAction, ActionConflict } from '../types';
+import { mineCoins, buyBusiness, claimIdleIncome, getTelegramUser } from './api';
+import { solveMineChallenge } from './challenge';
+import { OFFLINE_IN_PROGRESS_MAX_TRIES } from '../constants';
+
+const USER_KEY = 'toto_user';
+const CATALOG_KEY = 'toto_catalog';
+const LEVELS_KEY = 'toto_levels';
+const QUEUE_KEY = 'toto_action_queue'; // + ':<telegram user id>'
+
+const readJson = <T>(key: string, fallback: T): T => {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? (JSON.parse(raw) as T) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const writeJson = (key: string, value: unknown) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // storage full or disabled: the app still works, just not offline
+  }
+};
+
+/** Last profile seen on this device; ignored if it belongs to another Telegram user */
+export const loadCachedUser = (userId?: string | null): UserState | null => {
+  const cached = readJson<UserState | null>(USER_KEY, null);
+  if (!cached?.id || (userId && cached.id !== userId)) return null;
+  return { ...cached, lastClaim: cached.lastClaim ?? null };
+};
+
+export const cacheUser = (user: UserState) => writeJson(USER_KEY, user);
+
+export const loadCachedCatalog = (): BusinessDef[] => readJson<BusinessDef[]>(CATALOG_KEY, []);
+
+export const cacheCatalog = (catalog: BusinessDef[]) => writeJson(CATALOG_KEY, catalog);
+
+export const loadCachedLevels = (): LevelDef[] => readJson<LevelDef[]>(LEVELS_KEY, []);
+
+export const cacheLevels = (levels: LevelDef[]) => writeJson(LEVELS_KEY, levels);
+
+// Outside Telegram (local dev) there is no user id and the bare key is used
+const queueKey = (): string => {
+  const id = getTelegramUser()?.id;
+  return id ? `${QUEUE_KEY}:${id}` : QUEUE_KEY;
+};
+
+// Queues saved before they were per user sit under the bare key. They belong to the
+// cached profile's owner and move to that user's queue once they open the app
+const migrateLegacyQueue = (key: string) => {
+  if (key === QUEUE_KEY) return;
+  const legacy = readJson<QueuedAction[]>(QUEUE_KEY, []);
+  if (legacy.length === 0) return;
+  const ownerId = readJson<UserState | null>(USER_KEY, null)?.id;
+  if (!ownerId || key !== `${QUEUE_KEY}:${ownerId}`) return;
+  writeJson(key, [...legacy, ...readJson<QueuedAction[]>(key, [])]);
+  try {
+    localStorage.removeItem(QUEUE_KEY);
+  } catch {
+    // storage disabled: nothing was queued either
+  }
+};
+
+/** Current user's actions waiting to be sent, oldest first */
+export const loadQueue = (): QueuedAction[] => {
+  const key = queueKey();
+  migrateLegacyQueue(key);
+  return readJson<QueuedAction[]>(key, []);
+};
+
+const saveQueue = (queue: QueuedAction[]) => writeJson(queueKey(), queue);
+
+/** Append an action; returns the new queue length */
+export const enqueueAction = (action: QueuedAction): number => {
+  const queue = [...loadQueue(), action];
+  saveQueue(queue);
+  return queue.length;
+};
+
+type SendOutcome = { status: 'done' } | { status: 'rejected'; error: string } | { status: 'retry' } | { status: 'busy' };
+
+const sendAction = async (action: QueuedAction): Promise<SendOutcome> => {
+  const options = { idempotencyKey: action.key };
+
+  if (action.type === 'mine') {
+    const mineOptions = { ...options, performedAt: action.createdAt };
+    let result = await mineCoins(undefined, mineOptions);
+    // Challenge answers aren't stored server-side, so the solved retry keeps the same key
+    if (result && 'challenge' in result) {
+      const solution = await solveMineChallenge(result.challenge);
+      if (!solution) return { status: 'retry' };
+      result = await mineCoins(solution, mineOptions);
+    }
+    if (!result) return { status: 'retry' };
+    if ('challenge' in result) return { status: 'rejected', error: 'challenge_failed' };
+    if ('retryAfterMs' in result) return { status: 'rejected', error: 'cooldown' };
+    if ('error' in result) return result.error === 'in_progress' ? { status: 'busy' } : { status: 'rejected', error: result.error };
+    return { status: 'done' };
+  }
+
+  const result = action.type === 'buy'
+    ? await buyBusiness(action.business, action.qty, options)
+    : await claimIdleIncome(options);
+  if (!result) return { status: 'retry' };
+  if ('error' in result) return result.error === 'in_progress' ? { status: 'busy' } : { status: 'rejected', error: result.error };
+  return { status: 'done' };
+};
+
+/**
+ * Replay queued actions in order until the queue is empty or the server can't be
+ * reached. Rejected actions are dropped and returned as conflicts. An action the server
+ * still reports in_progress waits for the next flush, and is dropped as a conflict after
+ * OFFLINE_IN_PROGRESS_MAX_TRIES so it can't hold up the queue. Nothing is applied
+ * to app state here: callers refetch the profile afterwards, the server's numbers win.
+ */
+export const flushActionQueue = async (): Promise<{ sent: number; conflicts: ActionConflict[]; remaining: number }> => {
+  const conflicts: ActionConflict[] = [];
+  let sent = 0;
+
+  while (true) {
+    const next = loadQueue()[0];
+    if (!next) break;
+
+    const outcome = await sendAction(next);
+    if (outcome.status === 'retry') break;
+    if (outcome.status === 'busy') {
+      const busyTries = (next.busyTries ?? 0) + 1;
+      if (busyTries < OFFLINE_IN_PROGRESS_MAX_TRIES) {
+        saveQueue(loadQueue().map(a => (a.key === next.key ? { ...a, busyTries } : a)));
+        break;
+      }
+      saveQueue(loadQueue().filter(a => a.key !== next.key));
+      sent++;
+      conflicts.push({ action: next, error: 'in_progress' });
+      continue;
+    }
+
+    saveQueue(loadQueue().filter(a => a.key !== next.key));
+    sent++;
+    if (outcome.status === 'rejected') conflicts.push({ action: next, error: outcome.error });
+  }
+
+  return { sent, conflicts, remaining: loadQueue().length };
+};
+
+const atTime = (ts: number) => new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+/** Player-facing explanation of a rejected offline action */
+export const describeConflict = ({ action, error }: ActionConflict, catalog: BusinessDef[]): string => {
+  if (error === 'banned') return 'Your account is banned, offline actions were discarded.';
+  if (error === 'in_progress') return 'An offline action could not be confirmed by the server and was dropped. Check your balance.';
+
+  if (action.type === 'mine') {
+    const when = `Your mine at ${atTime(action.createdAt)}`;
+    if (error === 'cooldown') return `${when} synced while mining was still cooling down and did not count.`;
+    if (error === 'stale_action') return `${when} was too old by the time it synced and did not count.`;
+    if (error === 'challenge_failed') return `${when} could not be verified and did not count.`;
+    return `${when} was rejected by the server (${error}).`;
+  }
+
+  if (action.type === 'buy') {
+    const name = catalog.find(b => b.id === action.business)?.name ?? action.business;
+    if (error === 'insufficient_funds') return `Could not buy ${action.qty}× ${name}: not enough coins once synced.`;
+    if (error === 'level_locked') return `Could not buy ${name}: your level is too low.`;
+    if (error === 'unknown_business') return `Could not buy ${name}: it is no longer for sale.`;
+    return `Buying ${action.qty}× ${name} was rejected by the server (${error}).`;
+  }
+
+  return `Collecting idle income at ${atTime(action.createdAt)} was rejected by the server (${error}).`;
+};
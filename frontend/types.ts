@@ -1,16 +1,178 @@
 export enum Tab {
   MINE = 'Mine',
-  LEADERBOARD = 'NetworkView',
+  NETWORK = 'Network',
   UPGRADE = 'Asset',
   TEAM = 'Team',
+  TASKS = 'Tasks',
   ME = 'Me'
 }
 
 export interface BusinessDef {
   id: string;
   name: string;
-  cost: number;
+  cost: number;       // base price of the first unit
+  costGrowth: number; // price multiplier per unit already owned
   income: number;
+  minLevel: number;   // player level needed to buy the first unit
+}
+
+/** Popularity of one business across all players (GET /api/market) */
+export interface MarketStat {
+  id: string;
+  name: string;
+  totalOwned: number;
+  totalInvested: number; // coins spent on purchases, as charged
+  holders: number;       // players owning at least one unit
+  volume24h: { qty: number; coins: number; purchases: number };
+}
+
+/** One rung of GET /api/levels */
+export interface LevelDef {
+  level: number;
+  title: string;
+  xpRequired: number;
+  reward: number;          // coins paid once on reaching this level
+  passiveBonusPct: number; // extra % on passive income
+  unlocks: string[];       // business ids that need this level
+}
+
+/** Idle income collected on POST /api/claim ("while you were away") */
+export interface IdleIncomeSummary {
+  earned: number;
+  ratePerMin: number;
+  elapsedMs: number;  // time since last claim
+  creditedMs: number; // elapsed time actually paid (<= capMs)
+  capMs: number;
+  capped: boolean;
+}
+
+/** One row of the coin ledger (GET /api/user/:id/transactions) */
+export interface CoinTransaction {
+  id: number;
+  delta: number;
+  balanceAfter: number;
+  reason: string; // mine | passive | purchase | referral_bonus | referral_commission | daily | quest | level_up | boost | transfer_in | transfer_out | signup | admin
+  ref: string | null;
+  createdAt: string;
+}
+
+/** GET /api/daily: check-in streak as seen from the player's timezone */
+export interface DailyStatus {
+  streak: number;       // live streak (0 once a day was missed)
+  claimedToday: boolean;
+  lastDate: string | null;
+  today: string;        // YYYY-MM-DD, local
+  nextDay: number;      // ladder day the next claim pays
+  nextReward: number;
+  nextResetAt: number;  // timestamp of the next local midnight
+  tzOffset: number;     // minutes east of UTC
+  ladder: { day: number; reward: number }[];
+}
+
+/** One entry of GET /api/quests */
+export interface Quest {
+  id: string;
+  title: string;
+  description: string | null;
+  type: 'channel_join' | 'link_visit';
+  reward: number;
+  link: string | null;
+  verification: 'telegram_member' | 'timed';
+  minWaitSec: number;
+  status: 'available' | 'started' | 'completed';
+  startedAt: number | null;
+  claimableAt: number | null; // timed quests: earliest claim time
+  completedAt: string | null;
+}
+
+/** Proof-of-work the server asks flagged players to solve before a mine counts */
+export interface MineChallenge {
+  nonce: string;
+  sig: string;
+  difficulty: number; // leading zero hex digits of sha256(`${nonce}:${solution}`)
+  expiresAt: number;
+}
+
+/** A solved challenge, sent back with POST /api/mine */
+export interface MineChallengeSolution {
+  nonce: string;
+  sig: string;
+  solution: string;
+}
+
+export type BoostEffect = 'mine_multiplier' | 'cooldown_multiplier' | 'passive_multiplier' | 'cooldown_refill';
+
+/** One item of the boost shop (GET /api/boosts) */
+export interface BoostDef {
+  id: string;
+  title: string;
+  description: string | null;
+  effect: BoostEffect;
+  value: number;              // multiplier (1 for refills)
+  durationSec: number | null; // null = instant
+  cost: number;
+  dailyLimit: number | null;
+  remainingToday: number | null;
+}
+
+/** A purchased timed boost; queued ones start when the previous one of the same effect ends */
+export interface ActiveBoost {
+  id: number;
+  boostId: string;
+  effect: BoostEffect;
+  value: number;
+  startsAt: number;
+  expiresAt: number;
+}
+
+/** GET /api/boosts response */
+export interface BoostState {
+  boosts: BoostDef[];
+  active: ActiveBoost[];
+  cooldownMs: number; // mine cooldown at the time of the response
+}
+
+export type LeaderboardBoard = 'coins' | 'earned' | 'passive' | 'referrals';
+export type LeaderboardPeriod = 'all' | 'week';
+
+export interface LeaderboardEntry {
+  rank: number;
+  id: string;
+  username: string | null;
+  score: number;
+}
+
+/** GET /api/leaderboard response */
+export interface LeaderboardResult {
+  board: LeaderboardBoard;
+  period: LeaderboardPeriod;
+  total: number;
+  top: LeaderboardEntry[];
+  me: { rank: number; score: number } | null;
+  around: LeaderboardEntry[]; // neighbours of `me` (including me)
+}
+
+export interface TeamMember {
+  level: number; // 1 = invited by you, 2 = invited by your invitee
+  id: string;
+  username: string | null;
+  joinedAt: string;
+  lastMine: number;
+  active: boolean; // mined in the last 24h
+  viaId: string | null;
+  viaUsername: string | null;
+  bonusStatus: 'pending' | 'released' | 'rejected' | null; // invite bonus (level 1 only)
+  commission: number; // coins this member's mining has paid you
+}
+
+/** GET /api/user/:id/team response */
+export interface TeamSummary {
+  levels: Record<string, number>; // level -> % of downline mining income
+  level1Count: number;
+  level2Count: number;
+  commissionTotal: number;
+  bonusTotal: number;
+  members: TeamMember[];
 }
 
 export interface UserState {
@@ -19,8 +181,26 @@ export interface UserState {
   coins: number;
   businesses: Record<string, number>; // Business ID -> Quantity
   level: number;
+  xp: number;       // lifetime earned coins, drives the level
   lastMine: number; // Timestamp
+  lastClaim: number | null; // last idle income claim (null = never)
   referredBy: string | null;
   referralsCount: number;
   subscribed: boolean;
-}
\ No newline at end of file
+}
+
+/**
+ * A mine, purchase or idle claim made while offline (services/offline.ts).
+ * `key` is the idempotency key it is replayed with; `createdAt` is when the player did it.
+ */
+export type QueuedAction = (
+  | { key: string; type: 'mine'; createdAt: number }
+  | { key: string; type: 'buy'; createdAt: number; business: string; qty: number }
+  | { key: string; type: 'claim'; createdAt: number }
+) & { busyTries?: number }; // replays answered in_progress so far
+
+/** A queued action the server turned down on replay, with its error code */
+export interface ActionConflict {
+  action: QueuedAction;
+  error: string;
+}
@@ -1,18 +1,54 @@
 
-import React, { useState } from 'react';
-import { UserState } from '../types';
-import { formatNumber, getLevelLabel } from '../constants';
-import { calculatePassiveIncome } from '../services/gameLogic';
+import React, { useState, useEffect } from 'react';
+import { UserState, BusinessDef, CoinTransaction, LevelDef } from '../types';
+import { formatNumber } from '../constants';
+import { calculatePassiveIncome, getLevelProgress } from '../services/gameLogic';
+import { fetchTransactions } from '../services/api';
+
+const REASON_LABELS: Record<string, string> = {
+  mine: '⛏️ Mining',
+  passive: '🏢 Business income',
+  purchase: '🛒 Purchase',
+  referral_bonus: '🎁 Referral bonus',
+  referral_commission: '🤝 Team commission',
+  daily: '📅 Daily check-in',
+  quest: '✅ Task reward',
+  level_up: '⭐ Level up',
+  boost: '🚀 Boost',
+  transfer_in: '💸 Received',
+  transfer_out: '💸 Sent',
+  signup: '👋 Welcome bonus',
+  admin: '🛠️ Adjustment',
+};
 
 interface MeViewProps {
   user: UserState;
+  catalog: BusinessDef[];
+  levels: LevelDef[];
   onSubscribeToggle: () => void;
 }
 
-const MeView: React.FC<MeViewProps> = ({ user, onSubscribeToggle }) => {
+const MeView: React.FC<MeViewProps> = ({ user, catalog, levels, onSubscribeToggle }) => {
   const [showConfirm, setShowConfirm] = useState(false);
-  const passive = calculatePassiveIncome(user.businesses);
-  const level = getLevelLabel(user.coins);
+  const [history, setHistory] = useState<CoinTransaction[]>([]);
+  const [nextBefore, setNextBefore] = useState<number | null>(null);
+  const [historyLoading, setHistoryLoading] = useState(false);
+
+  const loadHistory = async (before?: number | null) => {
+    setHistoryLoading(true);
+    const page = await fetchTransactions(user.id, before);
+    setHistoryLoading(false);
+    if (!page) return;
+    setHistory(prev => (before ? [...prev, ...page.transactions] : page.transactions));
+    setNextBefore(page.nextBefore);
+  };
+
+  // Reload the first page whenever the balance changes
+  useEffect(() => {
+    loadHistory();
+  }, [user.id, user.coins]);
+  const levelInfo = getLevelProgress(user.level, user.xp, levels);
+  const passive = calculatePassiveIncome(user.businesses, catalog, levelInfo.passiveBonusPct);
 
   const handleToggleClick = () => {
     setShowConfirm(true);
@@ -37,7 +73,7 @@ const MeView: React.FC<MeViewProps> = ({ user, onSubscribeToggle }) => {
         <div className="flex flex-col items-center mt-1">
              <span className="text-xs text-slate-500 font-mono">ID: {user.id}</span>
              <span className="px-3 py-1 bg-lime-500/10 text-lime-400 rounded-full text-xs font-bold mt-2 uppercase border border-lime-500/20">
-              {level}
+              Lv {user.level} • {levelInfo.title}
              </span>
         </div>
       </div>
@@ -67,6 +103,44 @@ const MeView: React.FC<MeViewProps> = ({ user, onSubscribeToggle }) => {
             </div>
         </div>
 
+        {/* History Card */}
+        <div className="bg-slate-800 rounded-xl p-5 border border-slate-700">
+            <h3 className="text-white font-bold mb-4">History</h3>
+
+            {history.length === 0 && !historyLoading && (
+                <div className="text-slate-500 text-sm">No transactions yet.</div>
+            )}
+
+            <div className="divide-y divide-slate-700/50">
+                {history.map(tx => (
+                    <div key={tx.id} className="flex items-center justify-between py-2">
+                        <div>
+                            <div className="text-slate-200 text-sm">{REASON_LABELS[tx.reason] ?? tx.reason}</div>
+                            <div className="text-slate-500 text-xs">
+                                {new Date(tx.createdAt).toLocaleString()}{tx.ref ? ` • ${tx.ref}` : ''}
+                            </div>
+                        </div>
+                        <div className="text-right">
+                            <div className={`font-mono font-bold text-sm ${tx.delta >= 0 ? 'text-lime-400' : 'text-red-400'}`}>
+                                {tx.delta >= 0 ? '+' : ''}{formatNumber(tx.delta)}
+                            </div>
+                            <div className="text-slate-500 text-xs font-mono">{formatNumber(tx.balanceAfter)}</div>
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            {nextBefore && (
+                <button
+                    onClick={() => loadHistory(nextBefore)}
+                    disabled={historyLoading}
+                    className="mt-3 w-full py-2 rounded-lg bg-slate-700 text-slate-300 text-sm hover:bg-slate-600 transition-colors"
+                >
+                    {historyLoading ? 'Loading…' : 'Load more'}
+                </button>
+            )}
+        </div>
+
         {/* Settings Card */}
         <div className="bg-slate-800 rounded-xl p-5 border border-slate-700">
             <h3 className="text-white font-bold mb-4">Settings</h3>
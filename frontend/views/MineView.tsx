@@ -1,12 +1,21 @@
 
 import React, { useState, useEffect } from 'react';
-import { UserState } from '../types';
-import { calculatePassiveIncome } from '../services/gameLogic';
-import { formatNumber, getLevelLabel, MINE_COOLDOWN_MS } from '../constants';
+import { UserState, BusinessDef, IdleIncomeSummary, DailyStatus, LevelDef, BoostState, BoostDef, MineChallenge, MineChallengeSolution } from '../types';
+import { calculatePassiveIncome, getLevelProgress, getMineCooldownMs } from '../services/gameLogic';
+import { formatNumber, formatDuration } from '../constants';
+import { solveMineChallenge } from '../services/challenge';
 
 interface MineViewProps {
   user: UserState;
-  onMine: () => { earned: number; passive: number } | null;
+  catalog: BusinessDef[];
+  levels: LevelDef[];
+  boosts?: BoostState | null;
+  onBuyBoost?: (boostId: string) => Promise<string | null>;
+  onMine: (solution?: MineChallengeSolution) => Promise<{ earned: number; passive: number } | { challenge: MineChallenge } | null>;
+  awaySummary?: IdleIncomeSummary | null;
+  onDismissAway?: () => void;
+  daily?: DailyStatus | null;
+  onDailyClaim?: () => Promise<number | null>;
 }
 
 const MINING_FLAVORS = [
@@ -18,30 +27,55 @@ const MINING_FLAVORS = [
   "Validating blocks...",
 ];
 
-const MineView: React.FC<MineViewProps> = ({ user, onMine }) => {
+const BOOST_ERRORS: Record<string, string> = {
+  insufficient_funds: 'Not enough coins.',
+  daily_limit: 'Daily limit reached, come back tomorrow.',
+  not_on_cooldown: 'Your miner is already charged.',
+};
+
+/** 75000 -> "1:15", 3723000 -> "1:02:03" */
+const formatCountdown = (ms: number): string => {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const sec = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+};
+
+const MineView: React.FC<MineViewProps> = ({ user, catalog, levels, boosts, onBuyBoost, onMine, awaySummary, onDismissAway, daily, onDailyClaim }) => {
   const [timeLeft, setTimeLeft] = useState(0);
+  const [isClaimingDaily, setIsClaimingDaily] = useState(false);
+  const [dailyReward, setDailyReward] = useState<number | null>(null);
   const [isMining, setIsMining] = useState(false);
   const [flavorText, setFlavorText] = useState('');
   const [lastResult, setLastResult] = useState<{ earned: number; passive: number } | null>(null);
+  const [now, setNow] = useState(Date.now());
+  const [buyingBoost, setBuyingBoost] = useState<string | null>(null);
+  const [boostMessage, setBoostMessage] = useState<string | null>(null);
+
+  const activeBoosts = (boosts?.active ?? []).filter(b => b.expiresAt > now);
+  const cooldownMs = getMineCooldownMs(activeBoosts, now);
 
-  const passiveIncome = calculatePassiveIncome(user.businesses);
-  const levelLabel = getLevelLabel(user.coins);
+  const levelInfo = getLevelProgress(user.level, user.xp, levels);
+  const passiveIncome = calculatePassiveIncome(user.businesses, catalog, levelInfo.passiveBonusPct);
 
   // Timer logic
   useEffect(() => {
     const updateTimer = () => {
       const now = Date.now();
       const diff = now - user.lastMine;
-      const remaining = Math.max(0, MINE_COOLDOWN_MS - diff);
+      // Cooldown boosts can start or end while we wait
+      const remaining = Math.max(0, getMineCooldownMs(boosts?.active ?? [], now) - diff);
       setTimeLeft(remaining);
+      setNow(now);
     };
 
     updateTimer(); // Initial check
     const timer = setInterval(updateTimer, 100); // Faster update for smoother bar
     return () => clearInterval(timer);
-  }, [user.lastMine]);
+  }, [user.lastMine, boosts]);
 
-  const progressPercent = Math.min(100, ((MINE_COOLDOWN_MS - timeLeft) / MINE_COOLDOWN_MS) * 100);
+  const progressPercent = Math.min(100, ((cooldownMs - timeLeft) / cooldownMs) * 100);
   const isReady = timeLeft === 0;
 
   const handleMineClick = async () => {
@@ -51,33 +85,149 @@ const MineView: React.FC<MineViewProps> = ({ user, onMine }) => {
     setLastResult(null);
     setFlavorText(MINING_FLAVORS[Math.floor(Math.random() * MINING_FLAVORS.length)]);
 
-    // Simulate work delay
-    await new Promise(resolve => setTimeout(resolve, 1500));
+    // Keep the mining animation on screen for a moment while the server responds
+    let [result] = await Promise.all([
+      onMine(),
+      new Promise(resolve => setTimeout(resolve, 1500))
+    ]);
+
+    // Flagged accounts must solve a small proof-of-work before the mine counts (one retry)
+    if (result && 'challenge' in result) {
+      setFlavorText('Verifying you are human...');
+      const solution = await solveMineChallenge(result.challenge);
+      result = solution ? await onMine(solution) : null;
+    }
 
-    const result = onMine();
-    
     setIsMining(false);
-    if (result) {
+    if (result && !('challenge' in result)) {
       setLastResult(result);
     }
   };
 
- 
+  const handleBoostClick = async (boost: BoostDef) => {
+    if (!onBuyBoost || buyingBoost) return;
+    setBuyingBoost(boost.id);
+    setBoostMessage(null);
+    const error = await onBuyBoost(boost.id);
+    setBuyingBoost(null);
+    setBoostMessage(error ? (BOOST_ERRORS[error] ?? 'Could not buy this boost.') : `${boost.title} activated!`);
+  };
+
+  const handleDailyClick = async () => {
+    if (!onDailyClaim || !daily || daily.claimedToday || isClaimingDaily) return;
+    setIsClaimingDaily(true);
+    const reward = await onDailyClaim();
+    setIsClaimingDaily(false);
+    if (reward !== null) setDailyReward(reward);
+  };
+
+  // Ladder slot to highlight: today's (claimed) day, or the one the next claim pays
+  const dailySlot = daily
+    ? (daily.claimedToday ? ((daily.streak - 1) % Math.max(daily.ladder.length, 1)) + 1 : daily.nextDay)
+    : 0;
 
   return (
     <div className="flex flex-col items-center h-full px-4 pt-8 pb-24 overflow-y-auto bg-gradient-to-b from-slate-900 to-slate-800">
       {/* Header Info */}
-      <div className="w-full flex justify-between items-center mb-8">
+      <div className="w-full flex justify-between items-center mb-3">
         <div className="flex flex-col">
           <span className="text-slate-400 text-sm">Passive Income</span>
-          <span className="text-lime-400 font-bold">+{formatNumber(passiveIncome)}/mine</span>
+          <span className="text-lime-400 font-bold">
+            +{formatNumber(passiveIncome)}/min
+            {levelInfo.passiveBonusPct > 0 && <span className="text-xs text-slate-400 font-medium"> (+{levelInfo.passiveBonusPct}%)</span>}
+          </span>
         </div>
         <div className="flex flex-col items-end">
-          <span className="text-slate-400 text-sm">Level</span>
-          <span className="text-white font-bold">{levelLabel}</span>
+          <span className="text-slate-400 text-sm">Level {user.level}</span>
+          <span className="text-white font-bold">{levelInfo.title}</span>
+        </div>
+      </div>
+
+      {/* XP progress to the next title */}
+      <div className="w-full mb-8">
+        <div className="w-full h-2 bg-slate-800 rounded-full overflow-hidden border border-slate-700">
+          <div className="h-full bg-gradient-to-r from-lime-600 to-lime-400 transition-all duration-500" style={{ width: `${levelInfo.percent}%` }}></div>
+        </div>
+        <div className="flex justify-between text-[10px] text-slate-400 font-mono mt-1">
+          <span>{formatNumber(user.xp)} XP</span>
+          <span>
+            {levelInfo.next
+              ? `${formatNumber(levelInfo.next.xpRequired)} XP → ${levelInfo.next.title}`
+              : 'Max level'}
+          </span>
         </div>
       </div>
 
+      {/* While you were away (idle income collected on open) */}
+      {awaySummary && (
+        <div className="w-full mb-6 bg-lime-500/10 border border-lime-500/30 rounded-xl px-4 py-3 flex items-center gap-3">
+          <span className="text-2xl">🌙</span>
+          <div className="flex-1">
+            <div className="text-white font-bold">While you were away</div>
+            <div className="text-slate-300 text-sm">
+              Your businesses earned <span className="text-lime-400 font-bold">+{formatNumber(awaySummary.earned)}</span> in {formatDuration(awaySummary.creditedMs)}
+            </div>
+            {awaySummary.capped && (
+              <div className="text-orange-400 text-xs mt-1">
+                Idle income is capped at {formatDuration(awaySummary.capMs)} — check in more often!
+              </div>
+            )}
+          </div>
+          <button onClick={onDismissAway} className="text-slate-400 hover:text-white text-lg px-1">✕</button>
+        </div>
+      )}
+
+      {/* Daily check-in streak */}
+      {daily && (
+        <div className="w-full mb-6 bg-slate-800/80 border border-slate-700 rounded-xl px-4 py-3">
+          <div className="flex items-center justify-between mb-3">
+            <div className="flex items-center gap-2">
+              <span className="text-2xl">🔥</span>
+              <div>
+                <div className="text-white font-bold">{daily.streak}-day streak</div>
+                <div className="text-slate-400 text-xs">
+                  {daily.claimedToday
+                    ? `Next reward in ${formatDuration(Math.max(0, daily.nextResetAt - Date.now()))}`
+                    : daily.streak > 0 ? 'Check in today to keep it going' : 'Check in every day for bigger rewards'}
+                </div>
+              </div>
+            </div>
+            <button
+              onClick={handleDailyClick}
+              disabled={daily.claimedToday || isClaimingDaily}
+              className={`px-3 py-2 rounded-lg text-sm font-bold transition-colors ${
+                daily.claimedToday
+                  ? 'bg-slate-700 text-slate-400 cursor-not-allowed'
+                  : 'bg-lime-500 text-slate-900 hover:bg-lime-400'
+              }`}
+            >
+              {daily.claimedToday
+                ? (dailyReward !== null ? `+${formatNumber(dailyReward)} ✓` : 'Claimed ✓')
+                : isClaimingDaily ? '...' : `Claim +${formatNumber(daily.nextReward)}`}
+            </button>
+          </div>
+          <div className="flex gap-1">
+            {daily.ladder.map(step => {
+              const done = daily.claimedToday ? step.day <= dailySlot : step.day < dailySlot;
+              const current = step.day === dailySlot;
+              return (
+                <div
+                  key={step.day}
+                  className={`flex-1 rounded-md py-1 text-center border ${
+                    current
+                      ? 'border-lime-400 bg-lime-500/20'
+                      : done ? 'border-lime-700 bg-lime-900/30' : 'border-slate-700 bg-slate-900/50'
+                  }`}
+                >
+                  <div className="text-[10px] text-slate-400">D{step.day}</div>
+                  <div className={`text-xs font-bold ${done || current ? 'text-lime-400' : 'text-slate-300'}`}>{formatNumber(step.reward)}</div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
       {/* Main Balance */}
       <div className="flex flex-col items-center mb-8">
         <div className="w-20 h-20 bg-lime-500/20 rounded-full flex items-center justify-center mb-4 ring-2 ring-lime-500/50 shadow-[0_0_20px_rgba(132,204,22,0.3)]">
@@ -158,6 +308,60 @@ const MineView: React.FC<MineViewProps> = ({ user, onMine }) => {
         </div>
       </div>
 
+      {/* Boosts: running ones with countdowns, then the shop */}
+      {boosts && boosts.boosts.length > 0 && (
+        <div className="w-full mt-8 bg-slate-800/80 border border-slate-700 rounded-xl px-4 py-3">
+          <div className="text-white font-bold mb-2">🚀 Boosts</div>
+
+          {activeBoosts.length > 0 && (
+            <div className="space-y-1 mb-3">
+              {activeBoosts.map(b => {
+                const def = boosts.boosts.find(d => d.id === b.boostId);
+                const queued = b.startsAt > now;
+                return (
+                  <div key={b.id} className="flex justify-between text-sm">
+                    <span className="text-lime-400">{def?.title ?? b.boostId}</span>
+                    <span className="font-mono text-slate-300">
+                      {queued ? `starts in ${formatCountdown(b.startsAt - now)}` : formatCountdown(b.expiresAt - now)}
+                    </span>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          <div className="grid gap-2">
+            {boosts.boosts.map(b => {
+              const soldOut = b.remainingToday === 0;
+              const pointless = b.effect === 'cooldown_refill' && isReady;
+              const canBuy = !soldOut && !pointless && user.coins >= b.cost && !buyingBoost;
+              return (
+                <div key={b.id} className="flex items-center justify-between gap-3">
+                  <div className="min-w-0">
+                    <div className="text-slate-200 text-sm font-medium">{b.title}</div>
+                    <div className="text-slate-400 text-xs">
+                      {b.description}
+                      {b.remainingToday !== null && ` (${b.remainingToday}/${b.dailyLimit} left today)`}
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => handleBoostClick(b)}
+                    disabled={!canBuy}
+                    className={`shrink-0 px-3 py-2 rounded-lg text-sm font-bold transition-colors ${
+                      canBuy ? 'bg-lime-500 text-slate-900 hover:bg-lime-400' : 'bg-slate-700 text-slate-400 cursor-not-allowed'
+                    }`}
+                  >
+                    {buyingBoost === b.id ? '...' : `${formatNumber(b.cost)} 💰`}
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+
+          {boostMessage && <div className="text-slate-300 text-xs mt-2">{boostMessage}</div>}
+        </div>
+      )}
+
       {/* Advertisement Block */}
       
     </div>
@@ -1,23 +1,64 @@
 ﻿import React, { useEffect, useState } from 'react';
+import { UserState } from '../types';
 import { formatNumber } from '../constants';
+import Leaderboard from '../components/Leaderboard';
+
+// Emission schedule as reported by the server (halvings at minted-supply milestones)
+type Emission = {
+  supplyCap: number;
+  minted: number;
+  remaining: number;
+  epoch: number;                    // halvings so far
+  multiplier: number;               // mining/passive reward factor (0 once capped)
+  nextHalvingAt: number | null;     // minted supply that triggers the next halving
+  untilNextHalving: number | null;
+  capReached: boolean;
+};
 
 type NetworkStats = {
-  totalCoins: number;
-  coins24hAgo: number;
-  activeMiners: number;
+  totalCoins: number;             // circulating (sum of balances)
+  coins24hAgo: number | null;     // null until a snapshot is 24h old
+  minted: number;                 // ever issued (never goes down)
+  minted24hAgo: number | null;    // null while history predates the emission schedule
+  baselineAt: string | null; // snapshot the emission rate is measured from
+  activeMiners: number;      // mined in the last 24h
+  totalUsers: number;
+  newUsers24h: number;
+  emission: Emission | null;
+};
+
+type HistoryRange = '24h' | '7d' | '30d';
+
+type HistoryPoint = {
+  takenAt: string;
+  totalSupply: number;
+  totalBusinesses: number;
+  dailyActiveMiners: number;
 };
 
 const API_BASE =
   ((import.meta as any).env?.VITE_API_URL || '').replace(/\/$/, '') ||
   'https://ceo-toto-tycoon.onrender.com';
 
-const NetworkView: React.FC = () => {
+interface NetworkViewProps {
+  user: UserState;
+}
+
+const NetworkView: React.FC<NetworkViewProps> = ({ user }) => {
   const [stats, setStats] = useState<NetworkStats>({
     totalCoins: 0,
-    coins24hAgo: 0,
-    activeMiners: 0
+    coins24hAgo: null,
+    minted: 0,
+    minted24hAgo: null,
+    baselineAt: null,
+    activeMiners: 0,
+    totalUsers: 0,
+    newUsers24h: 0,
+    emission: null
   });
   const [loading, setLoading] = useState(false);
+  const [range, setRange] = useState<HistoryRange>('7d');
+  const [history, setHistory] = useState<HistoryPoint[]>([]);
 
   // Fetch real network stats
   useEffect(() => {
@@ -32,8 +73,14 @@ const NetworkView: React.FC = () => {
 
         setStats({
           totalCoins: body.totalCoins || 0,
-          coins24hAgo: body.coins24hAgo || 0,
-          activeMiners: body.activeMiners || 0
+          coins24hAgo: body.coins24hAgo ?? null,
+          minted: body.minted || 0,
+          minted24hAgo: body.minted24hAgo ?? null,
+          baselineAt: body.baselineAt || null,
+          activeMiners: body.activeMiners || 0,
+          totalUsers: body.totalUsers || 0,
+          newUsers24h: body.newUsers24h || 0,
+          emission: body.emission ?? null
         });
       } catch (e) {
         console.warn('Failed to load network stats', e);
@@ -50,11 +97,43 @@ const NetworkView: React.FC = () => {
     };
   }, []);
 
-  const growth24h = stats.totalCoins - stats.coins24hAgo;
+  // Growth chart (snapshots are hourly, no need to poll as often as the live stats)
+  useEffect(() => {
+    let aborted = false;
+
+    async function loadHistory() {
+      try {
+        const res = await fetch(`${API_BASE}/api/network-stats/history?range=${range}`);
+        const body = await res.json();
+        if (aborted) return;
+        setHistory(body.points || []);
+      } catch (e) {
+        console.warn('Failed to load network history', e);
+      }
+    }
+
+    loadHistory();
+    const timer = setInterval(loadHistory, 5 * 60 * 1000);
+    return () => {
+      aborted = true;
+      clearInterval(timer);
+    };
+  }, [range]);
+
+  const growth24h = stats.coins24hAgo !== null ? stats.totalCoins - stats.coins24hAgo : null;
   const growthPercent =
-    stats.coins24hAgo > 0 ? (growth24h / stats.coins24hAgo) * 100 : 0;
+    growth24h !== null && stats.coins24hAgo ? (growth24h / stats.coins24hAgo) * 100 : 0;
+
+  // coins/sec issued over the real window since the baseline snapshot (<= 24h while history is young);
+  // circulating growth (net of spending) stands in until snapshots record minted supply
+  const windowSec = stats.baselineAt
+    ? Math.max(1, (Date.now() - new Date(stats.baselineAt).getTime()) / 1000)
+    : 86400;
+  const issued24h = stats.minted24hAgo !== null ? stats.minted - stats.minted24hAgo : growth24h;
+  const emissionRate = issued24h !== null ? Math.max(0, issued24h / windowSec) : null;
 
-  const emissionRate = Math.max(1, Math.floor(growth24h / 86400)); // coins/sec over 24h
+  const emission = stats.emission;
+  const mintedPercent = emission && emission.supplyCap > 0 ? Math.min(100, (emission.minted / emission.supplyCap) * 100) : 0;
 
   return (
     <div className="h-full px-4 pt-8 pb-24 overflow-y-auto bg-slate-900">
@@ -72,7 +151,7 @@ const NetworkView: React.FC = () => {
         <div className="flex-1" />
         <div className="flex items-center gap-2">
           <span className="font-mono font-bold text-lg text-white">
-            {formatNumber(stats.totalCoins)}
+            {formatNumber(emission ? emission.minted : stats.totalCoins)}
           </span>
           <span className="flex items-center gap-1 text-xs font-semibold text-lime-400">
             <span className="w-2 h-2 rounded-full bg-lime-400 animate-pulse" />
@@ -84,10 +163,37 @@ const NetworkView: React.FC = () => {
       {/* Market Stats */}
       <div className="mb-6 bg-slate-900 border border-slate-700 rounded-xl px-4 py-3">
         <h3 className="text-sm font-semibold text-white mb-2">Market Stats</h3>
-        <StatRow label="Supply Cap" value={formatNumber(70000000000)} />
+        {emission && (
+          <div className="mb-2">
+            <div className="w-full h-2 bg-slate-800 rounded-full overflow-hidden border border-slate-700">
+              <div className="h-full bg-gradient-to-r from-lime-600 to-lime-400" style={{ width: `${mintedPercent}%` }} />
+            </div>
+            <div className="text-[10px] text-slate-400 font-mono mt-1">{mintedPercent.toFixed(4)}% of the supply cap mined</div>
+          </div>
+        )}
+        <StatRow label="Supply Cap" value={emission ? formatNumber(emission.supplyCap) : '—'} />
+        <StatRow label="Total Mined" value={formatNumber(emission ? emission.minted : stats.minted)} />
+        <StatRow label="Remaining Supply" value={emission ? formatNumber(emission.remaining) : '—'} />
         <StatRow label="Circulating Supply" value={formatNumber(stats.totalCoins)} />
-        <StatRow label="Active Miners" value={formatNumber(stats.activeMiners)} />
-        <StatRow label="Emission Rate" value={`${formatNumber(emissionRate)} / sec`} />
+        {emission && (
+          <>
+            <StatRow label="Emission Epoch" value={`${emission.epoch} (×${emission.multiplier} rewards)`} />
+            <StatRow
+              label="Next Halving"
+              value={
+                emission.capReached
+                  ? 'Cap reached'
+                  : emission.nextHalvingAt === null
+                    ? 'None left'
+                    : `at ${formatNumber(emission.nextHalvingAt)} (${formatNumber(emission.untilNextHalving ?? 0)} to go)`
+              }
+            />
+          </>
+        )}
+        <StatRow label="Active Miners (24h)" value={formatNumber(stats.activeMiners)} />
+        <StatRow label="Total Players" value={formatNumber(stats.totalUsers)} />
+        <StatRow label="New Players (24h)" value={formatNumber(stats.newUsers24h)} />
+        <StatRow label="Emission Rate" value={emissionRate !== null ? `${emissionRate.toFixed(2)} / sec` : 'n/a'} />
       </div>
 
       {/* Network Growth (24h) */}
@@ -95,18 +201,51 @@ const NetworkView: React.FC = () => {
         <h3 className="text-sm font-semibold text-white mb-2">Network Growth (24h)</h3>
         <div className="flex items-center justify-between">
           <span className="text-slate-400 text-sm">Coins Mined</span>
-          <div className="text-right">
-            <div
-              className={`font-mono font-semibold ${
-                growth24h >= 0 ? 'text-lime-400' : 'text-red-400'
-              }`}
-            >
-              {growth24h >= 0 ? '+' : ''}
-              {formatNumber(growth24h)}
+          {growth24h === null ? (
+            <div className="text-right">
+              <div className="font-mono font-semibold text-slate-400">n/a</div>
+              <div className="text-xs text-slate-400">less than 24h of history</div>
             </div>
-            <div className="text-xs text-slate-400">{growthPercent.toFixed(2)}%</div>
+          ) : (
+            <div className="text-right">
+              <div
+                className={`font-mono font-semibold ${
+                  growth24h >= 0 ? 'text-lime-400' : 'text-red-400'
+                }`}
+              >
+                {growth24h >= 0 ? '+' : ''}
+                {formatNumber(growth24h)}
+              </div>
+              <div className="text-xs text-slate-400">{growthPercent.toFixed(2)}%</div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Supply history */}
+      <div className="mt-6 bg-slate-900 border border-slate-700 rounded-xl px-4 py-3">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-sm font-semibold text-white">Supply Growth</h3>
+          <div className="flex gap-1">
+            {(['24h', '7d', '30d'] as HistoryRange[]).map((r) => (
+              <button
+                key={r}
+                onClick={() => setRange(r)}
+                className={`px-2 py-1 rounded text-xs font-semibold transition-colors ${
+                  range === r ? 'bg-lime-500 text-slate-900' : 'bg-slate-800 text-slate-400 hover:text-white'
+                }`}
+              >
+                {r}
+              </button>
+            ))}
           </div>
         </div>
+        <GrowthChart points={history} />
+      </div>
+
+      {/* Leaderboard */}
+      <div className="mt-6">
+        <Leaderboard userId={user.id} />
       </div>
 
       {loading && (
@@ -128,4 +267,37 @@ const StatRow: React.FC<{ label: string; value: string | number }> = ({
   </div>
 );
 
+const GrowthChart: React.FC<{ points: HistoryPoint[] }> = ({ points }) => {
+  if (points.length < 2) {
+    return <div className="h-32 flex items-center justify-center text-xs text-slate-500">Not enough history yet</div>;
+  }
+
+  const width = 300;
+  const height = 120;
+  const values = points.map((p) => p.totalSupply);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const span = max - min || 1;
+  const path = values
+    .map((v, i) => {
+      const x = (i / (values.length - 1)) * width;
+      const y = height - ((v - min) / span) * height;
+      return `${i === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(' ');
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-32" preserveAspectRatio="none">
+        <path d={`${path} L${width},${height} L0,${height} Z`} className="fill-lime-500/10" />
+        <path d={path} className="stroke-lime-400" fill="none" strokeWidth={2} vectorEffect="non-scaling-stroke" />
+      </svg>
+      <div className="flex justify-between text-[10px] text-slate-500 font-mono mt-1">
+        <span>{new Date(points[0].takenAt).toLocaleDateString()}</span>
+        <span>{formatNumber(max)}</span>
+      </div>
+    </div>
+  );
+};
+
 export default NetworkView;
@@ -0,0 +1,147 @@
+import React, { useEffect, useState } from 'react';
+import { Quest } from '../types';
+import { formatNumber } from '../constants';
+import { fetchQuests, startQuest, claimQuest, LevelProgress } from '../services/api';
+
+interface TasksViewProps {
+  onReward: (coins: number, progress: LevelProgress) => void;
+}
+
+const CLAIM_ERRORS: Record<string, string> = {
+  not_member: "We couldn't find you in the channel yet. Join it, then try again.",
+  too_soon: 'Almost there, give it a few more seconds.',
+  not_started: 'Open the link first.',
+  already_completed: 'Already completed.',
+  verification_unavailable: "Can't verify right now, please try again later.",
+};
+
+/** Open a link inside Telegram when possible (t.me links stay in the app) */
+const openQuestLink = (link: string) => {
+  // @ts-ignore
+  const tg = window.Telegram?.WebApp;
+  try {
+    if (tg && /^https:\/\/t\.me\//i.test(link) && tg.openTelegramLink) return tg.openTelegramLink(link);
+    if (tg?.openLink) return tg.openLink(link);
+  } catch (e) {
+    // fall through to a normal window
+  }
+  window.open(link, '_blank');
+};
+
+const TasksView: React.FC<TasksViewProps> = ({ onReward }) => {
+  const [quests, setQuests] = useState<Quest[] | null>(null);
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [messages, setMessages] = useState<Record<string, string>>({});
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    let aborted = false;
+    fetchQuests().then((data) => {
+      if (!aborted) setQuests(data ?? []);
+    });
+    return () => {
+      aborted = true;
+    };
+  }, []);
+
+  // Tick for timed-quest countdowns
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const updateQuest = (q: Quest) => setQuests(prev => prev ? prev.map(x => (x.id === q.id ? q : x)) : prev);
+  const setMessage = (id: string, text: string) => setMessages(prev => ({ ...prev, [id]: text }));
+
+  const handleOpen = async (q: Quest) => {
+    if (q.link) openQuestLink(q.link);
+    if (q.status !== 'available') return;
+    const started = await startQuest(q.id);
+    if (started) updateQuest(started);
+  };
+
+  const handleClaim = async (q: Quest) => {
+    setBusyId(q.id);
+    const result = await claimQuest(q.id);
+    setBusyId(null);
+
+    if (!result) {
+      setMessage(q.id, 'Network error, please try again.');
+      return;
+    }
+    if ('error' in result) {
+      if (result.error === 'already_completed') updateQuest({ ...q, status: 'completed' });
+      setMessage(q.id, CLAIM_ERRORS[result.error] ?? 'Could not claim this task.');
+      return;
+    }
+
+    onReward(result.coins, result);
+    updateQuest({ ...q, status: 'completed' });
+    setMessage(q.id, `+${formatNumber(result.reward)} coins collected!`);
+  };
+
+  const renderAction = (q: Quest) => {
+    if (q.status === 'completed') {
+      return <span className="text-lime-400 font-bold text-sm">Done ✓</span>;
+    }
+
+    // Channel quests are verified on claim; timed quests need the link opened first
+    const waitLeft = q.claimableAt ? Math.max(0, Math.ceil((q.claimableAt - now) / 1000)) : 0;
+    const canClaim = q.verification === 'telegram_member' || (q.status === 'started' && waitLeft === 0);
+
+    return (
+      <div className="flex gap-2">
+        {q.link && (
+          <button
+            onClick={() => handleOpen(q)}
+            className="px-3 py-2 rounded-lg text-sm font-bold bg-slate-700 text-white hover:bg-slate-600 transition-colors"
+          >
+            {q.type === 'channel_join' ? 'Join' : 'Open'}
+          </button>
+        )}
+        <button
+          onClick={() => handleClaim(q)}
+          disabled={!canClaim || busyId === q.id}
+          className={`px-3 py-2 rounded-lg text-sm font-bold transition-colors ${
+            canClaim ? 'bg-lime-500 text-slate-900 hover:bg-lime-400' : 'bg-slate-700 text-slate-400 cursor-not-allowed'
+          }`}
+        >
+          {busyId === q.id ? '...' : q.status === 'started' && waitLeft > 0 ? `${waitLeft}s` : 'Claim'}
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <div className="h-full px-4 pt-8 pb-24 overflow-y-auto bg-slate-900">
+      <div className="flex flex-col items-center mb-8">
+        <h2 className="text-2xl font-bold text-white mb-2">Tasks ✅</h2>
+        <p className="text-slate-400 text-center text-sm">Complete tasks to earn extra coins.</p>
+      </div>
+
+      {quests === null ? (
+        <div className="text-slate-500 text-center text-sm">Loading tasks...</div>
+      ) : quests.length === 0 ? (
+        <div className="text-slate-500 text-center text-sm">No tasks right now. Check back soon!</div>
+      ) : (
+        <div className="space-y-3">
+          {quests.map(q => (
+            <div key={q.id} className="bg-slate-800 rounded-xl p-4 border border-slate-700">
+              <div className="flex items-center justify-between gap-3">
+                <div className="min-w-0">
+                  <div className="text-white font-medium">{q.title}</div>
+                  {q.description && <div className="text-slate-400 text-xs">{q.description}</div>}
+                  <div className="text-lime-400 text-sm font-bold mt-1">+{formatNumber(q.reward)} 💰</div>
+                </div>
+                {renderAction(q)}
+              </div>
+              {messages[q.id] && <div className="text-slate-300 text-xs mt-2">{messages[q.id]}</div>}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TasksView;
@@ -1,19 +1,110 @@
-import React from 'react';
-import { UserState } from '../types';
+import React, { useEffect, useRef, useState } from 'react';
+import { UserState, TeamSummary, TeamMember } from '../types';
 import { formatNumber } from '../constants';
+import { fetchTeam, sendCoins, newIdempotencyKey } from '../services/api';
 
 interface TeamViewProps {
   user: UserState;
+  onCoinsChange: (coins: number) => void;
 }
 
-const TeamView: React.FC<TeamViewProps> = ({ user }) => {
+const SEND_ERRORS: Record<string, string> = {
+  invalid_amount: 'Enter a valid amount.',
+  recipient_not_found: 'Player not found.',
+  self_transfer: "You can't send coins to yourself.",
+  insufficient_funds: 'Not enough coins.',
+  recipient_banned: "That player can't receive coins.",
+  account_too_new: 'Your account is too new to send coins yet.',
+  daily_limit: 'Daily transfer limit reached.',
+  daily_count: 'Too many transfers today.',
+  key_reused: 'This transfer conflicts with one already sent. Please try again.',
+};
+
+const TeamView: React.FC<TeamViewProps> = ({ user, onCoinsChange }) => {
   const referralLink = `https://t.me/Mine_cifcitotobot?start=ref_${user.id}`;
+  const [team, setTeam] = useState<TeamSummary | null>(null);
+  const [level, setLevel] = useState<1 | 2>(1);
+  const [sendTo, setSendTo] = useState('');
+  const [sendAmount, setSendAmount] = useState('');
+  const [isSending, setIsSending] = useState(false);
+  const [sendMessage, setSendMessage] = useState<string | null>(null);
+  // One key per intended transfer: double taps and retries reuse it, editing the form starts a new one
+  const sendKey = useRef(newIdempotencyKey());
+
+  useEffect(() => {
+    let aborted = false;
+    fetchTeam(user.id).then((data) => {
+      if (!aborted) setTeam(data);
+    });
+    return () => {
+      aborted = true;
+    };
+  }, [user.id]);
   
   const handleCopy = () => {
      navigator.clipboard.writeText(referralLink);
      alert("Referral link copied to clipboard!");
   };
 
+  const editSend = (setter: (v: string) => void) => (e: React.ChangeEvent<HTMLInputElement>) => {
+    setter(e.target.value);
+    sendKey.current = newIdempotencyKey();
+    setSendMessage(null);
+  };
+
+  const handleSend = async () => {
+    const amount = Number(sendAmount);
+    if (!sendTo.trim() || !Number.isInteger(amount) || amount <= 0 || isSending) return;
+
+    setIsSending(true);
+    const result = await sendCoins(sendTo.trim(), amount, sendKey.current);
+    setIsSending(false);
+
+    if (!result) {
+      setSendMessage('Network error, please try again.');
+      return;
+    }
+    if ('error' in result) {
+      if (result.error === 'invalid_amount' && result.min) setSendMessage(`Minimum transfer is ${formatNumber(result.min)} coins.`);
+      else if (result.error === 'daily_limit' && result.remaining !== undefined) setSendMessage(`Daily limit reached. You can still send ${formatNumber(result.remaining)} today.`);
+      else setSendMessage(SEND_ERRORS[result.error] ?? 'Transfer failed.');
+      if (result.error === 'key_reused') sendKey.current = newIdempotencyKey();
+      return;
+    }
+
+    onCoinsChange(result.coins);
+    setSendMessage(`Sent ${formatNumber(result.amount)} coins to ${result.to.username ? `@${result.to.username}` : result.to.id}${result.fee > 0 ? ` (fee ${formatNumber(result.fee)})` : ''}.`);
+    setSendAmount('');
+    sendKey.current = newIdempotencyKey();
+  };
+
+  const l1Pct = team?.levels['1'] ?? 0;
+  const l2Pct = team?.levels['2'] ?? 0;
+  const members = (team?.members ?? []).filter((m) => m.level === level);
+
+  const renderMember = (m: TeamMember) => (
+    <div key={m.id} className="flex items-center justify-between py-2 border-b border-slate-700/50 last:border-none">
+        <div className="min-w-0">
+            <div className="flex items-center gap-2">
+                <span className={`w-2 h-2 rounded-full ${m.active ? 'bg-lime-400' : 'bg-slate-600'}`} />
+                <button
+                    onClick={() => { setSendTo(m.username ? `@${m.username}` : m.id); sendKey.current = newIdempotencyKey(); }}
+                    className="text-slate-200 truncate hover:text-lime-400"
+                    title="Send coins"
+                >
+                    {m.username || `user_${m.id}`}
+                </button>
+            </div>
+            <div className="text-slate-500 text-xs ml-4">
+                {m.active ? 'Mining today' : m.lastMine ? `Last mined ${new Date(m.lastMine).toLocaleDateString()}` : 'Never mined'}
+                {m.viaUsername ? ` • via ${m.viaUsername}` : ''}
+                {m.bonusStatus === 'pending' ? ' • bonus pending' : ''}
+            </div>
+        </div>
+        <span className="text-lime-400 font-mono font-bold text-sm">+{formatNumber(m.commission)}</span>
+    </div>
+  );
+
   return (
     <div className="h-full px-4 pt-8 pb-24 overflow-y-auto bg-slate-900">
       <div className="flex flex-col items-center mb-8">
@@ -29,21 +120,89 @@ const TeamView: React.FC<TeamViewProps> = ({ user }) => {
             <div className="w-12 h-12 rounded-full bg-indigo-500/20 flex items-center justify-center text-2xl">🎁</div>
             <div>
                 <p className="text-white font-medium">Earn 100 coins</p>
-                <p className="text-indigo-200 text-sm">for every friend you invite and Follow X.</p>
+                <p className="text-indigo-200 text-sm">for every friend you invite, once they start mining.</p>
             </div>
         </div>
+        {team && (
+          <div className="flex items-center gap-4">
+              <div className="w-12 h-12 rounded-full bg-indigo-500/20 flex items-center justify-center text-2xl">⛏️</div>
+              <div>
+                  <p className="text-white font-medium">+{l1Pct}% / +{l2Pct}% of their mining</p>
+                  <p className="text-indigo-200 text-sm">from your friends and their friends, forever.</p>
+              </div>
+          </div>
+        )}
       </div>
 
       <div className="bg-slate-800 rounded-xl p-4 border border-slate-700 mb-6">
         <h4 className="text-sm text-slate-400 uppercase tracking-wider mb-2">Your Stats</h4>
         <div className="flex justify-between items-center py-2 border-b border-slate-700/50">
             <span className="text-slate-200">Friends Invited</span>
-            <span className="text-white font-bold text-lg">{user.referralsCount}</span>
+            <span className="text-white font-bold text-lg">{team?.level1Count ?? user.referralsCount}</span>
+        </div>
+        <div className="flex justify-between items-center py-2 border-b border-slate-700/50">
+            <span className="text-slate-200">Friends of Friends</span>
+            <span className="text-white font-bold text-lg">{team?.level2Count ?? 0}</span>
+        </div>
+        <div className="flex justify-between items-center py-2 border-b border-slate-700/50">
+            <span className="text-slate-200">Invite Bonuses</span>
+            <span className="text-lime-400 font-bold text-lg">{formatNumber(team?.bonusTotal ?? 0)}</span>
         </div>
         <div className="flex justify-between items-center py-2">
-            <span className="text-slate-200">Coins Earned</span>
-            <span className="text-lime-400 font-bold text-lg">{formatNumber(user.referralsCount * 100)}</span>
+            <span className="text-slate-200">Team Commission</span>
+            <span className="text-lime-400 font-bold text-lg">{formatNumber(team?.commissionTotal ?? 0)}</span>
+        </div>
+      </div>
+
+      <div className="bg-slate-800 rounded-xl p-4 border border-slate-700 mb-6">
+        <div className="flex items-center justify-between mb-2">
+            <h4 className="text-sm text-slate-400 uppercase tracking-wider">Your Team</h4>
+            <div className="flex gap-1">
+                {([1, 2] as const).map((l) => (
+                    <button
+                        key={l}
+                        onClick={() => setLevel(l)}
+                        className={`px-2 py-1 rounded text-xs font-semibold transition-colors ${level === l ? 'bg-lime-500 text-slate-900' : 'bg-slate-700 text-slate-400 hover:text-white'}`}
+                    >
+                        Level {l}
+                    </button>
+                ))}
+            </div>
+        </div>
+        {members.length === 0 ? (
+            <div className="text-slate-500 text-sm py-2">
+                {level === 1 ? 'No friends yet — share your link below!' : 'Nobody has joined through your friends yet.'}
+            </div>
+        ) : (
+            members.map(renderMember)
+        )}
+      </div>
+
+      <div className="bg-slate-800 rounded-xl p-4 border border-slate-700 mb-6">
+        <h4 className="text-sm text-slate-400 uppercase tracking-wider mb-2">Send Coins 💸</h4>
+        <div className="flex gap-2">
+            <input
+                value={sendTo}
+                onChange={editSend(setSendTo)}
+                placeholder="@username or id"
+                className="min-w-0 flex-1 bg-slate-950 p-2 rounded-lg border border-slate-700 text-slate-200 text-sm"
+            />
+            <input
+                value={sendAmount}
+                onChange={editSend(setSendAmount)}
+                placeholder="Amount"
+                inputMode="numeric"
+                className="w-24 bg-slate-950 p-2 rounded-lg border border-slate-700 text-slate-200 text-sm"
+            />
+            <button
+                onClick={handleSend}
+                disabled={isSending}
+                className="bg-lime-500 text-slate-900 font-bold px-3 rounded-lg hover:bg-lime-400 transition-colors disabled:opacity-60"
+            >
+                {isSending ? '...' : 'Send'}
+            </button>
         </div>
+        {sendMessage && <div className="text-slate-300 text-xs mt-2">{sendMessage}</div>}
       </div>
 
       <div className="flex flex-col gap-3">
@@ -1,15 +1,32 @@
-import React from 'react';
-import { UserState } from '../types';
-import { BUSINESSES, formatNumber } from '../constants';
-import { calculatePassiveIncome } from '../services/gameLogic';
+import React, { useEffect, useState } from 'react';
+import { UserState, BusinessDef, LevelDef, MarketStat } from '../types';
+import { formatNumber } from '../constants';
+import { fetchMarket } from '../services/api';
+import { calculatePassiveIncome, getLevelProgress, getUnitPrice, getPurchaseTotal, getMaxAffordable } from '../services/gameLogic';
 
 interface UpgradeViewProps {
   user: UserState;
-  onBuy: (businessId: string) => void;
+  catalog: BusinessDef[];
+  levels: LevelDef[];
+  onBuy: (businessId: string, qty: number | 'max') => void;
 }
 
-const UpgradeView: React.FC<UpgradeViewProps> = ({ user, onBuy }) => {
-  const currentPassive = calculatePassiveIncome(user.businesses);
+const UpgradeView: React.FC<UpgradeViewProps> = ({ user, catalog, levels, onBuy }) => {
+  const { passiveBonusPct } = getLevelProgress(user.level, user.xp, levels);
+  const currentPassive = calculatePassiveIncome(user.businesses, catalog, passiveBonusPct);
+  const [market, setMarket] = useState<Record<string, MarketStat>>({});
+
+  // Popularity across all players; refetched after our own purchases change the totals
+  useEffect(() => {
+    let aborted = false;
+    fetchMarket().then(rows => {
+      if (!aborted && rows.length > 0) setMarket(Object.fromEntries(rows.map(r => [r.id, r])));
+    });
+    return () => {
+      aborted = true;
+    };
+  }, [user.businesses]);
+
   return (
     <div className="h-full px-4 pt-8 pb-24 overflow-y-auto bg-slate-900">
       <div className="flex flex-col items-center mb-6">
@@ -23,31 +40,56 @@ const UpgradeView: React.FC<UpgradeViewProps> = ({ user, onBuy }) => {
         </div>
         <div className="flex justify-between items-center mt-2">
           <span className="text-slate-400">Total Passive Income</span>
-          <span className="text-lime-400 font-bold">+{formatNumber(currentPassive)} / mine</span>
+          <span className="text-lime-400 font-bold">+{formatNumber(currentPassive)} / min</span>
         </div>
       </div>
       <div className="grid gap-4">
-        {BUSINESSES.map((biz) => {
+        {catalog.map((biz) => {
           const owned = user.businesses[biz.id] || 0;
-          const canAfford = user.coins >= biz.cost;
+          const nextPrice = getUnitPrice(biz, owned);
+          // Mirrors purchase_business(): no units below the business' minLevel
+          const locked = user.level < biz.minLevel;
+          const maxQty = locked ? 0 : getMaxAffordable(biz, owned, user.coins);
+          const canAfford = maxQty > 0;
+          const stats = market[biz.id];
+          const buyOptions: { label: string; qty: number | 'max'; total: number; enabled: boolean }[] = [
+            { label: '×1', qty: 1, total: nextPrice, enabled: maxQty >= 1 },
+            { label: '×10', qty: 10, total: getPurchaseTotal(biz, owned, 10), enabled: maxQty >= 10 },
+            { label: `Max${maxQty > 0 ? ` (${maxQty})` : ''}`, qty: 'max', total: getPurchaseTotal(biz, owned, maxQty), enabled: maxQty > 0 },
+          ];
           return (
             <div key={biz.id} className="relative bg-slate-800 rounded-xl p-4 border border-slate-700 flex flex-col shadow-sm transition-transform active:scale-[0.99]" >
               <div className="flex justify-between items-start mb-2">
                 <div>
                   <h3 className="text-lg font-bold text-white">{biz.name}</h3>
-                  <div className="text-xs text-lime-400 font-medium">+{biz.income} income/mine</div>
+                  <div className="text-xs text-lime-400 font-medium">+{biz.income} income/min</div>
                 </div>
                 <div className="px-2 py-1 bg-slate-700 rounded text-xs text-slate-300"> Owned: {owned} </div>
               </div>
-              <div className="mt-2 flex items-center justify-between">
-                <div className="text-sm text-slate-400"> Cost: <span className={canAfford ? "text-white" : "text-red-400"}>{formatNumber(biz.cost)} 💰</span> </div>
-                <button 
-                    onClick={() => onBuy(biz.id)} 
-                    disabled={!canAfford} 
-                    className={`px-4 py-2 rounded-lg text-sm font-bold transition-colors ${ canAfford ? 'bg-lime-500 hover:bg-lime-600 text-slate-900 shadow-[0_0_10px_rgba(132,204,22,0.3)]' : 'bg-slate-700 text-slate-500 cursor-not-allowed' }`} 
-                > 
-                    Buy 
-                </button>
+              {stats && (
+                <div className="grid grid-cols-3 gap-2 text-center text-[11px] text-slate-400 bg-slate-900/50 rounded-lg py-1.5">
+                  <div><div className="text-white font-bold">{formatNumber(stats.holders)}</div>holders</div>
+                  <div><div className="text-white font-bold">{formatNumber(stats.totalOwned)}</div>owned</div>
+                  <div><div className="text-white font-bold">{formatNumber(stats.volume24h.qty)}</div>bought 24h</div>
+                </div>
+              )}
+              {locked ? (
+                <div className="mt-2 text-sm text-orange-400">🔒 Unlocks at level {biz.minLevel}</div>
+              ) : (
+                <div className="mt-2 text-sm text-slate-400"> Next: <span className={canAfford ? "text-white" : "text-red-400"}>{formatNumber(nextPrice)} 💰</span> </div>
+              )}
+              <div className="mt-3 grid grid-cols-3 gap-2">
+                {buyOptions.map(opt => (
+                  <button 
+                      key={opt.label}
+                      onClick={() => onBuy(biz.id, opt.qty)} 
+                      disabled={!opt.enabled} 
+                      className={`px-2 py-2 rounded-lg text-sm font-bold transition-colors flex flex-col items-center ${ opt.enabled ? 'bg-lime-500 hover:bg-lime-600 text-slate-900 shadow-[0_0_10px_rgba(132,204,22,0.3)]' : 'bg-slate-700 text-slate-500 cursor-not-allowed' }`} 
+                  > 
+                      <span>{opt.label}</span>
+                      <span className="text-[10px] font-medium opacity-80">{formatNumber(opt.total)}</span>
+                  </button>
+                ))}
               </div>
             </div>
           );